@@ -1,68 +1,15 @@
 // Diagnostic script: Read factory-deployed token on-chain
 // Usage: node read-token.js [tokenAddress]
 
-import { getContract, OP_20_ABI, ABIDataTypes, BitcoinAbiTypes, OP_NET_ABI, JSONRpcProvider } from 'opnet';
+import { getContract, JSONRpcProvider } from 'opnet';
 import { networks } from '@btc-vision/bitcoin';
+// Same ABIs the app uses, so this script can't drift from them
+import { FACTORY_ABI } from '../src/services/abis/factoryAbi.js';
+import { OP20_TEMPLATE_ABI } from '../src/services/abis/op20TemplateAbi.js';
 
 const network = networks.regtest;
 const provider = new JSONRpcProvider('https://regtest.opnet.org', network);
 
-// Factory ABI (read methods)
-const FACTORY_ABI = [
-    ...OP_NET_ABI,
-    {
-        name: 'getDeploymentsCount',
-        inputs: [],
-        outputs: [{ name: 'count', type: ABIDataTypes.UINT32 }],
-        type: BitcoinAbiTypes.Function,
-    },
-    {
-        name: 'getDeploymentByIndex',
-        inputs: [{ name: 'index', type: ABIDataTypes.UINT32 }],
-        outputs: [
-            { name: 'deployer', type: ABIDataTypes.ADDRESS },
-            { name: 'token', type: ABIDataTypes.ADDRESS },
-            { name: 'block', type: ABIDataTypes.UINT64 },
-        ],
-        type: BitcoinAbiTypes.Function,
-    },
-    {
-        name: 'getTokenOwner',
-        inputs: [{ name: 'tokenAddress', type: ABIDataTypes.ADDRESS }],
-        outputs: [{ name: 'owner', type: ABIDataTypes.ADDRESS }],
-        type: BitcoinAbiTypes.Function,
-    },
-    {
-        name: 'getTokenDeployer',
-        inputs: [{ name: 'tokenAddress', type: ABIDataTypes.ADDRESS }],
-        outputs: [{ name: 'deployer', type: ABIDataTypes.ADDRESS }],
-        type: BitcoinAbiTypes.Function,
-    },
-    {
-        name: 'owner',
-        inputs: [],
-        outputs: [{ name: 'owner', type: ABIDataTypes.ADDRESS }],
-        type: BitcoinAbiTypes.Function,
-    },
-];
-
-// Template ABI = OP20 + template-specific methods
-const TEMPLATE_ABI = [
-    ...OP_20_ABI,
-    {
-        name: 'getTokenOwner',
-        inputs: [],
-        outputs: [{ name: 'owner', type: ABIDataTypes.ADDRESS }],
-        type: BitcoinAbiTypes.Function,
-    },
-    {
-        name: 'getFactoryAddress',
-        inputs: [],
-        outputs: [{ name: 'factory', type: ABIDataTypes.ADDRESS }],
-        type: BitcoinAbiTypes.Function,
-    },
-];
-
 const FACTORY_ADDRESS = 'opr1sqzlyrtf768qunqm2ua3adkqg9meqkyckjq0jndz2';
 
 async function main() {
@@ -108,7 +55,7 @@ async function main() {
         console.log('Token address:', lastTokenAddress);
 
         try {
-            const token = getContract(lastTokenAddress, TEMPLATE_ABI, provider, network);
+            const token = getContract(lastTokenAddress, OP20_TEMPLATE_ABI, provider, network);
 
             // Standard OP20 methods
             console.log('\nOP20 Standard:');
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * BitLaunch - Airdrop Merkle verifier
+ *
+ * Rebuilds an airdrop's Merkle root from a recipient list, so a creator can
+ * audit the root independently before calling createAirdrop, and prints one
+ * recipient's leaf and proof. Uses the same importer and tree code as the
+ * Airdrop page, so the same file gives the same root.
+ *
+ * Usage:
+ *   node scripts/merkle-verify.js recipients.csv --decimals 8
+ *   node scripts/merkle-verify.js recipients.csv --decimals 8 --address opr1... --root 0x...
+ *   node scripts/merkle-verify.js --vectors
+ *
+ * Options:
+ *   --decimals <n>        token decimals; file amounts are display units (default 8)
+ *   --duplicates <mode>   merge | flag, as on the Airdrop page (default merge)
+ *   --address <addr>      print this recipient's leaf, proof and verification
+ *   --root <hex>          expected root; exits 1 if the rebuilt root differs
+ *   --network <id>        network for resolving bech32 recipients (default regtest)
+ *   --rpc <url>           RPC URL for resolving bech32 recipients
+ *   --vectors [file]      check merkleTree.js against scripts/merkle-vectors.json
+ *
+ * Recipients given as 0x hex are hashed offline; bech32 addresses are resolved
+ * to their 32-byte key through the RPC first.
+ */
+
+import * as fs from 'fs';
+import process from 'process';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { keccak_256 } from '@noble/hashes/sha3.js';
+import { createBitLaunch } from '../src/sdk/index.js';
+import { resolveAddresses } from '../src/services/addressHelper.js';
+import { importRecipients } from '../src/services/recipientImporter.js';
+import { buildMerkleTreeSync } from '../src/services/merkleBuilder.js';
+import {
+    buildMerkleTree, generateProof, hashLeaf, verifyProof, packProof, bytesToHex, hexToBytes,
+} from '../src/services/merkleTree.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const VECTORS_PATH = path.join(__dirname, 'merkle-vectors.json');
+const HEX_ADDRESS = /^0x[0-9a-fA-F]{64}$/;
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const params = { decimals: '8', duplicates: 'merge', network: 'regtest' };
+    const positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) {
+            positional.push(args[i]);
+            continue;
+        }
+        const key = args[i].slice(2);
+        const next = args[i + 1];
+        if (key === 'vectors') {
+            // Optional value
+            params.vectors = next && !next.startsWith('--') ? args[++i] : VECTORS_PATH;
+        } else {
+            params[key] = next;
+            i++;
+        }
+    }
+
+    return { ...params, file: positional[0], decimals: parseInt(params.decimals, 10) };
+}
+
+const strip0x = (hex) => hex.toLowerCase().replace(/^0x/, '');
+
+// ── Test vectors ──
+
+/**
+ * Check merkleTree.js (nested and flat layouts) against the vector file.
+ * @returns {boolean} true if every vector matches
+ */
+function checkVectors(file) {
+    const { keccak256Empty, vectors } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    let failures = 0;
+
+    const keccakOk = bytesToHex(keccak_256(new Uint8Array(0))) === keccak256Empty;
+    console.log(`${keccakOk ? '✓' : '✗'} keccak256 (not SHA3-256)`);
+    if (!keccakOk) failures++;
+
+    for (const vector of vectors) {
+        const problems = [];
+        const nested = buildMerkleTree(vector.recipients);
+        const flat = buildMerkleTreeSync(vector.recipients);
+        const root = hexToBytes(vector.root);
+
+        vector.recipients.forEach((r, i) => {
+            if (bytesToHex(hashLeaf(r.address, r.amount)) !== vector.leaves[i]) problems.push(`leaf ${i}`);
+        });
+        if (bytesToHex(nested.root) !== vector.root) problems.push('root (buildMerkleTree)');
+        if (flat.rootHex !== vector.root) problems.push('root (buildMerkleTreeSync)');
+
+        vector.proofs.forEach((expected, i) => {
+            const nestedProof = generateProof(nested.tree, i).map(bytesToHex);
+            const flatProof = flat.getProof(i).map(bytesToHex);
+            if (nestedProof.join() !== expected.join()) problems.push(`proof ${i} (generateProof)`);
+            if (flatProof.join() !== expected.join()) problems.push(`proof ${i} (generateProofFlat)`);
+            if (!verifyProof(hexToBytes(vector.leaves[i]), expected.map(hexToBytes), root)) {
+                problems.push(`verifyProof ${i}`);
+            }
+        });
+
+        if (problems.length > 0) failures++;
+        console.log(`${problems.length ? '✗' : '✓'} ${vector.name}${problems.length ? ` — ${problems.join(', ')}` : ''}`);
+    }
+
+    console.log(failures ? `\n${failures} check(s) failed` : `\nAll ${vectors.length} vectors match`);
+    return failures === 0;
+}
+
+// ── Recipient list ──
+
+/**
+ * Resolve bech32 recipients to 32-byte hex keys; hex recipients pass through.
+ * @returns {Promise<Array<{ address: string, amount: string, input: string }>>}
+ */
+async function resolveRecipients(recipients, { network, rpc }) {
+    const pending = recipients.filter(r => !HEX_ADDRESS.test(r.address));
+    const resolved = new Map();
+
+    if (pending.length > 0) {
+        console.log(`Resolving ${pending.length} bech32 address(es) on ${network}...`);
+        const bitlaunch = createBitLaunch({ network, rpcUrls: rpc ? [rpc] : undefined });
+        try {
+            const addresses = await resolveAddresses(pending.map(r => r.address));
+            pending.forEach((r, i) => resolved.set(r.address, addresses[i].toHex()));
+        } finally {
+            bitlaunch.close();
+        }
+    }
+
+    return recipients.map(r => ({
+        address: strip0x(resolved.get(r.address) || r.address),
+        amount: r.amount,
+        input: r.address,
+    }));
+}
+
+async function main() {
+    const params = parseArgs();
+
+    if (params.vectors) {
+        process.exit(checkVectors(params.vectors) ? 0 : 1);
+    }
+
+    if (!params.file) {
+        console.error('Usage: node scripts/merkle-verify.js <recipients.csv> [--decimals 8] [--address <addr>] [--root <hex>]');
+        console.error('       node scripts/merkle-verify.js --vectors');
+        process.exit(1);
+    }
+    if (!Number.isInteger(params.decimals) || params.decimals < 0) {
+        console.error(`Invalid --decimals: ${params.decimals}`);
+        process.exit(1);
+    }
+
+    const text = fs.readFileSync(params.file, 'utf8');
+    const result = importRecipients(text, { decimals: params.decimals, duplicates: params.duplicates });
+    if (result.parseError) {
+        console.error(result.parseError);
+        process.exit(1);
+    }
+
+    for (const row of result.rows.filter(r => r.status !== 'ok')) {
+        console.error(`Line ${row.line} (${row.status}): ${row.messages.join('; ')}`);
+    }
+    if (result.errorCount > 0) {
+        console.error(`\n${result.errorCount} invalid row(s). Fix them before building the tree.`);
+        process.exit(1);
+    }
+    if (result.recipients.length === 0) {
+        console.error('No recipients found.');
+        process.exit(1);
+    }
+
+    const recipients = await resolveRecipients(result.recipients, params);
+    const tree = buildMerkleTreeSync(recipients);
+
+    console.log(`Recipients:   ${recipients.length}`);
+    console.log(`Total amount: ${result.totalRaw.toString()} (raw units)`);
+    console.log(`Merkle root:  0x${tree.rootHex}`);
+
+    let ok = true;
+    if (params.root) {
+        const matches = strip0x(params.root) === tree.rootHex;
+        console.log(`Expected:     ${params.root} ${matches ? '✓ matches' : '✗ DOES NOT MATCH'}`);
+        ok = matches;
+    }
+
+    if (params.address) {
+        const wanted = strip0x(params.address);
+        const index = recipients.findIndex(r => r.address === wanted || strip0x(r.input) === wanted);
+        if (index === -1) {
+            console.error(`\n${params.address} is not in the recipient list`);
+            process.exit(1);
+        }
+
+        const recipient = recipients[index];
+        const leaf = hashLeaf(recipient.address, recipient.amount);
+        const proof = tree.getProof(index);
+        const root = params.root ? hexToBytes(strip0x(params.root)) : tree.root;
+        const valid = verifyProof(leaf, proof, root);
+
+        console.log(`\nRecipient #${index + 1}: ${recipient.input}`);
+        console.log(`  Address (hex): 0x${recipient.address}`);
+        console.log(`  Amount:        ${recipient.amount}`);
+        console.log(`  Leaf:          0x${bytesToHex(leaf)}`);
+        console.log(`  Proof (${proof.length}):`);
+        proof.forEach((node, i) => console.log(`    [${i}] 0x${bytesToHex(node)}`));
+        console.log(`  Packed proof:  0x${bytesToHex(packProof(proof))}`);
+        console.log(`  Verification:  ${valid ? '✓ valid' : '✗ INVALID'} against ${params.root ? 'expected' : 'rebuilt'} root`);
+        ok = ok && valid;
+    }
+
+    process.exit(ok ? 0 : 1);
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
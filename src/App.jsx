@@ -2,8 +2,9 @@
 import React from 'react';
 import { BrowserRouter, Routes, Route, useLocation, Link } from 'react-router-dom';
 import { WalletConnectProvider } from '@btc-vision/walletconnect';
-import { WalletProvider } from './contexts/WalletContext';
+import { WalletProvider, useWallet } from './contexts/WalletContext';
 import { ToastProvider } from './components/Toast';
+import PendingTxWatcher from './components/PendingTxWatcher';
 import ErrorBoundary from './components/ErrorBoundary';
 import Navbar from './components/layout/Navbar';
 import Footer from './components/layout/Footer';
@@ -20,7 +21,12 @@ import Vesting from './pages/Vesting';
 import LiquidityLock from './pages/LiquidityLock';
 import Airdrop from './pages/Airdrop';
 import AirdropClaim from './pages/AirdropClaim';
+import AirdropCampaignClaim from './pages/AirdropCampaignClaim';
 import TokenDirectory from './pages/TokenDirectory';
+import TokenDetail from './pages/TokenDetail';
+import TokenManage from './pages/TokenManage';
+import FreeMint from './pages/FreeMint';
+import Admin from './pages/Admin';
 
 // Import styles
 import './styles/theme.css';
@@ -30,12 +36,14 @@ import './styles/mobile.css';
 // Wrapper component to handle route transitions
 const AnimatedRoutes = () => {
   const location = useLocation();
+  const { network } = useWallet();
   const isHome = location.pathname === '/';
 
   return (
     <>
       <AmbientBackground intensity={isHome ? 'strong' : 'subtle'} />
-      <div key={location.pathname} className="page-transition">
+      {/* Keyed by network too, so switching networks remounts the page and reloads its data */}
+      <div key={`${network}:${location.pathname}`} className="page-transition">
         <Routes>
           <Route path="/" element={<Home />} />
           <Route path="/launch" element={<LaunchToken />} />
@@ -47,10 +55,15 @@ const AnimatedRoutes = () => {
           <Route path="/vesting" element={<Vesting />} />
           <Route path="/lock" element={<LiquidityLock />} />
           <Route path="/airdrop" element={<Airdrop />} />
+          <Route path="/airdrop/campaign" element={<AirdropCampaignClaim />} />
           <Route path="/airdrop/:id" element={<AirdropClaim />} />
           <Route path="/explore/tokens" element={<TokenDirectory />} />
+          <Route path="/token/:address" element={<TokenDetail />} />
+          <Route path="/token/:address/manage" element={<TokenManage />} />
+          <Route path="/mint/:token" element={<FreeMint />} />
 
           <Route path="/dashboard" element={<Dashboard />} />
+          <Route path="/admin" element={<Admin />} />
           <Route path="*" element={
             <div className="not-found-page">
               <div className="not-found-content">
@@ -75,6 +88,7 @@ function App() {
       <WalletConnectProvider theme="dark">
         <WalletProvider>
           <ToastProvider>
+            <PendingTxWatcher />
             <BrowserRouter>
               <div className="app">
                 <div className="background-sparkles" />
@@ -0,0 +1,9 @@
+// BitLaunch - App SDK instance
+// The React app runs on the same SDK as Node scripts (src/sdk). Config comes
+// from VITE_* env (services/contracts.js), storage is localStorage and
+// transactions are signed by the connected wallet, so nothing is injected.
+
+import { createBitLaunch } from './sdk/index.js';
+
+export const bitlaunch = createBitLaunch();
+export default bitlaunch;
@@ -0,0 +1,261 @@
+// BitLaunch - Airdrop Campaigns Panel
+// Create campaigns and view claimed/remaining aggregated across their waves.
+import React, { useState, useEffect, useCallback } from 'react';
+import { Layers, Plus, Link as LinkIcon, Trash2, RefreshCw } from 'lucide-react';
+import { campaignService } from '../../services/CampaignService';
+import { formatTokenAmount, parseTokenAmount } from '../../services/formatters';
+import { validatePositiveNumber } from '../../services/validation';
+import EmptyState from '../EmptyState';
+import StatusBadge from '../StatusBadge';
+import { useToast } from '../Toast';
+
+const WAVE_BADGES = {
+    active: 'live',
+    expired: 'upcoming',
+    cancelled: 'ended',
+    completed: 'finalized',
+    unknown: 'paused',
+};
+
+const CampaignCard = ({ campaign, token, currentBlock, onRemove }) => {
+    const toast = useToast();
+    const [stats, setStats] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const decimals = token?.decimals ?? 8;
+    const symbol = token?.symbol || '';
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        try {
+            setStats(await campaignService.getCampaignStats(campaign, currentBlock));
+        } catch {
+            setStats(null);
+        } finally {
+            setLoading(false);
+        }
+    }, [campaign, currentBlock]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const copyLink = () => {
+        navigator.clipboard.writeText(campaignService.getCampaignLink(campaign));
+        toast.success('Campaign claim link copied');
+    };
+
+    const total = Number(stats?.totalAmount || 0);
+    const claimed = Number(stats?.claimedAmount || 0);
+    const budgetLeft = campaignService.getRemainingBudget(campaign.id);
+
+    return (
+        <div className="card airdrop-card-item">
+            <div className="card-header mb-md">
+                <div className="flex items-center gap-md">
+                    <div className="token-icon-sm bg-gradient-purple">
+                        <Layers size={16} />
+                    </div>
+                    <div>
+                        <h3>{campaign.name}</h3>
+                        <span className="text-xs text-muted">
+                            {campaign.waves.length} waves{symbol ? ` · ${symbol}` : ''}
+                        </span>
+                    </div>
+                </div>
+                <button className="btn btn-ghost btn-sm" onClick={load} disabled={loading} title="Refresh">
+                    <RefreshCw size={14} />
+                </button>
+            </div>
+
+            {loading ? (
+                <div className="text-muted text-sm">Loading waves...</div>
+            ) : stats && (
+                <>
+                    <div className="vesting-info-row">
+                        <span className="vesting-label">Total (all waves)</span>
+                        <span className="vesting-value">{formatTokenAmount(stats.totalAmount, decimals)} {symbol}</span>
+                    </div>
+                    <div className="vesting-info-row">
+                        <span className="vesting-label">Claimed</span>
+                        <span className="vesting-value">{formatTokenAmount(stats.claimedAmount, decimals)} {symbol}</span>
+                    </div>
+                    <div className="vesting-info-row">
+                        <span className="vesting-label">Remaining ({stats.activeWaves} active waves)</span>
+                        <span className="vesting-value">{formatTokenAmount(stats.remainingAmount, decimals)} {symbol}</span>
+                    </div>
+                    {budgetLeft !== null && (
+                        <div className="vesting-info-row">
+                            <span className="vesting-label">Budget not yet assigned</span>
+                            <span className="vesting-value">{formatTokenAmount(budgetLeft, decimals)} {symbol}</span>
+                        </div>
+                    )}
+
+                    {total > 0 && (
+                        <div className="progress-bar mt-md" style={{ height: 6 }}>
+                            <div
+                                className="progress-fill"
+                                style={{ width: `${Math.min(100, (claimed / total) * 100)}%` }}
+                            ></div>
+                        </div>
+                    )}
+
+                    {stats.waves.length > 0 && (
+                        <div className="campaign-waves">
+                            {stats.waves.map(w => (
+                                <div key={w.airdropId} className="campaign-wave-row">
+                                    <span className="campaign-wave-label">{w.label} · #{w.airdropId}</span>
+                                    <span className="text-muted text-xs">expires #{w.expiryBlock.toLocaleString()}</span>
+                                    <span className="text-sm">
+                                        {w.airdrop
+                                            ? `${formatTokenAmount(w.airdrop.claimedAmount, decimals)} / ${formatTokenAmount(w.airdrop.totalAmount, decimals)}`
+                                            : '—'}
+                                    </span>
+                                    <StatusBadge status={WAVE_BADGES[w.status]} label={w.status} size="sm" />
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </>
+            )}
+
+            <div className="airdrop-card-actions">
+                <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={copyLink}
+                    disabled={campaign.waves.length === 0}
+                    title="Copy a link that claims every eligible wave"
+                >
+                    <LinkIcon size={14} /> Campaign Link
+                </button>
+                <button
+                    className="btn btn-ghost btn-sm"
+                    onClick={() => onRemove(campaign.id)}
+                    title="Forget this campaign on this device (waves stay on-chain)"
+                >
+                    <Trash2 size={14} /> Remove
+                </button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * @param {{ address: string, tokens: Array<Object>, currentBlock: number }} props
+ *   tokens - the creator's tokens ({ address, symbol, decimals })
+ */
+const CampaignPanel = ({ address, tokens, currentBlock }) => {
+    const toast = useToast();
+    const [campaigns, setCampaigns] = useState([]);
+    const [showForm, setShowForm] = useState(false);
+    const [name, setName] = useState('');
+    const [tokenAddress, setTokenAddress] = useState('');
+    const [budget, setBudget] = useState('');
+
+    const refresh = useCallback(() => {
+        setCampaigns(campaignService.getCampaigns(address));
+    }, [address]);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    const tokenFor = (addr) => tokens.find(t => t.address === addr);
+
+    const handleCreate = () => {
+        try {
+            if (budget) {
+                const check = validatePositiveNumber(budget, 'Budget');
+                if (!check.valid) throw new Error(check.error);
+            }
+            const token = tokenFor(tokenAddress);
+            campaignService.createCampaign({
+                name,
+                token: tokenAddress,
+                creator: address,
+                budget: budget ? parseTokenAmount(budget, token?.decimals ?? 8) : null,
+            });
+            toast.success(`Campaign "${name.trim()}" created. Add waves from the Create Airdrop tab.`);
+            setName('');
+            setBudget('');
+            setShowForm(false);
+            refresh();
+        } catch (err) {
+            toast.error(err.message);
+        }
+    };
+
+    const handleRemove = (campaignId) => {
+        campaignService.removeCampaign(campaignId);
+        refresh();
+    };
+
+    return (
+        <div className="airdrop-list animate-on-scroll">
+            <div className="flex justify-between items-center">
+                <p className="text-muted text-sm">
+                    A campaign groups recurring airdrop waves. Each wave keeps its own root and expiry;
+                    a budget is approved once and reused by later waves.
+                </p>
+                <button className="btn btn-primary btn-sm" onClick={() => setShowForm(!showForm)}>
+                    <Plus size={14} /> New Campaign
+                </button>
+            </div>
+
+            {showForm && (
+                <div className="card airdrop-card-item">
+                    <div className="form-group">
+                        <label className="form-label">Campaign Name</label>
+                        <input
+                            className="form-input"
+                            placeholder="e.g. Weekly staking rewards"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Token</label>
+                        <select className="form-input" value={tokenAddress} onChange={(e) => setTokenAddress(e.target.value)}>
+                            <option value="">Select a token</option>
+                            {tokens.map(t => (
+                                <option key={t.address} value={t.address}>{t.name} ({t.symbol})</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Budget (optional)</label>
+                        <input
+                            className="form-input"
+                            placeholder="Total tokens for all waves"
+                            value={budget}
+                            onChange={(e) => setBudget(e.target.value)}
+                        />
+                        <div className="form-hint">
+                            The first wave approves the whole budget, so later waves need no new approval.
+                        </div>
+                    </div>
+                    <button className="btn btn-primary" onClick={handleCreate}>Create Campaign</button>
+                </div>
+            )}
+
+            {campaigns.length === 0 ? (
+                <EmptyState
+                    icon={Layers}
+                    title="No Campaigns"
+                    description="Create a campaign to run recurring airdrop waves"
+                />
+            ) : (
+                campaigns.map(c => (
+                    <CampaignCard
+                        key={c.id}
+                        campaign={c}
+                        token={tokenFor(c.token)}
+                        currentBlock={currentBlock}
+                        onRemove={handleRemove}
+                    />
+                ))
+            )}
+        </div>
+    );
+};
+
+export default CampaignPanel;
@@ -0,0 +1,168 @@
+// BitLaunch - Airdrop Claim Analytics Panel
+// Claimed vs unclaimed recipients for one airdrop, from the creator's tree data.
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { RefreshCw, FileSpreadsheet, Bell } from 'lucide-react';
+import { airdropService } from '../../services/AirdropService';
+import {
+    loadClaimStatuses, buildClaimTimeline, getTopUnclaimed,
+    downloadClaimStatusCsv, downloadReminderCsv,
+} from '../../services/claimAnalytics';
+import { formatTokenAmount, formatAddress } from '../../services/formatters';
+import { useToast } from '../Toast';
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 80;
+
+/**
+ * Cumulative claimed-recipients line over blocks.
+ */
+const ClaimTimelineChart = ({ timeline, total }) => {
+    if (timeline.length === 0 || total === 0) {
+        return <p className="text-xs text-muted">No claims observed yet.</p>;
+    }
+
+    const first = timeline[0].block;
+    const last = timeline[timeline.length - 1].block;
+    const span = Math.max(1, last - first);
+    const x = (block) => ((block - first) / span) * CHART_WIDTH;
+    const y = (count) => CHART_HEIGHT - (count / total) * CHART_HEIGHT;
+
+    const points = [`0,${CHART_HEIGHT}`, ...timeline.map(p => `${x(p.block)},${y(p.claimedCount)}`)].join(' ');
+
+    return (
+        <div className="claim-chart">
+            <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" role="img">
+                <polyline points={points} fill="none" stroke="var(--accent-orange)" strokeWidth="2" />
+            </svg>
+            <div className="flex justify-between text-xs text-muted">
+                <span>#{first.toLocaleString()}</span>
+                <span>#{last.toLocaleString()}</span>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * @param {{ airdropId: string, airdrop: Object, currentBlock: number }} props
+ */
+const ClaimAnalyticsPanel = ({ airdropId, airdrop, currentBlock }) => {
+    const toast = useToast();
+    const [statuses, setStatuses] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [tokenInfo, setTokenInfo] = useState(null);
+    const [error, setError] = useState(null);
+
+    const treeData = useMemo(() => airdropService.getTreeData(airdropId), [airdropId]);
+    const decimals = tokenInfo?.decimals ?? 8;
+
+    const load = useCallback(async (refresh = false) => {
+        if (!treeData) return;
+        setError(null);
+        setProgress({ done: 0, total: treeData.recipients.length });
+        try {
+            const result = await loadClaimStatuses(airdropId, treeData, {
+                currentBlock,
+                refresh,
+                onProgress: (done, total) => setProgress({ done, total }),
+            });
+            setStatuses(result);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setProgress(null);
+        }
+    }, [airdropId, treeData, currentBlock]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    useEffect(() => {
+        if (!airdrop?.token) return;
+        airdropService.fetchTokenInfo(airdrop.token)
+            .then(setTokenInfo)
+            .catch(() => setTokenInfo(null));
+    }, [airdrop?.token]);
+
+    const timeline = useMemo(() => (statuses ? buildClaimTimeline(statuses) : []), [statuses]);
+    const topUnclaimed = useMemo(() => (statuses ? getTopUnclaimed(statuses) : []), [statuses]);
+
+    if (!treeData) {
+        return <p className="text-sm text-muted">Recipient list is not available on this device.</p>;
+    }
+
+    const claimedCount = statuses?.filter(s => s.claimed).length || 0;
+    const unclaimedCount = statuses?.filter(s => s.claimed === false).length || 0;
+    const unknownCount = statuses?.filter(s => s.claimed === null).length || 0;
+    const total = treeData.recipients.length;
+    const rate = total > 0 ? (claimedCount / total) * 100 : 0;
+
+    const handleReminders = () => {
+        const count = downloadReminderCsv(airdropId, treeData, statuses);
+        toast.success(`Exported ${count} reminder links`);
+    };
+
+    return (
+        <div className="claim-analytics">
+            {progress && (
+                <div className="status-message warning">
+                    <div className="loading-spinner" style={{ width: 16, height: 16 }}></div>
+                    <span>Checking recipients ({progress.done}/{progress.total})...</span>
+                </div>
+            )}
+            {error && <div className="status-message error">{error}</div>}
+
+            {statuses && (
+                <>
+                    <div className="vesting-info-row">
+                        <span className="vesting-label">Recipients claimed</span>
+                        <span className="vesting-value">{claimedCount} / {total} ({rate.toFixed(1)}%)</span>
+                    </div>
+                    {unknownCount > 0 && (
+                        <div className="status-message warning">
+                            {unknownCount} recipient(s) could not be checked and are left out of reminders; refresh to retry.
+                        </div>
+                    )}
+
+                    <div className="claim-analytics-section">
+                        <span className="vesting-label">Claims over blocks (first seen)</span>
+                        <ClaimTimelineChart timeline={timeline} total={total} />
+                    </div>
+
+                    {topUnclaimed.length > 0 && (
+                        <div className="claim-analytics-section">
+                            <span className="vesting-label">Top unclaimed</span>
+                            {topUnclaimed.map(s => (
+                                <div key={s.address} className="vesting-info-row">
+                                    <code className="text-xs">{formatAddress(s.recipient || s.address, 10, 6)}</code>
+                                    <span className="vesting-value">
+                                        {formatTokenAmount(s.amount, decimals)} {tokenInfo?.symbol || ''}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <div className="airdrop-card-actions">
+                        <button className="btn btn-secondary btn-sm" onClick={() => downloadClaimStatusCsv(airdropId, statuses)}>
+                            <FileSpreadsheet size={14} /> Claims CSV
+                        </button>
+                        <button
+                            className="btn btn-secondary btn-sm"
+                            onClick={handleReminders}
+                            disabled={unclaimedCount === 0}
+                            title="Claim links for everyone who has not claimed"
+                        >
+                            <Bell size={14} /> Remind CSV
+                        </button>
+                        <button className="btn btn-ghost btn-sm" onClick={() => load(true)} disabled={!!progress}>
+                            <RefreshCw size={14} /> Refresh
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ClaimAnalyticsPanel;
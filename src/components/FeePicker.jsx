@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { Gauge, ChevronDown, ChevronUp } from 'lucide-react';
+import {
+    FEE_PRESETS,
+    getFeeEstimates,
+    getFeeSettings,
+    setFeeSettings,
+    subscribeFeeSettings,
+    getDefaultSatBudget,
+} from '../services/txSender';
+
+const PRESET_LABELS = [
+    { key: FEE_PRESETS.SLOW, label: 'Slow' },
+    { key: FEE_PRESETS.NORMAL, label: 'Normal' },
+    { key: FEE_PRESETS.FAST, label: 'Fast' },
+    { key: FEE_PRESETS.CUSTOM, label: 'Custom' },
+];
+
+/**
+ * Fee rate + sat budget picker shown before confirming a transaction.
+ * Settings are shared through txSender, so every service write picks them up.
+ *
+ * @param {{ action?: string, defaultOpen?: boolean }} props
+ *   action - sat budget key (`<contract>.<method>`) whose ceiling is being edited
+ */
+const FeePicker = ({ action, defaultOpen = false }) => {
+    const [settings, setSettings] = useState(getFeeSettings());
+    const [estimates, setEstimates] = useState(null);
+    const [open, setOpen] = useState(defaultOpen);
+
+    useEffect(() => subscribeFeeSettings(setSettings), []);
+
+    useEffect(() => {
+        if (!open) return;
+        let cancelled = false;
+        getFeeEstimates().then(est => {
+            if (!cancelled) setEstimates(est);
+        });
+        return () => { cancelled = true; };
+    }, [open]);
+
+    const defaultBudget = getDefaultSatBudget(action).toString();
+    const budget = (action && settings.satBudgets[action]) || '';
+
+    const activeRate = settings.preset === FEE_PRESETS.CUSTOM
+        ? settings.customFeeRate
+        : estimates?.[settings.preset];
+
+    const handleBudgetChange = (value) => {
+        if (!action) return;
+        const satBudgets = { ...settings.satBudgets };
+        if (value) satBudgets[action] = value.replace(/[^0-9]/g, '');
+        else delete satBudgets[action];
+        setFeeSettings({ satBudgets });
+    };
+
+    return (
+        <div className="fee-picker">
+            <button
+                type="button"
+                className="fee-picker-toggle"
+                onClick={() => setOpen(!open)}
+            >
+                <span className="flex items-center gap-sm">
+                    <Gauge size={14} />
+                    Network fee: <strong>{PRESET_LABELS.find(p => p.key === settings.preset)?.label}</strong>
+                    {activeRate ? <span className="text-muted">({activeRate} sat/vB)</span> : null}
+                </span>
+                {open ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+            </button>
+
+            {open && (
+                <div className="fee-picker-body">
+                    <div className="fee-picker-presets">
+                        {PRESET_LABELS.map(({ key, label }) => (
+                            <button
+                                key={key}
+                                type="button"
+                                className={`fee-picker-preset ${settings.preset === key ? 'active' : ''}`}
+                                onClick={() => setFeeSettings({ preset: key })}
+                            >
+                                <span>{label}</span>
+                                {key !== FEE_PRESETS.CUSTOM && (
+                                    <span className="fee-picker-rate">
+                                        {estimates ? `${estimates[key]} sat/vB` : '...'}
+                                    </span>
+                                )}
+                            </button>
+                        ))}
+                    </div>
+
+                    {settings.preset === FEE_PRESETS.CUSTOM && (
+                        <div className="form-group">
+                            <label className="form-label">Custom fee rate (sat/vB)</label>
+                            <input
+                                type="number"
+                                className="form-input"
+                                min="1"
+                                placeholder="e.g. 15"
+                                value={settings.customFeeRate}
+                                onChange={(e) => setFeeSettings({ customFeeRate: e.target.value })}
+                            />
+                        </div>
+                    )}
+
+                    {action && (
+                        <div className="form-group">
+                            <label className="form-label">Max sats to spend</label>
+                            <input
+                                type="number"
+                                className="form-input"
+                                min="1"
+                                placeholder={defaultBudget}
+                                value={budget}
+                                onChange={(e) => handleBudgetChange(e.target.value)}
+                            />
+                            <div className="fee-picker-hint">
+                                Transaction is rejected if it would cost more. Default: {Number(defaultBudget).toLocaleString()} sats.
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FeePicker;
@@ -0,0 +1,35 @@
+import React from 'react';
+
+/**
+ * Row below a paged list: loads the next page when scrolled into view
+ * (via usePagedList's sentinelRef), with a manual "Load more" fallback.
+ *
+ * @param {{
+ *   sentinelRef: (node: HTMLElement|null) => void,
+ *   hasMore: boolean,
+ *   loadingMore: boolean,
+ *   onLoadMore: () => void,
+ *   loaded?: number,
+ *   total?: number
+ * }} props
+ */
+const ListSentinel = ({ sentinelRef, hasMore, loadingMore, onLoadMore, loaded, total }) => {
+    if (!hasMore && !loadingMore) return null;
+
+    return (
+        <div ref={sentinelRef} className="list-sentinel">
+            {loadingMore ? (
+                <>
+                    <div className="loading-spinner" style={{ width: 16, height: 16 }}></div>
+                    <span>Loading more{total ? ` (${loaded}/${total})` : ''}...</span>
+                </>
+            ) : (
+                <button type="button" className="btn btn-ghost btn-sm" onClick={onLoadMore}>
+                    Load more{total ? ` (${loaded}/${total})` : ''}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default ListSentinel;
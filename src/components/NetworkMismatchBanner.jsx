@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { useWallet } from '../contexts/WalletContext';
+import { useToast } from './Toast';
+import { getNetworkConfig } from '../services/networks';
+
+/**
+ * Shown while the connected wallet is on another chain than the network
+ * selected in the app. Offers to switch the wallet, or the app, to match.
+ */
+const NetworkMismatchBanner = () => {
+    const { walletNetworkMismatch, walletNetworkId, networkConfig, selectNetwork, switchWalletNetwork } = useWallet();
+    const toast = useToast();
+    const [switching, setSwitching] = useState(false);
+
+    if (!walletNetworkMismatch) return null;
+
+    const walletNetwork = getNetworkConfig(walletNetworkId);
+
+    const handleSwitchWallet = async () => {
+        setSwitching(true);
+        try {
+            await switchWalletNetwork();
+        } catch (err) {
+            toast.error(`Could not switch wallet network: ${err.message}`);
+        } finally {
+            setSwitching(false);
+        }
+    };
+
+    return (
+        <div className="network-mismatch-banner" role="alert">
+            <AlertTriangle size={16} />
+            <span>
+                Your wallet is on {walletNetwork ? walletNetwork.label : 'another network'}, but BitLaunch
+                is set to {networkConfig.label}. Transactions will fail until both match.
+            </span>
+            <div className="network-mismatch-actions">
+                <button type="button" className="btn btn-sm btn-primary" onClick={handleSwitchWallet} disabled={switching}>
+                    {switching ? 'Switching...' : `Switch wallet to ${networkConfig.label}`}
+                </button>
+                {walletNetwork && (
+                    <button type="button" className="btn btn-sm btn-secondary" onClick={() => selectNetwork(walletNetwork.id)}>
+                        Use {walletNetwork.label}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default NetworkMismatchBanner;
@@ -1,131 +1,98 @@
 // BitLaunch - Network Status Component with Real OPNet Stats
-import React, { useState, useEffect, useCallback } from 'react';
-
-const NetworkStatus = ({ network = 'regtest' }) => {
-    const [blockHeight, setBlockHeight] = useState(null);
-    const [isConnected, setIsConnected] = useState(false);
-    const [loading, setLoading] = useState(true);
-
-    const getRpcUrl = (net) => {
-        const urls = {
-            'mainnet': 'https://api.opnet.org',
-            'bitcoin': 'https://api.opnet.org',
-            'testnet': 'https://testnet.opnet.org',
-            'regtest': 'https://regtest.opnet.org'
-        };
-        return urls[net] || urls.regtest;
-    };
-
-    const fetchBlockHeight = useCallback(async () => {
-        const rpcUrl = getRpcUrl(network);
-
-        try {
-            // Method 1: Direct JSON-RPC call for block height
-            const response = await fetch(`${rpcUrl}/api/v1/json-rpc`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    id: Date.now(),
-                    method: 'btc_blockNumber',
-                    params: []
-                })
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                if (data.result !== undefined) {
-                    // Result could be hex or number
-                    const height = typeof data.result === 'string' && data.result.startsWith('0x')
-                        ? parseInt(data.result, 16)
-                        : Number(data.result);
-
-                    setBlockHeight(height);
-                    setIsConnected(true);
-                    setLoading(false);
-                    return;
-                }
-            }
-
-            // Method 2: Try alternative endpoint
-            const altResponse = await fetch(`${rpcUrl}/api/v1/json-rpc`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    id: Date.now(),
-                    method: 'getBlockHeight',
-                    params: {}
-                })
-            });
-
-            if (altResponse.ok) {
-                const altData = await altResponse.json();
-                if (altData.result !== undefined) {
-                    const height = Number(altData.result);
-                    setBlockHeight(height);
-                    setIsConnected(true);
-                    setLoading(false);
-                    return;
-                }
-            }
-
-            // Method 3: Try status endpoint
-            const statusResponse = await fetch(`${rpcUrl}/api/v1/status`);
-            if (statusResponse.ok) {
-                const statusData = await statusResponse.json();
-                if (statusData.blockHeight || statusData.height || statusData.block) {
-                    const height = Number(statusData.blockHeight || statusData.height || statusData.block);
-                    setBlockHeight(height);
-                    setIsConnected(true);
-                    setLoading(false);
-                    return;
-                }
-            }
+// Block height and the active RPC endpoint, from the provider's endpoint pool.
+// Doubles as the network selector when more than one network is configured.
+import React, { useState, useEffect } from 'react';
+import { opnetProvider } from '../services/opnetProvider';
+import { getSelectableNetworks } from '../services/networks';
+
+const hostOf = (url) => {
+    try {
+        return new URL(url).host;
+    } catch {
+        return url;
+    }
+};
 
-            // If we get here, connection works but couldn't get height
-            setIsConnected(true);
-            setLoading(false);
+const describeEndpoint = (ep) => {
+    const parts = [hostOf(ep.url)];
+    parts.push(ep.latency !== null ? `${ep.latency}ms` : 'no response');
+    if (ep.lag) parts.push(`${ep.lag} blocks behind`);
+    if (ep.errorRate > 0) parts.push(`${Math.round(ep.errorRate * 100)}% errors`);
+    if (ep.lastError) parts.push(ep.lastError);
+    return `${ep.active ? '● ' : '○ '}${parts.join(' · ')}`;
+};
 
-        } catch (error) {
-            console.warn('NetworkStatus: Failed to fetch block height:', error.message);
-            setIsConnected(false);
-            setLoading(false);
-        }
-    }, [network]);
+/**
+ * @param {{
+ *   network?: string,
+ *   onSelectNetwork?: (networkId: string) => void
+ * }} props
+ */
+const NetworkStatus = ({ network = 'regtest', onSelectNetwork }) => {
+    const [status, setStatus] = useState(() => opnetProvider.getRpcStatus());
 
     useEffect(() => {
-        fetchBlockHeight();
+        return opnetProvider.subscribeRpcStatus(setStatus);
+    }, []);
 
-        // Refresh every 10 seconds
-        const interval = setInterval(fetchBlockHeight, 10000);
+    const active = status.endpoints.find(ep => ep.active);
+    const checked = status.endpoints.some(ep => ep.lastCheckedAt > 0);
+    const anyReachable = status.endpoints.some(ep => ep.latency !== null && !ep.lastError);
 
-        return () => clearInterval(interval);
-    }, [fetchBlockHeight]);
+    let health = 'disconnected';
+    if (active?.healthy) health = 'connected';
+    else if (anyReachable) health = 'degraded';
 
     const formatBlockHeight = (height) => {
-        if (height === null) return loading ? '...' : '---';
+        if (height === null) return checked ? '---' : '...';
         return height.toLocaleString();
     };
 
+    const selectable = onSelectNetwork ? getSelectableNetworks() : [];
+
+    const title = [
+        'RPC endpoints:',
+        ...status.endpoints.map(describeEndpoint),
+        opnetProvider.isUsingWalletProvider() ? 'Contract reads currently use the wallet provider.' : '',
+    ].filter(Boolean).join('\n');
+
     return (
-        <div className="network-status">
-            <div className={`status-dot ${isConnected ? 'connected' : 'disconnected'}`} />
+        <div className="network-status" title={title}>
+            <div className={`status-dot ${health}`} />
             <div className="status-info">
                 <div className="status-row">
                     <span className="status-label">Network</span>
-                    <span className="status-value">{network}</span>
+                    {selectable.length > 1 ? (
+                        <select
+                            className="status-value network-select"
+                            value={network}
+                            onChange={(e) => onSelectNetwork(e.target.value)}
+                            aria-label="Select network"
+                        >
+                            {selectable.map(net => (
+                                <option key={net.id} value={net.id}>{net.id}</option>
+                            ))}
+                        </select>
+                    ) : (
+                        <span className="status-value">{network}</span>
+                    )}
                 </div>
                 <div className="status-row">
                     <span className="status-label">Block</span>
                     <span className="status-value block-height">
-                        {formatBlockHeight(blockHeight)}
+                        {formatBlockHeight(status.blockHeight)}
                     </span>
                 </div>
+                {active && (
+                    <div className="status-row">
+                        <span className="status-label">RPC</span>
+                        <span className="status-value rpc-endpoint">
+                            {hostOf(active.url)}
+                            {active.latency !== null && ` · ${active.latency}ms`}
+                            {status.endpoints.length > 1 && ` (${status.endpoints.filter(ep => ep.healthy).length}/${status.endpoints.length})`}
+                        </span>
+                    </div>
+                )}
             </div>
         </div>
     );
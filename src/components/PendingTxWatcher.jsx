@@ -0,0 +1,33 @@
+// BitLaunch - Pending Transaction Watcher
+// Runs the background txWatcher for the whole app and surfaces status
+// changes as toasts. Renders nothing.
+import { useEffect } from 'react';
+import { useToast } from './Toast';
+import { txWatcher } from '../services/txWatcher';
+import { TX_LABELS } from '../services/txLedger';
+
+const PendingTxWatcher = () => {
+    const toast = useToast();
+
+    useEffect(() => {
+        txWatcher.start();
+        return () => txWatcher.stop();
+    }, []);
+
+    useEffect(() => {
+        return txWatcher.subscribe((record, status) => {
+            const label = TX_LABELS[record.type] || 'Transaction';
+            if (status === 'confirmed') {
+                toast.success(`${label} confirmed`);
+            } else if (status === 'failed') {
+                toast.error(`${label} failed${record.error ? `: ${record.error}` : ''}`);
+            } else if (status === 'dropped') {
+                toast.warning(`${label} was dropped from the mempool`);
+            }
+        });
+    }, [toast]);
+
+    return null;
+};
+
+export default PendingTxWatcher;
@@ -0,0 +1,229 @@
+// BitLaunch - Presale Contributors Panel
+// Creator's Contributors tab on PresaleDetail: per-address contribution,
+// claimable, claimed and refund status, with sort, search and exports.
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+    loadContributorLedger, filterContributors, sortContributors,
+    downloadContributorsCsv, downloadContributorsJson, downloadAirdropCsv,
+} from '../../services/presaleContributors';
+import { formatTokenAmount, formatAddress } from '../../services/formatters';
+import StatusBadge from '../StatusBadge';
+import { Users, Search, RefreshCw, FileSpreadsheet, FileJson, Gift, ArrowUp, ArrowDown } from 'lucide-react';
+
+const PAGE_SIZE = 50;
+
+// row.status → StatusBadge status and label
+const STATUS_BADGES = {
+    pending: { status: 'upcoming', label: 'Pending' },
+    claimable: { status: 'claimable', label: 'Claimable' },
+    vesting: { status: 'vesting', label: 'Vesting' },
+    claimed: { status: 'finalized', label: 'Claimed' },
+    refund: { status: 'cancelled', label: 'Refund due' },
+};
+
+const PHASE_NOTES = {
+    open: 'Contributions are still open; tokens become claimable after the end block.',
+    claim: 'Claimed amounts are derived from the vesting schedule and what is still claimable.',
+    refund: 'The soft cap was missed or the presale was cancelled; every contribution is owed back.',
+};
+
+/**
+ * @param {{ presaleAddress: string, tokenInfo: Object|null, tokenAddress: string }} props
+ */
+const ContributorsPanel = ({ presaleAddress, tokenInfo, tokenAddress }) => {
+    const [ledger, setLedger] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+    const [query, setQuery] = useState('');
+    const [sort, setSort] = useState({ key: 'contribution', direction: 'desc' });
+    const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+    const decimals = tokenInfo?.decimals ?? 8;
+    const symbol = tokenInfo?.symbol || '';
+
+    const load = useCallback(async () => {
+        setError(null);
+        setProgress({ done: 0, total: 0 });
+        try {
+            const result = await loadContributorLedger(presaleAddress, {
+                onProgress: (done, total) => setProgress({ done, total }),
+            });
+            setLedger(result);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setProgress(null);
+        }
+    }, [presaleAddress]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const rows = useMemo(() => {
+        if (!ledger) return [];
+        return sortContributors(filterContributors(ledger.rows, query), sort.key, sort.direction);
+    }, [ledger, query, sort]);
+
+    const toggleSort = (key) => {
+        setSort(s => ({ key, direction: s.key === key && s.direction === 'desc' ? 'asc' : 'desc' }));
+    };
+
+    const tokens = (raw) => `${formatTokenAmount(raw, decimals)} ${symbol}`;
+
+    const header = (key, label) => (
+        <button className={`pd-contrib-sort ${sort.key === key ? 'active' : ''}`} onClick={() => toggleSort(key)}>
+            {label}
+            {sort.key === key && (sort.direction === 'desc' ? <ArrowDown size={12} /> : <ArrowUp size={12} />)}
+        </button>
+    );
+
+    return (
+        <div className="pd-card pd-contrib-card">
+            <div className="pd-card-header pd-contrib-header">
+                <h2><Users size={20} /> Contributors</h2>
+                <button className="btn btn-ghost btn-sm" onClick={load} disabled={!!progress}>
+                    <RefreshCw size={14} /> Refresh
+                </button>
+            </div>
+
+            {progress && (
+                <div className="status-message warning">
+                    <div className="loading-spinner" style={{ width: 16, height: 16 }}></div>
+                    <span>
+                        Reading contributors{progress.total > 0 ? ` (${progress.done}/${progress.total})` : ''}...
+                    </span>
+                </div>
+            )}
+            {error && <div className="status-message error">{error}</div>}
+
+            {ledger && (
+                <>
+                    <div className="pd-contrib-totals">
+                        <div>
+                            <span className="pd-position-label">Contributors</span>
+                            <span className="pd-contrib-total">{ledger.rows.length}</span>
+                        </div>
+                        <div>
+                            <span className="pd-position-label">Raised</span>
+                            <span className="pd-contrib-total">{ledger.totals.contribution.toLocaleString()} sats</span>
+                        </div>
+                        {ledger.phase === 'refund' ? (
+                            <div>
+                                <span className="pd-position-label">Refunds Owed</span>
+                                <span className="pd-contrib-total">{ledger.totals.refund.toLocaleString()} sats</span>
+                            </div>
+                        ) : (
+                            <>
+                                <div>
+                                    <span className="pd-position-label">Claimed</span>
+                                    <span className="pd-contrib-total">{tokens(ledger.totals.claimed)}</span>
+                                </div>
+                                <div>
+                                    <span className="pd-position-label">Unclaimed</span>
+                                    <span className="pd-contrib-total">
+                                        {tokens(ledger.totals.allocation - ledger.totals.claimed)}
+                                    </span>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                    <p className="text-muted text-sm">
+                        {PHASE_NOTES[ledger.phase]} As of block #{ledger.block.toLocaleString()}.
+                    </p>
+                    {ledger.missing > 0 && (
+                        <div className="status-message warning">
+                            {ledger.missing} contributor(s) could not be read and are missing from the list and
+                            exports; refresh to retry.
+                        </div>
+                    )}
+
+                    <div className="pd-contrib-toolbar">
+                        <div className="pd-contrib-search">
+                            <Search size={14} />
+                            <input
+                                type="text"
+                                className="form-input form-input-sm"
+                                placeholder="Search address"
+                                value={query}
+                                onChange={(e) => { setQuery(e.target.value); setVisibleCount(PAGE_SIZE); }}
+                            />
+                        </div>
+                        <div className="pd-contrib-exports">
+                            <button
+                                className="btn btn-secondary btn-sm"
+                                onClick={() => downloadContributorsCsv(presaleAddress, rows)}
+                                disabled={rows.length === 0}
+                            >
+                                <FileSpreadsheet size={14} /> CSV
+                            </button>
+                            <button
+                                className="btn btn-secondary btn-sm"
+                                onClick={() => downloadContributorsJson(presaleAddress, ledger, { token: tokenAddress, symbol, decimals })}
+                                disabled={ledger.rows.length === 0}
+                            >
+                                <FileJson size={14} /> JSON
+                            </button>
+                            <button
+                                className="btn btn-ghost btn-sm"
+                                onClick={() => downloadAirdropCsv(presaleAddress, rows, decimals)}
+                                disabled={rows.length === 0}
+                                title="address,amount of each allocation, for the airdrop importer"
+                            >
+                                <Gift size={14} /> Airdrop CSV
+                            </button>
+                        </div>
+                    </div>
+
+                    {rows.length === 0 ? (
+                        <p className="text-muted text-sm">
+                            {ledger.rows.length === 0 ? 'No contributions yet.' : 'No contributor matches this search.'}
+                        </p>
+                    ) : (
+                        <div className="pd-contrib-table-wrap">
+                            <table className="pd-contrib-table">
+                                <thead>
+                                    <tr>
+                                        <th>{header('index', '#')}</th>
+                                        <th>{header('address', 'Address')}</th>
+                                        <th>{header('contribution', 'Contributed')}</th>
+                                        <th>{header('claimable', 'Claimable')}</th>
+                                        <th>{header('claimed', 'Claimed')}</th>
+                                        <th>{header('status', 'Status')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {rows.slice(0, visibleCount).map(row => (
+                                        <tr key={row.index}>
+                                            <td className="text-muted">{row.index + 1}</td>
+                                            <td><code title={row.address}>{formatAddress(row.address, 10, 6)}</code></td>
+                                            <td>{Number(row.contribution).toLocaleString()} sats</td>
+                                            <td>{tokens(row.claimable)}</td>
+                                            <td>{tokens(row.claimed)}</td>
+                                            <td>
+                                                <StatusBadge
+                                                    status={STATUS_BADGES[row.status].status}
+                                                    label={row.status === 'refund'
+                                                        ? `Refund ${Number(row.refund).toLocaleString()} sats`
+                                                        : STATUS_BADGES[row.status].label}
+                                                    size="sm"
+                                                />
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                    {rows.length > visibleCount && (
+                        <button className="btn btn-ghost btn-sm mt-md" onClick={() => setVisibleCount(c => c + PAGE_SIZE)}>
+                            Show more ({rows.length - visibleCount} left)
+                        </button>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ContributorsPanel;
@@ -5,6 +5,8 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import { TrendingUp, Clock } from 'lucide-react';
 import { presaleService } from '../../services/PresaleService';
+import TokenLogo from '../TokenLogo';
+import TokenProfile from '../TokenProfile';
 import '../../styles/presale.css';
 
 const PresaleCard = ({ presale }) => {
@@ -26,7 +28,7 @@ const PresaleCard = ({ presale }) => {
             <div className="presale-card">
                 <div className="presale-card-header">
                     <div className="presale-token-icon">
-                        {presale.tokenSymbol ? presale.tokenSymbol.slice(0, 2).toUpperCase() : 'PS'}
+                        <TokenLogo profile={presale.tokenProfile?.profile} symbol={presale.tokenSymbol || 'PS'} chars={2} />
                     </div>
                     <div className="presale-token-info">
                         <div className="presale-token-name">{displayName}</div>
@@ -38,6 +40,12 @@ const PresaleCard = ({ presale }) => {
                     </div>
                 </div>
 
+                {presale.tokenProfile && (
+                    <div className="mb-md">
+                        <TokenProfile result={presale.tokenProfile} compact={true} showLinks={false} />
+                    </div>
+                )}
+
                 {/* Progress Bar */}
                 <div className="progress-container">
                     <div className="progress-labels">
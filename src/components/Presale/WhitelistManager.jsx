@@ -0,0 +1,392 @@
+// BitLaunch - Presale Whitelist Manager
+// Creator-only panel on PresaleDetail: import an address list, diff it against
+// on-chain isWhitelisted, then send the changes as chunked batches.
+// The contract cannot list its whitelist; "Current whitelist" shows the
+// addresses this browser has added, re-checked on chain.
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { presaleService, WHITELIST_BATCH_SIZE } from '../../services/PresaleService';
+import { importAddressList } from '../../services/recipientImporter';
+import { recordTransaction, TX_TYPES } from '../../services/txLedger';
+import { formatAddress } from '../../services/formatters';
+import { useToast } from '../Toast';
+import ProgressBar from '../ProgressBar';
+import FeePicker from '../FeePicker';
+import {
+    ListChecks, Upload, Search, Send, UserMinus, CheckCircle, XCircle,
+    AlertTriangle, RefreshCw, Loader,
+} from 'lucide-react';
+
+const MAX_VISIBLE_ISSUES = 20;
+
+/**
+ * Split the diff into transactions: batches of additions, then one call per
+ * removal (the contract has no batch remove).
+ */
+function buildPlan(toAdd, toRemove) {
+    const steps = [];
+    for (let i = 0; i < toAdd.length; i += WHITELIST_BATCH_SIZE) {
+        steps.push({ kind: 'add', addresses: toAdd.slice(i, i + WHITELIST_BATCH_SIZE), status: 'pending' });
+    }
+    for (const address of toRemove) {
+        steps.push({ kind: 'remove', addresses: [address], status: 'pending' });
+    }
+    return steps;
+}
+
+/**
+ * @param {{ presaleAddress: string, creatorAddress: string }} props
+ *   creatorAddress - connected wallet, already checked to be the presale creator
+ */
+const WhitelistManager = ({ presaleAddress, creatorAddress }) => {
+    const toast = useToast();
+    const fileInputRef = useRef(null);
+
+    const [listText, setListText] = useState('');
+    const [removeMissing, setRemoveMissing] = useState(false);
+    const [known, setKnown] = useState([]);
+    const [loadingKnown, setLoadingKnown] = useState(false);
+    const [checkProgress, setCheckProgress] = useState(null);
+    const [diff, setDiff] = useState(null);
+    const [plan, setPlan] = useState(null);
+    const [running, setRunning] = useState(false);
+    const [toggling, setToggling] = useState(false);
+
+    const importResult = useMemo(() => importAddressList(listText), [listText]);
+    const issues = importResult.rows.filter(r => r.status !== 'ok');
+
+    const loadKnown = useCallback(async () => {
+        const addresses = presaleService.getKnownWhitelist(presaleAddress);
+        if (addresses.length === 0) {
+            setKnown([]);
+            return;
+        }
+        setLoadingKnown(true);
+        try {
+            setKnown(await presaleService.checkWhitelist(presaleAddress, addresses));
+        } finally {
+            setLoadingKnown(false);
+        }
+    }, [presaleAddress]);
+
+    useEffect(() => {
+        loadKnown();
+    }, [loadKnown]);
+
+    const handleListChange = (text) => {
+        setListText(text);
+        setDiff(null);
+        setPlan(null);
+    };
+
+    const handleFileUpload = (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            handleListChange(event.target.result);
+            toast.success(`Loaded ${file.name}`);
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    };
+
+    const handleCheck = async () => {
+        const { addresses } = importResult;
+        if (addresses.length === 0 && !removeMissing) {
+            toast.error('Add at least one valid address');
+            return;
+        }
+        setCheckProgress({ done: 0, total: addresses.length });
+        try {
+            const statuses = await presaleService.checkWhitelist(presaleAddress, addresses, {
+                onProgress: (done, total) => setCheckProgress({ done, total }),
+            });
+            const listed = new Set(addresses.map(a => a.toLowerCase()));
+            const next = {
+                toAdd: statuses.filter(s => s.whitelisted === false).map(s => s.address),
+                already: statuses.filter(s => s.whitelisted === true).map(s => s.address),
+                unresolved: statuses.filter(s => s.whitelisted === null).map(s => s.address),
+                toRemove: removeMissing
+                    ? known.filter(k => k.whitelisted && !listed.has(k.address.toLowerCase())).map(k => k.address)
+                    : [],
+            };
+            setDiff(next);
+            setPlan(buildPlan(next.toAdd, next.toRemove));
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setCheckProgress(null);
+        }
+    };
+
+    const updateStep = (index, changes) => {
+        setPlan(steps => steps.map((step, i) => (i === index ? { ...step, ...changes } : step)));
+    };
+
+    /** Send every step that has not gone through yet, in order; stop at the first failure. */
+    const runPlan = async () => {
+        setRunning(true);
+        try {
+            for (let i = 0; i < plan.length; i++) {
+                const step = plan[i];
+                if (step.status === 'done') continue;
+                updateStep(i, { status: 'sending', error: null });
+                try {
+                    const result = step.kind === 'add'
+                        ? await presaleService.addAccountsToWhitelist(presaleAddress, step.addresses, creatorAddress)
+                        : await presaleService.removeFromWhitelist(presaleAddress, step.addresses[0], creatorAddress);
+                    recordTransaction({
+                        type: step.kind === 'add' ? TX_TYPES.WHITELIST_ADD : TX_TYPES.WHITELIST_REMOVE,
+                        txHash: result?.txHash || null,
+                        address: creatorAddress,
+                        details: { presaleAddress, count: step.addresses.length },
+                        status: 'pending',
+                    });
+                    updateStep(i, { status: 'done', txHash: result?.txHash || null });
+                } catch (error) {
+                    updateStep(i, { status: 'failed', error: error.message });
+                    toast.error(`Step ${i + 1} failed: ${error.message}`);
+                    return;
+                }
+            }
+            toast.success('Whitelist updated');
+        } finally {
+            setRunning(false);
+            await loadKnown();
+        }
+    };
+
+    const handleRemoveOne = async (account) => {
+        setRunning(true);
+        try {
+            const result = await presaleService.removeFromWhitelist(presaleAddress, account, creatorAddress);
+            recordTransaction({
+                type: TX_TYPES.WHITELIST_REMOVE,
+                txHash: result?.txHash || null,
+                address: creatorAddress,
+                details: { presaleAddress, count: 1 },
+                status: 'pending',
+            });
+            toast.success(`Removed ${formatAddress(account)}`);
+            await loadKnown();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    const handleToggle = async (enable) => {
+        setToggling(true);
+        try {
+            const result = enable
+                ? await presaleService.enableWhitelist(presaleAddress, creatorAddress)
+                : await presaleService.disableWhitelist(presaleAddress, creatorAddress);
+            recordTransaction({
+                type: TX_TYPES.TOGGLE_WHITELIST,
+                txHash: result?.txHash || null,
+                address: creatorAddress,
+                details: { presaleAddress, enabled: enable },
+                status: 'pending',
+            });
+            toast.success(enable ? 'Whitelist enabled' : 'Whitelist disabled');
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setToggling(false);
+        }
+    };
+
+    const doneSteps = plan ? plan.filter(s => s.status === 'done').length : 0;
+    const planFinished = plan && plan.length > 0 && doneSteps === plan.length;
+    const busy = running || toggling || !!checkProgress;
+
+    return (
+        <div className="pd-card pd-whitelist-card">
+            <div className="pd-card-header">
+                <h2><ListChecks size={20} /> Whitelist</h2>
+            </div>
+
+            <p className="text-muted text-sm">
+                When enabled, only whitelisted wallets can contribute. It can be enabled until the
+                presale starts and disabled at any time.
+            </p>
+            <div className="pd-whitelist-actions">
+                <button className="btn btn-secondary btn-sm" onClick={() => handleToggle(true)} disabled={busy}>
+                    Enable Whitelist
+                </button>
+                <button className="btn btn-ghost btn-sm" onClick={() => handleToggle(false)} disabled={busy}>
+                    Disable Whitelist
+                </button>
+            </div>
+
+            {/* Import */}
+            <div className="pd-whitelist-section">
+                <div className="pd-whitelist-section-header">
+                    <h3>Import Addresses</h3>
+                    <button className="btn btn-ghost btn-sm" onClick={() => fileInputRef.current?.click()} disabled={busy}>
+                        <Upload size={14} /> Upload CSV
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".csv,.tsv,.txt,.json"
+                        onChange={handleFileUpload}
+                        style={{ display: 'none' }}
+                    />
+                </div>
+                <textarea
+                    className="form-input pd-whitelist-input"
+                    rows={5}
+                    placeholder={'One address per line, or a CSV with an "address" column'}
+                    value={listText}
+                    onChange={(e) => handleListChange(e.target.value)}
+                />
+
+                {importResult.parseError ? (
+                    <div className="pd-whitelist-row error">
+                        <XCircle size={14} /> <span>{importResult.parseError}</span>
+                    </div>
+                ) : importResult.rows.length > 0 && (
+                    <div className="pd-whitelist-counts">
+                        <span className="text-green"><CheckCircle size={14} /> {importResult.addresses.length} valid</span>
+                        {importResult.duplicateCount > 0 && (
+                            <span className="text-orange">
+                                <AlertTriangle size={14} /> {importResult.duplicateCount} duplicates skipped
+                            </span>
+                        )}
+                        {importResult.errorCount > 0 && (
+                            <span className="text-red"><XCircle size={14} /> {importResult.errorCount} invalid</span>
+                        )}
+                    </div>
+                )}
+                {issues.slice(0, MAX_VISIBLE_ISSUES).map(row => (
+                    <div key={row.line} className={`pd-whitelist-row ${row.status}`}>
+                        {row.status === 'error' ? <XCircle size={14} /> : <AlertTriangle size={14} />}
+                        <span className="text-muted">{importResult.format === 'json' ? 'Entry' : 'Line'} {row.line}</span>
+                        <code>{row.address ? formatAddress(row.address) : '—'}</code>
+                        <span>{row.messages.join('; ')}</span>
+                    </div>
+                ))}
+                {issues.length > MAX_VISIBLE_ISSUES && (
+                    <p className="text-muted text-sm">…and {issues.length - MAX_VISIBLE_ISSUES} more</p>
+                )}
+
+                <label className="pd-whitelist-option">
+                    <input
+                        type="checkbox"
+                        checked={removeMissing}
+                        onChange={(e) => { setRemoveMissing(e.target.checked); setDiff(null); setPlan(null); }}
+                    />
+                    <span>Remove current whitelist entries that are not in this list</span>
+                </label>
+
+                <button className="btn btn-primary btn-sm" onClick={handleCheck} disabled={busy}>
+                    {checkProgress ? (
+                        <><Loader size={14} className="spin" /> Checking {checkProgress.done}/{checkProgress.total}...</>
+                    ) : (
+                        <><Search size={14} /> Check On-Chain</>
+                    )}
+                </button>
+            </div>
+
+            {/* Diff and batches */}
+            {diff && plan && (
+                <div className="pd-whitelist-section">
+                    <h3>Changes</h3>
+                    <div className="pd-whitelist-counts">
+                        <span className="text-green">{diff.toAdd.length} to add</span>
+                        <span className="text-muted">{diff.already.length} already whitelisted</span>
+                        {diff.toRemove.length > 0 && <span className="text-orange">{diff.toRemove.length} to remove</span>}
+                        {diff.unresolved.length > 0 && (
+                            <span className="text-red">{diff.unresolved.length} could not be checked</span>
+                        )}
+                    </div>
+                    {diff.unresolved.length > 0 && (
+                        <p className="text-muted text-sm">
+                            Unchecked addresses are left out. They usually belong to wallets that have never
+                            sent a transaction; use their 0x address instead.
+                        </p>
+                    )}
+
+                    {plan.length === 0 ? (
+                        <div className="pd-whitelist-row ok">
+                            <CheckCircle size={14} /> <span>The on-chain whitelist already matches this list.</span>
+                        </div>
+                    ) : (
+                        <>
+                            <ProgressBar value={doneSteps} max={plan.length} label="Transactions" showPercentage={true} size="sm" />
+                            <div className="pd-whitelist-steps">
+                                {plan.map((step, i) => (
+                                    <div key={i} className={`pd-whitelist-row ${step.status}`}>
+                                        {step.status === 'done' ? <CheckCircle size={14} />
+                                            : step.status === 'failed' ? <XCircle size={14} />
+                                                : step.status === 'sending' ? <Loader size={14} className="spin" />
+                                                    : <Send size={14} />}
+                                        <span>
+                                            {step.kind === 'add'
+                                                ? `Batch ${i + 1}: add ${step.addresses.length} address${step.addresses.length !== 1 ? 'es' : ''}`
+                                                : `Remove ${formatAddress(step.addresses[0])}`}
+                                        </span>
+                                        <span className="text-muted">
+                                            {step.status === 'done' && step.txHash ? formatAddress(step.txHash) : step.error || step.status}
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                            {!planFinished && (
+                                <>
+                                    <FeePicker action="presale.addBatchToWhitelist" />
+                                    <button className="btn btn-primary btn-sm" onClick={runPlan} disabled={busy}>
+                                        <Send size={14} />
+                                        {running ? 'Sending...'
+                                            : doneSteps > 0 ? `Resume (${plan.length - doneSteps} left)`
+                                                : `Send ${plan.length} transaction${plan.length !== 1 ? 's' : ''}`}
+                                    </button>
+                                </>
+                            )}
+                        </>
+                    )}
+                </div>
+            )}
+
+            {/* Current list */}
+            <div className="pd-whitelist-section">
+                <div className="pd-whitelist-section-header">
+                    <h3>Current Whitelist</h3>
+                    <button className="btn btn-ghost btn-sm" onClick={loadKnown} disabled={loadingKnown}>
+                        <RefreshCw size={14} /> Refresh
+                    </button>
+                </div>
+                {known.length === 0 ? (
+                    <p className="text-muted text-sm">
+                        {loadingKnown ? 'Checking...' : 'No addresses have been whitelisted from this browser.'}
+                    </p>
+                ) : (
+                    <div className="pd-whitelist-steps">
+                        {known.map(({ address: account, whitelisted }) => (
+                            <div key={account} className={`pd-whitelist-row ${whitelisted ? 'ok' : 'warning'}`}>
+                                <code>{formatAddress(account)}</code>
+                                <span className="text-muted">
+                                    {whitelisted ? 'Whitelisted' : whitelisted === false ? 'Not whitelisted' : 'Unknown'}
+                                </span>
+                                {whitelisted && (
+                                    <button
+                                        className="btn btn-ghost btn-sm"
+                                        onClick={() => handleRemoveOne(account)}
+                                        disabled={busy}
+                                        title="Remove from whitelist"
+                                    >
+                                        <UserMinus size={14} />
+                                    </button>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WhitelistManager;
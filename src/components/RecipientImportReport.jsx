@@ -0,0 +1,93 @@
+// BitLaunch - Recipient Import Report
+// Per-row errors/warnings from recipientImporter, with fix/download actions.
+import React, { useState } from 'react';
+import { AlertTriangle, XCircle, CheckCircle, Download, Wand2 } from 'lucide-react';
+
+const MAX_VISIBLE_ROWS = 100;
+
+/**
+ * @param {{
+ *   result: Object,                       - from importRecipients()
+ *   duplicates: 'merge'|'flag',
+ *   onDuplicatesChange: (mode: string) => void,
+ *   onApplyFixes: () => void,             - replace the input with the fixed list (valid rows, merged)
+ *   onDownloadFixed: () => void,
+ * }} props
+ */
+const RecipientImportReport = ({ result, duplicates, onDuplicatesChange, onApplyFixes, onDownloadFixed }) => {
+    const [showAll, setShowAll] = useState(false);
+
+    if (result.parseError) {
+        return (
+            <div className="import-report">
+                <div className="import-report-row error">
+                    <XCircle size={14} />
+                    <span>{result.parseError}</span>
+                </div>
+            </div>
+        );
+    }
+
+    if (result.rows.length === 0) return null;
+
+    const issues = result.rows.filter(r => r.status !== 'ok');
+    const visible = showAll ? issues : issues.slice(0, MAX_VISIBLE_ROWS);
+    const validCount = result.rows.length - result.errorCount;
+    const lineLabel = result.format === 'json' ? 'Entry' : 'Line';
+
+    return (
+        <div className="import-report">
+            <div className="import-report-header">
+                <div className="import-report-counts">
+                    <span className="text-green"><CheckCircle size={14} /> {validCount} valid</span>
+                    {result.warningCount > 0 && (
+                        <span className="text-orange"><AlertTriangle size={14} /> {result.warningCount} warnings</span>
+                    )}
+                    {result.errorCount > 0 && (
+                        <span className="text-red"><XCircle size={14} /> {result.errorCount} errors</span>
+                    )}
+                    <span className="text-muted">
+                        {result.format.toUpperCase()}{result.hasHeader ? ', header detected' : ''}
+                    </span>
+                </div>
+                <label className="import-report-mode">
+                    Duplicates:
+                    <select value={duplicates} onChange={(e) => onDuplicatesChange(e.target.value)}>
+                        <option value="merge">Merge amounts</option>
+                        <option value="flag">Flag as errors</option>
+                    </select>
+                </label>
+            </div>
+
+            {issues.length > 0 && (
+                <>
+                    <div className="import-report-rows">
+                        {visible.map(row => (
+                            <div key={row.line} className={`import-report-row ${row.status}`}>
+                                {row.status === 'error' ? <XCircle size={14} /> : <AlertTriangle size={14} />}
+                                <span className="import-report-line">{lineLabel} {row.line}</span>
+                                <code className="import-report-address">{row.address || '—'}</code>
+                                <span>{row.messages.join('; ')}</span>
+                            </div>
+                        ))}
+                    </div>
+                    {issues.length > visible.length && (
+                        <button className="btn btn-ghost btn-sm" onClick={() => setShowAll(true)}>
+                            Show all {issues.length} issues
+                        </button>
+                    )}
+                    <div className="import-report-actions">
+                        <button className="btn btn-secondary btn-sm" onClick={onApplyFixes} disabled={validCount === 0}>
+                            <Wand2 size={14} /> Apply fixes
+                        </button>
+                        <button className="btn btn-ghost btn-sm" onClick={onDownloadFixed} disabled={validCount === 0}>
+                            <Download size={14} /> Download fixed file
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default RecipientImportReport;
@@ -4,7 +4,7 @@ import React from 'react';
  * Status badge component for displaying states.
  *
  * @param {{
- *   status: 'active' | 'upcoming' | 'ended' | 'cancelled' | 'finalized' | 'paused' | 'claimable' | 'locked' | 'unlockable' | 'expired' | 'revoked' | 'vesting',
+ *   status: 'active' | 'upcoming' | 'ended' | 'cancelled' | 'finalized' | 'paused' | 'claimable' | 'locked' | 'unlockable' | 'expired' | 'revoked' | 'vesting' | 'verified' | 'unverified',
  *   size?: 'sm' | 'md',
  *   label?: string,
  *   pulse?: boolean
@@ -34,6 +34,8 @@ const STATUS_LABELS = {
     expired: 'Expired',
     revoked: 'Revoked',
     vesting: 'Vesting',
+    verified: 'Verified',
+    unverified: 'Unverified',
 };
 
 export default StatusBadge;
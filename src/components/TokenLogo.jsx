@@ -0,0 +1,27 @@
+import React, { useState } from 'react';
+import { safeProfileUrl } from '../services/tokenProfiles';
+
+/**
+ * Token logo from its profile, or the symbol initials when there is none
+ * (or the image fails to load). Render inside the page's icon container.
+ *
+ * @param {{ profile?: Object|null, symbol?: string, chars?: number }} props
+ */
+const TokenLogo = ({ profile, symbol, chars = 1 }) => {
+    const [failed, setFailed] = useState(false);
+    const src = safeProfileUrl(profile?.logo);
+
+    if (src && !failed) {
+        return (
+            <img
+                className="token-logo-img"
+                src={src}
+                alt={symbol || 'Token logo'}
+                onError={() => setFailed(true)}
+            />
+        );
+    }
+    return <>{(symbol || '?').slice(0, chars).toUpperCase()}</>;
+};
+
+export default TokenLogo;
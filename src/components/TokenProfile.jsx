@@ -0,0 +1,44 @@
+import React from 'react';
+import { ExternalLink } from 'lucide-react';
+import { getProfileLinks } from '../services/tokenProfiles';
+import StatusBadge from './StatusBadge';
+
+/**
+ * Description, links and verification state of a token profile.
+ *
+ * @param {{
+ *   result: import('../services/tokenProfiles.js').ProfileResult|null,
+ *   compact?: boolean,
+ *   showLinks?: boolean
+ * }} props - compact clamps the description, for cards; turn showLinks off
+ *   inside another link
+ */
+const TokenProfile = ({ result, compact = false, showLinks = true }) => {
+    if (!result) return null;
+    const { profile, verified, reason } = result;
+    const links = showLinks ? getProfileLinks(profile) : [];
+
+    return (
+        <div className={`token-profile ${compact ? 'compact' : ''}`}>
+            {profile.description && <p className="token-profile-description">{profile.description}</p>}
+            <div className="token-profile-links">
+                <span title={verified ? 'Signed by the token owner' : reason}>
+                    <StatusBadge status={verified ? 'verified' : 'unverified'} size="sm" />
+                </span>
+                {links.map(link => (
+                    <a
+                        key={link.key}
+                        href={link.url}
+                        target="_blank"
+                        rel="noopener noreferrer nofollow"
+                        className="token-profile-link"
+                    >
+                        {link.label} <ExternalLink size={12} />
+                    </a>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default TokenProfile;
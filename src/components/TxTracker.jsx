@@ -2,7 +2,8 @@
 // Polls OPNet mempool/receipt for live confirmation status
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { opnetProvider } from '../services/opnetProvider';
-import { Clock, Loader, CheckCircle2, XCircle, Radio, Cpu, Box } from 'lucide-react';
+import { getExplorerTxUrl } from '../services/networks';
+import { Clock, Loader, CheckCircle2, XCircle, Radio, Cpu, Box, ExternalLink } from 'lucide-react';
 import '../styles/txtracker.css';
 
 const STATUS = {
@@ -127,6 +128,8 @@ const TxTracker = ({ txHash, onConfirmed, compact = false }) => {
 
     if (!txHash && status !== STATUS.UNKNOWN) return null;
 
+    const explorerUrl = getExplorerTxUrl(txHash);
+
     const formatTime = (sec) => {
         const m = Math.floor(sec / 60);
         const s = sec % 60;
@@ -225,6 +228,11 @@ const TxTracker = ({ txHash, onConfirmed, compact = false }) => {
                 {status === STATUS.UNKNOWN && !txHash && (
                     <p>Transaction was broadcast but hash is unknown. Check your wallet for status.</p>
                 )}
+                {explorerUrl && (
+                    <a href={explorerUrl} target="_blank" rel="noopener noreferrer" className="tx-tracker-explorer">
+                        View in explorer <ExternalLink size={12} />
+                    </a>
+                )}
             </div>
         </div>
     );
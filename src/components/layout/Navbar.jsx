@@ -4,9 +4,10 @@ import { Link, useLocation } from 'react-router-dom';
 import { useWallet } from '../../contexts/WalletContext';
 import { Rocket, Wallet, Menu, X, ChevronDown } from 'lucide-react';
 import NetworkStatus from '../NetworkStatus';
+import NetworkMismatchBanner from '../NetworkMismatchBanner';
 
 const Navbar = () => {
-    const { connected, address, connect, disconnect, network, formatAddress } = useWallet();
+    const { connected, address, connect, disconnect, network, selectNetwork, formatAddress } = useWallet();
     const location = useLocation();
     const [menuOpen, setMenuOpen] = useState(false);
     const [scrolled, setScrolled] = useState(false);
@@ -96,7 +97,7 @@ const Navbar = () => {
                 {/* Right Side: Network Status + Wallet */}
                 <div className="nav-actions">
                     {/* Network Status */}
-                    <NetworkStatus network={network} />
+                    <NetworkStatus network={network} onSelectNetwork={selectNetwork} />
 
                     {/* Wallet Button */}
                     {connected ? (
@@ -125,6 +126,9 @@ const Navbar = () => {
                 </div>
             </div>
 
+            {/* Wallet on another chain than the selected network */}
+            <NetworkMismatchBanner />
+
             {/* Mobile Menu */}
             {menuOpen && (
                 <div className="mobile-menu">
@@ -7,27 +7,23 @@
 // IMPORTANT: The wallet may report BITCOIN_REGTEST even when on OPNet testnet,
 // causing walletconnect to use networks.regtest (bech32Opnet='opr') instead of
 // networks.opnetTestnet (bech32='opt'). We override the network object based on
-// VITE_NETWORK from .env, which is the authoritative source for where contracts
-// are deployed. The wallet-provided provider still connects to the correct RPC.
+// the network selected in the app (networks.js, defaulting to VITE_NETWORK),
+// which is the authoritative source for where contracts are deployed. The
+// wallet-provided provider still connects to the correct RPC.
+//
+// When the wallet is on a different chain than the selected network, its
+// provider is not used and `walletNetworkMismatch` is set so the UI can offer
+// to switch either side.
 
-import React, { createContext, useContext, useCallback, useEffect, useMemo } from 'react';
+import React, { createContext, useContext, useCallback, useEffect, useMemo, useState } from 'react';
 import { useWalletConnect } from '@btc-vision/walletconnect';
-import { networks } from '@btc-vision/bitcoin';
-import { opnetProvider } from '../services/opnetProvider';
-import { NETWORK as ENV_NETWORK } from '../services/contracts';
+import { bitlaunch } from '../bitlaunch';
+import {
+    getActiveNetworkId, getNetworkConfig, networkIdForChainType,
+} from '../services/networks';
 
 const WalletContext = createContext(null);
 
-/**
- * Map VITE_NETWORK env var to the correct btcNetwork object.
- * This is the authoritative network for deployed contracts.
- */
-const ENV_BTC_NETWORK_MAP = {
-    mainnet: networks.bitcoin,
-    testnet: networks.opnetTestnet,
-    regtest: networks.regtest,
-};
-
 export const useWallet = () => {
     const context = useContext(WalletContext);
     if (!context) {
@@ -39,32 +35,50 @@ export const useWallet = () => {
 /**
  * WalletProvider — thin adapter over useWalletConnect().
  * Maps official wallet-connect state to the API our components expect.
- * Overrides network object to match VITE_NETWORK (where contracts are deployed).
+ * Overrides network object to match the selected network (where contracts are deployed).
  */
 export const WalletProvider = ({ children }) => {
     const wc = useWalletConnect();
 
-    // Use VITE_NETWORK as the authoritative network for getContract calls.
+    // The selected network is authoritative for getContract calls.
     // The wallet may report BITCOIN_REGTEST when actually on OPNet testnet,
-    // causing address prefix mismatch (opr vs opt). The .env knows where
+    // causing address prefix mismatch (opr vs opt). The registry knows where
     // contracts are deployed, so use that network object.
-    const networkName = ENV_NETWORK || 'testnet';
-    const btcNetwork = useMemo(() => {
-        const envNet = ENV_BTC_NETWORK_MAP[networkName];
-        if (envNet) return envNet;
-        // Fallback to wallet-reported network if env not set
-        return wc.network || networks.opnetTestnet;
-    }, [networkName, wc.network]);
-
-    // Sync wallet-connect provider + correct network into opnetProvider singleton
-    // so all services (PresaleService, VestingService, etc.) use the correct one
+    const [networkName, setNetworkName] = useState(getActiveNetworkId);
+    const networkConfig = getNetworkConfig(networkName);
+    const btcNetwork = networkConfig.btcNetwork;
+
+    useEffect(() => bitlaunch.subscribeNetwork(net => setNetworkName(net.id)), []);
+
+    const walletChainType = wc.network?.chainType || null;
+    const walletNetworkMismatch = !!wc.walletAddress && !!walletChainType
+        && !networkConfig.walletChainTypes.includes(walletChainType);
+    const walletNetworkId = useMemo(() => networkIdForChainType(walletChainType), [walletChainType]);
+
+    // Sync wallet-connect provider + correct network into the SDK so all
+    // services (PresaleService, VestingService, etc.) use the correct one.
+    // A wallet on another chain would read the wrong contracts, so reads stay
+    // on the selected network's RPC pool until one side switches.
     useEffect(() => {
-        if (wc.provider) {
-            opnetProvider.setWalletProvider(wc.provider, btcNetwork);
+        if (wc.provider && !walletNetworkMismatch) {
+            bitlaunch.setWalletProvider(wc.provider, btcNetwork);
         } else {
-            opnetProvider.clearWalletProvider();
+            bitlaunch.clearWalletProvider();
+        }
+    }, [wc.provider, btcNetwork, walletNetworkMismatch]);
+
+    // Point the app at another network (Navbar selector)
+    const selectNetwork = useCallback((networkId) => {
+        bitlaunch.switchNetwork(networkId);
+    }, []);
+
+    // Ask the wallet to move to the selected network
+    const switchWalletNetwork = useCallback(async () => {
+        if (!wc.walletInstance?.switchNetwork) {
+            throw new Error('Wallet does not support switching networks');
         }
-    }, [wc.provider, btcNetwork]);
+        await wc.walletInstance.switchNetwork(networkConfig.walletNetwork);
+    }, [wc.walletInstance, networkConfig.walletNetwork]);
 
     // Connect via OP_WALLET specifically (official OPNet wallet)
     const connect = useCallback(() => {
@@ -73,7 +87,7 @@ export const WalletProvider = ({ children }) => {
 
     const disconnect = useCallback(() => {
         wc.disconnect();
-        opnetProvider.clearWalletProvider();
+        bitlaunch.clearWalletProvider();
     }, [wc]);
 
     const formatAddress = (addr) => {
@@ -87,7 +101,8 @@ export const WalletProvider = ({ children }) => {
         address: wc.walletAddress,          // bech32 string (opt1p... / bc1p...)
         opAddress: wc.address,              // Address object (for getContract sender)
         network: networkName,               // string: 'mainnet' | 'testnet' | 'regtest'
-        btcNetwork: btcNetwork,             // Network object from VITE_NETWORK (for getContract)
+        networkConfig,                      // registry entry of the selected network (networks.js)
+        btcNetwork: btcNetwork,             // Network object of the selected network (for getContract)
         provider: wc.provider,              // AbstractRpcProvider (for getContract)
         publicKey: wc.publicKey,
         mldsaPublicKey: wc.mldsaPublicKey,
@@ -95,6 +110,8 @@ export const WalletProvider = ({ children }) => {
         connecting: wc.connecting,
         connected: !!wc.walletAddress,
         walletBalance: wc.walletBalance,
+        walletNetworkMismatch,              // wallet is on another chain than the selected network
+        walletNetworkId,                    // registry id of the wallet's chain, if known
 
         // Methods
         connect,
@@ -102,6 +119,8 @@ export const WalletProvider = ({ children }) => {
         formatAddress,
         openConnectModal: wc.openConnectModal,
         connectToWallet: wc.connectToWallet,
+        selectNetwork,
+        switchWalletNetwork,
     };
 
     return (
@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * Incrementally loaded list with infinite scroll.
+ *
+ * `fetchPage(offset, limit)` must resolve to `{ items, total, nextOffset, hasMore }`
+ * (the shape of the services' *Page() methods). The list reloads whenever
+ * `fetchPage` changes identity, so wrap it in useCallback.
+ *
+ * `scanned` counts source entries read so far, which can exceed `items.length`
+ * when a page drops entries (reverted or filtered out).
+ *
+ * Attach `sentinelRef` to an element below the list; the next page loads
+ * when it scrolls into view.
+ *
+ * @param {(offset: number, limit: number) => Promise<Object>} fetchPage
+ * @param {{ pageSize?: number }} [options]
+ */
+const usePagedList = (fetchPage, { pageSize = 12 } = {}) => {
+    const [items, setItems] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [scanned, setScanned] = useState(0);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [error, setError] = useState(null);
+
+    const offsetRef = useRef(0);
+    const busyRef = useRef(false);
+    // Bumped on reload so responses for a stale list are dropped
+    const generationRef = useRef(0);
+
+    const load = useCallback(async (reset) => {
+        if (busyRef.current && !reset) return;
+        const generation = reset ? ++generationRef.current : generationRef.current;
+        if (reset) offsetRef.current = 0;
+
+        busyRef.current = true;
+        if (reset) setLoading(true);
+        else setLoadingMore(true);
+        setError(null);
+
+        try {
+            const page = await fetchPage(offsetRef.current, pageSize);
+            if (generation !== generationRef.current) return;
+            offsetRef.current = page.nextOffset;
+            setItems(prev => (reset ? page.items : [...prev, ...page.items]));
+            setTotal(page.total);
+            setScanned(page.nextOffset);
+            setHasMore(page.hasMore);
+        } catch (err) {
+            if (generation !== generationRef.current) return;
+            setError(err.message);
+            if (reset) setItems([]);
+            setHasMore(false);
+        } finally {
+            if (generation === generationRef.current) {
+                busyRef.current = false;
+                setLoading(false);
+                setLoadingMore(false);
+            }
+        }
+    }, [fetchPage, pageSize]);
+
+    const reload = useCallback(() => load(true), [load]);
+
+    const loadMore = useCallback(() => {
+        if (hasMore) load(false);
+    }, [hasMore, load]);
+
+    useEffect(() => {
+        reload();
+    }, [reload]);
+
+    const [sentinel, setSentinel] = useState(null);
+
+    // Re-observed after every page, so a sentinel that is still visible
+    // (short page, tall screen) triggers the next load
+    useEffect(() => {
+        if (!sentinel || !hasMore) return;
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(e => e.isIntersecting)) loadMore();
+        }, { rootMargin: '400px 0px' });
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [sentinel, hasMore, loadMore, items]);
+
+    return { items, total, scanned, hasMore, loading, loadingMore, error, loadMore, reload, sentinelRef: setSentinel };
+};
+
+export default usePagedList;
@@ -0,0 +1,480 @@
+// BitLaunch - Platform Admin Page
+// Owner console for the platform contracts (OP20Factory, PresaleFactory, LiquidityLock)
+// Route: /admin
+// Replaces the owner calls in contracts/init-contracts.js. Every setter is
+// simulated with the connected wallet first and confirmed before signing.
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useWallet } from '../contexts/WalletContext';
+import { useToast } from '../components/Toast';
+import { platformAdminService, MAX_PRESALE_FEE_BPS, MAX_LOCK_FEE_BPS } from '../services/PlatformAdminService';
+import { recordTransaction, TX_TYPES } from '../services/txLedger';
+import { getActiveNetwork } from '../services/networks';
+import { formatBps, formatTokenAmount } from '../services/formatters';
+import { validateAddressOrHex } from '../services/validation';
+import StatusBadge from '../components/StatusBadge';
+import AddressDisplay from '../components/AddressDisplay';
+import FeePicker from '../components/FeePicker';
+import {
+    ShieldCheck, Wallet, ArrowLeft, AlertTriangle, Rocket, ShoppingBag, Lock,
+    Pause, Play, Repeat, FileCode, Percent, RefreshCw,
+} from 'lucide-react';
+import useScrollAnimation from '../hooks/useScrollAnimation';
+import '../styles/token.css';
+
+// prepared.action → ledger type
+const ACTION_TX_TYPES = {
+    pauseFactory: TX_TYPES.PAUSE_FACTORY,
+    unpauseFactory: TX_TYPES.UNPAUSE_FACTORY,
+    setTemplate: TX_TYPES.SET_TEMPLATE,
+    transferOwnership: TX_TYPES.TRANSFER_CONTRACT_OWNER,
+    updateTokenOwner: TX_TYPES.UPDATE_TOKEN_OWNER,
+    setPlatformWallet: TX_TYPES.SET_PLATFORM_WALLET,
+    setDefaultFeeBps: TX_TYPES.SET_PLATFORM_FEE,
+    setPlatformFeeBps: TX_TYPES.SET_PLATFORM_FEE,
+};
+
+const EMPTY_FORM = {
+    factoryTemplate: '', factoryOwner: '', token: '', tokenOwner: '',
+    presaleTemplate: '', presaleOwner: '', presaleWallet: '', presaleFee: '',
+    lockWallet: '', lockFee: '',
+};
+
+const Admin = () => {
+    const { connected, connect, address } = useWallet();
+    const toast = useToast();
+    useScrollAnimation();
+
+    const [factory, setFactory] = useState(null);
+    const [presaleFactory, setPresaleFactory] = useState(null);
+    const [lock, setLock] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [reviewing, setReviewing] = useState(false);
+    const [sending, setSending] = useState(false);
+    // { prepared: PreparedAdminAction, details: Object }
+    const [pending, setPending] = useState(null);
+    const [form, setForm] = useState(EMPTY_FORM);
+
+    const platformWallet = getActiveNetwork()?.platformWallet;
+
+    const loadAdmin = useCallback(async () => {
+        setLoading(true);
+        try {
+            const [factoryInfo, presaleInfo, lockInfo] = await Promise.all([
+                platformAdminService.getFactoryAdminInfo(address),
+                platformAdminService.getPresaleFactoryAdminInfo(address),
+                platformAdminService.getLockAdminInfo(address),
+            ]);
+            setFactory(factoryInfo);
+            setPresaleFactory(presaleInfo);
+            setLock(lockInfo);
+        } finally {
+            setLoading(false);
+        }
+    }, [address]);
+
+    useEffect(() => {
+        loadAdmin();
+    }, [loadAdmin]);
+
+    const setField = (key) => (e) => setForm(f => ({ ...f, [key]: e.target.value }));
+
+    const requireAddress = (value, fieldName) => {
+        const check = validateAddressOrHex(value, fieldName);
+        if (!check.valid) throw new Error(check.error);
+        return value.trim();
+    };
+
+    /**
+     * Simulate an action and open the confirmation panel.
+     * @param {() => Promise<Object>} prepare - resolves to a PreparedAdminAction
+     * @param {Object} details - ledger details
+     */
+    const review = async (prepare, details = {}) => {
+        setReviewing(true);
+        try {
+            const prepared = await prepare();
+            setPending({ prepared, details });
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setReviewing(false);
+        }
+    };
+
+    const handleConfirm = async () => {
+        if (!pending) return;
+        const { prepared, details } = pending;
+        setSending(true);
+        try {
+            const result = await prepared.send();
+            recordTransaction({
+                type: ACTION_TX_TYPES[prepared.action],
+                txHash: result?.txHash || null,
+                address,
+                details,
+                status: 'pending',
+            });
+            toast.success(`${prepared.title} submitted`);
+            setPending(null);
+            setForm(EMPTY_FORM);
+            await loadAdmin();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const reviewAddress = (field, fieldName, prepare, details) => review(
+        () => prepare(requireAddress(form[field], fieldName)),
+        { ...details, [field]: form[field].trim() },
+    );
+
+    const renderShell = (content) => (
+        <div className="token-page page-transition">
+            <section className="page-hero">
+                <div className="page-hero-orb orb-1" />
+                <div className="page-hero-orb orb-2" />
+                <div className="page-hero-grid" />
+                <div className="page-hero-content">
+                    <div className="page-hero-icon orange">
+                        <ShieldCheck size={28} />
+                    </div>
+                    <h1 className="page-hero-title">Platform Admin</h1>
+                    <p className="page-hero-subtitle">Owner settings for the factories and the lock contract</p>
+                </div>
+            </section>
+            <div className="token-container">
+                <div className="flex items-center justify-between mb-lg">
+                    <Link to="/dashboard" className="back-btn flex items-center gap-sm">
+                        <ArrowLeft size={16} /> Back to Dashboard
+                    </Link>
+                    <button className="btn btn-ghost btn-sm" onClick={loadAdmin} disabled={loading}>
+                        <RefreshCw size={14} />
+                        <span>Refresh</span>
+                    </button>
+                </div>
+                {content}
+            </div>
+        </div>
+    );
+
+    if (loading && !factory && !presaleFactory && !lock) {
+        return renderShell(
+            <div className="text-center text-muted py-xl">
+                <div className="loading-spinner" style={{ margin: '0 auto 1rem' }}></div>
+                <p>Loading platform contracts...</p>
+            </div>
+        );
+    }
+
+    const busy = reviewing || sending || !!pending;
+    const ownsAny = !!(factory?.isOwner || presaleFactory?.isOwner || lock?.isOwner);
+
+    const ownerRow = (owner) => (
+        <div className="info-row">
+            <span className="info-label">Owner</span>
+            <span className="info-value">
+                {owner ? <AddressDisplay address={owner} truncate={true} copyable={true} startChars={10} endChars={6} /> : '—'}
+            </span>
+        </div>
+    );
+
+    const unreadable = (name) => (
+        <div className="status-message error">
+            <AlertTriangle size={18} />
+            <span>The {name} contract could not be read. Check its address in the network config.</span>
+        </div>
+    );
+
+    const addressAction = ({ field, placeholder, onReview }) => (
+        <div className="lock-inline-form">
+            <input
+                type="text"
+                className="form-input form-input-sm"
+                placeholder={placeholder}
+                value={form[field]}
+                onChange={setField(field)}
+            />
+            <button className="btn btn-primary btn-sm" onClick={onReview} disabled={busy}>
+                Review
+            </button>
+        </div>
+    );
+
+    const factoryActions = (key, info) => (
+        <>
+            <div className="token-card token-action">
+                <h3>{info.paused ? <Play size={18} /> : <Pause size={18} />} Deployments</h3>
+                <p className="text-muted text-sm">
+                    {info.paused
+                        ? 'The factory is paused. Unpause to allow new deployments.'
+                        : 'Pausing blocks new deployments until you unpause.'}
+                </p>
+                <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => review(() => (info.paused
+                        ? platformAdminService.prepareUnpauseFactory(key, address)
+                        : platformAdminService.preparePauseFactory(key, address)), { contract: key })}
+                    disabled={busy}
+                >
+                    {info.paused ? 'Review Unpause' : 'Review Pause'}
+                </button>
+            </div>
+            <div className="token-card token-action">
+                <h3><FileCode size={18} /> Template</h3>
+                <p className="text-muted text-sm">Contract cloned by future deployments.</p>
+                {addressAction({
+                    field: key === 'factory' ? 'factoryTemplate' : 'presaleTemplate',
+                    placeholder: 'Template contract address',
+                    onReview: () => reviewAddress(
+                        key === 'factory' ? 'factoryTemplate' : 'presaleTemplate', 'Template',
+                        (template) => platformAdminService.prepareSetTemplate(key, template, address),
+                        { contract: key },
+                    ),
+                })}
+            </div>
+            <div className="token-card token-action">
+                <h3><Repeat size={18} /> Ownership</h3>
+                <p className="text-muted text-sm">Hand this contract to a new owner wallet.</p>
+                {addressAction({
+                    field: key === 'factory' ? 'factoryOwner' : 'presaleOwner',
+                    placeholder: 'New owner address',
+                    onReview: () => reviewAddress(
+                        key === 'factory' ? 'factoryOwner' : 'presaleOwner', 'New owner',
+                        (owner) => platformAdminService.prepareTransferOwnership(key, owner, address),
+                        { contract: key },
+                    ),
+                })}
+            </div>
+        </>
+    );
+
+    const walletAction = (key, field) => (
+        <div className="token-card token-action">
+            <h3><Wallet size={18} /> Platform Wallet</h3>
+            <p className="text-muted text-sm">
+                Receives {key === 'lock' ? 'lock' : 'presale'} fees. The contract does not expose the current value.
+            </p>
+            {addressAction({
+                field,
+                placeholder: platformWallet || 'Fee recipient address',
+                onReview: () => reviewAddress(
+                    field, 'Platform wallet',
+                    (wallet) => platformAdminService.prepareSetPlatformWallet(key, wallet, address),
+                    { contract: key },
+                ),
+            })}
+        </div>
+    );
+
+    const feeAction = ({ field, current, max, onReview }) => (
+        <div className="token-card token-action">
+            <h3><Percent size={18} /> Fee</h3>
+            <p className="text-muted text-sm">
+                Currently {formatBps(current)}. At most {formatBps(max)} ({max} bps).
+            </p>
+            <div className="lock-inline-form">
+                <input
+                    type="number"
+                    className="form-input form-input-sm"
+                    placeholder="Basis points (100 = 1%)"
+                    min="0"
+                    max={max}
+                    value={form[field]}
+                    onChange={setField(field)}
+                />
+                <button className="btn btn-primary btn-sm" onClick={onReview} disabled={busy}>
+                    Review
+                </button>
+            </div>
+        </div>
+    );
+
+    return renderShell(
+        <>
+            {!connected ? (
+                <div className="token-card text-center">
+                    <p className="text-muted mb-md">Connect the platform owner wallet to change settings.</p>
+                    <button className="btn btn-primary" onClick={connect}>
+                        <Wallet size={18} />
+                        <span>Connect Wallet</span>
+                    </button>
+                </div>
+            ) : !ownsAny && (
+                <div className="status-message warning">
+                    <AlertTriangle size={18} />
+                    <span>This wallet does not own any platform contract. Settings are read-only.</span>
+                </div>
+            )}
+
+            {pending && (
+                <div className="token-card token-confirm animate-on-scroll">
+                    <h3><ShieldCheck size={18} /> Confirm: {pending.prepared.title}</h3>
+                    <p className="text-muted text-sm">The simulation succeeded. This transaction will:</p>
+                    <ul className="token-confirm-changes">
+                        {pending.prepared.changes.map((change, i) => <li key={i}>{change}</li>)}
+                    </ul>
+                    {pending.prepared.warning && (
+                        <div className="status-message error">
+                            <AlertTriangle size={18} />
+                            <span>{pending.prepared.warning}</span>
+                        </div>
+                    )}
+                    <FeePicker action={pending.prepared.budgetKey} />
+                    <div className="token-confirm-actions">
+                        <button className="btn btn-secondary" onClick={() => setPending(null)} disabled={sending}>
+                            Cancel
+                        </button>
+                        <button className="btn btn-primary" onClick={handleConfirm} disabled={sending}>
+                            {sending ? (
+                                <>
+                                    <div className="loading-spinner" style={{ width: 18, height: 18 }}></div>
+                                    <span>Sending...</span>
+                                </>
+                            ) : (
+                                <span>Confirm {pending.prepared.title}</span>
+                            )}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* Token Factory */}
+            <div className="token-card animate-on-scroll">
+                <div className="token-card-header">
+                    <h2 className="token-title"><Rocket size={20} /> Token Factory</h2>
+                    {factory && <StatusBadge status={factory.paused ? 'paused' : 'active'} />}
+                </div>
+                {!factory ? unreadable('token factory') : (
+                    <div className="info-table">
+                        {ownerRow(factory.owner)}
+                        <div className="info-row">
+                            <span className="info-label">Tokens Deployed</span>
+                            <span className="info-value">{factory.deployments}</span>
+                        </div>
+                    </div>
+                )}
+            </div>
+            {connected && (
+                <div className="token-actions-grid">
+                    {factory?.isOwner && factoryActions('factory', factory)}
+                    <div className="token-card token-action">
+                        <h3><Repeat size={18} /> Token Owner Record</h3>
+                        <p className="text-muted text-sm">
+                            Update who the factory lists as a token&apos;s owner. Signed by the token&apos;s
+                            currently recorded owner, not the factory owner.
+                        </p>
+                        <input
+                            type="text"
+                            className="form-input form-input-sm"
+                            placeholder="Token contract address"
+                            value={form.token}
+                            onChange={setField('token')}
+                        />
+                        {addressAction({
+                            field: 'tokenOwner',
+                            placeholder: 'New owner address',
+                            onReview: () => review(async () => {
+                                const token = requireAddress(form.token, 'Token address');
+                                const owner = requireAddress(form.tokenOwner, 'New owner');
+                                return platformAdminService.prepareUpdateTokenOwner(token, owner, address);
+                            }, { tokenAddress: form.token.trim(), newOwner: form.tokenOwner.trim() }),
+                        })}
+                    </div>
+                </div>
+            )}
+
+            {/* Presale Factory */}
+            <div className="token-card animate-on-scroll">
+                <div className="token-card-header">
+                    <h2 className="token-title"><ShoppingBag size={20} /> Presale Factory</h2>
+                    {presaleFactory && <StatusBadge status={presaleFactory.paused ? 'paused' : 'active'} />}
+                </div>
+                {!presaleFactory ? unreadable('presale factory') : (
+                    <div className="info-table">
+                        {ownerRow(presaleFactory.owner)}
+                        <div className="info-row">
+                            <span className="info-label">Default Platform Fee</span>
+                            <span className="info-value">{formatBps(presaleFactory.defaultFeeBps)}</span>
+                        </div>
+                        <div className="info-row">
+                            <span className="info-label">Presales Created</span>
+                            <span className="info-value">{presaleFactory.presales}</span>
+                        </div>
+                    </div>
+                )}
+            </div>
+            {presaleFactory?.isOwner && (
+                <div className="token-actions-grid">
+                    {factoryActions('presaleFactory', presaleFactory)}
+                    {walletAction('presaleFactory', 'presaleWallet')}
+                    {feeAction({
+                        field: 'presaleFee',
+                        current: presaleFactory.defaultFeeBps,
+                        max: MAX_PRESALE_FEE_BPS,
+                        onReview: () => review(
+                            () => platformAdminService.prepareSetDefaultFeeBps(form.presaleFee, address),
+                            { contract: 'presaleFactory', feeBps: form.presaleFee },
+                        ),
+                    })}
+                </div>
+            )}
+
+            {/* Liquidity Lock */}
+            <div className="token-card animate-on-scroll">
+                <div className="token-card-header">
+                    <h2 className="token-title"><Lock size={20} /> Liquidity Lock</h2>
+                </div>
+                {!lock ? unreadable('liquidity lock') : (
+                    <div className="info-table">
+                        <div className="info-row">
+                            <span className="info-label">Platform Fee</span>
+                            <span className="info-value">{formatBps(lock.platformFeeBps)}</span>
+                        </div>
+                        <div className="info-row">
+                            <span className="info-label">Fees Collected</span>
+                            <span className="info-value" title={`${lock.totalFees} raw units`}>
+                                {formatTokenAmount(lock.totalFees, 8)}
+                            </span>
+                        </div>
+                        <div className="info-row">
+                            <span className="info-label">Locks Created</span>
+                            <span className="info-value">{lock.locks}</span>
+                        </div>
+                        <div className="info-row">
+                            <span className="info-label">App Platform Wallet</span>
+                            <span className="info-value">
+                                {platformWallet
+                                    ? <AddressDisplay address={platformWallet} truncate={true} copyable={true} startChars={10} endChars={6} />
+                                    : 'Not configured'}
+                            </span>
+                        </div>
+                    </div>
+                )}
+                {lock && (
+                    <p className="text-muted text-sm mt-md">
+                        Fees collected are summed across every locked token and shown at 8 decimals.
+                    </p>
+                )}
+            </div>
+            {lock?.isOwner && (
+                <div className="token-actions-grid">
+                    {walletAction('lock', 'lockWallet')}
+                    {feeAction({
+                        field: 'lockFee',
+                        current: lock.platformFeeBps,
+                        max: MAX_LOCK_FEE_BPS,
+                        onReview: () => review(
+                            () => platformAdminService.prepareSetPlatformFeeBps(form.lockFee, address),
+                            { contract: 'lock', feeBps: form.lockFee },
+                        ),
+                    })}
+                </div>
+            )}
+        </>
+    );
+};
+
+export default Admin;
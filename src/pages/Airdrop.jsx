@@ -1,42 +1,44 @@
 // BitLaunch - Airdrop Tool Page (V2)
-// V2: Merkle-based airdrop — build tree, approve, createAirdrop, save tree to localStorage
+// V2: Merkle-based airdrop — build tree, approve, createAirdrop, save tree to client storage
 import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import { useWallet } from '../contexts/WalletContext';
 import { useToast } from '../components/Toast';
 import { airdropService } from '../services/AirdropService';
-import { recordTransaction, TX_TYPES } from '../services/txHistory';
+import { recordTransaction, TX_TYPES } from '../services/txLedger';
 import { opnetProvider } from '../services/opnetProvider';
 import { factoryService } from '../services/FactoryService';
 import { blocksToHumanTime } from '../services/blockTime';
+import {
+    createProofBundle, signProofBundle, downloadProofBundle,
+    publishProofBundle, canPublishProofBundle, resolveBundleUrl,
+} from '../services/proofBundle';
+import { buildClaimLinks, downloadClaimLinksCsv } from '../services/claimLinks';
+import {
+    importRecipients, toFixedRecipientsCsv, downloadFixedRecipients, rawToDecimalString,
+} from '../services/recipientImporter';
+import { formatTokenAmount } from '../services/formatters';
 import StepWizard from '../components/StepWizard';
 import EmptyState from '../components/EmptyState';
 import StatusBadge from '../components/StatusBadge';
 import BlockCountdown from '../components/BlockCountdown';
 import AddressDisplay from '../components/AddressDisplay';
+import FeePicker from '../components/FeePicker';
+import RecipientImportReport from '../components/RecipientImportReport';
+import CampaignPanel from '../components/Airdrop/CampaignPanel';
+import ClaimAnalyticsPanel from '../components/Airdrop/ClaimAnalyticsPanel';
+import { campaignService } from '../services/CampaignService';
 import {
     Send, Upload, Users, Wallet, List, Plus, Info, Gift,
-    Trash2, RotateCcw, Package, XCircle, Link as LinkIcon, Copy
+    Trash2, RotateCcw, Package, XCircle, Link as LinkIcon, Copy,
+    Download, UploadCloud, FileSpreadsheet, Layers, BarChart3
 } from 'lucide-react';
 import useScrollAnimation from '../hooks/useScrollAnimation';
 import '../styles/airdrop.css';
 
 const WIZARD_STEPS = ['Select Token', 'Add Recipients', 'Set Expiry', 'Review & Create'];
 
-const parseRecipients = (text) => {
-    if (!text.trim()) return [];
-    return text.trim().split('\n')
-        .map(line => {
-            const parts = line.split(',').map(s => s.trim());
-            if (parts.length >= 2 && parts[0] && !isNaN(parseFloat(parts[1])) && parseFloat(parts[1]) > 0) {
-                return { address: parts[0], amount: parts[1] };
-            }
-            return null;
-        })
-        .filter(Boolean);
-};
-
 const Airdrop = () => {
-    const { connected, connect, address } = useWallet();
+    const { connected, connect, address, publicKey } = useWallet();
     const toast = useToast();
     useScrollAnimation();
 
@@ -49,6 +51,8 @@ const Airdrop = () => {
     const [loadingTokens, setLoadingTokens] = useState(false);
     const [selectedToken, setSelectedToken] = useState(null);
     const [recipients, setRecipients] = useState('');
+    const [duplicateMode, setDuplicateMode] = useState('merge');
+    const [campaignId, setCampaignId] = useState('');
     const [expiryBlockOffset, setExpiryBlockOffset] = useState('');
     const [creating, setCreating] = useState(false);
     const [createProgress, setCreateProgress] = useState('');
@@ -57,6 +61,8 @@ const Airdrop = () => {
     // My Airdrops state
     const [myAirdrops, setMyAirdrops] = useState([]);
     const [loadingAirdrops, setLoadingAirdrops] = useState(false);
+    const [bundleBusy, setBundleBusy] = useState(null);
+    const [analyticsId, setAnalyticsId] = useState(null);
 
     const fetchCurrentBlock = useCallback(async () => {
         try {
@@ -125,11 +131,25 @@ const Airdrop = () => {
         }
     }, [connected, activeTab, loadMyAirdrops]);
 
-    const parsedRecipients = useMemo(() => parseRecipients(recipients), [recipients]);
-    const totalAmount = useMemo(
-        () => parsedRecipients.reduce((sum, r) => sum + parseFloat(r.amount), 0),
-        [parsedRecipients]
+    const tokenDecimals = selectedToken?.decimals ?? 8;
+    const importResult = useMemo(
+        () => importRecipients(recipients, { decimals: tokenDecimals, duplicates: duplicateMode }),
+        [recipients, tokenDecimals, duplicateMode]
     );
+    // Raw-unit amounts, ready for the Merkle tree
+    const parsedRecipients = importResult.recipients;
+    const totalAmount = formatTokenAmount(importResult.totalRaw, tokenDecimals, tokenDecimals);
+
+    // Campaigns this airdrop can be published into as the next wave
+    const tokenCampaigns = useMemo(
+        () => (selectedToken ? campaignService.getCampaigns(address).filter(c => c.token === selectedToken.address) : []),
+        [address, selectedToken]
+    );
+
+    const handleApplyFixes = () => {
+        setRecipients(toFixedRecipientsCsv(importResult, tokenDecimals));
+        toast.success(`Kept ${parsedRecipients.length} valid recipients`);
+    };
 
     const handleTokenSelect = (token) => {
         setSelectedToken(token);
@@ -152,9 +172,19 @@ const Airdrop = () => {
             toast.error('Please select a token');
             return false;
         }
-        if (s === 1 && parsedRecipients.length === 0) {
-            toast.error('Please add at least one valid recipient (address,amount)');
-            return false;
+        if (s === 1) {
+            if (importResult.parseError) {
+                toast.error(importResult.parseError);
+                return false;
+            }
+            if (importResult.errorCount > 0) {
+                toast.error(`${importResult.errorCount} rows have errors. Fix them or use "Apply fixes".`);
+                return false;
+            }
+            if (parsedRecipients.length === 0) {
+                toast.error('Please add at least one valid recipient (address,amount)');
+                return false;
+            }
         }
         if (s === 2) {
             const offset = parseInt(expiryBlockOffset);
@@ -192,8 +222,18 @@ const Airdrop = () => {
                 recipients: parsedRecipients,
                 expiryBlock,
                 creator: address,
+                approveAmount: campaignId ? campaignService.getApproveAmount(campaignId, importResult.totalRaw) : undefined,
                 onProgress: (msg) => setCreateProgress(msg),
             });
+            if (campaignId) {
+                campaignService.addWave(campaignId, {
+                    airdropId: result.airdropId,
+                    expiryBlock,
+                    totalAmount: result.totalAmount,
+                    recipientCount: result.recipientCount,
+                    merkleRoot: result.merkleRoot,
+                });
+            }
             // Record in transaction history
             recordTransaction({
                 type: TX_TYPES.CREATE_AIRDROP,
@@ -204,18 +244,25 @@ const Airdrop = () => {
                     tokenAddress: selectedToken.address,
                     tokenSymbol: selectedToken.symbol,
                     recipientCount: result.recipientCount,
-                    totalAmount,
+                    totalAmount: rawToDecimalString(importResult.totalRaw, tokenDecimals),
                 },
                 status: 'pending',
             });
 
             toast.success(`Airdrop #${result.airdropId} created for ${result.recipientCount} recipients!`);
+            if (!result.treeSaved) {
+                toast.warning(
+                    `The recipient list for airdrop #${result.airdropId} is too large to save in this browser. ` +
+                    'Export the proof bundle or claim links now — it is only kept until you close this tab.'
+                );
+            }
 
             // Reset form
             setStep(0);
             setRecipients('');
             setSelectedToken(null);
             setExpiryBlockOffset('');
+            setCampaignId('');
             setCreateProgress('');
             setActiveTab('list');
             await loadMyAirdrops();
@@ -261,13 +308,64 @@ const Airdrop = () => {
         }
     };
 
-    const copyClaimLink = (airdropId) => {
-        const link = `${window.location.origin}/airdrop/${airdropId}`;
+    const copyClaimLink = (airdropId, bundleSource) => {
+        let link = `${window.location.origin}/airdrop/${airdropId}`;
+        if (bundleSource) link += `?bundle=${encodeURIComponent(bundleSource)}`;
         navigator.clipboard.writeText(link)
             .then(() => toast.success('Claim link copied!'))
             .catch(() => toast.error('Failed to copy'));
     };
 
+    // Build the proof bundle from locally saved tree data and sign it with the wallet
+    const buildSignedBundle = async (airdrop) => {
+        const treeData = airdropService.getTreeData(airdrop.id);
+        if (!treeData) throw new Error('Tree data for this airdrop is not saved in this browser');
+        const bundle = createProofBundle({ airdropId: airdrop.id, treeData, token: airdrop.token });
+        try {
+            return await signProofBundle(bundle, publicKey);
+        } catch (err) {
+            toast.warning(`Bundle not signed: ${err.message}`);
+            return bundle;
+        }
+    };
+
+    const handleExportBundle = async (airdrop) => {
+        setBundleBusy(airdrop.id);
+        try {
+            downloadProofBundle(await buildSignedBundle(airdrop));
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setBundleBusy(null);
+        }
+    };
+
+    const handleExportClaimLinks = (airdrop) => {
+        try {
+            const links = buildClaimLinks(airdrop.id, airdropService.getTreeData(airdrop.id));
+            if (links.length === 0) throw new Error('Tree data for this airdrop is not saved in this browser');
+            downloadClaimLinksCsv(airdrop.id, links);
+            toast.success(`Exported ${links.length} claim links`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    };
+
+    const handlePublishBundle = async (airdrop) => {
+        setBundleBusy(airdrop.id);
+        try {
+            const bundle = await buildSignedBundle(airdrop);
+            const location = await publishProofBundle(bundle);
+            toast.success('Proof bundle published');
+            // Only embed the location in the claim link if claim pages can't derive it
+            copyClaimLink(airdrop.id, location === resolveBundleUrl(airdrop.id) ? null : location);
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setBundleBusy(null);
+        }
+    };
+
     // Wallet gate
     if (!connected) {
         return (
@@ -330,6 +428,13 @@ const Airdrop = () => {
                         <List size={18} />
                         <span>My Airdrops</span>
                     </button>
+                    <button
+                        className={`vesting-tab ${activeTab === 'campaigns' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('campaigns')}
+                    >
+                        <Layers size={18} />
+                        <span>Campaigns</span>
+                    </button>
                 </div>
 
                 {activeTab === 'create' ? (
@@ -396,7 +501,8 @@ const Airdrop = () => {
                             <div className="step-content animation-fadeIn mt-lg">
                                 <h2 className="mb-md">Add Recipients</h2>
                                 <p className="text-muted mb-lg">
-                                    Enter addresses and token amounts, one per line. Format: <code>address,amount</code>
+                                    Enter addresses and token amounts, one per line. Format: <code>address,amount</code>.
+                                    CSV, TSV and JSON files are accepted; a header row is detected automatically.
                                 </p>
 
                                 <div
@@ -406,12 +512,12 @@ const Airdrop = () => {
                                     tabIndex={0}
                                 >
                                     <Upload size={32} className="mx-auto mb-sm" />
-                                    <p className="font-medium">Upload CSV File</p>
+                                    <p className="font-medium">Upload CSV, TSV or JSON File</p>
                                     <p className="text-sm text-muted">Click to browse or drag and drop</p>
                                     <input
                                         ref={fileInputRef}
                                         type="file"
-                                        accept=".csv,.txt"
+                                        accept=".csv,.tsv,.txt,.json"
                                         onChange={handleFileUpload}
                                         style={{ display: 'none' }}
                                     />
@@ -427,13 +533,21 @@ const Airdrop = () => {
                                     ></textarea>
                                 </div>
 
+                                <RecipientImportReport
+                                    result={importResult}
+                                    duplicates={duplicateMode}
+                                    onDuplicatesChange={setDuplicateMode}
+                                    onApplyFixes={handleApplyFixes}
+                                    onDownloadFixed={() => downloadFixedRecipients(importResult, tokenDecimals)}
+                                />
+
                                 <div className="airdrop-summary-bar">
                                     <div className="flex items-center gap-sm">
                                         <Users size={18} />
                                         <span>{parsedRecipients.length} Recipients</span>
                                     </div>
                                     <div className="font-bold">
-                                        Total: {totalAmount.toLocaleString()} {selectedToken?.symbol || ''}
+                                        Total: {totalAmount} {selectedToken?.symbol || ''}
                                     </div>
                                 </div>
 
@@ -513,7 +627,7 @@ const Airdrop = () => {
                                     </div>
                                     <div className="info-row">
                                         <span className="info-label">Total Amount</span>
-                                        <span className="info-value text-orange">{totalAmount.toLocaleString()} {selectedToken?.symbol}</span>
+                                        <span className="info-value text-orange">{totalAmount} {selectedToken?.symbol}</span>
                                     </div>
                                     <div className="info-row">
                                         <span className="info-label">Expiry Block</span>
@@ -533,6 +647,29 @@ const Airdrop = () => {
                                     </span>
                                 </div>
 
+                                {tokenCampaigns.length > 0 && (
+                                    <div className="form-group mt-lg">
+                                        <label className="form-label">Campaign</label>
+                                        <select
+                                            className="form-input"
+                                            value={campaignId}
+                                            onChange={(e) => setCampaignId(e.target.value)}
+                                        >
+                                            <option value="">None (standalone airdrop)</option>
+                                            {tokenCampaigns.map(c => (
+                                                <option key={c.id} value={c.id}>
+                                                    {c.name} — wave {c.waves.length + 1}
+                                                </option>
+                                            ))}
+                                        </select>
+                                        <div className="form-hint">
+                                            Publishes this airdrop as the next wave, with its own root and expiry.
+                                        </div>
+                                    </div>
+                                )}
+
+                                <FeePicker action="airdrop.createAirdrop" />
+
                                 {createProgress && (
                                     <div className="status-message warning mt-md">
                                         <div className="loading-spinner" style={{ width: 16, height: 16 }}></div>
@@ -563,6 +700,8 @@ const Airdrop = () => {
                             </div>
                         )}
                     </div>
+                ) : activeTab === 'campaigns' ? (
+                    <CampaignPanel address={address} tokens={deployedTokens} currentBlock={currentBlock} />
                 ) : (
                     /* My Airdrops Tab */
                     <div className="airdrop-list">
@@ -693,6 +832,46 @@ const Airdrop = () => {
                                                 </button>
                                             )}
 
+                                            {/* Proof bundle export / publish */}
+                                            {hasTreeData && (
+                                                <button
+                                                    className="btn btn-secondary btn-sm"
+                                                    onClick={() => handleExportBundle(airdrop)}
+                                                    disabled={bundleBusy === airdrop.id}
+                                                    title="Download signed proof bundle"
+                                                >
+                                                    <Download size={14} /> Proofs
+                                                </button>
+                                            )}
+                                            {hasTreeData && (
+                                                <button
+                                                    className="btn btn-secondary btn-sm"
+                                                    onClick={() => handleExportClaimLinks(airdrop)}
+                                                    title="Download per-recipient claim links (CSV)"
+                                                >
+                                                    <FileSpreadsheet size={14} /> Links CSV
+                                                </button>
+                                            )}
+                                            {hasTreeData && canPublishProofBundle() && (
+                                                <button
+                                                    className="btn btn-secondary btn-sm"
+                                                    onClick={() => handlePublishBundle(airdrop)}
+                                                    disabled={bundleBusy === airdrop.id}
+                                                    title="Publish proof bundle and copy claim link"
+                                                >
+                                                    <UploadCloud size={14} /> Publish
+                                                </button>
+                                            )}
+                                            {hasTreeData && (
+                                                <button
+                                                    className={`btn btn-sm ${analyticsId === airdrop.id ? 'btn-primary' : 'btn-secondary'}`}
+                                                    onClick={() => setAnalyticsId(analyticsId === airdrop.id ? null : airdrop.id)}
+                                                    title="Who has claimed, claim rate and reminder exports"
+                                                >
+                                                    <BarChart3 size={14} /> Analytics
+                                                </button>
+                                            )}
+
                                             {/* Tree data indicator */}
                                             {hasTreeData && (
                                                 <span className="text-xs text-green flex items-center gap-xs">
@@ -700,6 +879,14 @@ const Airdrop = () => {
                                                 </span>
                                             )}
                                         </div>
+
+                                        {analyticsId === airdrop.id && (
+                                            <ClaimAnalyticsPanel
+                                                airdropId={airdrop.id}
+                                                airdrop={airdrop}
+                                                currentBlock={currentBlock}
+                                            />
+                                        )}
                                     </div>
                                 );
                             })
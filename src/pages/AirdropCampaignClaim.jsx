@@ -0,0 +1,240 @@
+// BitLaunch - Airdrop Campaign Claim Page
+// Claims every eligible wave of a campaign in one flow.
+// Route: /airdrop/campaign#name=...&waves=12,13,14
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useLocation, Link } from 'react-router-dom';
+import { useWallet } from '../contexts/WalletContext';
+import { useToast } from '../components/Toast';
+import { airdropService } from '../services/AirdropService';
+import { campaignService } from '../services/CampaignService';
+import { recordTransaction, TX_TYPES } from '../services/txLedger';
+import { opnetProvider } from '../services/opnetProvider';
+import { formatTokenAmount } from '../services/formatters';
+import EmptyState from '../components/EmptyState';
+import StatusBadge from '../components/StatusBadge';
+import FeePicker from '../components/FeePicker';
+import { Layers, Wallet, ArrowLeft, Gift, XCircle, RefreshCw } from 'lucide-react';
+import useScrollAnimation from '../hooks/useScrollAnimation';
+import '../styles/airdrop.css';
+
+const WAVE_BADGES = {
+    claimable: 'claimable',
+    claimed: 'finalized',
+    expired: 'expired',
+    cancelled: 'cancelled',
+    ineligible: 'ended',
+    unknown: 'paused',
+};
+
+const AirdropCampaignClaim = () => {
+    const { hash } = useLocation();
+    const { name, waveIds } = useMemo(() => campaignService.parseCampaignLink(hash), [hash]);
+    const { connected, connect, address } = useWallet();
+    const toast = useToast();
+    useScrollAnimation();
+
+    const [waves, setWaves] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [tokenInfo, setTokenInfo] = useState(null);
+    const [claiming, setClaiming] = useState(false);
+    const [claimProgress, setClaimProgress] = useState('');
+    const [loadError, setLoadError] = useState(null);
+
+    const decimals = tokenInfo?.decimals ?? 8;
+    const symbol = tokenInfo?.symbol || 'tokens';
+
+    const loadWaves = useCallback(async () => {
+        if (!address || waveIds.length === 0) return;
+        setLoading(true);
+        setLoadError(null);
+        try {
+            let currentBlock = 0;
+            try {
+                currentBlock = Number(await opnetProvider.getProvider().getBlockNumber());
+            } catch {
+                // Expiry is re-checked on-chain when claiming
+            }
+            setWaves(await campaignService.getClaimableWaves(waveIds, address, currentBlock));
+        } catch (err) {
+            setLoadError(`Could not load campaign: ${err.message}`);
+        } finally {
+            setLoading(false);
+        }
+    }, [address, waveIds]);
+
+    useEffect(() => {
+        if (connected) loadWaves();
+    }, [connected, loadWaves]);
+
+    const tokenAddress = waves.find(w => w.airdrop?.token)?.airdrop.token || null;
+    useEffect(() => {
+        if (!tokenAddress) return;
+        airdropService.fetchTokenInfo(tokenAddress)
+            .then(setTokenInfo)
+            .catch(() => setTokenInfo(null));
+    }, [tokenAddress]);
+
+    const claimable = waves.filter(w => w.status === 'claimable');
+    const claimableTotal = claimable.reduce((sum, w) => sum + BigInt(w.amount), 0n);
+
+    const handleClaimAll = async () => {
+        if (!address || claimable.length === 0) return;
+        setClaiming(true);
+        try {
+            const results = await campaignService.claimWaves(claimable, address, { onProgress: setClaimProgress });
+            for (const r of results.filter(r => r.success)) {
+                recordTransaction({
+                    type: TX_TYPES.CLAIM_AIRDROP,
+                    txHash: r.txHash || null,
+                    address,
+                    details: { airdropId: r.airdropId, claimedAmount: r.claimedAmount, tokenSymbol: tokenInfo?.symbol },
+                    status: 'pending',
+                });
+            }
+
+            const failed = results.filter(r => !r.success);
+            const succeeded = results.length - failed.length;
+            if (succeeded > 0) toast.success(`Claimed ${succeeded} of ${results.length} waves`);
+            failed.forEach(r => toast.error(`Wave #${r.airdropId}: ${r.error}`));
+            await loadWaves();
+        } finally {
+            setClaimProgress('');
+            setClaiming(false);
+        }
+    };
+
+    const hero = (
+        <section className="page-hero">
+            <div className="page-hero-orb orb-1" />
+            <div className="page-hero-orb orb-2" />
+            <div className="page-hero-grid" />
+            <div className="page-hero-content">
+                <div className="page-hero-icon green">
+                    <Layers size={28} />
+                </div>
+                <h1 className="page-hero-title">{name || 'Airdrop Campaign'}</h1>
+                <p className="page-hero-subtitle">Claim every wave you are eligible for</p>
+            </div>
+        </section>
+    );
+
+    if (waveIds.length === 0) {
+        return (
+            <div className="airdrop-page airdrop-claim-page page-transition">
+                {hero}
+                <div className="airdrop-container narrow">
+                    <EmptyState
+                        icon={XCircle}
+                        title="Invalid Campaign Link"
+                        description="This link does not list any airdrop waves."
+                        action={
+                            <Link to="/airdrop" className="btn btn-primary">
+                                <ArrowLeft size={18} />
+                                <span>Back to Airdrops</span>
+                            </Link>
+                        }
+                        size="lg"
+                    />
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="airdrop-page airdrop-claim-page page-transition">
+            {hero}
+
+            <div className="airdrop-container narrow">
+                <Link to="/airdrop" className="back-btn flex items-center gap-sm mb-lg">
+                    <ArrowLeft size={16} /> Back to Airdrops
+                </Link>
+
+                <div className="claim-card animate-on-scroll">
+                    <div className="claim-header">
+                        <div className="claim-icon">
+                            <Layers size={32} />
+                        </div>
+                        <h1>{waveIds.length} Waves</h1>
+                    </div>
+
+                    {!connected ? (
+                        <div className="claim-prompt mt-lg">
+                            <p className="text-muted mb-md">Connect your wallet to check every wave of this campaign.</p>
+                            <button className="btn btn-primary w-full" onClick={connect}>
+                                <Wallet size={18} />
+                                <span>Connect Wallet</span>
+                            </button>
+                        </div>
+                    ) : loadError ? (
+                        <div className="status-message error mt-lg">
+                            <XCircle size={18} />
+                            <span>{loadError}</span>
+                        </div>
+                    ) : loading && waves.length === 0 ? (
+                        <div className="text-center text-muted py-xl">
+                            <div className="loading-spinner" style={{ margin: '0 auto 1rem' }}></div>
+                            <p>Checking {waveIds.length} waves...</p>
+                        </div>
+                    ) : (
+                        <>
+                            <div className="campaign-waves">
+                                {waves.map(w => (
+                                    <div key={w.airdropId} className="campaign-wave-row">
+                                        <span className="campaign-wave-label">Airdrop #{w.airdropId}</span>
+                                        <span className="text-muted text-xs">
+                                            {w.airdrop ? `expires #${w.airdrop.expiryBlock.toLocaleString()}` : ''}
+                                        </span>
+                                        <span className="text-sm" title={w.reason || ''}>
+                                            {w.amount ? `${formatTokenAmount(w.amount, decimals)} ${symbol}` : '—'}
+                                        </span>
+                                        <StatusBadge status={WAVE_BADGES[w.status]} label={w.status} size="sm" />
+                                    </div>
+                                ))}
+                            </div>
+
+                            <div className="claim-action-section">
+                                {claimable.length > 0 ? (
+                                    <div className="claim-eligible">
+                                        <div className="claim-eligible-amount">
+                                            <span className="text-muted">Claimable across {claimable.length} waves</span>
+                                            <span className="claim-amount-value">
+                                                {formatTokenAmount(claimableTotal, decimals)} {symbol}
+                                            </span>
+                                        </div>
+                                        <FeePicker action="airdrop.claim" />
+                                        {claimProgress && (
+                                            <div className="status-message warning mt-md">
+                                                <div className="loading-spinner" style={{ width: 16, height: 16 }}></div>
+                                                <span>{claimProgress}</span>
+                                            </div>
+                                        )}
+                                        <button
+                                            className="btn btn-primary w-full mt-md"
+                                            onClick={handleClaimAll}
+                                            disabled={claiming}
+                                        >
+                                            <Gift size={18} />
+                                            <span>{claiming ? 'Claiming...' : `Claim All (${claimable.length})`}</span>
+                                        </button>
+                                        <p className="text-xs text-muted mt-md">
+                                            Each wave is a separate transaction; your wallet asks you to confirm each one.
+                                        </p>
+                                    </div>
+                                ) : (
+                                    <div className="status-message warning">
+                                        <span>Nothing left to claim in this campaign for your wallet.</span>
+                                    </div>
+                                )}
+                                <button className="btn btn-ghost btn-sm mt-md" onClick={loadWaves} disabled={loading || claiming}>
+                                    <RefreshCw size={14} /> Refresh
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AirdropCampaignClaim;
@@ -2,24 +2,32 @@
 // Public claim page for airdrop recipients
 // Route: /airdrop/:id
 import React, { useState, useEffect, useCallback } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, useSearchParams, useLocation, Link } from 'react-router-dom';
 import { useWallet } from '../contexts/WalletContext';
 import { useToast } from '../components/Toast';
 import { airdropService } from '../services/AirdropService';
-import { recordTransaction, TX_TYPES } from '../services/txHistory';
+import { recordTransaction, TX_TYPES } from '../services/txLedger';
 import { opnetProvider } from '../services/opnetProvider';
+import { resolveAddressVariants } from '../services/addressHelper';
+import { fetchProofBundle, verifyProofBundle } from '../services/proofBundle';
+import { decodeClaimProof, verifyClaimProof } from '../services/claimLinks';
 import { blocksToHumanTime } from '../services/blockTime';
+import { formatTokenAmount } from '../services/formatters';
 import EmptyState from '../components/EmptyState';
 import StatusBadge from '../components/StatusBadge';
 import BlockCountdown from '../components/BlockCountdown';
 import AddressDisplay from '../components/AddressDisplay';
 import ProgressBar from '../components/ProgressBar';
-import { Gift, Wallet, ArrowLeft, Check, XCircle, Clock, AlertTriangle } from 'lucide-react';
+import FeePicker from '../components/FeePicker';
+import { Gift, Wallet, ArrowLeft, Check, XCircle, Clock, AlertTriangle, ShieldCheck } from 'lucide-react';
 import useScrollAnimation from '../hooks/useScrollAnimation';
 import '../styles/airdrop.css';
 
 const AirdropClaim = () => {
     const { id: airdropId } = useParams();
+    const [searchParams] = useSearchParams();
+    const bundleSource = searchParams.get('bundle');
+    const { hash } = useLocation();
     const { connected, connect, address } = useWallet();
     const toast = useToast();
     useScrollAnimation();
@@ -32,6 +40,12 @@ const AirdropClaim = () => {
     const [claimedAmount, setClaimedAmount] = useState('0');
     const [eligibleAmount, setEligibleAmount] = useState(null);
     const [tokenInfo, setTokenInfo] = useState(null);
+    const [bundle, setBundle] = useState(null);
+    const [bundleStatus, setBundleStatus] = useState(null);
+    const [proof, setProof] = useState(null);
+    const [linkError, setLinkError] = useState(null);
+    const [ineligibleReason, setIneligibleReason] = useState(null);
+    const decimals = tokenInfo?.decimals ?? 8;
 
     const fetchCurrentBlock = useCallback(async () => {
         try {
@@ -56,12 +70,23 @@ const AirdropClaim = () => {
                     setTokenInfo(info);
                 } catch {}
             }
+
+            // Hosted proof bundle — only trusted once it matches the on-chain root
+            const fetched = data ? await fetchProofBundle(airdropId, bundleSource) : null;
+            if (fetched) {
+                const check = await verifyProofBundle(fetched, data, airdropId);
+                setBundleStatus(check);
+                setBundle(check.valid ? fetched : null);
+            } else {
+                setBundleStatus(null);
+                setBundle(null);
+            }
         } catch {
             setAirdrop(null);
         } finally {
             setLoading(false);
         }
-    }, [airdropId, fetchCurrentBlock]);
+    }, [airdropId, bundleSource, fetchCurrentBlock]);
 
     const checkEligibility = useCallback(async () => {
         if (!address || !airdropId) return;
@@ -75,14 +100,35 @@ const AirdropClaim = () => {
             setClaimedAmount(amount);
         }
 
-        // Check if proof is available
-        const proof = airdropService.getProofForClaimer(airdropId, address);
-        if (proof) {
-            setEligibleAmount(proof.amount);
-        } else {
-            setEligibleAmount(null);
+        // 1) Proof carried in the claim link (#proof=...), checked against the on-chain root
+        let found = null;
+        if (hash.includes('proof=')) {
+            // Left null if resolution fails; verifyClaimProof then rejects the link
+            let walletVariants = null;
+            try {
+                walletVariants = await resolveAddressVariants(address);
+            } catch (err) {
+                console.warn('Wallet address resolution failed:', err.message);
+            }
+            const linkClaim = decodeClaimProof(hash);
+            const check = verifyClaimProof(linkClaim, airdrop?.merkleRoot, walletVariants);
+            setLinkError(check.valid ? null : check.reason);
+            if (check.valid) found = { eligible: true, proofBytes: linkClaim.proofBytes, amount: linkClaim.amount };
         }
-    }, [address, airdropId]);
+
+        // 2) Verified hosted bundle, 3) locally saved tree data
+        if (!found && bundle) found = await airdropService.getProofForClaimer(airdropId, address, bundle);
+        if (!found?.eligible && airdropService.hasTreeData(airdropId)) {
+            found = await airdropService.getProofForClaimer(airdropId, address);
+        }
+        if (!found) {
+            found = { eligible: false, reason: 'No claim link or proof bundle is available for this airdrop.' };
+        }
+
+        setProof(found.eligible ? found : null);
+        setEligibleAmount(found.eligible ? found.amount : null);
+        setIneligibleReason(found.eligible ? null : found.reason);
+    }, [address, airdropId, airdrop, bundle, hash]);
 
     useEffect(() => {
         loadAirdrop();
@@ -98,7 +144,7 @@ const AirdropClaim = () => {
         if (!address || !airdropId) return;
         setClaiming(true);
         try {
-            const result = await airdropService.claim(airdropId, address);
+            const result = await airdropService.claim(airdropId, address, proof?.amount, proof?.proofBytes);
             recordTransaction({
                 type: TX_TYPES.CLAIM_AIRDROP,
                 txHash: result?.txHash || null,
@@ -110,7 +156,7 @@ const AirdropClaim = () => {
                 },
                 status: 'pending',
             });
-            toast.success(`Claimed ${parseFloat(result.claimedAmount).toLocaleString()} tokens!`);
+            toast.success(`Claimed ${formatTokenAmount(result.claimedAmount, decimals)} ${tokenInfo?.symbol || 'tokens'}!`);
             setHasClaimed(true);
             setClaimedAmount(result.claimedAmount);
             await loadAirdrop();
@@ -165,8 +211,9 @@ const AirdropClaim = () => {
         );
     }
 
-    const total = parseFloat(airdrop.totalAmount || '0');
-    const claimed = parseFloat(airdrop.claimedAmount || '0');
+    // Amounts are raw token units; progress uses Number, display uses the token's decimals
+    const total = Number(airdrop.totalAmount || '0');
+    const claimed = Number(airdrop.claimedAmount || '0');
     const isExpired = currentBlock > 0 && currentBlock >= airdrop.expiryBlock;
     const isActive = !airdrop.cancelled && !isExpired;
 
@@ -240,11 +287,11 @@ const AirdropClaim = () => {
                         </div>
                         <div className="info-row">
                             <span className="info-label">Total Amount</span>
-                            <span className="info-value">{total.toLocaleString()} {tokenInfo?.symbol || ''}</span>
+                            <span className="info-value">{formatTokenAmount(airdrop.totalAmount, decimals)} {tokenInfo?.symbol || ''}</span>
                         </div>
                         <div className="info-row">
                             <span className="info-label">Claimed</span>
-                            <span className="info-value">{claimed.toLocaleString()} {tokenInfo?.symbol || ''}</span>
+                            <span className="info-value">{formatTokenAmount(airdrop.claimedAmount, decimals)} {tokenInfo?.symbol || ''}</span>
                         </div>
                         <div className="info-row">
                             <span className="info-label">Expiry Block</span>
@@ -273,6 +320,24 @@ const AirdropClaim = () => {
                         />
                     )}
 
+                    {bundleStatus && (
+                        <div className={`status-message ${bundleStatus.valid ? 'success' : 'error'} mt-lg`}>
+                            {bundleStatus.valid ? <ShieldCheck size={18} /> : <XCircle size={18} />}
+                            <span>
+                                {bundleStatus.valid
+                                    ? `Proof bundle verified against the on-chain root${bundleStatus.signed ? ' (signed)' : ' (unsigned)'}`
+                                    : `Proof bundle rejected: ${bundleStatus.reason}`}
+                            </span>
+                        </div>
+                    )}
+
+                    {linkError && (
+                        <div className="status-message error mt-lg">
+                            <XCircle size={18} />
+                            <span>Claim link rejected: {linkError}</span>
+                        </div>
+                    )}
+
                     {/* Claim Section */}
                     <div className="claim-action-section">
                         {!connected ? (
@@ -286,7 +351,7 @@ const AirdropClaim = () => {
                         ) : hasClaimed ? (
                             <div className="status-message success">
                                 <Check size={18} />
-                                <span>You have already claimed {parseFloat(claimedAmount).toLocaleString()} {tokenInfo?.symbol || 'tokens'}</span>
+                                <span>You have already claimed {formatTokenAmount(claimedAmount, decimals)} {tokenInfo?.symbol || 'tokens'}</span>
                             </div>
                         ) : !isActive ? (
                             <div className="status-message error">
@@ -298,9 +363,10 @@ const AirdropClaim = () => {
                                 <div className="claim-eligible-amount">
                                     <span className="text-muted">Your Allocation</span>
                                     <span className="claim-amount-value">
-                                        {parseFloat(eligibleAmount).toLocaleString()} {tokenInfo?.symbol || 'tokens'}
+                                        {formatTokenAmount(eligibleAmount, decimals)} {tokenInfo?.symbol || 'tokens'}
                                     </span>
                                 </div>
+                                <FeePicker action="airdrop.claim" />
                                 <button
                                     className="btn btn-primary w-full mt-md"
                                     onClick={handleClaim}
@@ -323,8 +389,7 @@ const AirdropClaim = () => {
                             <div className="status-message warning">
                                 <AlertTriangle size={18} />
                                 <span>
-                                    No proof found for your address. You may not be eligible for this airdrop,
-                                    or the tree data is not available locally.
+                                    {ineligibleReason || 'No proof found for your address.'}
                                 </span>
                             </div>
                         )}
@@ -10,7 +10,7 @@ import {
 } from 'lucide-react';
 import useScrollAnimation from '../hooks/useScrollAnimation';
 import { presaleFactoryService } from '../services/PresaleFactoryService';
-import { recordTransaction, TX_TYPES } from '../services/txHistory';
+import { recordTransaction, TX_TYPES } from '../services/txLedger';
 import { factoryService } from '../services/FactoryService';
 import { opnetProvider } from '../services/opnetProvider';
 import { useWallet } from '../contexts/WalletContext';
@@ -18,6 +18,7 @@ import { useToast } from '../components/Toast';
 import StepWizard from '../components/StepWizard';
 import AddressDisplay from '../components/AddressDisplay';
 import TxTracker from '../components/TxTracker';
+import FeePicker from '../components/FeePicker';
 import { blocksToHumanTime } from '../services/blockTime';
 import '../styles/presale.css';
 
@@ -1199,6 +1200,8 @@ const CreatePresale = () => {
                                 }
                                 return null;
                             })()}
+
+                            <FeePicker action="presaleFactory.createPresale" />
                         </>
                     )}
 
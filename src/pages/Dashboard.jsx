@@ -13,9 +13,9 @@ import { presaleService } from '../services/PresaleService';
 import { vestingService } from '../services/VestingService';
 import { liquidityLockService } from '../services/LiquidityLockService';
 import { airdropService } from '../services/AirdropService';
-import { transactionService } from '../services/TransactionService';
-import { getTransactions as getTxHistory, TX_LABELS, TX_TYPES, updateTransactionStatus as updateTxHistoryStatus } from '../services/txHistory';
+import { getTransactions, TX_LABELS, TX_TYPES, updateTransactionStatus } from '../services/txLedger';
 import { opnetProvider } from '../services/opnetProvider';
+import { txWatcher } from '../services/txWatcher';
 import useScrollAnimation from '../hooks/useScrollAnimation';
 import TxTracker from '../components/TxTracker';
 import EmptyState from '../components/EmptyState';
@@ -29,7 +29,7 @@ import {
     Unlock, Gift, ShoppingBag, Calendar,
     TrendingUp, ArrowRight, RefreshCw, Droplets,
     CheckCircle2, Send, Repeat, Flame, Ban, Clock,
-    LayoutDashboard
+    LayoutDashboard, Settings, Pause, Play, UserPlus, UserMinus
 } from 'lucide-react';
 import '../styles/dashboard.css';
 
@@ -173,51 +173,19 @@ const Dashboard = () => {
                     break;
                 }
                 case 'history': {
-                    // Merge transactions from both stores
-                    const merged = [];
-
-                    // V2 txHistory.js entries (primary)
-                    const v2Txs = getTxHistory(address);
-                    for (const tx of v2Txs) {
-                        merged.push({
-                            id: tx.id,
-                            type: tx.type,
-                            label: TX_LABELS[tx.type] || tx.type,
-                            txHash: tx.txHash,
-                            status: tx.status || 'pending',
-                            timestamp: tx.timestamp,
-                            tokenSymbol: tx.details?.tokenSymbol || null,
-                            tokenAddress: tx.details?.tokenAddress || null,
-                            tokenName: tx.details?.tokenName || null,
-                            amount: tx.details?.amount || tx.details?.totalSupply || null,
-                            source: 'v2',
-                        });
-                    }
-
-                    // Legacy TransactionService entries
-                    const legacyTxs = transactionService.getUserTransactions(address, { limit: 50 });
-                    for (const tx of legacyTxs) {
-                        // Deduplicate by txHash
-                        if (tx.txHash && merged.some(m => m.txHash === tx.txHash)) continue;
-                        const formatted = transactionService.formatTransaction(tx);
-                        merged.push({
-                            id: tx.id,
-                            type: tx.type,
-                            label: formatted.label,
-                            txHash: tx.txHash,
-                            status: tx.status || 'completed',
-                            timestamp: tx.timestamp,
-                            tokenSymbol: tx.tokenSymbol || null,
-                            tokenAddress: tx.contractAddress || null,
-                            tokenName: null,
-                            amount: tx.amount || tx.tokenAmount || null,
-                            source: 'legacy',
-                        });
-                    }
-
-                    // Sort newest first, limit to 50
-                    merged.sort((a, b) => b.timestamp - a.timestamp);
-                    setTransactions(merged.slice(0, 50));
+                    const ledger = await getTransactions(address, { limit: 50 });
+                    setTransactions(ledger.map(tx => ({
+                        id: tx.id,
+                        type: tx.type,
+                        label: TX_LABELS[tx.type] || tx.type,
+                        txHash: tx.txHash,
+                        status: tx.status || 'pending',
+                        timestamp: tx.timestamp,
+                        tokenSymbol: tx.details?.tokenSymbol || null,
+                        tokenAddress: tx.details?.tokenAddress || tx.contract || null,
+                        tokenName: tx.details?.tokenName || null,
+                        amount: tx.details?.amount || tx.details?.totalSupply || tx.details?.tokenAmount || null,
+                    })));
                     break;
                 }
             }
@@ -285,18 +253,15 @@ const Dashboard = () => {
 
     const getTransactionIcon = (type) => {
         const icons = {
-            // Legacy types
-            deploy: <Rocket size={18} />,
-            contribution: <TrendingUp size={18} />,
-            claim: <Gift size={18} />,
-            refund: <Droplets size={18} />,
-            transfer: <Send size={18} />,
-            // V2 types from txHistory.js
             [TX_TYPES.DEPLOY_TOKEN]: <Rocket size={18} />,
             [TX_TYPES.CREATE_PRESALE]: <ShoppingBag size={18} />,
             [TX_TYPES.CONTRIBUTE]: <TrendingUp size={18} />,
+            [TX_TYPES.CLAIM_PRESALE]: <Gift size={18} />,
             [TX_TYPES.FINALIZE_PRESALE]: <CheckCircle2 size={18} />,
             [TX_TYPES.REFUND]: <Droplets size={18} />,
+            [TX_TYPES.TOGGLE_WHITELIST]: <Settings size={18} />,
+            [TX_TYPES.WHITELIST_ADD]: <UserPlus size={18} />,
+            [TX_TYPES.WHITELIST_REMOVE]: <UserMinus size={18} />,
             [TX_TYPES.CREATE_VESTING]: <Calendar size={18} />,
             [TX_TYPES.CLAIM_VESTING]: <Gift size={18} />,
             [TX_TYPES.REVOKE_VESTING]: <Ban size={18} />,
@@ -307,6 +272,22 @@ const Dashboard = () => {
             [TX_TYPES.CREATE_AIRDROP]: <Gift size={18} />,
             [TX_TYPES.CLAIM_AIRDROP]: <Gift size={18} />,
             [TX_TYPES.CANCEL_AIRDROP]: <Ban size={18} />,
+            [TX_TYPES.MINT_TOKENS]: <Coins size={18} />,
+            [TX_TYPES.FREE_MINT]: <Gift size={18} />,
+            [TX_TYPES.BURN_TOKENS]: <Flame size={18} />,
+            [TX_TYPES.PAUSE_TOKEN]: <Pause size={18} />,
+            [TX_TYPES.UNPAUSE_TOKEN]: <Play size={18} />,
+            [TX_TYPES.GRANT_MINTER]: <UserPlus size={18} />,
+            [TX_TYPES.REVOKE_MINTER]: <UserMinus size={18} />,
+            [TX_TYPES.TRANSFER_TOKEN_OWNER]: <Repeat size={18} />,
+            [TX_TYPES.RENOUNCE_TOKEN_OWNER]: <Ban size={18} />,
+            [TX_TYPES.PAUSE_FACTORY]: <Pause size={18} />,
+            [TX_TYPES.UNPAUSE_FACTORY]: <Play size={18} />,
+            [TX_TYPES.SET_TEMPLATE]: <Settings size={18} />,
+            [TX_TYPES.TRANSFER_CONTRACT_OWNER]: <Repeat size={18} />,
+            [TX_TYPES.UPDATE_TOKEN_OWNER]: <Repeat size={18} />,
+            [TX_TYPES.SET_PLATFORM_WALLET]: <Wallet size={18} />,
+            [TX_TYPES.SET_PLATFORM_FEE]: <Settings size={18} />,
             [TX_TYPES.APPROVE]: <CheckCircle2 size={18} />,
             [TX_TYPES.TRANSFER]: <Send size={18} />,
         };
@@ -319,8 +300,12 @@ const Dashboard = () => {
             [TX_TYPES.DEPLOY_TOKEN]: 'deploy',
             [TX_TYPES.CREATE_PRESALE]: 'deploy',
             [TX_TYPES.CONTRIBUTE]: 'contribution',
+            [TX_TYPES.CLAIM_PRESALE]: 'claim',
             [TX_TYPES.FINALIZE_PRESALE]: 'claim',
             [TX_TYPES.REFUND]: 'refund',
+            [TX_TYPES.TOGGLE_WHITELIST]: 'deploy',
+            [TX_TYPES.WHITELIST_ADD]: 'transfer',
+            [TX_TYPES.WHITELIST_REMOVE]: 'refund',
             [TX_TYPES.CREATE_VESTING]: 'deploy',
             [TX_TYPES.CLAIM_VESTING]: 'claim',
             [TX_TYPES.REVOKE_VESTING]: 'refund',
@@ -331,6 +316,22 @@ const Dashboard = () => {
             [TX_TYPES.CREATE_AIRDROP]: 'deploy',
             [TX_TYPES.CLAIM_AIRDROP]: 'claim',
             [TX_TYPES.CANCEL_AIRDROP]: 'refund',
+            [TX_TYPES.MINT_TOKENS]: 'deploy',
+            [TX_TYPES.FREE_MINT]: 'claim',
+            [TX_TYPES.BURN_TOKENS]: 'refund',
+            [TX_TYPES.PAUSE_TOKEN]: 'refund',
+            [TX_TYPES.UNPAUSE_TOKEN]: 'claim',
+            [TX_TYPES.GRANT_MINTER]: 'transfer',
+            [TX_TYPES.REVOKE_MINTER]: 'refund',
+            [TX_TYPES.TRANSFER_TOKEN_OWNER]: 'transfer',
+            [TX_TYPES.RENOUNCE_TOKEN_OWNER]: 'refund',
+            [TX_TYPES.PAUSE_FACTORY]: 'refund',
+            [TX_TYPES.UNPAUSE_FACTORY]: 'claim',
+            [TX_TYPES.SET_TEMPLATE]: 'deploy',
+            [TX_TYPES.TRANSFER_CONTRACT_OWNER]: 'transfer',
+            [TX_TYPES.UPDATE_TOKEN_OWNER]: 'transfer',
+            [TX_TYPES.SET_PLATFORM_WALLET]: 'transfer',
+            [TX_TYPES.SET_PLATFORM_FEE]: 'deploy',
             [TX_TYPES.APPROVE]: 'contribution',
             [TX_TYPES.TRANSFER]: 'transfer',
         };
@@ -348,15 +349,21 @@ const Dashboard = () => {
         return 'Just now';
     };
 
-    const handleTxConfirmed = useCallback((txHash) => {
-        // Update tx status in both stores and refresh the list
-        updateTxHistoryStatus(txHash, 'confirmed');
-        transactionService.updateTransactionStatus(txHash, 'confirmed');
+    const handleTxConfirmed = useCallback(async (txHash) => {
+        await updateTransactionStatus(txHash, 'confirmed');
         // Refresh the displayed list
         loadedTabs.current.delete('history');
         loadTabData('history', true);
     }, [loadTabData]);
 
+    // Background watcher resolved a pending entry — refresh history if it is showing
+    useEffect(() => {
+        return txWatcher.subscribe(() => {
+            loadedTabs.current.delete('history');
+            if (activeTab === 'history') loadTabData('history', true);
+        });
+    }, [activeTab, loadTabData]);
+
     // Not connected state
     if (!connected) {
         return (
@@ -520,6 +527,13 @@ const Dashboard = () => {
                                                         Block #{token.deployBlock.toLocaleString()}
                                                     </span>
                                                 )}
+                                                <Link
+                                                    to={`/token/${token.contractAddress}/manage`}
+                                                    className="btn btn-secondary btn-sm"
+                                                >
+                                                    <Settings size={14} />
+                                                    <span>Manage</span>
+                                                </Link>
                                             </div>
                                         </div>
                                     ))}
@@ -692,8 +706,6 @@ const Dashboard = () => {
                                                         <><Clock size={10} /> Pending</>
                                                     ) : tx.status === 'confirmed' ? (
                                                         <><CheckCircle2 size={10} /> Confirmed</>
-                                                    ) : tx.status === 'completed' ? (
-                                                        <><CheckCircle2 size={10} /> Completed</>
                                                     ) : tx.status === 'failed' ? (
                                                         <><Ban size={10} /> Failed</>
                                                     ) : tx.status}
@@ -1,77 +1,78 @@
 // BitLaunch - Explore Page (V3 - Competition UI)
 // Enumerates all presales deployed by the PresaleFactory.
-import React, { useState, useEffect } from 'react';
+import React, { useState, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { presaleFactoryService } from '../services/PresaleFactoryService';
 import { presaleService } from '../services/PresaleService';
+import { loadTokenProfile } from '../services/tokenProfiles';
+import { mapWithConcurrency } from '../services/concurrency';
 import useScrollAnimation from '../hooks/useScrollAnimation';
+import usePagedList from '../hooks/usePagedList';
 import { Rocket, Search, Plus, Compass } from 'lucide-react';
 import PresaleCard from '../components/Presale/PresaleCard';
+import ListSentinel from '../components/ListSentinel';
 import '../styles/explore.css';
 import '../styles/presale.css';
 
-const Explore = () => {
-    const [presales, setPresales] = useState([]);
-    const [filter, setFilter] = useState('all');
-    const [searchQuery, setSearchQuery] = useState('');
-    const [loading, setLoading] = useState(true);
-    useScrollAnimation();
+const PAGE_SIZE = 12;
+const CARD_CONCURRENCY = 6;
 
-    useEffect(() => {
-        loadPresales();
-    }, []);
+/**
+ * Read on-chain presale info + token metadata for one registry entry.
+ * Returns null for presales that cannot be shown.
+ */
+const loadPresaleCard = async (deployment) => {
+    try {
+        const info = await presaleService.getPresaleInfo(deployment.presaleAddress);
+        if (!info || Number(info.hardCap) === 0) return null;
 
-    const loadPresales = async () => {
-        setLoading(true);
+        // Try to fetch token metadata for display
+        let tokenName = '';
+        let tokenSymbol = '';
         try {
-            // Step 1: Get all presale deployments from factory
-            const deployments = await presaleFactoryService.getAllPresaleDeployments();
+            const tokenInfo = await presaleService.fetchTokenInfo(deployment.tokenAddress);
+            tokenName = tokenInfo.name;
+            tokenSymbol = tokenInfo.symbol;
+        } catch {
+            // Token info is optional — use address as fallback
+        }
 
-            // Step 2: For each deployment, read on-chain presale info
-            const presalePromises = deployments.map(async (deployment) => {
-                try {
-                    const info = await presaleService.getPresaleInfo(deployment.presaleAddress);
-                    if (!info || Number(info.hardCap) === 0) return null;
+        const status = presaleService.getPresaleStatus(info);
+        const tokenProfile = await loadTokenProfile(deployment.tokenAddress);
 
-                    // Try to fetch token metadata for display
-                    let tokenName = '';
-                    let tokenSymbol = '';
-                    try {
-                        const tokenInfo = await presaleService.fetchTokenInfo(deployment.tokenAddress);
-                        tokenName = tokenInfo.name;
-                        tokenSymbol = tokenInfo.symbol;
-                    } catch {
-                        // Token info is optional — use address as fallback
-                    }
+        return {
+            ...info,
+            id: deployment.presaleAddress,
+            presaleAddress: deployment.presaleAddress,
+            tokenAddress: deployment.tokenAddress,
+            creatorAddress: deployment.creator,
+            tokenName,
+            tokenSymbol,
+            tokenProfile,
+            status,
+            index: deployment.index,
+        };
+    } catch (err) {
+        console.warn(`Failed to load presale ${deployment.presaleAddress}:`, err.message);
+        return null;
+    }
+};
 
-                    const status = presaleService.getPresaleStatus(info);
+const Explore = () => {
+    const [filter, setFilter] = useState('all');
+    const [searchQuery, setSearchQuery] = useState('');
+    useScrollAnimation();
 
-                    return {
-                        ...info,
-                        id: deployment.presaleAddress,
-                        presaleAddress: deployment.presaleAddress,
-                        tokenAddress: deployment.tokenAddress,
-                        creatorAddress: deployment.creator,
-                        tokenName,
-                        tokenSymbol,
-                        status,
-                        index: deployment.index,
-                    };
-                } catch (err) {
-                    console.warn(`Failed to load presale ${deployment.presaleAddress}:`, err.message);
-                    return null;
-                }
-            });
+    // Registry page (newest first), then card data for each entry
+    const fetchPage = useCallback(async (offset, limit) => {
+        const page = await presaleFactoryService.getPresaleDeploymentsPage(offset, limit);
+        const cards = await mapWithConcurrency(page.items, CARD_CONCURRENCY, loadPresaleCard);
+        return { ...page, items: cards.filter(Boolean) };
+    }, []);
 
-            const results = await Promise.all(presalePromises);
-            setPresales(results.filter(Boolean));
-        } catch (error) {
-            console.error('Load presales failed:', error);
-            setPresales([]);
-        } finally {
-            setLoading(false);
-        }
-    };
+    const {
+        items: presales, total, scanned, hasMore, loading, loadingMore, loadMore, sentinelRef,
+    } = usePagedList(fetchPage, { pageSize: PAGE_SIZE });
 
     const filteredPresales = presales.filter(p => {
         const matchesFilter = filter === 'all' || p.status === filter;
@@ -160,6 +161,17 @@ const Explore = () => {
                         ))}
                     </div>
                 )}
+
+                {!loading && (
+                    <ListSentinel
+                        sentinelRef={sentinelRef}
+                        hasMore={hasMore}
+                        loadingMore={loadingMore}
+                        onLoadMore={loadMore}
+                        loaded={scanned}
+                        total={total}
+                    />
+                )}
             </div>
         </div>
     );
@@ -0,0 +1,278 @@
+// BitLaunch - Free Mint Page
+// Public page for minting from a token's free-mint supply
+// Route: /mint/:token
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useWallet } from '../contexts/WalletContext';
+import { useToast } from '../components/Toast';
+import { freeMintService } from '../services/FreeMintService';
+import { tokenService } from '../services/TokenService';
+import { opnetProvider } from '../services/opnetProvider';
+import { recordTransaction, TX_TYPES } from '../services/txLedger';
+import { formatTokenAmount, parseTokenAmount } from '../services/formatters';
+import EmptyState from '../components/EmptyState';
+import StatusBadge from '../components/StatusBadge';
+import AddressDisplay from '../components/AddressDisplay';
+import ProgressBar from '../components/ProgressBar';
+import FeePicker from '../components/FeePicker';
+import { Gift, Wallet, ArrowLeft, XCircle, AlertTriangle, Check, Share2, RefreshCw } from 'lucide-react';
+import useScrollAnimation from '../hooks/useScrollAnimation';
+import '../styles/token.css';
+
+const FreeMint = () => {
+    const { token: tokenAddress } = useParams();
+    const { connected, connect, address } = useWallet();
+    const toast = useToast();
+    useScrollAnimation();
+
+    const [tokenInfo, setTokenInfo] = useState(null);
+    const [allowance, setAllowance] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [minting, setMinting] = useState(false);
+    const [amount, setAmount] = useState('');
+    const decimals = tokenInfo?.decimals ?? 8;
+    const symbol = tokenInfo?.symbol || '';
+
+    const loadMint = useCallback(async () => {
+        setLoading(true);
+        try {
+            const [info, mintAllowance] = await Promise.all([
+                tokenService.getTokenInfo(tokenAddress, opnetProvider.getProvider(), opnetProvider.getNetwork()),
+                freeMintService.getMintAllowance(tokenAddress, address),
+            ]);
+            setTokenInfo(info);
+            setAllowance(mintAllowance);
+        } finally {
+            setLoading(false);
+        }
+    }, [tokenAddress, address]);
+
+    useEffect(() => {
+        loadMint();
+    }, [loadMint]);
+
+    const fmt = (raw) => `${formatTokenAmount(raw, decimals)} ${symbol}`;
+
+    const handleMint = async () => {
+        let raw;
+        try {
+            raw = parseTokenAmount(amount, decimals);
+        } catch {
+            toast.error('Enter a valid amount');
+            return;
+        }
+        if (raw <= 0n) {
+            toast.error('Enter an amount to mint');
+            return;
+        }
+        if (raw > BigInt(allowance.maxPerTx)) {
+            toast.error(`You can mint at most ${fmt(allowance.maxPerTx)} right now`);
+            return;
+        }
+
+        setMinting(true);
+        try {
+            const result = await freeMintService.freeMint(tokenAddress, raw, address);
+            recordTransaction({
+                type: TX_TYPES.FREE_MINT,
+                txHash: result?.txHash || null,
+                address,
+                details: { tokenAddress, tokenSymbol: symbol, amount: result.amount },
+                status: 'pending',
+            });
+            toast.success(`Minted ${fmt(result.amount)}!`);
+            setAmount('');
+            await loadMint();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setMinting(false);
+        }
+    };
+
+    const copyLink = () => {
+        navigator.clipboard.writeText(freeMintService.getMintLink(tokenAddress))
+            .then(() => toast.success('Free mint link copied!'))
+            .catch(() => toast.error('Failed to copy'));
+    };
+
+    const renderShell = (content) => (
+        <div className="token-page page-transition">
+            <section className="page-hero">
+                <div className="page-hero-orb orb-1" />
+                <div className="page-hero-orb orb-2" />
+                <div className="page-hero-grid" />
+                <div className="page-hero-content">
+                    <div className="page-hero-icon green">
+                        <Gift size={28} />
+                    </div>
+                    <h1 className="page-hero-title">Free Mint</h1>
+                    <p className="page-hero-subtitle">Mint tokens from the creator&apos;s free supply</p>
+                </div>
+            </section>
+            <div className="token-container narrow">
+                <Link to="/explore/tokens" className="back-btn flex items-center gap-sm mb-lg">
+                    <ArrowLeft size={16} /> Back to Tokens
+                </Link>
+                {content}
+            </div>
+        </div>
+    );
+
+    if (loading && !allowance) {
+        return renderShell(
+            <div className="text-center text-muted py-xl">
+                <div className="loading-spinner" style={{ margin: '0 auto 1rem' }}></div>
+                <p>Loading free mint...</p>
+            </div>
+        );
+    }
+
+    const info = allowance?.info;
+    if (!tokenInfo || !info || !info.enabled) {
+        return renderShell(
+            <EmptyState
+                icon={XCircle}
+                title={tokenInfo ? 'No Free Mint' : 'Token Not Found'}
+                description={tokenInfo
+                    ? `${tokenInfo.name} was launched without a free-mint supply.`
+                    : 'This token does not exist on the current network or could not be loaded.'}
+                size="lg"
+            />
+        );
+    }
+
+    const exhausted = BigInt(info.remaining) === 0n;
+    const capped = BigInt(info.userCap) > 0n;
+    // The wallet's minted amount could not be read, so a capped allowance is unknown
+    const allowanceUnavailable = capped && allowance.claimed === null;
+    const capReached = capped && !allowanceUnavailable && BigInt(allowance.capRemaining) === 0n;
+
+    return renderShell(
+        <div className="token-card animate-on-scroll">
+            <div className="token-card-header">
+                <div>
+                    <h2>{tokenInfo.name}</h2>
+                    <span className="text-muted">${symbol}</span>
+                </div>
+                <StatusBadge status={exhausted ? 'ended' : 'active'} pulse={!exhausted} />
+            </div>
+
+            <ProgressBar
+                value={Number(info.totalClaimed)}
+                max={Number(info.totalSupply)}
+                label="Minted"
+                showPercentage={true}
+                size="sm"
+            />
+
+            <div className="info-table mt-lg">
+                <div className="info-row">
+                    <span className="info-label">Contract</span>
+                    <span className="info-value">
+                        <AddressDisplay address={tokenAddress} truncate={true} copyable={true} startChars={10} endChars={6} />
+                    </span>
+                </div>
+                <div className="info-row">
+                    <span className="info-label">Free Supply Remaining</span>
+                    <span className="info-value">{fmt(info.remaining)} of {fmt(info.totalSupply)}</span>
+                </div>
+                <div className="info-row">
+                    <span className="info-label">Per Transaction</span>
+                    <span className="info-value">{fmt(info.perTx)}</span>
+                </div>
+                <div className="info-row">
+                    <span className="info-label">Per Wallet</span>
+                    <span className="info-value">{capped ? fmt(info.userCap) : 'No limit'}</span>
+                </div>
+                {connected && (
+                    <>
+                        <div className="info-row">
+                            <span className="info-label">You Minted</span>
+                            <span className="info-value">
+                                {allowance.claimed === null ? 'Unavailable' : fmt(allowance.claimed)}
+                            </span>
+                        </div>
+                        {capped && (
+                            <div className="info-row">
+                                <span className="info-label">Your Remaining Cap</span>
+                                <span className="info-value">
+                                    {allowanceUnavailable ? 'Unavailable' : fmt(allowance.capRemaining)}
+                                </span>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+
+            <div className="token-mint-action">
+                {!connected ? (
+                    <>
+                        <p className="text-muted mb-md">Connect your wallet to mint.</p>
+                        <button className="btn btn-primary w-full" onClick={connect}>
+                            <Wallet size={18} />
+                            <span>Connect Wallet</span>
+                        </button>
+                    </>
+                ) : exhausted ? (
+                    <div className="status-message warning">
+                        <AlertTriangle size={18} />
+                        <span>The free-mint supply has been fully minted.</span>
+                    </div>
+                ) : allowanceUnavailable ? (
+                    <div className="status-message warning">
+                        <AlertTriangle size={18} />
+                        <span>Allowance unavailable: your minted amount could not be read.</span>
+                        <button className="btn btn-ghost btn-sm" onClick={loadMint} disabled={loading}>
+                            <RefreshCw size={14} /> Retry
+                        </button>
+                    </div>
+                ) : capReached ? (
+                    <div className="status-message success">
+                        <Check size={18} />
+                        <span>You have minted your full allowance of {fmt(info.userCap)}.</span>
+                    </div>
+                ) : (
+                    <>
+                        <div className="lock-inline-form">
+                            <input
+                                type="number"
+                                className="form-input"
+                                placeholder={`Up to ${formatTokenAmount(allowance.maxPerTx, decimals)}`}
+                                value={amount}
+                                onChange={(e) => setAmount(e.target.value)}
+                            />
+                            <button
+                                className="btn btn-secondary btn-sm"
+                                onClick={() => setAmount(formatTokenAmount(allowance.maxPerTx, decimals, decimals).replace(/,/g, ''))}
+                            >
+                                Max
+                            </button>
+                        </div>
+                        <FeePicker action="token.freeMint" />
+                        <button className="btn btn-primary w-full mt-md" onClick={handleMint} disabled={minting}>
+                            {minting ? (
+                                <>
+                                    <div className="loading-spinner" style={{ width: 18, height: 18 }}></div>
+                                    <span>Minting...</span>
+                                </>
+                            ) : (
+                                <>
+                                    <Gift size={18} />
+                                    <span>Mint {symbol}</span>
+                                </>
+                            )}
+                        </button>
+                    </>
+                )}
+            </div>
+
+            <button className="btn btn-ghost btn-sm mt-md" onClick={copyLink}>
+                <Share2 size={14} />
+                <span>Copy share link</span>
+            </button>
+        </div>
+    );
+};
+
+export default FreeMint;
@@ -6,11 +6,14 @@ import { Link } from 'react-router-dom';
 import { useWallet } from '../contexts/WalletContext';
 import { useToast } from '../components/Toast';
 import { factoryDeploymentService } from '../services/FactoryDeploymentService';
-import { recordTransaction, TX_TYPES } from '../services/txHistory';
+import { freeMintService } from '../services/FreeMintService';
+import { recordTransaction, TX_TYPES } from '../services/txLedger';
+import { resolveFeeRate, resolveSatBudget, subscribeFeeSettings } from '../services/txSender';
 import useScrollAnimation from '../hooks/useScrollAnimation';
 import StepWizard from '../components/StepWizard';
 import AddressDisplay from '../components/AddressDisplay';
 import TxTracker from '../components/TxTracker';
+import FeePicker from '../components/FeePicker';
 import {
     Rocket, Check, ExternalLink, ArrowLeft, ArrowRight,
     Coins, Settings, Zap, Eye, Wallet, Flame, Gift, Copy,
@@ -29,8 +32,20 @@ const LaunchToken = () => {
     const toast = useToast();
     const [errors, setErrors] = useState({});
     const [gasInfo, setGasInfo] = useState(null);
+    const [feeInfo, setFeeInfo] = useState({ rate: 10, budget: resolveSatBudget('factory.deployToken') });
     useScrollAnimation();
 
+    // Track the fee rate / sat budget the deployment will be sent with
+    useEffect(() => {
+        const update = () => {
+            resolveFeeRate().then(rate => {
+                setFeeInfo({ rate, budget: resolveSatBudget('factory.deployToken') });
+            });
+        };
+        update();
+        return subscribeFeeSettings(update);
+    }, []);
+
     // Fetch real gas parameters when user reaches review step
     useEffect(() => {
         if (currentStep !== 3) return;
@@ -402,6 +417,34 @@ const LaunchToken = () => {
                                 </div>
                             </div>
                         )}
+
+                        {/* Free mint share link */}
+                        {deployResult.tokenAddress && parseFloat(formData.freeMintSupply || 0) > 0 && (
+                            <div className="deploy-address-card">
+                                <div className="deploy-address-header">
+                                    <span className="deploy-address-label">Free Mint Link</span>
+                                    <span className="deploy-address-badge">Share this</span>
+                                </div>
+                                <div className="deploy-address-value deploy-share-link">
+                                    <code>{freeMintService.getMintLink(deployResult.tokenAddress)}</code>
+                                    <button
+                                        className="btn btn-secondary btn-sm"
+                                        onClick={() => {
+                                            navigator.clipboard.writeText(freeMintService.getMintLink(deployResult.tokenAddress))
+                                                .then(() => toast.success('Free mint link copied!'))
+                                                .catch(() => toast.error('Failed to copy'));
+                                        }}
+                                    >
+                                        <Share2 size={14} />
+                                        <span>Copy</span>
+                                    </button>
+                                </div>
+                                <p style={{fontSize:'0.72rem',color:'var(--text-muted)',marginTop:'6px',marginBottom:0}}>
+                                    Anyone with this link can mint up to {Number(formData.freeMintPerTx || 0).toLocaleString()} ${formData.symbol} per transaction
+                                    {formData.freeMintUserCap ? `, ${Number(formData.freeMintUserCap).toLocaleString()} per wallet` : ''}.
+                                </p>
+                            </div>
+                        )}
                     </div>
 
                     {/* Real-time Transaction Tracker */}
@@ -792,7 +835,7 @@ const LaunchToken = () => {
                                         <span className="cost-label">Network Fee</span>
                                         <span className="cost-value">
                                             {(() => {
-                                                const feeRate = 10; // sat/vB used by deployment
+                                                const feeRate = feeInfo.rate; // sat/vB used by deployment
                                                 const estVBytes = 350; // typical deploy tx
                                                 const estFee = feeRate * estVBytes;
                                                 return `~${estFee.toLocaleString()} sats`;
@@ -803,7 +846,7 @@ const LaunchToken = () => {
                                         <div className="cost-row cost-row--sub">
                                             <span className="cost-label">Fee Rate</span>
                                             <span className="cost-value cost-value--dim">
-                                                10 sat/vB (network: {parseFloat(gasInfo.medium).toFixed(1)} sat/vB)
+                                                {feeInfo.rate} sat/vB (network: {parseFloat(gasInfo.medium).toFixed(1)} sat/vB)
                                             </span>
                                         </div>
                                     )}
@@ -813,13 +856,15 @@ const LaunchToken = () => {
                                     </div>
                                     <div className="cost-row cost-row--sub">
                                         <span className="cost-label">Max Spend Limit</span>
-                                        <span className="cost-value cost-value--dim">100,000 sats</span>
+                                        <span className="cost-value cost-value--dim">{Number(feeInfo.budget).toLocaleString()} sats</span>
                                     </div>
                                     <div className="cost-total">
                                         <span>Estimated Total</span>
-                                        <span>~{(10 * 350 + 10000).toLocaleString()} sats</span>
+                                        <span>~{(feeInfo.rate * 350 + 10000).toLocaleString()} sats</span>
                                     </div>
                                 </div>
+
+                                <FeePicker action="factory.deployToken" />
                             </div>
                         </>
                     )}
@@ -1,10 +1,10 @@
 // BitLaunch - Liquidity Lock Page (V2)
 // V2 changes: block-based unlock, partial unlock, lock ownership transfer, shared components
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useCallback } from 'react';
 import { useWallet } from '../contexts/WalletContext';
 import { useToast } from '../components/Toast';
 import { liquidityLockService } from '../services/LiquidityLockService';
-import { recordTransaction, TX_TYPES } from '../services/txHistory';
+import { recordTransaction, TX_TYPES } from '../services/txLedger';
 import { opnetProvider } from '../services/opnetProvider';
 import { blocksToHumanTime } from '../services/blockTime';
 import EmptyState from '../components/EmptyState';
@@ -12,10 +12,15 @@ import StatusBadge from '../components/StatusBadge';
 import BlockCountdown from '../components/BlockCountdown';
 import ProgressBar from '../components/ProgressBar';
 import AddressDisplay from '../components/AddressDisplay';
+import FeePicker from '../components/FeePicker';
+import ListSentinel from '../components/ListSentinel';
 import { Lock, Search, Shield, Info, Wallet, Unlock, ArrowRightLeft, Scissors } from 'lucide-react';
 import useScrollAnimation from '../hooks/useScrollAnimation';
+import usePagedList from '../hooks/usePagedList';
 import '../styles/liquidity.css';
 
+const LOCKS_PAGE_SIZE = 10;
+
 const LiquidityLock = () => {
     const { connected, connect, address } = useWallet();
     const toast = useToast();
@@ -26,8 +31,6 @@ const LiquidityLock = () => {
     const [unlockBlockOffset, setUnlockBlockOffset] = useState('');
     const [locking, setLocking] = useState(false);
     const [lockingMessage, setLockingMessage] = useState('');
-    const [myLocks, setMyLocks] = useState([]);
-    const [loadingLocks, setLoadingLocks] = useState(false);
     const [currentBlock, setCurrentBlock] = useState(0);
     const [searching, setSearching] = useState(false);
 
@@ -48,25 +51,18 @@ const LiquidityLock = () => {
         } catch {}
     }, []);
 
-    const loadMyLocks = useCallback(async () => {
-        if (address) {
-            setLoadingLocks(true);
-            try {
-                await fetchCurrentBlock();
-                const locks = await liquidityLockService.getLocksForOwner(address);
-                setMyLocks(locks);
-            } catch (err) {
-                console.error('Failed to load locks:', err);
-                setMyLocks([]);
-            } finally {
-                setLoadingLocks(false);
-            }
-        }
+    // Owner's locks, newest first, a page at a time
+    const fetchLocksPage = useCallback(async (offset, limit) => {
+        if (!address) return { items: [], total: 0, nextOffset: 0, hasMore: false };
+        if (offset === 0) await fetchCurrentBlock();
+        return liquidityLockService.getOwnerLocksPage(address, offset, limit);
     }, [address, fetchCurrentBlock]);
 
-    useEffect(() => {
-        loadMyLocks();
-    }, [loadMyLocks]);
+    const {
+        items: myLocks, total: lockTotal, scanned: locksScanned, hasMore: moreLocks,
+        loading: loadingLocks, loadingMore: loadingMoreLocks, loadMore: loadMoreLocks,
+        reload: loadMyLocks, sentinelRef: locksSentinelRef,
+    } = usePagedList(fetchLocksPage, { pageSize: LOCKS_PAGE_SIZE });
 
     const handleSearch = async () => {
         if (!searchQuery.trim()) {
@@ -347,6 +343,8 @@ const LiquidityLock = () => {
                                     </span>
                                 </div>
 
+                                <FeePicker action="lock.lockTokens" />
+
                                 <button
                                     type="button"
                                     className="btn btn-primary w-full mt-md"
@@ -512,6 +510,17 @@ const LiquidityLock = () => {
                             })}
                         </div>
                     )}
+
+                    {!loadingLocks && (
+                        <ListSentinel
+                            sentinelRef={locksSentinelRef}
+                            hasMore={moreLocks}
+                            loadingMore={loadingMoreLocks}
+                            onLoadMore={loadMoreLocks}
+                            loaded={locksScanned}
+                            total={lockTotal}
+                        />
+                    )}
                 </div>
             </div>
         </div>
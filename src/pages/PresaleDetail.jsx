@@ -5,7 +5,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { presaleService } from '../services/PresaleService';
-import { recordTransaction, TX_TYPES } from '../services/txHistory';
+import { recordTransaction, TX_TYPES } from '../services/txLedger';
 import { opnetProvider } from '../services/opnetProvider';
 import { useWallet } from '../contexts/WalletContext';
 import { useToast } from '../components/Toast';
@@ -13,6 +13,9 @@ import AddressDisplay from '../components/AddressDisplay';
 import StatusBadge from '../components/StatusBadge';
 import BlockCountdown from '../components/BlockCountdown';
 import ProgressBar from '../components/ProgressBar';
+import FeePicker from '../components/FeePicker';
+import WhitelistManager from '../components/Presale/WhitelistManager';
+import ContributorsPanel from '../components/Presale/ContributorsPanel';
 import { blocksToHumanTime } from '../services/blockTime';
 import {
     ArrowLeft, Shield, Lock, AlertTriangle, Users, Bot,
@@ -43,6 +46,7 @@ const PresaleDetail = () => {
     const [loading, setLoading] = useState(true);
     const [currentBlock, setCurrentBlock] = useState(0);
     const [showDetails, setShowDetails] = useState(false);
+    const [activeTab, setActiveTab] = useState('overview');
 
     const decodedAddress = decodeURIComponent(presaleAddress);
 
@@ -155,6 +159,13 @@ const PresaleDetail = () => {
         setClaiming(true);
         try {
             const result = await presaleService.claimTokens(decodedAddress, address);
+            recordTransaction({
+                type: TX_TYPES.CLAIM_PRESALE,
+                txHash: result?.txHash || null,
+                address,
+                details: { presaleAddress: decodedAddress },
+                status: 'pending',
+            });
             toast.success(`Claimed ${result.tokenAmount} tokens!`);
             await loadPresaleData();
         } catch (error) {
@@ -354,166 +365,198 @@ const PresaleDetail = () => {
                 <div className="pd-grid">
                     {/* ── Left Column ── */}
                     <div className="pd-left">
-                        {/* Progress Card */}
-                        <div className="pd-card pd-progress-card">
-                            <div className="pd-card-header">
-                                <h2><Zap size={20} /> Raise Progress</h2>
-                            </div>
-
-                            <div className="pd-big-progress">
-                                <div className="pd-big-progress-track">
-                                    <div
-                                        className="pd-big-progress-fill"
-                                        style={{ width: `${fillPercent}%` }}
-                                    />
-                                    {softCap > 0 && softCap < hardCap && (
-                                        <div
-                                            className="pd-soft-cap-marker"
-                                            style={{ left: `${(softCap / hardCap) * 100}%` }}
-                                        >
-                                            <span className="pd-soft-cap-label">Soft Cap</span>
-                                        </div>
-                                    )}
-                                </div>
-                                <div className="pd-progress-numbers">
-                                    <span className="pd-raised-amount">{raised.toLocaleString()} sats</span>
-                                    <span className="pd-cap-amount">{hardCap.toLocaleString()} sats</span>
-                                </div>
+                        {isCreator && (
+                            <div className="pd-tabs">
+                                <button
+                                    className={`pd-tab ${activeTab === 'overview' ? 'active' : ''}`}
+                                    onClick={() => setActiveTab('overview')}
+                                >
+                                    Overview
+                                </button>
+                                <button
+                                    className={`pd-tab ${activeTab === 'contributors' ? 'active' : ''}`}
+                                    onClick={() => setActiveTab('contributors')}
+                                >
+                                    <Users size={14} /> Contributors ({contributorCount})
+                                </button>
                             </div>
+                        )}
 
-                            {softCap > 0 && (
-                                <div className={`pd-soft-cap-badge ${softCapMet ? 'met' : ''}`}>
-                                    {softCapMet ? <Shield size={14} /> : <Target size={14} />}
-                                    Soft Cap: {softCap.toLocaleString()} sats
-                                    {softCapMet && <span className="pd-met-tag">MET</span>}
-                                </div>
-                            )}
-
-                            {/* Countdown */}
-                            {currentBlock > 0 && (status === 'upcoming' || status === 'live' || status === 'active') && (
-                                <div className="pd-countdown-area">
-                                    <BlockCountdown
-                                        targetBlock={status === 'upcoming' ? presale.startBlock : presale.endBlock}
-                                        currentBlock={currentBlock}
-                                        label={status === 'upcoming' ? 'Starts in' : 'Ends in'}
-                                    />
-                                </div>
-                            )}
-                        </div>
-
-                        {/* Your Position Card */}
-                        {connected && hasContribution && (
-                            <div className="pd-card pd-position-card">
+                        {isCreator && activeTab === 'contributors' ? (
+                            <ContributorsPanel
+                                presaleAddress={decodedAddress}
+                                tokenInfo={tokenInfo}
+                                tokenAddress={presale.token}
+                            />
+                        ) : (
+                            <>
+                            {/* Progress Card */}
+                            <div className="pd-card pd-progress-card">
                                 <div className="pd-card-header">
-                                    <h2><Wallet size={20} /> Your Position</h2>
+                                    <h2><Zap size={20} /> Raise Progress</h2>
                                 </div>
-                                <div className="pd-position-grid">
-                                    <div className="pd-position-item">
-                                        <span className="pd-position-label">Contributed</span>
-                                        <span className="pd-position-value orange">{Number(myContribution).toLocaleString()} sats</span>
+
+                                <div className="pd-big-progress">
+                                    <div className="pd-big-progress-track">
+                                        <div
+                                            className="pd-big-progress-fill"
+                                            style={{ width: `${fillPercent}%` }}
+                                        />
+                                        {softCap > 0 && softCap < hardCap && (
+                                            <div
+                                                className="pd-soft-cap-marker"
+                                                style={{ left: `${(softCap / hardCap) * 100}%` }}
+                                            >
+                                                <span className="pd-soft-cap-label">Soft Cap</span>
+                                            </div>
+                                        )}
                                     </div>
-                                    <div className="pd-position-item">
-                                        <span className="pd-position-label">Claimable Now</span>
-                                        <span className="pd-position-value green">{Number(myClaimable).toLocaleString()} tokens</span>
+                                    <div className="pd-progress-numbers">
+                                        <span className="pd-raised-amount">{raised.toLocaleString()} sats</span>
+                                        <span className="pd-cap-amount">{hardCap.toLocaleString()} sats</span>
                                     </div>
                                 </div>
 
-                                {presaleEnded && softCapMet && !presale.cancelled && (
-                                    <button
-                                        className="btn btn-primary w-full pd-claim-btn"
-                                        onClick={handleClaim}
-                                        disabled={claiming || !hasClaimable}
-                                    >
-                                        <Coins size={18} />
-                                        {claiming ? 'Claiming...' :
-                                         hasClaimable ? `Claim ${Number(myClaimable).toLocaleString()} Tokens` :
-                                         'Nothing to Claim'}
-                                    </button>
+                                {softCap > 0 && (
+                                    <div className={`pd-soft-cap-badge ${softCapMet ? 'met' : ''}`}>
+                                        {softCapMet ? <Shield size={14} /> : <Target size={14} />}
+                                        Soft Cap: {softCap.toLocaleString()} sats
+                                        {softCapMet && <span className="pd-met-tag">MET</span>}
+                                    </div>
                                 )}
-                            </div>
-                        )}
 
-                        {/* Contract Details (collapsible) */}
-                        <div className="pd-card pd-details-card">
-                            <button
-                                className="pd-details-toggle"
-                                onClick={() => setShowDetails(!showDetails)}
-                            >
-                                <h2>Contract Details</h2>
-                                {showDetails ? <ChevronUp size={20} /> : <ChevronDown size={20} />}
-                            </button>
-
-                            {showDetails && (
-                                <div className="pd-details-body">
-                                    <div className="pd-detail-row">
-                                        <span>Token Address</span>
-                                        <AddressDisplay address={presale.token || ''} truncate={true} copyable={true} startChars={10} endChars={6} />
-                                    </div>
-                                    <div className="pd-detail-row">
-                                        <span>Presale Contract</span>
-                                        <AddressDisplay address={decodedAddress} truncate={true} copyable={true} startChars={10} endChars={6} />
-                                    </div>
-                                    <div className="pd-detail-row">
-                                        <span>Creator</span>
-                                        <AddressDisplay address={presale.creator || ''} truncate={true} copyable={true} startChars={10} endChars={6} />
-                                    </div>
-                                    <div className="pd-detail-row">
-                                        <span>Token Rate</span>
-                                        <span className="pd-detail-val">{presale.rate} tokens/sat</span>
-                                    </div>
-                                    <div className="pd-detail-row">
-                                        <span>Min Buy</span>
-                                        <span className="pd-detail-val">{minBuy.toLocaleString()} sats</span>
-                                    </div>
-                                    <div className="pd-detail-row">
-                                        <span>Max Buy</span>
-                                        <span className="pd-detail-val">{maxBuy.toLocaleString()} sats</span>
+                                {/* Countdown */}
+                                {currentBlock > 0 && (status === 'upcoming' || status === 'live' || status === 'active') && (
+                                    <div className="pd-countdown-area">
+                                        <BlockCountdown
+                                            targetBlock={status === 'upcoming' ? presale.startBlock : presale.endBlock}
+                                            currentBlock={currentBlock}
+                                            label={status === 'upcoming' ? 'Starts in' : 'Ends in'}
+                                        />
                                     </div>
-                                    <div className="pd-detail-row">
-                                        <span>Start Block</span>
-                                        <span className="pd-detail-val font-mono">#{(presale.startBlock || 0).toLocaleString()}</span>
+                                )}
+                            </div>
+
+                            {/* Your Position Card */}
+                            {connected && hasContribution && (
+                                <div className="pd-card pd-position-card">
+                                    <div className="pd-card-header">
+                                        <h2><Wallet size={20} /> Your Position</h2>
                                     </div>
-                                    <div className="pd-detail-row">
-                                        <span>End Block</span>
-                                        <span className="pd-detail-val font-mono">#{(presale.endBlock || 0).toLocaleString()}</span>
+                                    <div className="pd-position-grid">
+                                        <div className="pd-position-item">
+                                            <span className="pd-position-label">Contributed</span>
+                                            <span className="pd-position-value orange">{Number(myContribution).toLocaleString()} sats</span>
+                                        </div>
+                                        <div className="pd-position-item">
+                                            <span className="pd-position-label">Claimable Now</span>
+                                            <span className="pd-position-value green">{Number(myClaimable).toLocaleString()} tokens</span>
+                                        </div>
                                     </div>
 
-                                    {/* Anti-bot */}
-                                    {antiBotConfig && Number(antiBotConfig.maxPerBlock) > 0 && (
-                                        <>
-                                            <div className="pd-detail-section-label">
-                                                <Bot size={14} /> Anti-Bot Protection
-                                            </div>
-                                            <div className="pd-detail-row">
-                                                <span>Max Contributions / Block</span>
-                                                <span className="pd-detail-val">{antiBotConfig.maxPerBlock}</span>
-                                            </div>
-                                        </>
-                                    )}
-
-                                    {/* Vesting */}
-                                    {vestingInfo && vestingInfo.enabled && (
-                                        <>
-                                            <div className="pd-detail-section-label">
-                                                <Lock size={14} /> Vesting Schedule
-                                            </div>
-                                            <div className="pd-detail-row">
-                                                <span>TGE Release</span>
-                                                <span className="pd-detail-val">{(Number(vestingInfo.tgeBps) / 100).toFixed(1)}%</span>
-                                            </div>
-                                            <div className="pd-detail-row">
-                                                <span>Cliff Duration</span>
-                                                <span className="pd-detail-val">{blocksToHumanTime(Number(vestingInfo.cliffBlocks || vestingInfo.cliff || 0))}</span>
-                                            </div>
-                                            <div className="pd-detail-row">
-                                                <span>Vesting Duration</span>
-                                                <span className="pd-detail-val">{blocksToHumanTime(Number(vestingInfo.durationBlocks || vestingInfo.duration || 0))}</span>
-                                            </div>
-                                        </>
+                                    {presaleEnded && softCapMet && !presale.cancelled && (
+                                        <button
+                                            className="btn btn-primary w-full pd-claim-btn"
+                                            onClick={handleClaim}
+                                            disabled={claiming || !hasClaimable}
+                                        >
+                                            <Coins size={18} />
+                                            {claiming ? 'Claiming...' :
+                                             hasClaimable ? `Claim ${Number(myClaimable).toLocaleString()} Tokens` :
+                                             'Nothing to Claim'}
+                                        </button>
                                     )}
                                 </div>
                             )}
-                        </div>
+
+                            {/* Whitelist (creator only) */}
+                            {isCreator && !presale.cancelled && !presale.finalized && (
+                                <WhitelistManager presaleAddress={decodedAddress} creatorAddress={address} />
+                            )}
+
+                            {/* Contract Details (collapsible) */}
+                            <div className="pd-card pd-details-card">
+                                <button
+                                    className="pd-details-toggle"
+                                    onClick={() => setShowDetails(!showDetails)}
+                                >
+                                    <h2>Contract Details</h2>
+                                    {showDetails ? <ChevronUp size={20} /> : <ChevronDown size={20} />}
+                                </button>
+
+                                {showDetails && (
+                                    <div className="pd-details-body">
+                                        <div className="pd-detail-row">
+                                            <span>Token Address</span>
+                                            <AddressDisplay address={presale.token || ''} truncate={true} copyable={true} startChars={10} endChars={6} />
+                                        </div>
+                                        <div className="pd-detail-row">
+                                            <span>Presale Contract</span>
+                                            <AddressDisplay address={decodedAddress} truncate={true} copyable={true} startChars={10} endChars={6} />
+                                        </div>
+                                        <div className="pd-detail-row">
+                                            <span>Creator</span>
+                                            <AddressDisplay address={presale.creator || ''} truncate={true} copyable={true} startChars={10} endChars={6} />
+                                        </div>
+                                        <div className="pd-detail-row">
+                                            <span>Token Rate</span>
+                                            <span className="pd-detail-val">{presale.rate} tokens/sat</span>
+                                        </div>
+                                        <div className="pd-detail-row">
+                                            <span>Min Buy</span>
+                                            <span className="pd-detail-val">{minBuy.toLocaleString()} sats</span>
+                                        </div>
+                                        <div className="pd-detail-row">
+                                            <span>Max Buy</span>
+                                            <span className="pd-detail-val">{maxBuy.toLocaleString()} sats</span>
+                                        </div>
+                                        <div className="pd-detail-row">
+                                            <span>Start Block</span>
+                                            <span className="pd-detail-val font-mono">#{(presale.startBlock || 0).toLocaleString()}</span>
+                                        </div>
+                                        <div className="pd-detail-row">
+                                            <span>End Block</span>
+                                            <span className="pd-detail-val font-mono">#{(presale.endBlock || 0).toLocaleString()}</span>
+                                        </div>
+
+                                        {/* Anti-bot */}
+                                        {antiBotConfig && Number(antiBotConfig.maxPerBlock) > 0 && (
+                                            <>
+                                                <div className="pd-detail-section-label">
+                                                    <Bot size={14} /> Anti-Bot Protection
+                                                </div>
+                                                <div className="pd-detail-row">
+                                                    <span>Max Contributions / Block</span>
+                                                    <span className="pd-detail-val">{antiBotConfig.maxPerBlock}</span>
+                                                </div>
+                                            </>
+                                        )}
+
+                                        {/* Vesting */}
+                                        {vestingInfo && vestingInfo.enabled && (
+                                            <>
+                                                <div className="pd-detail-section-label">
+                                                    <Lock size={14} /> Vesting Schedule
+                                                </div>
+                                                <div className="pd-detail-row">
+                                                    <span>TGE Release</span>
+                                                    <span className="pd-detail-val">{(Number(vestingInfo.tgeBps) / 100).toFixed(1)}%</span>
+                                                </div>
+                                                <div className="pd-detail-row">
+                                                    <span>Cliff Duration</span>
+                                                    <span className="pd-detail-val">{blocksToHumanTime(Number(vestingInfo.cliffBlocks || vestingInfo.cliff || 0))}</span>
+                                                </div>
+                                                <div className="pd-detail-row">
+                                                    <span>Vesting Duration</span>
+                                                    <span className="pd-detail-val">{blocksToHumanTime(Number(vestingInfo.durationBlocks || vestingInfo.duration || 0))}</span>
+                                                </div>
+                                            </>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                            </>
+                        )}
                     </div>
 
                     {/* ── Right Column (Sticky Action Panel) ── */}
@@ -641,6 +684,8 @@ const PresaleDetail = () => {
                                 </div>
                             )}
 
+                            <FeePicker action="presale.contribute" />
+
                             <div className="pd-gas-note">
                                 <Coins size={14} />
                                 Ensure you have enough BTC for gas fees
@@ -0,0 +1,345 @@
+// BitLaunch - Token Detail Page
+// Everything about one token: metadata, owner, free mint, the presales,
+// vesting schedules, locks and airdrops that use it, and a supply breakdown
+// Route: /token/:address
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { loadTokenOverview, SUPPLY_CATEGORIES } from '../services/tokenOverview';
+import { presaleService } from '../services/PresaleService';
+import { liquidityLockService } from '../services/LiquidityLockService';
+import { opnetProvider } from '../services/opnetProvider';
+import { formatTokenAmount } from '../services/formatters';
+import EmptyState from '../components/EmptyState';
+import StatusBadge from '../components/StatusBadge';
+import AddressDisplay from '../components/AddressDisplay';
+import TokenLogo from '../components/TokenLogo';
+import TokenProfile from '../components/TokenProfile';
+import {
+    Coins, ArrowLeft, XCircle, Gift, Settings, PieChart, ShoppingBag,
+    Calendar, Lock, RefreshCw,
+} from 'lucide-react';
+import useScrollAnimation from '../hooks/useScrollAnimation';
+import '../styles/token.css';
+
+/** Share of total in percent, to two decimals. */
+const percentOf = (part, total) => {
+    const t = BigInt(total || 0);
+    if (t === 0n) return 0;
+    return Number((BigInt(part || 0) * 10000n) / t) / 100;
+};
+
+const TokenDetail = () => {
+    const { address: tokenAddress } = useParams();
+    useScrollAnimation();
+
+    const [overview, setOverview] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [currentBlock, setCurrentBlock] = useState(0);
+
+    const loadOverview = useCallback(async () => {
+        setLoading(true);
+        try {
+            const provider = opnetProvider.getProvider();
+            const [data, block] = await Promise.all([
+                loadTokenOverview(tokenAddress),
+                provider?.getBlockNumber ? provider.getBlockNumber().catch(() => 0) : 0,
+            ]);
+            setOverview(data);
+            setCurrentBlock(Number(block));
+        } catch (err) {
+            console.warn('Failed to load token overview:', err.message);
+            setOverview(null);
+        } finally {
+            setLoading(false);
+        }
+    }, [tokenAddress]);
+
+    useEffect(() => {
+        loadOverview();
+    }, [loadOverview]);
+
+    const renderShell = (content) => (
+        <div className="token-page page-transition">
+            <section className="page-hero">
+                <div className="page-hero-orb orb-1" />
+                <div className="page-hero-orb orb-2" />
+                <div className="page-hero-grid" />
+                <div className="page-hero-content">
+                    <div className="page-hero-icon blue">
+                        <Coins size={28} />
+                    </div>
+                    <h1 className="page-hero-title">Token Details</h1>
+                    <p className="page-hero-subtitle">Supply, ownership and every BitLaunch contract holding this token</p>
+                </div>
+            </section>
+            <div className="token-container">
+                <Link to="/explore/tokens" className="back-btn flex items-center gap-sm mb-lg">
+                    <ArrowLeft size={16} /> Back to Tokens
+                </Link>
+                {content}
+            </div>
+        </div>
+    );
+
+    if (loading) {
+        return renderShell(
+            <div className="text-center text-muted py-xl">
+                <div className="loading-spinner" style={{ margin: '0 auto 1rem' }}></div>
+                <p>Loading token and scanning BitLaunch contracts...</p>
+            </div>
+        );
+    }
+
+    if (!overview) {
+        return renderShell(
+            <EmptyState
+                icon={XCircle}
+                title="Token Not Found"
+                description="This token does not exist on the current network or could not be loaded."
+                size="lg"
+            />
+        );
+    }
+
+    const { token, profile, supply, freeMint, presales, schedules, locks, airdrops } = overview;
+    const fmt = (raw) => `${formatTokenAmount(raw, token.decimals)} ${token.symbol}`;
+
+    return renderShell(
+        <>
+            {/* Overview */}
+            <div className="token-card animate-on-scroll">
+                <div className="token-card-header">
+                    <div className="token-title">
+                        <div className="token-title-logo">
+                            <TokenLogo profile={profile?.profile} symbol={token.symbol} chars={2} />
+                        </div>
+                        <div>
+                            <h2>{token.name}</h2>
+                            <span className="text-muted">${token.symbol}</span>
+                        </div>
+                    </div>
+                    <div className="token-header-actions">
+                        <button className="btn btn-ghost btn-sm" onClick={loadOverview}>
+                            <RefreshCw size={14} />
+                        </button>
+                        {token.isTemplate && (
+                            <Link to={`/token/${tokenAddress}/manage`} className="btn btn-secondary btn-sm">
+                                <Settings size={14} />
+                                <span>Manage</span>
+                            </Link>
+                        )}
+                    </div>
+                </div>
+                {profile && (
+                    <div className="mb-md">
+                        <TokenProfile result={profile} />
+                    </div>
+                )}
+                <div className="info-table">
+                    <div className="info-row">
+                        <span className="info-label">Contract</span>
+                        <span className="info-value">
+                            <AddressDisplay address={tokenAddress} truncate={true} copyable={true} startChars={10} endChars={6} />
+                        </span>
+                    </div>
+                    <div className="info-row">
+                        <span className="info-label">Decimals</span>
+                        <span className="info-value">{token.decimals}</span>
+                    </div>
+                    <div className="info-row">
+                        <span className="info-label">Total Supply</span>
+                        <span className="info-value">{fmt(token.totalSupply)}</span>
+                    </div>
+                    {token.maxSupply && (
+                        <div className="info-row">
+                            <span className="info-label">Max Supply</span>
+                            <span className="info-value">{fmt(token.maxSupply)}</span>
+                        </div>
+                    )}
+                    <div className="info-row">
+                        <span className="info-label">Deployer</span>
+                        <span className="info-value">
+                            {overview.deployer ? (
+                                <AddressDisplay address={overview.deployer} truncate={true} copyable={true} startChars={10} endChars={6} />
+                            ) : 'Not deployed by the BitLaunch factory'}
+                        </span>
+                    </div>
+                    {overview.owner && (
+                        <div className="info-row">
+                            <span className="info-label">Owner</span>
+                            <span className="info-value">
+                                <AddressDisplay address={overview.owner} truncate={true} copyable={true} startChars={10} endChars={6} />
+                            </span>
+                        </div>
+                    )}
+                    <div className="info-row">
+                        <span className="info-label">Burning</span>
+                        <span className="info-value">{token.burnEnabled ? 'Enabled' : 'Disabled'}</span>
+                    </div>
+                    {token.paused && (
+                        <div className="info-row">
+                            <span className="info-label">Transfers</span>
+                            <span className="info-value">Paused</span>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {/* Free mint */}
+            {freeMint && (
+                <div className="token-card animate-on-scroll">
+                    <div className="token-card-header">
+                        <h3><Gift size={18} /> Free Mint</h3>
+                        <Link to={`/mint/${tokenAddress}`} className="btn btn-primary btn-sm">
+                            <Gift size={14} />
+                            <span>Mint</span>
+                        </Link>
+                    </div>
+                    <div className="info-table">
+                        <div className="info-row">
+                            <span className="info-label">Remaining</span>
+                            <span className="info-value">{fmt(freeMint.remaining)} of {fmt(freeMint.totalSupply)}</span>
+                        </div>
+                        <div className="info-row">
+                            <span className="info-label">Per Transaction</span>
+                            <span className="info-value">{fmt(freeMint.perTx)}</span>
+                        </div>
+                        <div className="info-row">
+                            <span className="info-label">Per Wallet</span>
+                            <span className="info-value">{BigInt(freeMint.userCap) > 0n ? fmt(freeMint.userCap) : 'No limit'}</span>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Presales */}
+            <div className="token-card animate-on-scroll">
+                <h3><ShoppingBag size={18} /> Presales ({presales.length})</h3>
+                {presales.length === 0 ? (
+                    <p className="text-muted text-sm">No presales for this token.</p>
+                ) : (
+                    <div className="token-record-list">
+                        {presales.map(p => (
+                            <Link key={p.presaleAddress} to={`/presale/${p.presaleAddress}`} className="token-record">
+                                <AddressDisplay address={p.presaleAddress} truncate={true} startChars={10} endChars={6} />
+                                <span className="text-muted text-sm">
+                                    {p.startBlock !== undefined
+                                        ? `${formatTokenAmount(p.totalRaised, 8)} / ${formatTokenAmount(p.hardCap, 8)} BTC raised`
+                                        : 'Presale info unavailable'}
+                                </span>
+                                <span className="token-record-amount">{fmt(p.held)}</span>
+                                {p.startBlock !== undefined && currentBlock > 0 && (
+                                    <StatusBadge status={presaleService.getPresaleStatus(p, currentBlock)} size="sm" />
+                                )}
+                            </Link>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {/* Vesting */}
+            <div className="token-card animate-on-scroll">
+                <h3><Calendar size={18} /> Vesting Schedules ({schedules.length})</h3>
+                {schedules.length === 0 ? (
+                    <p className="text-muted text-sm">No vesting schedules for this token.</p>
+                ) : (
+                    <div className="token-record-list">
+                        {schedules.map(s => (
+                            <div key={s.id} className="token-record">
+                                <span>#{s.id}</span>
+                                <AddressDisplay address={String(s.beneficiary)} truncate={true} startChars={10} endChars={6} />
+                                <span className="text-muted text-sm">
+                                    {fmt(s.claimedAmount)} of {fmt(s.totalAmount)} claimed
+                                </span>
+                                {s.revoked && <StatusBadge status="revoked" size="sm" />}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {/* Locks */}
+            <div className="token-card animate-on-scroll">
+                <h3><Lock size={18} /> Liquidity Locks ({locks.length})</h3>
+                {locks.length === 0 ? (
+                    <p className="text-muted text-sm">No locks for this token.</p>
+                ) : (
+                    <div className="token-record-list">
+                        {locks.map(l => (
+                            <div key={l.id} className="token-record">
+                                <span>#{l.id}</span>
+                                <AddressDisplay address={String(l.owner)} truncate={true} startChars={10} endChars={6} />
+                                <span className="text-muted text-sm">Unlocks at block #{l.unlockBlock.toLocaleString()}</span>
+                                <span className="token-record-amount">{fmt(liquidityLockService.getRemainingAmount(l))}</span>
+                                {currentBlock > 0 && (
+                                    <StatusBadge status={liquidityLockService.getLockStatus(l, currentBlock)} size="sm" />
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {/* Airdrops */}
+            <div className="token-card animate-on-scroll">
+                <h3><Gift size={18} /> Airdrops ({airdrops.length})</h3>
+                {airdrops.length === 0 ? (
+                    <p className="text-muted text-sm">No airdrops for this token.</p>
+                ) : (
+                    <div className="token-record-list">
+                        {airdrops.map(a => (
+                            <Link key={a.id} to={`/airdrop/${a.id}`} className="token-record">
+                                <span>Airdrop #{a.id}</span>
+                                <span className="text-muted text-sm">
+                                    {fmt(a.claimedAmount)} of {fmt(a.totalAmount)} claimed
+                                </span>
+                                {a.cancelled ? (
+                                    <StatusBadge status="cancelled" size="sm" />
+                                ) : currentBlock > a.expiryBlock && (
+                                    <StatusBadge status="expired" size="sm" />
+                                )}
+                            </Link>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {/* Supply breakdown */}
+            <div className="token-card animate-on-scroll">
+                <h3><PieChart size={18} /> Supply Breakdown</h3>
+                <div className="supply-bar">
+                    {SUPPLY_CATEGORIES.map(({ key, label }) => {
+                        const pct = percentOf(supply[key], supply.total);
+                        return pct > 0 ? (
+                            <div
+                                key={key}
+                                className={`supply-bar-segment supply-${key}`}
+                                style={{ width: `${pct}%` }}
+                                title={`${label}: ${pct}%`}
+                            />
+                        ) : null;
+                    })}
+                </div>
+                <div className="info-table mt-md">
+                    {SUPPLY_CATEGORIES.map(({ key, label }) => (
+                        <div key={key} className="info-row">
+                            <span className="info-label">
+                                <span className={`supply-dot supply-${key}`} /> {label}
+                            </span>
+                            <span className="info-value">
+                                {fmt(supply[key])}
+                                <span className="text-muted text-sm">{percentOf(supply[key], supply.total)}%</span>
+                            </span>
+                        </div>
+                    ))}
+                </div>
+                <p className="text-muted text-sm mt-md">
+                    Amounts held by the BitLaunch lock, vesting, presale and airdrop contracts.
+                    Presale balances include tokens sold but not yet claimed. Everything else counts as circulating.
+                </p>
+            </div>
+        </>
+    );
+};
+
+export default TokenDetail;
@@ -1,80 +1,85 @@
 // BitLaunch - Token Directory Page (V2)
 // Browse all factory-deployed tokens
 // Route: /explore/tokens
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { useWallet } from '../contexts/WalletContext';
 import { useToast } from '../components/Toast';
 import { factoryService } from '../services/FactoryService';
 import { airdropService } from '../services/AirdropService';
-import { opnetProvider } from '../services/opnetProvider';
 import { getAllRegisteredTokens } from '../services/tokenRegistry';
+import { loadTokenProfile, reloadTokenProfiles } from '../services/tokenProfiles';
+import { mapWithConcurrency } from '../services/concurrency';
 import EmptyState from '../components/EmptyState';
 import AddressDisplay from '../components/AddressDisplay';
-import { Coins, Search, ArrowLeft, ExternalLink, Copy, RefreshCw, Hash, Layers } from 'lucide-react';
+import ListSentinel from '../components/ListSentinel';
+import TokenLogo from '../components/TokenLogo';
+import TokenProfile from '../components/TokenProfile';
+import { Coins, Search, ArrowLeft, ArrowRight, ExternalLink, Copy, RefreshCw, Hash, Layers } from 'lucide-react';
 import useScrollAnimation from '../hooks/useScrollAnimation';
+import usePagedList from '../hooks/usePagedList';
 import '../styles/directory.css';
 
+const PAGE_SIZE = 24;
+const METADATA_CONCURRENCY = 8;
+
+const loadTokenMetadata = async (addr) => {
+    const profile = loadTokenProfile(addr);
+    try {
+        const info = await airdropService.fetchTokenInfo(addr);
+        return {
+            address: addr,
+            name: info.name || 'Unknown',
+            symbol: info.symbol || '???',
+            decimals: info.decimals || 8,
+            profile: await profile,
+        };
+    } catch {
+        return {
+            address: addr,
+            name: 'Unknown',
+            symbol: '???',
+            decimals: 8,
+            profile: await profile,
+        };
+    }
+};
+
 const TokenDirectory = () => {
     const { address } = useWallet();
     const toast = useToast();
     useScrollAnimation();
 
-    const [tokens, setTokens] = useState([]);
-    const [loading, setLoading] = useState(true);
     const [searchQuery, setSearchQuery] = useState('');
     const [refreshing, setRefreshing] = useState(false);
 
-    const loadTokens = useCallback(async (showSpinner = true) => {
-        if (showSpinner) setLoading(true);
-        try {
-            // Primary: fetch all token addresses directly from factory contract on-chain
-            let addresses = [];
-            try {
-                addresses = await factoryService.getAllDeployedTokenAddresses();
-            } catch (err) {
-                console.warn('Chain fetch failed, falling back to cache:', err.message);
-                addresses = getAllRegisteredTokens();
-            }
-
-            // Fetch metadata in parallel (much faster than sequential)
-            const tokenList = await Promise.all(
-                addresses.map(async (addr) => {
-                    try {
-                        const info = await airdropService.fetchTokenInfo(addr);
-                        return {
-                            address: addr,
-                            name: info.name || 'Unknown',
-                            symbol: info.symbol || '???',
-                            decimals: info.decimals || 8,
-                        };
-                    } catch {
-                        return {
-                            address: addr,
-                            name: 'Unknown',
-                            symbol: '???',
-                            decimals: 8,
-                        };
-                    }
-                })
-            );
-
-            setTokens(tokenList);
+    const fetchPage = useCallback(async (offset, limit) => {
+        // Primary: page through token addresses from the factory contract on-chain
+        let page = await factoryService.getDeployedTokensPage(offset, limit);
 
+        // Fallback: locally registered tokens when the factory has none (or is not configured)
+        if (offset === 0 && page.total === 0) {
+            const cached = getAllRegisteredTokens();
+            page = { items: cached, total: cached.length, nextOffset: cached.length, hasMore: false };
+        } else if (offset === 0) {
             // Background: sync to localStorage for other services that need it
             factoryService.syncTokenRegistry().catch(() => {});
-        } catch {
-            setTokens([]);
-        } finally {
-            setLoading(false);
         }
+
+        const items = await mapWithConcurrency(page.items, METADATA_CONCURRENCY, loadTokenMetadata);
+        return { ...page, items };
     }, []);
 
+    const {
+        items: tokens, total, scanned, hasMore, loading, loadingMore, loadMore, reload, sentinelRef,
+    } = usePagedList(fetchPage, { pageSize: PAGE_SIZE });
+
     const handleRefresh = async () => {
         setRefreshing(true);
         try {
             await factoryService.syncTokenRegistry(address || undefined);
-            await loadTokens(false); // don't show full-page spinner on refresh
+            reloadTokenProfiles();
+            await reload();
             toast.success('Token list refreshed');
         } catch {
             toast.error('Failed to sync tokens');
@@ -83,10 +88,6 @@ const TokenDirectory = () => {
         }
     };
 
-    useEffect(() => {
-        loadTokens();
-    }, [loadTokens]);
-
     const filteredTokens = searchQuery.trim()
         ? tokens.filter(t =>
             t.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -167,7 +168,7 @@ const TokenDirectory = () => {
                             <div key={token.address || i} className="token-dir-card">
                                 <div className="token-dir-header">
                                     <div className="token-dir-icon">
-                                        {(token.symbol || '?')[0]}
+                                        <TokenLogo profile={token.profile?.profile} symbol={token.symbol} />
                                     </div>
                                     <div className="token-dir-info">
                                         <div className="token-dir-name">{token.name}</div>
@@ -176,6 +177,11 @@ const TokenDirectory = () => {
                                     <span className="token-dir-badge">OP20</span>
                                 </div>
                                 <div className="token-dir-body">
+                                    {token.profile && (
+                                        <div className="mb-md">
+                                            <TokenProfile result={token.profile} compact={true} />
+                                        </div>
+                                    )}
                                     <div className="token-dir-address">
                                         <AddressDisplay
                                             address={token.address}
@@ -197,15 +203,31 @@ const TokenDirectory = () => {
                                             <strong>OP_20</strong>
                                         </div>
                                     </div>
+                                    <Link to={`/token/${token.address}`} className="btn btn-ghost btn-sm">
+                                        <span>Details</span>
+                                        <ArrowRight size={14} />
+                                    </Link>
                                 </div>
                             </div>
                         ))}
                     </div>
                 )}
 
+                {!loading && (
+                    <ListSentinel
+                        sentinelRef={sentinelRef}
+                        hasMore={hasMore}
+                        loadingMore={loadingMore}
+                        onLoadMore={loadMore}
+                        loaded={scanned}
+                        total={total}
+                    />
+                )}
+
                 <div className="directory-footer text-center text-muted text-sm mt-xl">
                     {filteredTokens.length} token{filteredTokens.length !== 1 ? 's' : ''} found
                     {searchQuery && ` matching "${searchQuery}"`}
+                    {hasMore && ` (${scanned} of ${total} loaded)`}
                 </div>
             </div>
         </div>
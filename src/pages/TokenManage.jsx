@@ -0,0 +1,530 @@
+// BitLaunch - Token Admin Page
+// Owner/minter console for tokens deployed by the OP20 Factory
+// Route: /token/:address/manage
+// Every action is simulated first; the confirmation panel lists what the
+// transaction changes before the wallet is asked to sign.
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useWallet } from '../contexts/WalletContext';
+import { useToast } from '../components/Toast';
+import { tokenService } from '../services/TokenService';
+import { recordTransaction, TX_TYPES } from '../services/txLedger';
+import { formatTokenAmount, parseTokenAmount } from '../services/formatters';
+import { validateAddress } from '../services/validation';
+import {
+    createTokenProfile, signTokenProfile, saveTokenProfile, canSaveTokenProfiles,
+    downloadTokenProfile, loadTokenProfile, PROFILE_LINKS, MAX_DESCRIPTION_LENGTH,
+} from '../services/tokenProfiles';
+import EmptyState from '../components/EmptyState';
+import StatusBadge from '../components/StatusBadge';
+import AddressDisplay from '../components/AddressDisplay';
+import FeePicker from '../components/FeePicker';
+import TokenProfile from '../components/TokenProfile';
+import {
+    Settings, Wallet, ArrowLeft, XCircle, AlertTriangle, Coins, Flame,
+    Pause, Play, UserPlus, UserMinus, Repeat, Ban, ShieldCheck, FileSignature,
+} from 'lucide-react';
+import useScrollAnimation from '../hooks/useScrollAnimation';
+import '../styles/token.css';
+
+// prepared.action → ledger type
+const ACTION_TX_TYPES = {
+    mint: TX_TYPES.MINT_TOKENS,
+    burn: TX_TYPES.BURN_TOKENS,
+    pause: TX_TYPES.PAUSE_TOKEN,
+    unpause: TX_TYPES.UNPAUSE_TOKEN,
+    grantMinterRole: TX_TYPES.GRANT_MINTER,
+    revokeMinterRole: TX_TYPES.REVOKE_MINTER,
+    transferTokenOwner: TX_TYPES.TRANSFER_TOKEN_OWNER,
+    renounceOwnership: TX_TYPES.RENOUNCE_TOKEN_OWNER,
+};
+
+const TokenManage = () => {
+    const { address: tokenAddress } = useParams();
+    const { connected, connect, address, publicKey } = useWallet();
+    const toast = useToast();
+    useScrollAnimation();
+
+    const [info, setInfo] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [reviewing, setReviewing] = useState(false);
+    const [sending, setSending] = useState(false);
+    // { prepared: PreparedTokenAction, details: Object }
+    const [pending, setPending] = useState(null);
+
+    const [mintTo, setMintTo] = useState('');
+    const [mintAmount, setMintAmount] = useState('');
+    const [burnAmount, setBurnAmount] = useState('');
+    const [minterAddress, setMinterAddress] = useState('');
+    const [newOwner, setNewOwner] = useState('');
+
+    const [profileResult, setProfileResult] = useState(null);
+    const [profileForm, setProfileForm] = useState({ logo: '', description: '', links: {} });
+    const [signingProfile, setSigningProfile] = useState(false);
+
+    const loadToken = useCallback(async () => {
+        setLoading(true);
+        try {
+            const data = await tokenService.getTokenAdminInfo(tokenAddress, address);
+            setInfo(data);
+        } finally {
+            setLoading(false);
+        }
+    }, [tokenAddress, address]);
+
+    useEffect(() => {
+        loadToken();
+    }, [loadToken]);
+
+    // Start the profile form from the published profile, if there is one
+    useEffect(() => {
+        let cancelled = false;
+        loadTokenProfile(tokenAddress).then((result) => {
+            if (cancelled) return;
+            setProfileResult(result);
+            if (result) {
+                const { logo, description, links } = result.profile;
+                setProfileForm({ logo: logo || '', description: description || '', links: { ...links } });
+            }
+        });
+        return () => { cancelled = true; };
+    }, [tokenAddress]);
+
+    const decimals = info?.decimals ?? 8;
+    const fmt = (raw) => `${formatTokenAmount(raw, decimals)} ${info?.symbol || ''}`;
+
+    const toRaw = (display) => {
+        try {
+            return parseTokenAmount(display, decimals);
+        } catch {
+            return 0n;
+        }
+    };
+
+    const requireAddress = (value, fieldName) => {
+        const check = validateAddress(value, fieldName);
+        if (!check.valid) throw new Error(check.error);
+        return value.trim();
+    };
+
+    /**
+     * Simulate an action and open the confirmation panel.
+     * @param {() => Promise<Object>} prepare - resolves to a PreparedTokenAction
+     * @param {Object} details - ledger details
+     */
+    const review = async (prepare, details = {}) => {
+        setReviewing(true);
+        try {
+            const prepared = await prepare();
+            setPending({ prepared, details });
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setReviewing(false);
+        }
+    };
+
+    const handleConfirm = async () => {
+        if (!pending) return;
+        const { prepared, details } = pending;
+        setSending(true);
+        try {
+            const result = await prepared.send();
+            recordTransaction({
+                type: ACTION_TX_TYPES[prepared.action],
+                txHash: result?.txHash || null,
+                address,
+                details: { tokenAddress, tokenSymbol: info?.symbol, ...details },
+                status: 'pending',
+            });
+            toast.success(`${prepared.title} submitted`);
+            setPending(null);
+            setMintAmount('');
+            setBurnAmount('');
+            setMinterAddress('');
+            setNewOwner('');
+            await loadToken();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const handleMint = () => review(async () => {
+        const to = requireAddress(mintTo || address, 'Recipient');
+        const amount = toRaw(mintAmount);
+        return tokenService.prepareMint(tokenAddress, to, amount, address);
+    }, { to: mintTo || address, amount: toRaw(mintAmount).toString() });
+
+    const handleBurn = () => review(
+        () => tokenService.prepareBurn(tokenAddress, toRaw(burnAmount), address),
+        { amount: toRaw(burnAmount).toString() },
+    );
+
+    const handleMinter = (grant) => review(async () => {
+        const minter = requireAddress(minterAddress, 'Minter address');
+        return grant
+            ? tokenService.prepareGrantMinterRole(tokenAddress, minter, address)
+            : tokenService.prepareRevokeMinterRole(tokenAddress, minter, address);
+    }, { minter: minterAddress.trim() });
+
+    const handleTransferOwner = () => review(async () => {
+        const owner = requireAddress(newOwner, 'New owner');
+        return tokenService.prepareTransferTokenOwner(tokenAddress, owner, address);
+    }, { newOwner: newOwner.trim() });
+
+    const setProfileLink = (key, value) => {
+        setProfileForm(form => ({ ...form, links: { ...form.links, [key]: value } }));
+    };
+
+    const handleSignProfile = async () => {
+        setSigningProfile(true);
+        try {
+            const profile = await createTokenProfile({ token: tokenAddress, signer: address, ...profileForm });
+            const signed = await signTokenProfile(profile, publicKey);
+            if (canSaveTokenProfiles()) {
+                await saveTokenProfile(signed);
+                setProfileResult(await loadTokenProfile(tokenAddress));
+                toast.success('Token profile saved');
+            } else {
+                downloadTokenProfile(signed);
+                toast.success('Signed profile downloaded. Add it to token-profiles.json to publish it.');
+            }
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setSigningProfile(false);
+        }
+    };
+
+    const renderShell = (content) => (
+        <div className="token-page page-transition">
+            <section className="page-hero">
+                <div className="page-hero-orb orb-1" />
+                <div className="page-hero-orb orb-2" />
+                <div className="page-hero-grid" />
+                <div className="page-hero-content">
+                    <div className="page-hero-icon purple">
+                        <Settings size={28} />
+                    </div>
+                    <h1 className="page-hero-title">Manage Token</h1>
+                    <p className="page-hero-subtitle">Mint, burn, pause and hand over your token</p>
+                </div>
+            </section>
+            <div className="token-container">
+                <Link to="/dashboard" className="back-btn flex items-center gap-sm mb-lg">
+                    <ArrowLeft size={16} /> Back to Dashboard
+                </Link>
+                {content}
+            </div>
+        </div>
+    );
+
+    if (loading) {
+        return renderShell(
+            <div className="text-center text-muted py-xl">
+                <div className="loading-spinner" style={{ margin: '0 auto 1rem' }}></div>
+                <p>Loading token...</p>
+            </div>
+        );
+    }
+
+    if (!info) {
+        return renderShell(
+            <EmptyState
+                icon={XCircle}
+                title="Token Not Found"
+                description="This token does not exist on the current network or could not be loaded."
+                size="lg"
+            />
+        );
+    }
+
+    const isOwner = info.isOwner;
+    const canMint = !info.renounced && (info.isOwner || info.isMinter);
+    const canBurn = info.burnEnabled && BigInt(info.balance) > 0n;
+    const role = isOwner ? 'Owner' : info.isMinter ? 'Minter' : 'Holder';
+    const busy = reviewing || sending || !!pending;
+
+    return renderShell(
+        <>
+            <div className="token-card animate-on-scroll">
+                <div className="token-card-header">
+                    <div>
+                        <h2>{info.name}</h2>
+                        <span className="text-muted">${info.symbol}</span>
+                    </div>
+                    <StatusBadge status={info.paused ? 'paused' : 'active'} />
+                </div>
+                <div className="info-table">
+                    <div className="info-row">
+                        <span className="info-label">Contract</span>
+                        <span className="info-value">
+                            <AddressDisplay address={tokenAddress} truncate={true} copyable={true} startChars={10} endChars={6} />
+                        </span>
+                    </div>
+                    <div className="info-row">
+                        <span className="info-label">Total Supply</span>
+                        <span className="info-value">{fmt(info.totalSupply)}</span>
+                    </div>
+                    <div className="info-row">
+                        <span className="info-label">Max Supply</span>
+                        <span className="info-value">{fmt(info.maxSupply)}</span>
+                    </div>
+                    <div className="info-row">
+                        <span className="info-label">Owner</span>
+                        <span className="info-value">
+                            {info.renounced ? 'Renounced' : info.owner ? (
+                                <AddressDisplay address={info.owner} truncate={true} copyable={true} startChars={10} endChars={6} />
+                            ) : '—'}
+                        </span>
+                    </div>
+                    <div className="info-row">
+                        <span className="info-label">Transfers</span>
+                        <span className="info-value">{info.paused ? 'Paused' : 'Active'}</span>
+                    </div>
+                    <div className="info-row">
+                        <span className="info-label">Burning</span>
+                        <span className="info-value">{info.burnEnabled ? 'Enabled' : 'Disabled'}</span>
+                    </div>
+                    {connected && (
+                        <>
+                            <div className="info-row">
+                                <span className="info-label">Your Role</span>
+                                <span className="info-value">{role}</span>
+                            </div>
+                            <div className="info-row">
+                                <span className="info-label">Your Balance</span>
+                                <span className="info-value">{fmt(info.balance)}</span>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+
+            {!info.isTemplate ? (
+                <div className="status-message warning">
+                    <AlertTriangle size={18} />
+                    <span>This token was not deployed by the BitLaunch factory, so it has no admin controls.</span>
+                </div>
+            ) : !connected ? (
+                <div className="token-card text-center">
+                    <p className="text-muted mb-md">Connect the owner wallet to manage this token.</p>
+                    <button className="btn btn-primary" onClick={connect}>
+                        <Wallet size={18} />
+                        <span>Connect Wallet</span>
+                    </button>
+                </div>
+            ) : !canMint && !canBurn && !isOwner ? (
+                <div className="status-message warning">
+                    <AlertTriangle size={18} />
+                    <span>
+                        {info.renounced
+                            ? 'Ownership of this token has been renounced. No admin actions are available.'
+                            : 'Only the token owner or a minter can manage this token.'}
+                    </span>
+                </div>
+            ) : (
+                <>
+                    {pending && (
+                        <div className="token-card token-confirm animate-on-scroll">
+                            <h3><ShieldCheck size={18} /> Confirm: {pending.prepared.title}</h3>
+                            <p className="text-muted text-sm">The simulation succeeded. This transaction will:</p>
+                            <ul className="token-confirm-changes">
+                                {pending.prepared.changes.map((change, i) => <li key={i}>{change}</li>)}
+                            </ul>
+                            {pending.prepared.warning && (
+                                <div className="status-message error">
+                                    <AlertTriangle size={18} />
+                                    <span>{pending.prepared.warning}</span>
+                                </div>
+                            )}
+                            <FeePicker action={pending.prepared.budgetKey} />
+                            <div className="token-confirm-actions">
+                                <button className="btn btn-secondary" onClick={() => setPending(null)} disabled={sending}>
+                                    Cancel
+                                </button>
+                                <button className="btn btn-primary" onClick={handleConfirm} disabled={sending}>
+                                    {sending ? (
+                                        <>
+                                            <div className="loading-spinner" style={{ width: 18, height: 18 }}></div>
+                                            <span>Sending...</span>
+                                        </>
+                                    ) : (
+                                        <span>Confirm {pending.prepared.title}</span>
+                                    )}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="token-actions-grid">
+                        {canMint && (
+                            <div className="token-card token-action">
+                                <h3><Coins size={18} /> Mint</h3>
+                                <p className="text-muted text-sm">
+                                    Up to {fmt(BigInt(info.maxSupply) - BigInt(info.totalSupply))} can still be minted.
+                                </p>
+                                <input
+                                    type="text"
+                                    className="form-input form-input-sm"
+                                    placeholder="Recipient (defaults to your wallet)"
+                                    value={mintTo}
+                                    onChange={(e) => setMintTo(e.target.value)}
+                                />
+                                <div className="lock-inline-form">
+                                    <input
+                                        type="number"
+                                        className="form-input form-input-sm"
+                                        placeholder="Amount"
+                                        value={mintAmount}
+                                        onChange={(e) => setMintAmount(e.target.value)}
+                                    />
+                                    <button className="btn btn-primary btn-sm" onClick={handleMint} disabled={busy}>
+                                        Review
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {canBurn && (
+                            <div className="token-card token-action">
+                                <h3><Flame size={18} /> Burn</h3>
+                                <p className="text-muted text-sm">Destroy tokens from your own balance.</p>
+                                <div className="lock-inline-form">
+                                    <input
+                                        type="number"
+                                        className="form-input form-input-sm"
+                                        placeholder="Amount"
+                                        value={burnAmount}
+                                        onChange={(e) => setBurnAmount(e.target.value)}
+                                    />
+                                    <button className="btn btn-primary btn-sm" onClick={handleBurn} disabled={busy}>
+                                        Review
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {isOwner && (
+                            <div className="token-card token-action">
+                                <h3>{info.paused ? <Play size={18} /> : <Pause size={18} />} Transfers</h3>
+                                <p className="text-muted text-sm">
+                                    {info.paused
+                                        ? 'Transfers are paused. Unpause to let holders move tokens again.'
+                                        : 'Pausing blocks every transfer until you unpause.'}
+                                </p>
+                                <button
+                                    className="btn btn-secondary btn-sm"
+                                    onClick={() => review(() => (info.paused
+                                        ? tokenService.prepareUnpause(tokenAddress, address)
+                                        : tokenService.preparePause(tokenAddress, address)))}
+                                    disabled={busy}
+                                >
+                                    {info.paused ? 'Review Unpause' : 'Review Pause'}
+                                </button>
+                            </div>
+                        )}
+
+                        {isOwner && (
+                            <div className="token-card token-action">
+                                <h3><UserPlus size={18} /> Minters</h3>
+                                <p className="text-muted text-sm">Let another wallet or contract mint this token.</p>
+                                <input
+                                    type="text"
+                                    className="form-input form-input-sm"
+                                    placeholder="Minter address"
+                                    value={minterAddress}
+                                    onChange={(e) => setMinterAddress(e.target.value)}
+                                />
+                                <div className="token-confirm-actions">
+                                    <button className="btn btn-primary btn-sm" onClick={() => handleMinter(true)} disabled={busy}>
+                                        <UserPlus size={14} /> Grant
+                                    </button>
+                                    <button className="btn btn-secondary btn-sm" onClick={() => handleMinter(false)} disabled={busy}>
+                                        <UserMinus size={14} /> Revoke
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {isOwner && (
+                            <div className="token-card token-action">
+                                <h3><Repeat size={18} /> Ownership</h3>
+                                <p className="text-muted text-sm">Hand the token to a new owner, or renounce it for good.</p>
+                                <div className="lock-inline-form">
+                                    <input
+                                        type="text"
+                                        className="form-input form-input-sm"
+                                        placeholder="New owner address"
+                                        value={newOwner}
+                                        onChange={(e) => setNewOwner(e.target.value)}
+                                    />
+                                    <button className="btn btn-primary btn-sm" onClick={handleTransferOwner} disabled={busy}>
+                                        Review
+                                    </button>
+                                </div>
+                                <button
+                                    className="btn btn-danger btn-sm mt-md"
+                                    onClick={() => review(() => tokenService.prepareRenounceOwnership(tokenAddress, address))}
+                                    disabled={busy}
+                                >
+                                    <Ban size={14} /> Review Renounce
+                                </button>
+                            </div>
+                        )}
+                    </div>
+
+                    {isOwner && (
+                        <div className="token-card animate-on-scroll">
+                            <h3><FileSignature size={18} /> Token Profile</h3>
+                            <p className="text-muted text-sm">
+                                Logo, description and links shown on the token page and in the directory.
+                                Signing proves the profile comes from the token owner.
+                            </p>
+                            {profileResult && (
+                                <div className="mb-md">
+                                    <TokenProfile result={profileResult} />
+                                </div>
+                            )}
+                            <div className="token-profile-form">
+                                <input
+                                    type="text"
+                                    className="form-input form-input-sm"
+                                    placeholder="Logo URL (https:// or ipfs://)"
+                                    value={profileForm.logo}
+                                    onChange={(e) => setProfileForm(form => ({ ...form, logo: e.target.value }))}
+                                />
+                                <textarea
+                                    className="form-input form-input-sm"
+                                    rows={3}
+                                    maxLength={MAX_DESCRIPTION_LENGTH}
+                                    placeholder="Description"
+                                    value={profileForm.description}
+                                    onChange={(e) => setProfileForm(form => ({ ...form, description: e.target.value }))}
+                                />
+                                {PROFILE_LINKS.map(({ key, label }) => (
+                                    <input
+                                        key={key}
+                                        type="text"
+                                        className="form-input form-input-sm"
+                                        placeholder={`${label} URL`}
+                                        value={profileForm.links[key] || ''}
+                                        onChange={(e) => setProfileLink(key, e.target.value)}
+                                    />
+                                ))}
+                            </div>
+                            <button className="btn btn-primary btn-sm mt-md" onClick={handleSignProfile} disabled={signingProfile}>
+                                <FileSignature size={14} />
+                                <span>{signingProfile ? 'Signing...' : 'Sign Profile'}</span>
+                            </button>
+                        </div>
+                    )}
+                </>
+            )}
+        </>
+    );
+};
+
+export default TokenManage;
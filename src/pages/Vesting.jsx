@@ -5,7 +5,7 @@ import { useWallet } from '../contexts/WalletContext';
 import { useToast } from '../components/Toast';
 import { vestingService } from '../services/VestingService';
 import { factoryService } from '../services/FactoryService';
-import { recordTransaction, TX_TYPES } from '../services/txHistory';
+import { recordTransaction, TX_TYPES } from '../services/txLedger';
 import { opnetProvider } from '../services/opnetProvider';
 import { blocksToHumanTime } from '../services/blockTime';
 import EmptyState from '../components/EmptyState';
@@ -13,6 +13,7 @@ import StatusBadge from '../components/StatusBadge';
 import BlockCountdown from '../components/BlockCountdown';
 import ProgressBar from '../components/ProgressBar';
 import AddressDisplay from '../components/AddressDisplay';
+import FeePicker from '../components/FeePicker';
 import { Lock, Plus, List, User, Coins, Wallet, RotateCcw, Info, Calendar } from 'lucide-react';
 import useScrollAnimation from '../hooks/useScrollAnimation';
 import '../styles/vesting.css';
@@ -365,6 +366,8 @@ const Vesting = () => {
                                 </span>
                             </div>
 
+                            <FeePicker action="vesting.createSchedule" />
+
                             <button
                                 type="button"
                                 className="btn btn-primary w-full mt-lg"
@@ -0,0 +1,162 @@
+// BitLaunch SDK
+// Headless entry point over the service layer in src/services, shared by the
+// React app and Node scripts.
+//
+// Everything environment-specific is injected through createBitLaunch():
+//   - config:  network, contract addresses, RPC URLs, explorer, platform wallet
+//   - storage: where client data lives (localStorage in the browser; see
+//              createFileStorage() in ./node.js for scripts)
+//   - profiles: where token profiles are read from (the static registry in
+//               the browser; see createFileProfileStore() in ./node.js)
+//   - signer:  local keys for Node (walletFromMnemonic() in ./node.js); the
+//              browser leaves it unset and signs through the wallet extension
+//
+// The services are module singletons, so there is one configured SDK per
+// JavaScript realm: calling createBitLaunch() again re-configures it.
+//
+// Node usage:
+//   import { createBitLaunch } from '../src/sdk/index.js';
+//   import { walletFromMnemonic, createFileStorage } from '../src/sdk/node.js';
+//
+//   const signer = walletFromMnemonic(process.env.MNEMONIC, 'regtest');
+//   const bitlaunch = createBitLaunch({
+//       network: 'regtest',
+//       contracts: { factory: 'opr1...', presaleFactory: 'opr1...' },
+//       storage: createFileStorage('.bitlaunch-cache.json'),
+//       signer,
+//   });
+//   const tokens = await bitlaunch.factory.getDeployedTokens();
+//   bitlaunch.close();
+
+import { opnetProvider } from '../services/opnetProvider.js';
+import { configureNetwork, getActiveNetwork, getNetworkConfig, subscribeNetwork } from '../services/networks.js';
+import { setStorageBackend } from '../services/storage.js';
+import { setProfileBackend } from '../services/tokenProfiles.js';
+import { setTransactionSigner } from '../services/txSender.js';
+import { rememberAddress } from '../services/addressHelper.js';
+import { presaleService } from '../services/PresaleService.js';
+import { presaleFactoryService } from '../services/PresaleFactoryService.js';
+import { vestingService } from '../services/VestingService.js';
+import { liquidityLockService } from '../services/LiquidityLockService.js';
+import { airdropService } from '../services/AirdropService.js';
+import { campaignService } from '../services/CampaignService.js';
+import { factoryService } from '../services/FactoryService.js';
+import { factoryDeploymentService } from '../services/FactoryDeploymentService.js';
+import { tokenService } from '../services/TokenService.js';
+import { freeMintService } from '../services/FreeMintService.js';
+import { platformAdminService } from '../services/PlatformAdminService.js';
+
+export { buildMerkleTreeAsync, buildMerkleTreeSync } from '../services/merkleBuilder.js';
+export { hashLeaf, verifyProof, serializeTreeData, deserializeTreeData } from '../services/merkleTree.js';
+export { createProofBundle, verifyProofBundle, verifyProofBundleSignature } from '../services/proofBundle.js';
+export {
+    createTokenProfile, signTokenProfile, verifyTokenProfile, verifyTokenProfileSignature,
+    loadTokenProfile, saveTokenProfile,
+} from '../services/tokenProfiles.js';
+export { resolveAddress } from '../services/addressHelper.js';
+export { FACTORY_ABI } from '../services/abis/factoryAbi.js';
+export { PRESALE_ABI } from '../services/abis/presaleAbi.js';
+export { PRESALE_FACTORY_ABI } from '../services/abis/presaleFactoryAbi.js';
+export { VESTING_ABI } from '../services/abis/vestingAbi.js';
+export { LOCK_ABI } from '../services/abis/lockAbi.js';
+export { AIRDROP_ABI } from '../services/abis/airdropAbi.js';
+export { OP20_TEMPLATE_ABI } from '../services/abis/op20TemplateAbi.js';
+export { NETWORKS } from '../services/networks.js';
+
+/**
+ * @typedef {Object} BitLaunchSigner
+ * @property {Object} signer - ECPair keypair
+ * @property {Object} mldsaSigner - ML-DSA keypair
+ * @property {Address} address - the wallet's Address (sender for contract calls)
+ * @property {string} p2tr - bech32 taproot address (refund address)
+ */
+
+/**
+ * @typedef {Object} BitLaunchConfig
+ * @property {string} [network] - 'mainnet' | 'testnet' | 'regtest'; defaults to the active network
+ * @property {Object} [contracts] - { presale, presaleFactory, vesting, lock, factory, airdrop }
+ * @property {string[]} [rpcUrls] - in order of preference
+ * @property {string} [explorerUrl]
+ * @property {string} [platformWallet]
+ * @property {import('../services/storage.js').StorageBackend} [storage]
+ * @property {import('../services/tokenProfiles.js').ProfileBackend} [profiles]
+ * @property {BitLaunchSigner|null} [signer] - omit to sign with the browser wallet
+ */
+
+/**
+ * Configure the service layer and return it as one object.
+ * @param {BitLaunchConfig} [config]
+ */
+export function createBitLaunch(config = {}) {
+    const networkId = config.network || getActiveNetwork().id;
+    if (!getNetworkConfig(networkId)) throw new Error(`Unknown network: ${networkId}`);
+
+    if (config.storage) setStorageBackend(config.storage);
+    if (config.profiles) setProfileBackend(config.profiles);
+
+    configureNetwork(networkId, {
+        contracts: config.contracts,
+        rpcUrls: config.rpcUrls,
+        explorerUrl: config.explorerUrl,
+        platformWallet: config.platformWallet,
+    });
+    if (!opnetProvider.switchNetwork(networkId) && config.rpcUrls?.length) {
+        opnetProvider.reload();
+    }
+
+    const signer = config.signer || null;
+    setTransactionSigner(signer);
+    if (signer) rememberAddress(signer.p2tr, signer.address);
+
+    return {
+        get network() {
+            return getActiveNetwork();
+        },
+        /** bech32 address of the injected signer, for service methods that take a sender. */
+        get signerAddress() {
+            return signer?.p2tr || null;
+        },
+        provider: opnetProvider,
+
+        presales: presaleService,
+        presaleFactory: presaleFactoryService,
+        vesting: vestingService,
+        locks: liquidityLockService,
+        airdrops: airdropService,
+        campaigns: campaignService,
+        factory: factoryService,
+        deployer: factoryDeploymentService,
+        tokens: tokenService,
+        freeMint: freeMintService,
+        admin: platformAdminService,
+
+        /**
+         * Wallet state in the shape the React app passes to services that
+         * take one (e.g. deployer.deployToken(params, walletState)).
+         */
+        walletState() {
+            return {
+                address: signer?.p2tr || null,
+                opAddress: signer?.address || null,
+                provider: opnetProvider.getProvider(),
+                btcNetwork: opnetProvider.getNetwork(),
+                network: getActiveNetwork().id,
+            };
+        },
+
+        /**
+         * Target another network. An injected signer is derived for one
+         * network; call createBitLaunch() with a new one instead when signing.
+         * @param {string} id - network id
+         */
+        switchNetwork: (id) => opnetProvider.switchNetwork(id),
+        subscribeNetwork,
+        setWalletProvider: (provider, btcNetwork) => opnetProvider.setWalletProvider(provider, btcNetwork),
+        clearWalletProvider: () => opnetProvider.clearWalletProvider(),
+
+        /** Stop background RPC health checks so a script can exit. */
+        close() {
+            opnetProvider.close();
+        },
+    };
+}
@@ -0,0 +1,102 @@
+// BitLaunch SDK - Node helpers
+// Signer, storage and token profile backends for scripts. Imports Node
+// built-ins, so never import this module from the React app.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { Mnemonic, MLDSASecurityLevel, AddressTypes } from '@btc-vision/transaction';
+import { NETWORKS } from '../services/networks.js';
+import { REGISTRY_FORMAT } from '../services/tokenProfiles.js';
+
+/**
+ * Derive a signer from a BIP39 mnemonic, the same way the deploy scripts in
+ * contracts/ do (P2TR, ML-DSA level 2).
+ *
+ * @param {string} mnemonic
+ * @param {string} networkId - 'mainnet' | 'testnet' | 'regtest'
+ * @param {{ index?: number, passphrase?: string }} [options]
+ * @returns {import('./index.js').BitLaunchSigner}
+ */
+export function walletFromMnemonic(mnemonic, networkId, { index = 0, passphrase = '' } = {}) {
+    if (!mnemonic) throw new Error('Mnemonic is required');
+    const network = NETWORKS[networkId];
+    if (!network) throw new Error(`Unknown network: ${networkId}`);
+
+    const wallet = new Mnemonic(mnemonic, passphrase, network.btcNetwork, MLDSASecurityLevel.LEVEL2)
+        .deriveOPWallet(AddressTypes.P2TR, index);
+
+    return {
+        signer: wallet.keypair,
+        mldsaSigner: wallet.mldsaKeypair,
+        address: wallet.address,
+        p2tr: wallet.p2tr,
+    };
+}
+
+/**
+ * Storage backend persisted as one JSON file. Writes are synchronous, which
+ * is fine for the small amounts of data the services keep.
+ *
+ * @param {string} filePath
+ * @returns {import('../services/storage.js').StorageBackend}
+ */
+export function createFileStorage(filePath) {
+    let data = {};
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw new Error(`Could not read storage file ${filePath}: ${err.message}`);
+    }
+
+    const save = () => {
+        fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    };
+
+    return {
+        getItem: key => (Object.hasOwn(data, key) ? data[key] : null),
+        setItem: (key, value) => {
+            data[key] = String(value);
+            save();
+        },
+        removeItem: (key) => {
+            if (!Object.hasOwn(data, key)) return;
+            delete data[key];
+            save();
+        },
+        keys: () => Object.keys(data),
+    };
+}
+
+/**
+ * Token profile backend kept in a JSON file with the same layout as the
+ * static registry in public/token-profiles.json. Saving a profile replaces
+ * any earlier one for the same network and token.
+ *
+ * @param {string} filePath
+ * @returns {import('../services/tokenProfiles.js').ProfileBackend}
+ */
+export function createFileProfileStore(filePath) {
+    const read = () => {
+        try {
+            const registry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            return Array.isArray(registry?.profiles) ? registry.profiles : [];
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw new Error(`Could not read profile file ${filePath}: ${err.message}`);
+        }
+    };
+
+    return {
+        async list() {
+            return read();
+        },
+        async save(profile) {
+            const sameToken = (p) => p.network === profile.network
+                && String(p.token).toLowerCase() === String(profile.token).toLowerCase();
+            const profiles = [...read().filter(p => !sameToken(p)), profile];
+            fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify({ format: REGISTRY_FORMAT, version: 1, profiles }, null, 2));
+        },
+    };
+}
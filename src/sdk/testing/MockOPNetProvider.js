@@ -0,0 +1,374 @@
+// BitLaunch SDK - Mock OPNet provider
+// In-memory chain for offline service tests. Implements the part of opnet's
+// JSONRpcProvider that getContract() and the services use (call,
+// gasParameters, getPublicKeyInfo, getBlockNumber, getTransactionReceipt,
+// getPendingTransaction), backed by the JS contract models in ./models.
+//
+// Calls run against a fork of every contract's state: a simulation never
+// changes the chain, and a transaction that reverts part-way through
+// (including inside a cross-contract call) leaves no trace. Simulations run
+// as if in the next block, which is where a transaction sent now is mined.
+//
+// Sending a simulation (CallResult.sendTransaction, i.e. sendSimulation() in
+// txSender.js) re-executes its calldata on live state when the block is mined.
+// With autoMine (the default) every transaction is mined in its own block
+// straight away; without it, transactions wait in the mempool for mineBlocks().
+//
+// Usage:
+//   const chain = new MockOPNetProvider();
+//   const alice = chain.createWallet('alice');
+//   const token = chain.deploy(new OP20Model(), { from: alice, params: { initialSupply: 1000n } });
+//   opnetProvider.setWalletProvider(chain, chain.network);
+
+import { Address, EcKeyPair } from '@btc-vision/transaction';
+import { networks, sha256, toBase64, toHex } from '@btc-vision/bitcoin';
+import { CallResult, TransactionReceipt } from 'opnet';
+import { decodeCalldata, encodeEvent, encodeRevert, encodeValues, indexAbi, ZERO_ADDRESS } from './abiCodec.js';
+import { Revert } from './models/ContractModel.js';
+
+const encoder = new TextEncoder();
+const digest = text => sha256(encoder.encode(text));
+
+/**
+ * CallResult whose sendTransaction() broadcasts to the mock chain instead of
+ * signing a Bitcoin transaction.
+ */
+class MockCallResult extends CallResult {
+    constructor(raw, chain) {
+        super(raw, chain);
+        this.chain = chain;
+    }
+
+    async sendTransaction() {
+        return this.chain.broadcast(this);
+    }
+}
+
+/**
+ * @typedef {Object} MockWallet
+ * @property {string} label
+ * @property {Address} address - ML-DSA hash with the wallet's tweaked key
+ * @property {string} p2tr - bech32 taproot address
+ * @property {string} hex - 0x hex of `address`, as models store it
+ * @property {Object} signer - ECPair keypair
+ * @property {null} mldsaSigner
+ *
+ * Has the shape of BitLaunchSigner, so it can be passed to createBitLaunch().
+ */
+
+/**
+ * @typedef {Object} DeployedContract
+ * @property {Address} address
+ * @property {string} hex
+ * @property {string} p2op - bech32 contract address, as used in CONTRACTS
+ */
+
+export class MockOPNetProvider {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.network] - @btc-vision/bitcoin network (default regtest)
+     * @param {number} [options.startBlock] - height of the chain tip
+     * @param {boolean} [options.autoMine] - mine every transaction immediately
+     */
+    constructor({ network = networks.regtest, startBlock = 100, autoMine = true } = {}) {
+        this.network = network;
+        this.autoMine = autoMine;
+        this.height = BigInt(startBlock);
+
+        // hex → { model, deployer, functions, events, names }
+        this.contracts = new Map();
+        this.nonce = 0;
+        this.wallets = new Map();
+        this.bech32 = new Map();
+
+        this.mempool = [];
+        this.receipts = new Map();
+        this.txCount = 0;
+        this.blockListeners = new Set();
+    }
+
+    // ── Setup ──
+
+    /**
+     * Deterministic wallet: the same label always gives the same keys.
+     * @param {string} label
+     * @returns {MockWallet}
+     */
+    createWallet(label) {
+        if (this.wallets.has(label)) return this.wallets.get(label);
+        const signer = EcKeyPair.fromPrivateKey(digest(`wallet:${label}`), this.network);
+        const address = new Address(digest(`mldsa:${label}`), signer.publicKey);
+        const wallet = {
+            label,
+            address,
+            p2tr: address.p2tr(this.network),
+            hex: address.toHex(),
+            signer,
+            mldsaSigner: null,
+        };
+        this.wallets.set(label, wallet);
+        this.bech32.set(wallet.p2tr, wallet.hex);
+        return wallet;
+    }
+
+    /**
+     * Deploy a contract model. Runs its onDeployment() as a transaction from
+     * `from`, so deployment parameters may reference other contracts.
+     *
+     * @param {import('./models/ContractModel.js').ContractModel} model
+     * @param {{ from: MockWallet|Address|string, params?: Object }} options
+     * @returns {DeployedContract}
+     */
+    deploy(model, { from, params } = {}) {
+        const origin = this.toHex(from);
+        const world = this.fork();
+        const hex = this.register(world, model, origin);
+        this.execute(world, { origin, block: this.height + 1n }, invoke => invoke(hex, null, params));
+        this.commit(world);
+        return this.describe(hex);
+    }
+
+    /**
+     * Live model behind a contract, for assertions on its state.
+     * @param {DeployedContract|Address|string} contract
+     * @returns {import('./models/ContractModel.js').ContractModel}
+     */
+    getModel(contract) {
+        const entry = this.contracts.get(this.toHex(contract?.hex || contract));
+        if (!entry) throw new Error(`Mock provider: no contract at ${contract}`);
+        return entry.model;
+    }
+
+    // ── Blocks ──
+
+    /**
+     * Mine blocks, executing pending transactions in the first one.
+     * @param {number} [count]
+     * @returns {bigint} new height
+     */
+    mineBlocks(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.height += 1n;
+            const pending = this.mempool;
+            this.mempool = [];
+            for (const tx of pending) this.mine(tx);
+        }
+        this.blockListeners.forEach(fn => fn(this.height));
+        return this.height;
+    }
+
+    /**
+     * @param {(height: bigint) => void} fn - called after blocks are mined
+     * @returns {() => void} unsubscribe
+     */
+    subscribeBlocks(fn) {
+        this.blockListeners.add(fn);
+        return () => this.blockListeners.delete(fn);
+    }
+
+    // ── JSONRpcProvider surface ──
+
+    async getBlockNumber() {
+        return this.height;
+    }
+
+    async gasParameters() {
+        return {
+            blockNumber: this.height,
+            gasUsed: 0n,
+            targetGasLimit: 0n,
+            ema: 0n,
+            baseGas: 1n,
+            gasPerSat: 1_000_000n,
+            bitcoin: { conservative: 2, recommended: { low: 1, medium: 2, high: 3 } },
+        };
+    }
+
+    getCSV1ForAddress() {
+        return undefined;
+    }
+
+    /**
+     * Wallets and every deployed contract (factory clones included) resolve.
+     * @param {string} input - bech32 or 0x hex
+     * @returns {Promise<Address|undefined>}
+     */
+    async getPublicKeyInfo(input) {
+        const value = String(input);
+        if (value.startsWith('0x')) return Address.fromString(value);
+        const hex = this.lookupBech32(value);
+        if (!hex) return undefined;
+        const wallet = [...this.wallets.values()].find(w => w.hex === hex);
+        return wallet ? wallet.address : Address.fromString(hex);
+    }
+
+    /**
+     * Simulate a contract call. Reverts come back in the result, which makes
+     * opnet's Contract throw "Execution Reverted: <message>".
+     */
+    async call(to, calldata, from, height) {
+        const target = this.toHex(to);
+        const origin = from ? this.toHex(from) : ZERO_ADDRESS;
+        const block = height !== undefined ? BigInt(height) : this.height + 1n;
+        const world = this.fork();
+        const raw = this.run(world, { target, calldata, origin, block });
+        return new MockCallResult(raw, this);
+    }
+
+    async getTransactionReceipt(txid) {
+        const raw = this.receipts.get(txid);
+        if (!raw) throw new Error(`Transaction ${txid} not found`);
+        return new TransactionReceipt(raw, this.network);
+    }
+
+    async getPendingTransaction(txid) {
+        return this.mempool.find(tx => tx.id === txid) || null;
+    }
+
+    /**
+     * Queue a simulated call as a transaction (MockCallResult.sendTransaction).
+     * @param {CallResult} simulation
+     * @returns {Promise<Object>} receipt in the shape of opnet's sendTransaction()
+     */
+    async broadcast(simulation) {
+        if (!simulation.fromAddress) throw new Error('Mock provider: cannot send a call without a sender');
+        this.txCount += 1;
+        const id = toHex(digest(`tx:${this.txCount}`));
+        this.mempool.push({
+            id,
+            target: this.toHex(simulation.address),
+            calldata: simulation.calldata,
+            origin: this.toHex(simulation.fromAddress),
+        });
+        if (this.autoMine) this.mineBlocks(1);
+        return { transactionId: id, newUTXOs: [], peerAcknowledgements: 1, estimatedFees: 0n, rawTransaction: '' };
+    }
+
+    // ── Execution ──
+
+    /**
+     * Any address form the services pass around, as lowercase 0x hex.
+     * @param {MockWallet|DeployedContract|Address|string} value
+     * @returns {string}
+     */
+    toHex(value) {
+        if (!value) throw new Error('Mock provider: address is required');
+        if (value instanceof Address) return value.toHex();
+        if (value.address instanceof Address) return value.address.toHex();
+        if (typeof value !== 'string') throw new Error(`Mock provider: unsupported address ${value}`);
+        if (value.startsWith('0x')) return value.toLowerCase();
+        const hex = this.lookupBech32(value);
+        if (!hex) throw new Error(`Mock provider: unknown address ${value}`);
+        return hex;
+    }
+
+    lookupBech32(value) {
+        if (this.bech32.has(value)) return this.bech32.get(value);
+        for (const hex of this.contracts.keys()) {
+            const p2op = Address.fromString(hex).p2op(this.network);
+            this.bech32.set(p2op, hex);
+            if (p2op === value) return hex;
+        }
+        return null;
+    }
+
+    describe(hex) {
+        const address = Address.fromString(hex);
+        return { address, hex, p2op: address.p2op(this.network) };
+    }
+
+    // Copy of the chain whose models can be mutated freely
+    fork() {
+        const contracts = new Map();
+        for (const [hex, entry] of this.contracts) {
+            const { model } = entry;
+            const copy = Object.assign(Object.create(Object.getPrototypeOf(model)), model, {
+                state: structuredClone(model.state),
+            });
+            contracts.set(hex, { ...entry, model: copy });
+        }
+        return { contracts, nonce: this.nonce };
+    }
+
+    commit(world) {
+        this.contracts = world.contracts;
+        this.nonce = world.nonce;
+    }
+
+    register(world, model, deployer) {
+        world.nonce += 1;
+        const hex = `0x${toHex(digest(`contract:${world.nonce}`))}`;
+        const { functions, events } = indexAbi(model.constructor.abi);
+        const names = new Set([...functions.values()].map(element => element.name));
+        world.contracts.set(hex, { model, deployer, events, functions, names });
+        return hex;
+    }
+
+    /**
+     * Run `body` with an invoke(contract, method, args, sender) function.
+     * method null runs onDeployment(). Returns the body's result and the
+     * events emitted, keyed by contract hex; a Revert propagates.
+     */
+    execute(world, { origin, block }, body) {
+        const emitted = [];
+        const invoke = (address, method, args, sender = origin) => {
+            const entry = world.contracts.get(address);
+            if (!entry) throw new Revert(`No contract at ${address}`);
+            const ctx = {
+                self: address,
+                sender,
+                origin,
+                deployer: entry.deployer,
+                block,
+                call: (target, name, callArgs) => invoke(target, name, callArgs, address),
+                emit: (name, values) => {
+                    const eventAbi = entry.events.get(name);
+                    if (!eventAbi) throw new Error(`Mock provider: ${name} is not an event of ${address}`);
+                    emitted.push({ contract: address, event: encodeEvent(eventAbi, values) });
+                },
+                deployFromTemplate: (template) => {
+                    const source = world.contracts.get(template);
+                    if (!source) throw new Revert('Deployment failed');
+                    return this.register(world, source.model.clone(), address);
+                },
+            };
+            if (method === null) return entry.model.onDeployment(ctx, args);
+            if (!entry.names.has(method)) throw new Revert(`Method not found: ${method}`);
+            return entry.model[method](ctx, args || {}) || {};
+        };
+
+        const result = body(invoke);
+        const events = {};
+        for (const { contract, event } of emitted) (events[contract] ||= []).push(event);
+        return { result, events };
+    }
+
+    // Raw call result, as JSONRpcProvider.call() receives it from the node
+    run(world, { target, calldata, origin, block }) {
+        try {
+            const { result, events } = this.execute(world, { origin, block }, (invoke) => {
+                const entry = world.contracts.get(target);
+                if (!entry) throw new Revert(`No contract at ${target}`);
+                const { element, args } = decodeCalldata(calldata, entry.functions);
+                if (!element) throw new Revert('Method not found');
+                return encodeValues(element.outputs, invoke(target, element.name, args));
+            });
+            return { result, events, estimatedGas: '0' };
+        } catch (err) {
+            if (!(err instanceof Revert)) throw err;
+            return { result: new Uint8Array(0), events: {}, revert: encodeRevert(err.message) };
+        }
+    }
+
+    mine(tx) {
+        const world = this.fork();
+        const raw = this.run(world, { ...tx, block: this.height });
+        if (!raw.revert) this.commit(world);
+        this.receipts.set(tx.id, {
+            blockNumber: this.height,
+            events: raw.events,
+            revert: raw.revert ? toBase64(raw.revert) : undefined,
+            gasUsed: '0x0',
+        });
+    }
+}
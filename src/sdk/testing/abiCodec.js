@@ -0,0 +1,153 @@
+// BitLaunch SDK - Mock ABI codec
+// The node side of opnet's contract encoding: find the ABI entry a calldata
+// selector points at, decode its arguments, and encode return values and
+// events the way a contract's BytesWriter would. Selectors are computed with
+// the same helpers opnet's Contract uses, so any ABI in src/services/abis
+// round-trips without a hand-written selector table.
+
+import {
+    ABICoder, ABIDataTypes, Address, BinaryReader, BinaryWriter, abiTypeToSelectorString,
+} from '@btc-vision/transaction';
+import { BitcoinAbiTypes } from 'opnet';
+import { toBase64 } from '@btc-vision/bitcoin';
+
+const abiCoder = new ABICoder();
+
+export const ZERO_ADDRESS = `0x${'00'.repeat(32)}`;
+
+// Revert payloads are Error(string): selector, then the length-prefixed message
+const ERROR_SELECTOR = 0x63739d5c;
+
+/**
+ * Selector of a function ABI entry, as opnet's Contract.encodeFunctionData() writes it.
+ * @param {Object} element - ABI function entry
+ * @returns {number}
+ */
+export function selectorOf(element) {
+    const types = (element.inputs || []).map(input => abiTypeToSelectorString(input.type));
+    let hex = abiCoder.encodeSelector(`${element.name}(${types.join(',')})`);
+    if (hex.includes(',')) {
+        hex = hex.split(',').map(b => Number(b).toString(16).padStart(2, '0')).join('');
+    }
+    return Number(`0x${hex}`);
+}
+
+/**
+ * Index the functions and events of an ABI. Later entries win, so a model can
+ * list a shared ABI first and override single entries after it.
+ * @param {Array} abi
+ * @returns {{ functions: Map<number, Object>, events: Map<string, Object> }}
+ */
+export function indexAbi(abi) {
+    const functions = new Map();
+    const events = new Map();
+    for (const element of abi) {
+        if (element.type === BitcoinAbiTypes.Function) functions.set(selectorOf(element), element);
+        else if (element.type === BitcoinAbiTypes.Event) events.set(element.name, element);
+    }
+    return { functions, events };
+}
+
+function readValue(reader, type) {
+    switch (type) {
+        case ABIDataTypes.ADDRESS: return reader.readAddress().toHex();
+        case ABIDataTypes.BOOL: return reader.readBoolean();
+        case ABIDataTypes.STRING: return reader.readStringWithLength();
+        case ABIDataTypes.BYTES: return reader.readBytesWithLength();
+        case ABIDataTypes.BYTES32: return reader.readBytes(32);
+        case ABIDataTypes.BYTES4: return reader.readBytes(4);
+        case ABIDataTypes.UINT8: return reader.readU8();
+        case ABIDataTypes.UINT16: return reader.readU16();
+        case ABIDataTypes.UINT32: return reader.readU32();
+        case ABIDataTypes.UINT64: return reader.readU64();
+        case ABIDataTypes.UINT256: return reader.readU256();
+        case ABIDataTypes.ADDRESS_UINT256_TUPLE: {
+            const map = reader.readAddressValueTuple();
+            return new Map([...map].map(([address, value]) => [address.toHex(), value]));
+        }
+        default: throw new Error(`Mock ABI codec: unsupported input type ${type}`);
+    }
+}
+
+function writeValue(writer, type, value, name) {
+    switch (type) {
+        case ABIDataTypes.ADDRESS: writer.writeAddress(toAddress(value)); break;
+        case ABIDataTypes.BOOL: writer.writeBoolean(!!value); break;
+        case ABIDataTypes.STRING: writer.writeStringWithLength(value ?? ''); break;
+        case ABIDataTypes.BYTES: writer.writeBytesWithLength(value ?? new Uint8Array(0)); break;
+        case ABIDataTypes.BYTES32:
+        case ABIDataTypes.BYTES4: writer.writeBytes(value); break;
+        case ABIDataTypes.UINT8: writer.writeU8(Number(value ?? 0)); break;
+        case ABIDataTypes.UINT16: writer.writeU16(Number(value ?? 0)); break;
+        case ABIDataTypes.UINT32: writer.writeU32(Number(value ?? 0)); break;
+        case ABIDataTypes.UINT64: writer.writeU64(BigInt(value ?? 0)); break;
+        case ABIDataTypes.UINT256: writer.writeU256(BigInt(value ?? 0)); break;
+        default: throw new Error(`Mock ABI codec: unsupported output type ${type} (${name})`);
+    }
+}
+
+/**
+ * Models keep addresses as lowercase 0x hex; the wire format wants Address.
+ * @param {string|Address} value
+ * @returns {Address}
+ */
+export function toAddress(value) {
+    if (value instanceof Address) return value;
+    return Address.fromString(value || ZERO_ADDRESS);
+}
+
+/**
+ * Split calldata into the selector and its decoded arguments.
+ * @param {Uint8Array} calldata
+ * @param {Map<number, Object>} functions - from indexAbi()
+ * @returns {{ element: Object|null, selector: number, args: Object }}
+ *   args keyed by input name; addresses as 0x hex
+ */
+export function decodeCalldata(calldata, functions) {
+    const reader = new BinaryReader(calldata);
+    const selector = reader.readSelector();
+    const element = functions.get(selector) || null;
+    const args = {};
+    if (element) {
+        for (const input of element.inputs || []) {
+            args[input.name] = readValue(reader, input.type);
+        }
+    }
+    return { element, selector, args };
+}
+
+/**
+ * Encode named values in the order of an ABI parameter list.
+ * @param {Array<{ name: string, type: string }>} params
+ * @param {Object} values
+ * @returns {Uint8Array}
+ */
+export function encodeValues(params, values = {}) {
+    const writer = new BinaryWriter();
+    for (const param of params || []) {
+        writeValue(writer, param.type, values[param.name], param.name);
+    }
+    return writer.getBuffer();
+}
+
+/**
+ * Event data as the node returns it (base64).
+ * @param {Object} eventAbi - ABI event entry
+ * @param {Object} values
+ * @returns {{ type: string, data: string }}
+ */
+export function encodeEvent(eventAbi, values) {
+    return { type: eventAbi.name, data: toBase64(encodeValues(eventAbi.values, values)) };
+}
+
+/**
+ * Revert payload for a message, decodable by opnet's decodeRevertData().
+ * @param {string} message
+ * @returns {Uint8Array}
+ */
+export function encodeRevert(message) {
+    const writer = new BinaryWriter();
+    writer.writeSelector(ERROR_SELECTOR);
+    writer.writeStringWithLength(message);
+    return writer.getBuffer();
+}
@@ -0,0 +1,109 @@
+// BitLaunch SDK - Offline testing
+// A mock OPNet chain with JS models of the BitLaunch contracts, for exercising
+// the services without a node. Node only; never import it from the React app.
+//
+//   import { createMockBitLaunch } from '../src/sdk/testing/index.js';
+//
+//   const { chain, bitlaunch, wallets, deployToken } = createMockBitLaunch();
+//   const token = deployToken({ initialSupply: 1_000_000n });
+//   const alice = bitlaunch.connect(wallets.alice);
+//   ...
+//   chain.mineBlocks(50);
+//   bitlaunch.close();
+
+import { createBitLaunch } from '../index.js';
+import { getNetworkConfig } from '../../services/networks.js';
+import { clearReadCache } from '../../services/readCache.js';
+import { MockOPNetProvider } from './MockOPNetProvider.js';
+import { OP20Model } from './models/OP20Model.js';
+import { FactoryModel } from './models/FactoryModel.js';
+import { PresaleModel } from './models/PresaleModel.js';
+import { PresaleFactoryModel } from './models/PresaleFactoryModel.js';
+import { VestingModel } from './models/VestingModel.js';
+import { LockModel } from './models/LockModel.js';
+import { AirdropModel } from './models/AirdropModel.js';
+
+export { MockOPNetProvider };
+export { ContractModel, Revert, ZERO_ADDRESS } from './models/ContractModel.js';
+export { OP20Model } from './models/OP20Model.js';
+export { FactoryModel, PresaleModel, PresaleFactoryModel, VestingModel, LockModel, AirdropModel };
+
+/**
+ * Deploy the full BitLaunch contract set on a fresh mock chain and point the
+ * SDK at it. `owner` deploys everything and owns the factories and the lock;
+ * `platform` receives fees. Extra wallets are created on first access of
+ * `wallets.<label>`.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.network] - SDK network id; regtest by default
+ * @param {number} [options.startBlock]
+ * @param {boolean} [options.autoMine]
+ */
+export function createMockBitLaunch({ network = 'regtest', startBlock, autoMine } = {}) {
+    const networkConfig = getNetworkConfig(network);
+    if (!networkConfig) throw new Error(`Unknown network: ${network}`);
+    const chain = new MockOPNetProvider({ network: networkConfig.btcNetwork, startBlock, autoMine });
+
+    const wallets = new Proxy({}, {
+        get: (_target, label) => (typeof label === 'string' ? chain.createWallet(label) : undefined),
+    });
+    const { owner, platform } = wallets;
+    const from = owner;
+
+    const tokenTemplate = chain.deploy(new OP20Model(), { from });
+    const presaleTemplate = chain.deploy(new PresaleModel(), { from });
+    const contracts = {
+        tokenTemplate,
+        presaleTemplate,
+        factory: chain.deploy(new FactoryModel(), { from, params: { template: tokenTemplate.hex } }),
+        presaleFactory: chain.deploy(new PresaleFactoryModel(), {
+            from, params: { template: presaleTemplate.hex, platformWallet: platform.hex },
+        }),
+        vesting: chain.deploy(new VestingModel(), { from }),
+        lock: chain.deploy(new LockModel(), { from, params: { platformWallet: platform.hex } }),
+        airdrop: chain.deploy(new AirdropModel(), { from }),
+    };
+
+    const config = {
+        network,
+        contracts: {
+            presale: presaleTemplate.p2op,
+            presaleFactory: contracts.presaleFactory.p2op,
+            vesting: contracts.vesting.p2op,
+            lock: contracts.lock.p2op,
+            factory: contracts.factory.p2op,
+            airdrop: contracts.airdrop.p2op,
+        },
+        platformWallet: platform.p2tr,
+    };
+
+    // Reads are cached per block, and the cache cannot see the mock's heights
+    // through the RPC pool
+    chain.subscribeBlocks(() => clearReadCache());
+
+    /**
+     * SDK signing as `wallet`. Every connect() re-configures the same service
+     * singletons, so the last connected wallet signs.
+     * @param {import('./MockOPNetProvider.js').MockWallet} wallet
+     */
+    const connect = (wallet) => {
+        const bitlaunch = createBitLaunch({ ...config, signer: wallet });
+        bitlaunch.setWalletProvider(chain, chain.network);
+        clearReadCache();
+        return Object.assign(bitlaunch, { connect });
+    };
+
+    return {
+        chain,
+        wallets,
+        contracts,
+        bitlaunch: connect(owner),
+
+        /**
+         * Deploy a standalone OP20 test token (not through the factory).
+         * @param {import('./models/OP20Model.js').OP20DeployParams} [params]
+         * @param {import('./MockOPNetProvider.js').MockWallet} [deployer]
+         */
+        deployToken: (params = {}, deployer = owner) => chain.deploy(new OP20Model(), { from: deployer, params }),
+    };
+}
@@ -0,0 +1,163 @@
+// BitLaunch SDK - Airdrop model
+// AirdropContract (contracts/src/airdrop/AirdropContract.ts). Proofs are
+// checked with the same merkleTree.js helpers the app uses to build them, so
+// a tree built by the Airdrop page claims against this model unchanged.
+
+import { AIRDROP_ABI } from '../../../services/abis/airdropAbi.js';
+import { hashLeaf, verifyProof } from '../../../services/merkleTree.js';
+import { ContractModel, Revert, isZero } from './ContractModel.js';
+
+const HASH_SIZE = 32;
+
+function toBytes32(value) {
+    const bytes = new Uint8Array(HASH_SIZE);
+    let rest = value;
+    for (let i = HASH_SIZE - 1; i >= 0 && rest > 0n; i--) {
+        bytes[i] = Number(rest & 0xffn);
+        rest >>= 8n;
+    }
+    return bytes;
+}
+
+function splitProof(data) {
+    const proof = [];
+    for (let i = 0; i < data.length; i += HASH_SIZE) proof.push(data.subarray(i, i + HASH_SIZE));
+    return proof;
+}
+
+export class AirdropModel extends ContractModel {
+    static abi = AIRDROP_ABI;
+
+    constructor() {
+        super();
+        this.state = {
+            // Airdrop id is the index
+            airdrops: [],
+            // `${airdropId}:${claimer}` → claimed amount
+            claims: {},
+        };
+    }
+
+    createAirdrop(ctx, { token, totalAmount, merkleRoot, expiryBlock }) {
+        if (isZero(token)) throw new Revert('Invalid token address');
+        if (totalAmount === 0n) throw new Revert('Amount must be > 0');
+        if (merkleRoot === 0n) throw new Revert('Merkle root cannot be zero');
+        if (expiryBlock <= ctx.block) throw new Revert('Expiry block must be in future');
+
+        const airdropId = BigInt(this.state.airdrops.length);
+        this.state.airdrops.push({
+            creator: ctx.sender, token, totalAmount, claimedAmount: 0n, merkleRoot, expiryBlock, cancelled: false,
+        });
+        ctx.call(token, 'transferFrom', { from: ctx.sender, to: ctx.self, amount: totalAmount });
+        ctx.emit('AirdropCreated', { airdropId, creator: ctx.sender, token, totalAmount, expiryBlock });
+        return { airdropId };
+    }
+
+    claim(ctx, { airdropId, amount, proof }) {
+        const airdrop = this._airdrop(airdropId);
+        if (airdrop.cancelled) throw new Revert('Airdrop cancelled');
+        if (ctx.block > airdrop.expiryBlock) throw new Revert('Airdrop expired');
+        if (amount === 0n) throw new Revert('Claim amount must be > 0');
+        if (proof.length % HASH_SIZE !== 0) throw new Revert('Invalid proof length');
+        const key = `${airdropId}:${ctx.sender}`;
+        if (this.state.claims[key]) throw new Revert('Already claimed');
+        if (!this._verify(airdrop, ctx.sender, amount, proof)) throw new Revert('Invalid Merkle proof');
+        if (amount > airdrop.totalAmount - airdrop.claimedAmount) throw new Revert('Insufficient airdrop balance');
+
+        this.state.claims[key] = amount;
+        airdrop.claimedAmount += amount;
+        ctx.call(airdrop.token, 'transfer', { to: ctx.sender, amount });
+        ctx.emit('TokensClaimed', { airdropId, claimer: ctx.sender, amount });
+        return { claimedAmount: amount };
+    }
+
+    cancelAirdrop(ctx, { airdropId }) {
+        const airdrop = this._creatorAirdrop(ctx, airdropId);
+        const refundedAmount = airdrop.totalAmount - airdrop.claimedAmount;
+        airdrop.cancelled = true;
+        if (refundedAmount > 0n) {
+            ctx.call(airdrop.token, 'transfer', { to: airdrop.creator, amount: refundedAmount });
+        }
+        ctx.emit('AirdropCancelled', { airdropId, refundedAmount });
+        return { refundedAmount };
+    }
+
+    recoverExpired(ctx, { airdropId }) {
+        const airdrop = this._creatorAirdrop(ctx, airdropId);
+        if (ctx.block <= airdrop.expiryBlock) throw new Revert('Airdrop not yet expired');
+        const recoveredAmount = airdrop.totalAmount - airdrop.claimedAmount;
+        if (recoveredAmount === 0n) throw new Revert('Nothing to recover');
+
+        airdrop.cancelled = true;
+        ctx.call(airdrop.token, 'transfer', { to: airdrop.creator, amount: recoveredAmount });
+        ctx.emit('AirdropExpiredRecovered', { airdropId, recoveredAmount });
+        return { recoveredAmount };
+    }
+
+    hasClaimed(_ctx, { airdropId, claimer }) {
+        this._airdrop(airdropId);
+        return { claimed: !!this.state.claims[`${airdropId}:${claimer}`] };
+    }
+
+    getClaimedAmount(_ctx, { airdropId, claimer }) {
+        this._airdrop(airdropId);
+        return { claimedAmount: this.state.claims[`${airdropId}:${claimer}`] || 0n };
+    }
+
+    getAirdrop(_ctx, { airdropId }) {
+        return { ...this._airdrop(airdropId) };
+    }
+
+    getAirdropCount() {
+        return { count: BigInt(this.state.airdrops.length) };
+    }
+
+    getRemainingAmount(_ctx, { airdropId }) {
+        const airdrop = this._airdrop(airdropId);
+        return { remaining: airdrop.totalAmount - airdrop.claimedAmount };
+    }
+
+    isActive(ctx, { airdropId }) {
+        const airdrop = this._airdrop(airdropId);
+        return { active: !airdrop.cancelled && ctx.block <= airdrop.expiryBlock };
+    }
+
+    getCreatorAirdropCount(_ctx, { creator }) {
+        return { count: this._idsOf(creator).length };
+    }
+
+    getCreatorAirdropByIndex(_ctx, { creator, index }) {
+        const airdropId = this._idsOf(creator)[index];
+        if (airdropId === undefined) throw new Revert('Index out of bounds');
+        return { airdropId };
+    }
+
+    verifyProof(_ctx, { airdropId, claimer, amount, proof }) {
+        const airdrop = this._airdrop(airdropId);
+        if (proof.length % HASH_SIZE !== 0) return { valid: false };
+        return { valid: this._verify(airdrop, claimer, amount, proof) };
+    }
+
+    _verify(airdrop, claimer, amount, proof) {
+        return verifyProof(hashLeaf(claimer, amount), splitProof(proof), toBytes32(airdrop.merkleRoot));
+    }
+
+    _airdrop(airdropId) {
+        const airdrop = this.state.airdrops[Number(airdropId)];
+        if (!airdrop) throw new Revert('Invalid airdrop ID');
+        return airdrop;
+    }
+
+    _creatorAirdrop(ctx, airdropId) {
+        const airdrop = this._airdrop(airdropId);
+        if (ctx.sender !== airdrop.creator) throw new Revert('Only creator');
+        if (airdrop.cancelled) throw new Revert('Already cancelled');
+        return airdrop;
+    }
+
+    _idsOf(creator) {
+        return this.state.airdrops
+            .map((airdrop, id) => (airdrop.creator === creator ? BigInt(id) : null))
+            .filter(id => id !== null);
+    }
+}
@@ -0,0 +1,79 @@
+// BitLaunch SDK - Contract model base
+// JS stand-ins for the AssemblyScript contracts in contracts/src, run by
+// MockOPNetProvider. A model answers the functions of its ABI: each one is a
+// method taking (ctx, args) and returning the named outputs. Addresses are
+// lowercase 0x hex strings, integers are bigints, and everything mutable
+// lives in `state` so the provider can fork it for simulations.
+//
+// Revert messages are copied from the contracts, so services see the same
+// errors they would on chain.
+
+import { ZERO_ADDRESS } from '../abiCodec.js';
+
+export { ZERO_ADDRESS };
+
+export const BPS_DENOMINATOR = 10000n;
+
+/**
+ * A contract revert. Anything else thrown by a model is a bug in the model
+ * and is surfaced as-is.
+ */
+export class Revert extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'Revert';
+    }
+}
+
+/**
+ * @typedef {Object} ExecutionContext
+ * @property {string} self - address of the running contract
+ * @property {string} sender - immediate caller (wallet or contract)
+ * @property {string} origin - wallet that signed the transaction
+ * @property {string} deployer - wallet that deployed the running contract
+ * @property {bigint} block - current block height
+ * @property {(target: string, method: string, args?: Object) => Object} call
+ *   call another contract as `self`; a revert there reverts the whole call
+ * @property {(event: string, values: Object) => void} emit
+ * @property {(template: string) => string} deployFromTemplate - clone a
+ *   deployed contract (Blockchain.deployContractFromExisting)
+ */
+
+export class ContractModel {
+    /** ABI entries (functions and events) the model answers to. */
+    static abi = [];
+
+    constructor() {
+        this.state = {};
+    }
+
+    /**
+     * Runs once when the contract is deployed, as onDeployment(ctx, params)
+     * with model-specific deployment parameters.
+     */
+    onDeployment() {}
+
+    /** A fresh, uninitialised instance of the same model (template clones). */
+    clone() {
+        return new this.constructor();
+    }
+
+    // OP_NET_ABI
+
+    address(ctx) {
+        return { address: ctx.self };
+    }
+
+    deployer(ctx) {
+        return { deployer: ctx.deployer };
+    }
+}
+
+export function isZero(address) {
+    return !address || address === ZERO_ADDRESS;
+}
+
+/** Amount of `total` that `bps` basis points stand for, rounded down. */
+export function bpsOf(total, bps) {
+    return (total * bps) / BPS_DENOMINATOR;
+}
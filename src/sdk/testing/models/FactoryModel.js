@@ -0,0 +1,139 @@
+// BitLaunch SDK - OP20 factory model
+// OP20Factory (contracts/src/factory/OP20Factory.ts): clones the OP20 template
+// and keeps the global and per-deployer token lists.
+
+import { FACTORY_ABI } from '../../../services/abis/factoryAbi.js';
+import { ContractModel, Revert, isZero, ZERO_ADDRESS } from './ContractModel.js';
+
+export class FactoryModel extends ContractModel {
+    static abi = FACTORY_ABI;
+
+    constructor() {
+        super();
+        this.state = {
+            owner: null,
+            template: null,
+            paused: false,
+            // { token, deployer, owner, block } in deployment order
+            deployments: [],
+        };
+    }
+
+    /** @param {{ template?: string }} [params] */
+    onDeployment(ctx, params = {}) {
+        this.state.owner = ctx.origin;
+        if (!isZero(params.template)) this.state.template = params.template;
+    }
+
+    deployToken(ctx, args) {
+        const s = this.state;
+        if (s.paused) throw new Revert('Factory is paused');
+        if (args.maxSupply === 0n) throw new Revert('Max supply must be > 0');
+        if (args.decimals > 18) throw new Revert('Decimals must be 0-18');
+        if (args.name.length === 0 || args.name.length > 50) throw new Revert('Name must be 1-50 chars');
+        if (args.symbol.length === 0 || args.symbol.length > 10) throw new Revert('Symbol must be 1-10 chars');
+        if (isZero(args.tokenOwner)) throw new Revert('Invalid token owner');
+        if (args.initialMintAmount > args.maxSupply) throw new Revert('Initial mint exceeds max supply');
+        if (isZero(s.template)) throw new Revert('Template not set');
+
+        const token = ctx.deployFromTemplate(s.template);
+        ctx.call(token, 'initialize', args);
+
+        s.deployments.push({ token, deployer: ctx.origin, owner: args.tokenOwner, block: ctx.block });
+        ctx.emit('TokenDeployed', { deployer: ctx.origin, tokenAddress: token, name: args.name, symbol: args.symbol });
+        return { success: true };
+    }
+
+    pauseFactory(ctx) {
+        this._onlyOwner(ctx);
+        if (this.state.paused) throw new Revert('Already paused');
+        this.state.paused = true;
+        ctx.emit('FactoryPaused', { by: ctx.sender });
+        return { success: true };
+    }
+
+    unpauseFactory(ctx) {
+        this._onlyOwner(ctx);
+        if (!this.state.paused) throw new Revert('Not paused');
+        this.state.paused = false;
+        ctx.emit('FactoryUnpaused', { by: ctx.sender });
+        return { success: true };
+    }
+
+    setTemplate(ctx, { newTemplate }) {
+        this._onlyOwner(ctx);
+        if (isZero(newTemplate)) throw new Revert('Invalid template');
+        this.state.template = newTemplate;
+        return { success: true };
+    }
+
+    transferOwnership(ctx, { newOwner }) {
+        this._onlyOwner(ctx);
+        if (isZero(newOwner)) throw new Revert('Invalid new owner');
+        const previousOwner = this.state.owner;
+        this.state.owner = newOwner;
+        ctx.emit('OwnershipTransferred', { previousOwner, newOwner });
+        return { success: true };
+    }
+
+    updateTokenOwner(ctx, { tokenAddress, newOwner }) {
+        if (isZero(newOwner)) throw new Revert('Invalid new owner');
+        const deployment = this.state.deployments.find(d => d.token === tokenAddress);
+        if (!deployment || deployment.owner !== ctx.sender) throw new Revert('Only token owner can update');
+        deployment.owner = newOwner;
+        return { success: true };
+    }
+
+    owner() {
+        return { owner: this.state.owner };
+    }
+
+    isPaused() {
+        return { isPaused: this.state.paused };
+    }
+
+    getDeploymentsCount() {
+        return { count: this.state.deployments.length };
+    }
+
+    getDeploymentByIndex(_ctx, { index }) {
+        const d = this.state.deployments[index];
+        if (!d) throw new Revert('Index out of bounds');
+        return { deployer: d.deployer, token: d.token, block: d.block };
+    }
+
+    getTokenDeployer(_ctx, { tokenAddress }) {
+        return { deployer: this._find(tokenAddress)?.deployer || ZERO_ADDRESS };
+    }
+
+    getTokenOwner(_ctx, { tokenAddress }) {
+        return { owner: this._find(tokenAddress)?.owner || ZERO_ADDRESS };
+    }
+
+    getUserTokenCount(_ctx, { deployer }) {
+        return { count: this._byDeployer(deployer).length };
+    }
+
+    getUserTokenByIndex(_ctx, { deployer, index }) {
+        const d = this._byDeployer(deployer)[index];
+        if (!d) throw new Revert('Index out of bounds');
+        return { token: d.token, block: d.block };
+    }
+
+    getDeploymentInfo(_ctx, { deployer }) {
+        const d = this._byDeployer(deployer)[0];
+        return { has: !!d, token: d?.token || ZERO_ADDRESS, block: d?.block || 0n };
+    }
+
+    _find(token) {
+        return this.state.deployments.find(d => d.token === token);
+    }
+
+    _byDeployer(deployer) {
+        return this.state.deployments.filter(d => d.deployer === deployer);
+    }
+
+    _onlyOwner(ctx) {
+        if (this.state.owner !== ctx.sender) throw new Revert('Only factory owner can call this');
+    }
+}
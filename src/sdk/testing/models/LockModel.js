@@ -0,0 +1,165 @@
+// BitLaunch SDK - Liquidity lock model
+// LiquidityLockContract (contracts/src/lock/LiquidityLockContract.ts): the fee
+// is taken from the locked amount when the lock is created.
+
+import { LOCK_ABI } from '../../../services/abis/lockAbi.js';
+import { ContractModel, Revert, isZero, bpsOf } from './ContractModel.js';
+
+const DEFAULT_FEE_BPS = 50n;
+const MAX_FEE_BPS = 500n;
+
+export class LockModel extends ContractModel {
+    static abi = LOCK_ABI;
+
+    constructor() {
+        super();
+        this.state = {
+            owner: null,
+            platformWallet: null,
+            feeBps: 0n,
+            totalFees: 0n,
+            // Lock id is the index
+            locks: [],
+        };
+    }
+
+    /** @param {{ platformWallet?: string }} [params] */
+    onDeployment(ctx, params = {}) {
+        this.state.owner = ctx.origin;
+        this.state.feeBps = DEFAULT_FEE_BPS;
+        if (!isZero(params.platformWallet)) this.state.platformWallet = params.platformWallet;
+    }
+
+    lockTokens(ctx, { token, amount, unlockBlock }) {
+        const s = this.state;
+        if (isZero(token)) throw new Revert('Invalid token address');
+        if (amount === 0n) throw new Revert('Amount must be > 0');
+        if (unlockBlock <= ctx.block) throw new Revert('Unlock block must be in future');
+
+        const lockId = BigInt(s.locks.length);
+        const fee = bpsOf(amount, s.feeBps);
+        s.locks.push({ owner: ctx.sender, token, amount: amount - fee, unlockBlock, withdrawn: 0n });
+
+        ctx.call(token, 'transferFrom', { from: ctx.sender, to: ctx.self, amount });
+        if (fee > 0n) {
+            if (!isZero(s.platformWallet)) ctx.call(token, 'transfer', { to: s.platformWallet, amount: fee });
+            s.totalFees += fee;
+        }
+        ctx.emit('TokensLocked', { lockId, owner: ctx.sender, token, amount: amount - fee, fee, unlockBlock });
+        return { lockId };
+    }
+
+    unlock(ctx, { lockId }) {
+        const lock = this._ownedLock(ctx, lockId);
+        if (lock.amount === 0n) throw new Revert('Nothing to unlock');
+        if (ctx.block < lock.unlockBlock) throw new Revert('Tokens still locked');
+
+        const amount = lock.amount;
+        lock.amount = 0n;
+        lock.withdrawn += amount;
+        ctx.call(lock.token, 'transfer', { to: lock.owner, amount });
+        ctx.emit('TokensUnlocked', { lockId, owner: lock.owner, amount });
+        return { amount };
+    }
+
+    partialUnlock(ctx, { lockId, amount }) {
+        this._lock(lockId);
+        if (amount === 0n) throw new Revert('Amount must be > 0');
+        const lock = this._ownedLock(ctx, lockId);
+        if (ctx.block < lock.unlockBlock) throw new Revert('Tokens still locked');
+        if (amount > lock.amount) throw new Revert('Exceeds locked amount');
+
+        lock.amount -= amount;
+        lock.withdrawn += amount;
+        ctx.call(lock.token, 'transfer', { to: lock.owner, amount });
+        ctx.emit('PartialUnlock', { lockId, owner: lock.owner, amount, remaining: lock.amount });
+        return { remaining: lock.amount };
+    }
+
+    extendLock(ctx, { lockId, newUnlockBlock }) {
+        const lock = this._ownedLock(ctx, lockId);
+        if (lock.amount === 0n) throw new Revert('Lock is empty');
+        if (newUnlockBlock <= lock.unlockBlock) throw new Revert('Can only extend');
+        lock.unlockBlock = newUnlockBlock;
+        ctx.emit('LockExtended', { lockId, newUnlockBlock });
+        return { success: true };
+    }
+
+    transferLockOwnership(ctx, { lockId, newOwner }) {
+        this._lock(lockId);
+        if (isZero(newOwner)) throw new Revert('Invalid new owner');
+        const lock = this._ownedLock(ctx, lockId);
+        if (lock.amount === 0n) throw new Revert('Lock is empty');
+        const previousOwner = lock.owner;
+        lock.owner = newOwner;
+        ctx.emit('LockOwnershipTransferred', { lockId, previousOwner, newOwner });
+        return { success: true };
+    }
+
+    setPlatformWallet(ctx, { newPlatformWallet }) {
+        this._onlyContractOwner(ctx);
+        if (isZero(newPlatformWallet)) throw new Revert('Invalid wallet');
+        this.state.platformWallet = newPlatformWallet;
+        return { success: true };
+    }
+
+    setPlatformFeeBps(ctx, { feeBps }) {
+        this._onlyContractOwner(ctx);
+        if (feeBps > MAX_FEE_BPS) throw new Revert('Fee BPS exceeds maximum (500)');
+        this.state.feeBps = feeBps;
+        return { success: true };
+    }
+
+    getLock(_ctx, { lockId }) {
+        return { ...this._lock(lockId) };
+    }
+
+    getLockCount() {
+        return { count: BigInt(this.state.locks.length) };
+    }
+
+    getTotalFees() {
+        return { totalFees: this.state.totalFees };
+    }
+
+    getPlatformFeeBps() {
+        return { feeBps: this.state.feeBps };
+    }
+
+    isUnlockable(ctx, { lockId }) {
+        const lock = this._lock(lockId);
+        return { unlockable: ctx.block >= lock.unlockBlock && lock.amount > 0n };
+    }
+
+    getOwnerLockCount(_ctx, { owner }) {
+        return { count: this._idsOf(owner).length };
+    }
+
+    getOwnerLockByIndex(_ctx, { owner, index }) {
+        const lockId = this._idsOf(owner)[index];
+        if (lockId === undefined) throw new Revert('Index out of bounds');
+        return { lockId };
+    }
+
+    _lock(lockId) {
+        const lock = this.state.locks[Number(lockId)];
+        if (!lock) throw new Revert('Invalid lock ID');
+        return lock;
+    }
+
+    _ownedLock(ctx, lockId) {
+        const lock = this._lock(lockId);
+        if (ctx.sender !== lock.owner) throw new Revert('Only lock owner');
+        return lock;
+    }
+
+    _idsOf(owner) {
+        return this.state.locks
+            .map((lock, id) => (lock.owner === owner ? BigInt(id) : null))
+            .filter(id => id !== null);
+    }
+
+    _onlyContractOwner(ctx) {
+        if (this.state.owner !== ctx.sender) throw new Revert('Only contract owner');
+    }
+}
@@ -0,0 +1,346 @@
+// BitLaunch SDK - OP20 token model
+// OP20Template (contracts/src/token/OP20Template.ts) on top of the standard
+// OP20 behaviour. Deployed directly it is a plain test token; cloned by the
+// factory model it waits for initialize(), like the real template.
+
+import { OP20_TEMPLATE_ABI } from '../../../services/abis/op20TemplateAbi.js';
+import { ContractModel, Revert, isZero } from './ContractModel.js';
+
+/**
+ * @typedef {Object} OP20DeployParams
+ * @property {string} [name]
+ * @property {string} [symbol]
+ * @property {number} [decimals]
+ * @property {bigint} [maxSupply]
+ * @property {string} [mintTo] - receives `initialSupply`; defaults to the deployer
+ * @property {bigint} [initialSupply]
+ */
+
+export class OP20Model extends ContractModel {
+    static abi = OP20_TEMPLATE_ABI;
+
+    constructor() {
+        super();
+        this.state = {
+            initialized: false,
+            name: '',
+            symbol: '',
+            decimals: 0,
+            maxSupply: 0n,
+            totalSupply: 0n,
+            balances: {},
+            allowances: {},
+            owner: null,
+            factory: null,
+            minters: {},
+            paused: false,
+            burnEnabled: false,
+            freeMint: { remaining: 0n, perTx: 0n, userCap: 0n, totalClaimed: 0n, perUser: {} },
+        };
+    }
+
+    /**
+     * A token deployed on its own (not through the factory) is ready to use.
+     * Template instances are deployed without params and initialised later.
+     * @param {import('./ContractModel.js').ExecutionContext} ctx
+     * @param {OP20DeployParams} [params]
+     */
+    onDeployment(ctx, params) {
+        if (!params) return;
+        const s = this.state;
+        s.initialized = true;
+        s.name = params.name ?? 'Test Token';
+        s.symbol = params.symbol ?? 'TEST';
+        s.decimals = params.decimals ?? 8;
+        s.maxSupply = params.maxSupply ?? 21_000_000n * 10n ** BigInt(s.decimals);
+        s.owner = ctx.origin;
+        s.burnEnabled = true;
+        if (params.initialSupply) this._mint(ctx, params.mintTo || ctx.origin, params.initialSupply);
+    }
+
+    // ── Template ──
+
+    initialize(ctx, args) {
+        const s = this.state;
+        if (s.initialized) throw new Revert('Already initialized');
+        if (args.maxSupply === 0n) throw new Revert('Max supply must be > 0');
+        if (args.name.length === 0 || args.name.length > 50) throw new Revert('Name must be 1-50 chars');
+        if (args.symbol.length === 0 || args.symbol.length > 10) throw new Revert('Symbol must be 1-10 chars');
+        if (args.initialMintAmount > args.maxSupply) throw new Revert('Initial mint exceeds max supply');
+        if (isZero(args.tokenOwner)) throw new Revert('Invalid token owner');
+        if (args.freeMintSupply > 0n) {
+            if (args.initialMintAmount + args.freeMintSupply > args.maxSupply) {
+                throw new Revert('Initial + free mint exceeds max supply');
+            }
+            if (args.freeMintUserCap === 0n) throw new Revert('Free mint user cap must be > 0');
+        }
+
+        Object.assign(s, {
+            initialized: true,
+            name: args.name,
+            symbol: args.symbol,
+            decimals: args.decimals,
+            maxSupply: args.maxSupply,
+            owner: args.tokenOwner,
+            factory: ctx.sender,
+            burnEnabled: args.burnEnabled,
+        });
+        if (!isZero(args.initialMintTo) && args.initialMintAmount > 0n) {
+            this._mint(ctx, args.initialMintTo, args.initialMintAmount);
+        }
+        if (args.freeMintSupply > 0n) {
+            s.freeMint.remaining = args.freeMintSupply;
+            s.freeMint.perTx = args.freeMintPerTx;
+            s.freeMint.userCap = args.freeMintUserCap;
+            ctx.emit('FreeMintConfigured', {
+                token: ctx.self, supply: args.freeMintSupply, perTxLimit: args.freeMintPerTx, userCap: args.freeMintUserCap,
+            });
+        }
+        return {};
+    }
+
+    mint(ctx, args) {
+        const s = this.state;
+        const isOwner = !isZero(s.owner) && s.owner === ctx.sender;
+        if (!isOwner && !s.minters[ctx.sender]) throw new Revert('Only owner or minter can call this');
+        if (isZero(args.to)) throw new Revert('Invalid recipient');
+        if (args.amount === 0n) throw new Revert('Amount must be > 0');
+        this._mint(ctx, args.to, args.amount);
+        return {};
+    }
+
+    freeMint(ctx, { amount }) {
+        const fm = this.state.freeMint;
+        if (amount === 0n) throw new Revert('Amount must be > 0');
+        if (fm.perTx === 0n) throw new Revert('Free mint not configured');
+        if (amount > fm.perTx) throw new Revert('Exceeds per-tx limit');
+        if (fm.remaining === 0n) throw new Revert('Free mint supply exhausted');
+        if (amount > fm.remaining) throw new Revert('Exceeds remaining free mint supply');
+        if (fm.userCap > 0n) {
+            const total = (fm.perUser[ctx.sender] || 0n) + amount;
+            if (total > fm.userCap) throw new Revert('Exceeds per-user free mint cap');
+            fm.perUser[ctx.sender] = total;
+        }
+        fm.remaining -= amount;
+        fm.totalClaimed += amount;
+        this._mint(ctx, ctx.sender, amount);
+        ctx.emit('FreeMintClaimed', { user: ctx.sender, token: ctx.self, amount });
+        return { success: true };
+    }
+
+    burn(ctx, { amount }) {
+        const s = this.state;
+        if (!s.burnEnabled) throw new Revert('Burn is disabled');
+        if (amount === 0n) throw new Revert('Amount must be > 0');
+        const balance = s.balances[ctx.sender] || 0n;
+        if (balance < amount) throw new Revert('Insufficient balance');
+        s.balances[ctx.sender] = balance - amount;
+        s.totalSupply -= amount;
+        ctx.emit('Burned', { from: ctx.sender, amount });
+        ctx.emit('TokenBurned', { from: ctx.sender, amount });
+        return { success: true };
+    }
+
+    pause(ctx) {
+        this._onlyTokenOwner(ctx);
+        if (this.state.paused) throw new Revert('Already paused');
+        this.state.paused = true;
+        ctx.emit('TokenPaused', { by: ctx.sender });
+        return { success: true };
+    }
+
+    unpause(ctx) {
+        this._onlyTokenOwner(ctx);
+        if (!this.state.paused) throw new Revert('Not paused');
+        this.state.paused = false;
+        ctx.emit('TokenUnpaused', { by: ctx.sender });
+        return { success: true };
+    }
+
+    grantMinterRole(ctx, { minter }) {
+        this._onlyTokenOwner(ctx);
+        if (isZero(minter)) throw new Revert('Invalid minter address');
+        this.state.minters[minter] = true;
+        return { success: true };
+    }
+
+    revokeMinterRole(ctx, { minter }) {
+        this._onlyTokenOwner(ctx);
+        if (isZero(minter)) throw new Revert('Invalid minter address');
+        delete this.state.minters[minter];
+        return { success: true };
+    }
+
+    isMinter(_ctx, { account }) {
+        return { isMinter: !!this.state.minters[account] };
+    }
+
+    // The template reports the token owner as deployer
+    deployer() {
+        return { deployer: this.state.owner };
+    }
+
+    getTokenOwner() {
+        return { owner: this.state.owner };
+    }
+
+    getFactoryAddress() {
+        return { factory: this.state.factory };
+    }
+
+    transferTokenOwner(ctx, { newOwner }) {
+        this._onlyTokenOwner(ctx);
+        if (isZero(newOwner)) throw new Revert('Invalid new owner');
+        ctx.emit('TokenOwnerTransferred', { previousOwner: this.state.owner, newOwner });
+        this.state.owner = newOwner;
+        return { success: true };
+    }
+
+    renounceOwnership(ctx) {
+        this._onlyTokenOwner(ctx);
+        ctx.emit('OwnershipRenounced', { previousOwner: this.state.owner });
+        this.state.owner = null;
+        return { success: true };
+    }
+
+    isPaused() {
+        return { paused: this.state.paused };
+    }
+
+    isBurnEnabledView() {
+        return { burnEnabled: this.state.burnEnabled };
+    }
+
+    getFreeMintInfo() {
+        const { remaining, perTx, userCap, totalClaimed } = this.state.freeMint;
+        return { remaining, perTx, userCap, totalClaimed };
+    }
+
+    getFreeMintClaimed(_ctx, { user }) {
+        return { claimed: this.state.freeMint.perUser[user] || 0n };
+    }
+
+    // ── OP20 ──
+
+    name() {
+        return { name: this.state.name };
+    }
+
+    symbol() {
+        return { symbol: this.state.symbol };
+    }
+
+    icon() {
+        return { icon: '' };
+    }
+
+    decimals() {
+        return { decimals: this.state.decimals };
+    }
+
+    totalSupply() {
+        return { totalSupply: this.state.totalSupply };
+    }
+
+    maximumSupply() {
+        return { maximumSupply: this.state.maxSupply };
+    }
+
+    domainSeparator() {
+        return { domainSeparator: new Uint8Array(32) };
+    }
+
+    metadata() {
+        const s = this.state;
+        return {
+            name: s.name,
+            symbol: s.symbol,
+            icon: '',
+            decimals: s.decimals,
+            totalSupply: s.totalSupply,
+            domainSeparator: new Uint8Array(32),
+        };
+    }
+
+    balanceOf(_ctx, { owner }) {
+        return { balance: this.state.balances[owner] || 0n };
+    }
+
+    nonceOf() {
+        return { nonce: 0n };
+    }
+
+    allowance(_ctx, { owner, spender }) {
+        return { remaining: this.state.allowances[`${owner}:${spender}`] || 0n };
+    }
+
+    transfer(ctx, { to, amount }) {
+        this._whenNotPaused();
+        this._move(ctx, ctx.sender, to, amount);
+        return {};
+    }
+
+    transferFrom(ctx, { from, to, amount }) {
+        this._whenNotPaused();
+        if (from !== ctx.sender) {
+            const key = `${from}:${ctx.sender}`;
+            const allowed = this.state.allowances[key] || 0n;
+            if (allowed < amount) throw new Revert('Insufficient allowance');
+            this.state.allowances[key] = allowed - amount;
+        }
+        this._move(ctx, from, to, amount);
+        return {};
+    }
+
+    safeTransfer(ctx, args) {
+        return this.transfer(ctx, args);
+    }
+
+    safeTransferFrom(ctx, args) {
+        return this.transferFrom(ctx, args);
+    }
+
+    increaseAllowance(ctx, { spender, amount }) {
+        const key = `${ctx.sender}:${spender}`;
+        this.state.allowances[key] = (this.state.allowances[key] || 0n) + amount;
+        ctx.emit('Approved', { owner: ctx.sender, spender, amount: this.state.allowances[key] });
+        return {};
+    }
+
+    decreaseAllowance(ctx, { spender, amount }) {
+        const key = `${ctx.sender}:${spender}`;
+        const current = this.state.allowances[key] || 0n;
+        this.state.allowances[key] = current > amount ? current - amount : 0n;
+        ctx.emit('Approved', { owner: ctx.sender, spender, amount: this.state.allowances[key] });
+        return {};
+    }
+
+    // ── Internals ──
+
+    _mint(ctx, to, amount) {
+        const s = this.state;
+        if (s.totalSupply + amount > s.maxSupply) throw new Revert('Max supply reached');
+        s.balances[to] = (s.balances[to] || 0n) + amount;
+        s.totalSupply += amount;
+        ctx.emit('Minted', { to, amount });
+    }
+
+    _move(ctx, from, to, amount) {
+        if (isZero(to)) throw new Revert('Invalid receiver');
+        const s = this.state;
+        const balance = s.balances[from] || 0n;
+        if (balance < amount) throw new Revert('Insufficient balance');
+        s.balances[from] = balance - amount;
+        s.balances[to] = (s.balances[to] || 0n) + amount;
+        ctx.emit('Transferred', { operator: ctx.sender, from, to, amount });
+    }
+
+    _onlyTokenOwner(ctx) {
+        if (isZero(this.state.owner)) throw new Revert('Ownership renounced');
+        if (this.state.owner !== ctx.sender) throw new Revert('Only token owner can call this');
+    }
+
+    _whenNotPaused() {
+        if (this.state.paused) throw new Revert('Token transfers are paused');
+    }
+}
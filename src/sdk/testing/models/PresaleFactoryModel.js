@@ -0,0 +1,155 @@
+// BitLaunch SDK - Presale factory model
+// PresaleFactory (contracts/src/presale-factory/PresaleFactory.ts): clones the
+// presale template, moves the creator's sale tokens into it and initialises it
+// with the factory's platform wallet and default fee.
+
+import { PRESALE_FACTORY_ABI } from '../../../services/abis/presaleFactoryAbi.js';
+import { ContractModel, Revert, isZero, ZERO_ADDRESS } from './ContractModel.js';
+
+const MAX_FEE_BPS = 1000n;
+
+export class PresaleFactoryModel extends ContractModel {
+    static abi = PRESALE_FACTORY_ABI;
+
+    constructor() {
+        super();
+        this.state = {
+            owner: null,
+            template: null,
+            platformWallet: null,
+            defaultFeeBps: 200n,
+            paused: false,
+            // { presale, creator, token, block } in deployment order
+            presales: [],
+        };
+    }
+
+    /** @param {{ template?: string, platformWallet?: string }} [params] */
+    onDeployment(ctx, params = {}) {
+        this.state.owner = ctx.origin;
+        if (!isZero(params.template)) this.state.template = params.template;
+        if (!isZero(params.platformWallet)) this.state.platformWallet = params.platformWallet;
+    }
+
+    createPresale(ctx, args) {
+        const s = this.state;
+        if (s.paused) throw new Revert('Factory is paused');
+        if (isZero(args.tokenAddr)) throw new Revert('Invalid token address');
+        if (args.hardCap === 0n) throw new Revert('Hard cap must be > 0');
+        if (args.rate === 0n) throw new Revert('Rate must be > 0');
+        if (args.maxBuy === 0n) throw new Revert('Max buy must be > 0');
+        if (args.endBlock === 0n) throw new Revert('End block must be > 0');
+        if (args.tokenAmount === 0n) throw new Revert('Token amount must be > 0');
+        if (args.softCap > args.hardCap) throw new Revert('Soft cap must be <= hard cap');
+        if (args.startBlock >= args.endBlock) throw new Revert('Start must be before end');
+        if (args.minBuy > 0n && args.minBuy > args.maxBuy) throw new Revert('Min must be <= max buy');
+        if (isZero(s.template)) throw new Revert('Template not set');
+        if (isZero(s.platformWallet)) throw new Revert('Platform wallet not set');
+
+        const creator = ctx.origin;
+        const presale = ctx.deployFromTemplate(s.template);
+        ctx.call(args.tokenAddr, 'transferFrom', { from: creator, to: presale, amount: args.tokenAmount });
+        ctx.call(presale, 'initialize', {
+            ...args,
+            creator,
+            platformWallet: s.platformWallet,
+            feeBps: s.defaultFeeBps,
+            pullTokens: false,
+        });
+
+        s.presales.push({ presale, creator, token: args.tokenAddr, block: ctx.block });
+        ctx.emit('PresaleDeployed', { creator, presale, token: args.tokenAddr });
+        return { presaleAddress: presale };
+    }
+
+    pauseFactory(ctx) {
+        this._onlyOwner(ctx);
+        if (this.state.paused) throw new Revert('Already paused');
+        this.state.paused = true;
+        ctx.emit('FactoryPaused', { by: ctx.sender });
+        return { success: true };
+    }
+
+    unpauseFactory(ctx) {
+        this._onlyOwner(ctx);
+        if (!this.state.paused) throw new Revert('Not paused');
+        this.state.paused = false;
+        ctx.emit('FactoryUnpaused', { by: ctx.sender });
+        return { success: true };
+    }
+
+    setTemplate(ctx, { newTemplate }) {
+        this._onlyOwner(ctx);
+        if (isZero(newTemplate)) throw new Revert('Invalid template');
+        this.state.template = newTemplate;
+        return { success: true };
+    }
+
+    setPlatformWallet(ctx, { newPlatformWallet }) {
+        this._onlyOwner(ctx);
+        if (isZero(newPlatformWallet)) throw new Revert('Invalid wallet');
+        this.state.platformWallet = newPlatformWallet;
+        return { success: true };
+    }
+
+    transferOwnership(ctx, { newOwner }) {
+        this._onlyOwner(ctx);
+        if (isZero(newOwner)) throw new Revert('Invalid new owner');
+        const previousOwner = this.state.owner;
+        this.state.owner = newOwner;
+        ctx.emit('OwnershipTransferred', { previousOwner, newOwner });
+        return { success: true };
+    }
+
+    setDefaultFeeBps(ctx, { feeBps }) {
+        this._onlyOwner(ctx);
+        if (feeBps > MAX_FEE_BPS) throw new Revert('Fee BPS exceeds maximum (1000)');
+        this.state.defaultFeeBps = feeBps;
+        return { success: true };
+    }
+
+    owner() {
+        return { owner: this.state.owner };
+    }
+
+    isPaused() {
+        return { isPaused: this.state.paused };
+    }
+
+    getDefaultFeeBps() {
+        return { feeBps: this.state.defaultFeeBps };
+    }
+
+    getPresaleCount() {
+        return { count: this.state.presales.length };
+    }
+
+    getPresaleByIndex(_ctx, { index }) {
+        const p = this.state.presales[index];
+        if (!p) throw new Revert('Index out of bounds');
+        return { creator: p.creator, presale: p.presale, token: p.token };
+    }
+
+    getPresaleCreator(_ctx, { presaleAddress }) {
+        const p = this.state.presales.find(entry => entry.presale === presaleAddress);
+        return { creator: p?.creator || ZERO_ADDRESS };
+    }
+
+    getCreatorPresaleCount(_ctx, { creator }) {
+        return { count: this._byCreator(creator).length };
+    }
+
+    getCreatorPresaleByIndex(_ctx, { creator, index }) {
+        const p = this._byCreator(creator)[index];
+        if (!p) throw new Revert('Index out of bounds');
+        return { presale: p.presale, token: p.token, block: p.block };
+    }
+
+    _byCreator(creator) {
+        return this.state.presales.filter(p => p.creator === creator);
+    }
+
+    _onlyOwner(ctx) {
+        if (this.state.owner !== ctx.sender) throw new Revert('Only factory owner');
+    }
+}
@@ -0,0 +1,396 @@
+// BitLaunch SDK - Presale model
+// PresaleContract (contracts/src/presale/PresaleContract.ts). Contributions
+// are bookkeeping only, as on chain; the model does not move BTC.
+
+import { PRESALE_ABI } from '../../../services/abis/presaleAbi.js';
+import { ContractModel, Revert, isZero, bpsOf, BPS_DENOMINATOR } from './ContractModel.js';
+
+const DEFAULT_PLATFORM_FEE_BPS = 200n;
+const MAX_PLATFORM_FEE_BPS = 1000n;
+const ADDRESS_BYTES = 32;
+
+const hex = bytes => `0x${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+
+export class PresaleModel extends ContractModel {
+    static abi = PRESALE_ABI;
+
+    constructor() {
+        super();
+        this.state = {
+            initialized: false,
+            creator: null,
+            platformWallet: null,
+            token: null,
+            hardCap: 0n,
+            softCap: 0n,
+            rate: 0n,
+            minBuy: 0n,
+            maxBuy: 0n,
+            startBlock: 0n,
+            endBlock: 0n,
+            totalRaised: 0n,
+            totalTokens: 0n,
+            feeBps: 0n,
+            platformFee: 0n,
+            finalized: false,
+            cancelled: false,
+            paused: false,
+            whitelistEnabled: false,
+            whitelist: {},
+            vesting: { enabled: false, cliff: 0n, duration: 0n, tgeBps: 0n },
+            antiBotMaxPerBlock: 0n,
+            blockContributors: {},
+            contributions: {},
+            claimed: {},
+            // Contributor addresses in order of first contribution
+            contributors: [],
+        };
+    }
+
+    initialize(ctx, args) {
+        const s = this.state;
+        if (s.initialized) throw new Revert('Already initialized');
+        if (isZero(args.creator)) throw new Revert('Invalid creator');
+        if (isZero(args.platformWallet)) throw new Revert('Invalid platform wallet');
+        if (isZero(args.tokenAddr)) throw new Revert('Invalid token address');
+        if (args.hardCap === 0n) throw new Revert('Hard cap must be > 0');
+        if (args.rate === 0n) throw new Revert('Rate must be > 0');
+        if (args.maxBuy === 0n) throw new Revert('Max buy must be > 0');
+        if (args.endBlock === 0n) throw new Revert('End block must be > 0');
+        if (args.tokenAmount === 0n) throw new Revert('Token amount must be > 0');
+        if (args.feeBps > MAX_PLATFORM_FEE_BPS) throw new Revert('Fee BPS exceeds maximum (1000)');
+        if (args.softCap > args.hardCap) throw new Revert('Soft cap must be <= hard cap');
+        if (args.startBlock >= args.endBlock) throw new Revert('Start must be before end');
+        if (args.minBuy > 0n && args.minBuy > args.maxBuy) throw new Revert('Min must be <= max');
+        if (args.tokenAmount < args.hardCap * args.rate) throw new Revert('Insufficient tokens for hard cap');
+
+        Object.assign(s, {
+            creator: args.creator,
+            platformWallet: args.platformWallet,
+            token: args.tokenAddr,
+            hardCap: args.hardCap,
+            softCap: args.softCap,
+            rate: args.rate,
+            minBuy: args.minBuy,
+            maxBuy: args.maxBuy,
+            startBlock: args.startBlock,
+            endBlock: args.endBlock,
+            totalTokens: args.tokenAmount,
+            feeBps: args.feeBps === 0n ? DEFAULT_PLATFORM_FEE_BPS : args.feeBps,
+            initialized: true,
+        });
+
+        if (args.pullTokens) {
+            ctx.call(s.token, 'transferFrom', { from: ctx.sender, to: ctx.self, amount: args.tokenAmount });
+        }
+
+        const { vestingCliff, vestingDuration, vestingTgeBps } = args;
+        if (vestingDuration > 0n || vestingCliff > 0n || vestingTgeBps > 0n) {
+            if (vestingDuration === 0n) throw new Revert('Vesting duration must be > 0');
+            if (vestingTgeBps > BPS_DENOMINATOR) throw new Revert('TGE BPS must be <= 10000');
+            s.vesting = { enabled: true, cliff: vestingCliff, duration: vestingDuration, tgeBps: vestingTgeBps };
+        }
+        if (args.antiBotMaxPerBlock > 0n) s.antiBotMaxPerBlock = args.antiBotMaxPerBlock;
+
+        ctx.emit('PresaleCreated', { creator: s.creator, token: s.token, hardCap: s.hardCap, softCap: s.softCap });
+        return { success: true };
+    }
+
+    setVesting(ctx, { cliffBlocks, durationBlocks, tgeBps }) {
+        this._creatorBeforeStart(ctx);
+        if (durationBlocks === 0n) throw new Revert('Duration must be > 0');
+        if (tgeBps > BPS_DENOMINATOR) throw new Revert('TGE BPS must be <= 10000');
+        this.state.vesting = { enabled: true, cliff: cliffBlocks, duration: durationBlocks, tgeBps };
+        return { success: true };
+    }
+
+    setAntiBot(ctx, { maxPerBlock }) {
+        this._creatorBeforeStart(ctx);
+        this.state.antiBotMaxPerBlock = maxPerBlock;
+        return { success: true };
+    }
+
+    enableWhitelist(ctx) {
+        this._creatorBeforeStart(ctx);
+        this.state.whitelistEnabled = true;
+        return { success: true };
+    }
+
+    disableWhitelist(ctx) {
+        this._requireInitialized();
+        this._onlyCreator(ctx);
+        this.state.whitelistEnabled = false;
+        return { success: true };
+    }
+
+    addToWhitelist(ctx, { account }) {
+        this._requireInitialized();
+        this._onlyCreator(ctx);
+        if (isZero(account)) throw new Revert('Invalid address');
+        this.state.whitelist[account] = true;
+        return { success: true };
+    }
+
+    addBatchToWhitelist(ctx, { data }) {
+        this._requireInitialized();
+        this._onlyCreator(ctx);
+        if (data.length === 0) throw new Revert('Empty data');
+        if (data.length % ADDRESS_BYTES !== 0) throw new Revert('Invalid data length');
+        const count = data.length / ADDRESS_BYTES;
+        for (let i = 0; i < count; i++) {
+            const account = hex(data.subarray(i * ADDRESS_BYTES, (i + 1) * ADDRESS_BYTES));
+            if (!isZero(account)) this.state.whitelist[account] = true;
+        }
+        return { count };
+    }
+
+    removeFromWhitelist(ctx, { account }) {
+        this._requireInitialized();
+        this._onlyCreator(ctx);
+        if (isZero(account)) throw new Revert('Invalid address');
+        delete this.state.whitelist[account];
+        return { success: true };
+    }
+
+    contribute(ctx, { amount }) {
+        const s = this.state;
+        this._requireInitialized();
+        if (ctx.block < s.startBlock) throw new Revert('Presale not started');
+        if (ctx.block > s.endBlock) throw new Revert('Presale ended');
+        if (s.finalized) throw new Revert('Already finalized');
+        this._requireNotCancelled();
+        if (s.paused) throw new Revert('Presale paused');
+
+        const sender = ctx.sender;
+        if (s.whitelistEnabled && !s.whitelist[sender]) throw new Revert('Not whitelisted');
+        if (amount < s.minBuy) throw new Revert('Below minimum contribution');
+        const current = s.contributions[sender] || 0n;
+        if (current + amount > s.maxBuy) throw new Revert('Exceeds maximum contribution');
+        if (s.totalRaised + amount > s.hardCap) throw new Revert('Exceeds hard cap');
+
+        const isNew = current === 0n;
+        if (isNew && s.antiBotMaxPerBlock > 0n) {
+            const key = ctx.block.toString();
+            const inBlock = s.blockContributors[key] || 0n;
+            if (inBlock >= s.antiBotMaxPerBlock) throw new Revert('Max contributors per block reached');
+            s.blockContributors[key] = inBlock + 1n;
+        }
+
+        s.contributions[sender] = current + amount;
+        s.totalRaised += amount;
+        if (isNew) s.contributors.push(sender);
+        ctx.emit('Contributed', { contributor: sender, amount });
+        return { success: true };
+    }
+
+    claim(ctx) {
+        const s = this.state;
+        this._requireInitialized();
+        this._requireNotCancelled();
+        this._requireEnded(ctx);
+        if (s.totalRaised < s.softCap) throw new Revert('Soft cap not met');
+
+        const contribution = s.contributions[ctx.sender] || 0n;
+        if (contribution === 0n) throw new Revert('No contribution');
+        const total = this._claimable(ctx, contribution);
+        const already = s.claimed[ctx.sender] || 0n;
+        if (total <= already) throw new Revert('Nothing to claim');
+
+        const tokenAmount = total - already;
+        s.claimed[ctx.sender] = total;
+        ctx.call(s.token, 'transfer', { to: ctx.sender, amount: tokenAmount });
+        ctx.emit('Claimed', { claimer: ctx.sender, tokenAmount });
+        return { tokenAmount };
+    }
+
+    finalize(ctx) {
+        const s = this.state;
+        this._requireInitialized();
+        this._requireEnded(ctx);
+        this._requireNotCancelled();
+        this._onlyCreator(ctx);
+        if (s.finalized) throw new Revert('Already finalized');
+        if (s.totalRaised < s.softCap) throw new Revert('Soft cap not met');
+
+        s.finalized = true;
+        const sold = s.totalRaised * s.rate;
+        const fee = bpsOf(sold, s.feeBps);
+        if (fee > 0n) {
+            s.platformFee = fee;
+            ctx.call(s.token, 'transfer', { to: s.platformWallet, amount: fee });
+        }
+        if (sold + fee < s.totalTokens) {
+            ctx.call(s.token, 'transfer', { to: s.creator, amount: s.totalTokens - sold - fee });
+        }
+        ctx.emit('Finalized', { totalRaised: s.totalRaised, platformFee: fee });
+        return { success: true };
+    }
+
+    refund(ctx) {
+        const s = this.state;
+        this._requireInitialized();
+        this._requireEnded(ctx);
+        if (s.finalized) throw new Revert('Already finalized');
+        this._requireNotCancelled();
+        this._onlyCreator(ctx);
+        if (s.totalRaised >= s.softCap) throw new Revert('Soft cap met, use finalize');
+
+        s.cancelled = true;
+        ctx.call(s.token, 'transfer', { to: s.creator, amount: s.totalTokens });
+        ctx.emit('Refunded', { creator: s.creator, tokenAmount: s.totalTokens });
+        return { tokenAmount: s.totalTokens };
+    }
+
+    emergencyWithdraw(ctx) {
+        const s = this.state;
+        this._requireInitialized();
+        if (s.finalized) throw new Revert('Already finalized');
+        this._requireNotCancelled();
+        this._onlyCreator(ctx);
+
+        s.cancelled = true;
+        ctx.call(s.token, 'transfer', { to: s.creator, amount: s.totalTokens });
+        ctx.emit('PresaleCancelled', { by: s.creator, tokensReturned: s.totalTokens });
+        return { tokenAmount: s.totalTokens };
+    }
+
+    pause(ctx) {
+        this._requireInitialized();
+        this._onlyCreator(ctx);
+        if (this.state.paused) throw new Revert('Already paused');
+        this.state.paused = true;
+        ctx.emit('PresalePaused', { by: ctx.sender });
+        return { success: true };
+    }
+
+    unpause(ctx) {
+        this._requireInitialized();
+        this._onlyCreator(ctx);
+        if (!this.state.paused) throw new Revert('Not paused');
+        this.state.paused = false;
+        ctx.emit('PresaleUnpaused', { by: ctx.sender });
+        return { success: true };
+    }
+
+    // ── Views ──
+
+    getPresaleInfo() {
+        const s = this.state;
+        return {
+            token: s.token,
+            creator: s.creator,
+            hardCap: s.hardCap,
+            softCap: s.softCap,
+            totalRaised: s.totalRaised,
+            startBlock: s.startBlock,
+            endBlock: s.endBlock,
+        };
+    }
+
+    getContribution(_ctx, { contributor }) {
+        return { contribution: this.state.contributions[contributor] || 0n };
+    }
+
+    getClaimable(ctx, { contributor }) {
+        const contribution = this.state.contributions[contributor] || 0n;
+        if (contribution === 0n) return { claimable: 0n };
+        const vested = this._claimable(ctx, contribution);
+        const already = this.state.claimed[contributor] || 0n;
+        return { claimable: vested > already ? vested - already : 0n };
+    }
+
+    getRate() {
+        return { rate: this.state.rate };
+    }
+
+    getPlatformFee() {
+        return { platformFee: this.state.platformFee };
+    }
+
+    getPlatformFeeBps() {
+        return { feeBps: this.state.feeBps };
+    }
+
+    isActive(ctx) {
+        const s = this.state;
+        return { active: ctx.block >= s.startBlock && ctx.block <= s.endBlock && !s.paused && !s.cancelled };
+    }
+
+    isSoftCapMet() {
+        return { met: this.state.totalRaised >= this.state.softCap };
+    }
+
+    isWhitelisted(_ctx, { account }) {
+        return { whitelisted: !!this.state.whitelist[account] };
+    }
+
+    getVestingInfo() {
+        const v = this.state.vesting;
+        return { enabled: v.enabled, cliffBlocks: v.cliff, durationBlocks: v.duration, tgeBps: v.tgeBps };
+    }
+
+    isPaused() {
+        return { paused: this.state.paused };
+    }
+
+    isCancelled() {
+        return { cancelled: this.state.cancelled };
+    }
+
+    isFinalized() {
+        return { finalized: this.state.finalized };
+    }
+
+    getContributorCount() {
+        return { count: this.state.contributors.length };
+    }
+
+    getContributorByIndex(_ctx, { index }) {
+        const contributor = this.state.contributors[index];
+        if (!contributor) throw new Revert('Index out of bounds');
+        return { contributor, contribution: this.state.contributions[contributor] || 0n };
+    }
+
+    getAntiBotConfig() {
+        return { maxPerBlock: this.state.antiBotMaxPerBlock };
+    }
+
+    // ── Internals ──
+
+    // Tokens vested for a contribution: TGE share from the end block until the
+    // cliff passes, then linear over the vesting duration.
+    _claimable(ctx, contribution) {
+        const s = this.state;
+        const allocation = contribution * s.rate;
+        if (!s.vesting.enabled) return allocation;
+        if (ctx.block <= s.endBlock) return 0n;
+
+        const tge = bpsOf(allocation, s.vesting.tgeBps);
+        const cliffEnd = s.endBlock + s.vesting.cliff;
+        if (ctx.block < cliffEnd) return tge;
+        if (ctx.block >= cliffEnd + s.vesting.duration) return allocation;
+        return tge + ((allocation - tge) * (ctx.block - cliffEnd)) / s.vesting.duration;
+    }
+
+    _creatorBeforeStart(ctx) {
+        this._requireInitialized();
+        this._onlyCreator(ctx);
+        if (ctx.block >= this.state.startBlock) throw new Revert('Presale already started');
+    }
+
+    _onlyCreator(ctx) {
+        if (ctx.sender !== this.state.creator) throw new Revert('Only creator');
+    }
+
+    _requireInitialized() {
+        if (!this.state.initialized) throw new Revert('Not initialized');
+    }
+
+    _requireEnded(ctx) {
+        if (ctx.block <= this.state.endBlock) throw new Revert('Presale not ended');
+    }
+
+    _requireNotCancelled() {
+        if (this.state.cancelled) throw new Revert('Presale cancelled');
+    }
+}
@@ -0,0 +1,134 @@
+// BitLaunch SDK - Vesting model
+// VestingContract (contracts/src/vesting/VestingContract.ts): block-based
+// schedules with an optional TGE share, revocable by their creator.
+
+import { VESTING_ABI } from '../../../services/abis/vestingAbi.js';
+import { ContractModel, Revert, isZero, bpsOf, BPS_DENOMINATOR } from './ContractModel.js';
+
+export class VestingModel extends ContractModel {
+    static abi = VESTING_ABI;
+
+    constructor() {
+        super();
+        // Schedule id is the index
+        this.state = { schedules: [] };
+    }
+
+    createSchedule(ctx, args) {
+        if (isZero(args.beneficiary)) throw new Revert('Invalid beneficiary address');
+        if (isZero(args.token)) throw new Revert('Invalid token address');
+        if (args.totalAmount === 0n) throw new Revert('Amount must be > 0');
+        if (args.vestingBlockCount === 0n) throw new Revert('Vesting duration must be > 0');
+        if (args.startBlock === 0n) throw new Revert('Start block must be > 0');
+        if (args.tgeBps > BPS_DENOMINATOR) throw new Revert('TGE BPS must be <= 10000');
+
+        const scheduleId = BigInt(this.state.schedules.length);
+        this.state.schedules.push({
+            beneficiary: args.beneficiary,
+            token: args.token,
+            creator: ctx.sender,
+            totalAmount: args.totalAmount,
+            claimedAmount: 0n,
+            cliffBlocks: args.cliffBlockCount,
+            vestingBlocks: args.vestingBlockCount,
+            startBlock: args.startBlock,
+            tgeBps: args.tgeBps,
+            revoked: false,
+            revocable: true,
+        });
+        ctx.call(args.token, 'transferFrom', { from: ctx.sender, to: ctx.self, amount: args.totalAmount });
+        ctx.emit('ScheduleCreated', {
+            scheduleId, beneficiary: args.beneficiary, token: args.token, totalAmount: args.totalAmount,
+        });
+        return { scheduleId };
+    }
+
+    claim(ctx, { scheduleId }) {
+        const schedule = this._schedule(scheduleId);
+        if (ctx.sender !== schedule.beneficiary) throw new Revert('Only beneficiary');
+        if (schedule.revoked) throw new Revert('Schedule revoked');
+        const claimable = this._claimable(ctx, schedule);
+        if (claimable === 0n) throw new Revert('Nothing to claim');
+
+        schedule.claimedAmount += claimable;
+        ctx.call(schedule.token, 'transfer', { to: ctx.sender, amount: claimable });
+        ctx.emit('TokensClaimed', { scheduleId, beneficiary: ctx.sender, amount: claimable });
+        return { claimable };
+    }
+
+    revokeSchedule(ctx, { scheduleId }) {
+        const schedule = this._schedule(scheduleId);
+        if (ctx.sender !== schedule.creator) throw new Revert('Only creator');
+        if (schedule.revoked) throw new Revert('Already revoked');
+        if (!schedule.revocable) throw new Revert('Schedule is not revocable');
+
+        const vested = this._vested(ctx, schedule);
+        const returnedAmount = schedule.totalAmount - vested;
+        schedule.revoked = true;
+        schedule.totalAmount = vested;
+        if (returnedAmount > 0n) {
+            ctx.call(schedule.token, 'transfer', { to: schedule.creator, amount: returnedAmount });
+        }
+        ctx.emit('ScheduleRevoked', { scheduleId, returnedAmount });
+        return { returnedAmount };
+    }
+
+    getClaimable(ctx, { scheduleId }) {
+        return { claimable: this._claimable(ctx, this._schedule(scheduleId)) };
+    }
+
+    getSchedule(_ctx, { scheduleId }) {
+        return { ...this._schedule(scheduleId) };
+    }
+
+    getScheduleCount() {
+        return { count: BigInt(this.state.schedules.length) };
+    }
+
+    getBeneficiaryScheduleCount(_ctx, { beneficiary }) {
+        return { count: this._idsWhere('beneficiary', beneficiary).length };
+    }
+
+    getBeneficiaryScheduleByIndex(_ctx, { beneficiary, index }) {
+        const scheduleId = this._idsWhere('beneficiary', beneficiary)[index];
+        if (scheduleId === undefined) throw new Revert('Index out of bounds');
+        return { scheduleId };
+    }
+
+    getCreatorScheduleCount(_ctx, { creator }) {
+        return { count: this._idsWhere('creator', creator).length };
+    }
+
+    getCreatorScheduleByIndex(_ctx, { creator, index }) {
+        const scheduleId = this._idsWhere('creator', creator)[index];
+        if (scheduleId === undefined) throw new Revert('Index out of bounds');
+        return { scheduleId };
+    }
+
+    _schedule(scheduleId) {
+        const schedule = this.state.schedules[Number(scheduleId)];
+        if (!schedule) throw new Revert('Invalid schedule');
+        return schedule;
+    }
+
+    _idsWhere(field, address) {
+        return this.state.schedules
+            .map((schedule, id) => (schedule[field] === address ? BigInt(id) : null))
+            .filter(id => id !== null);
+    }
+
+    _vested(ctx, schedule) {
+        const { startBlock, cliffBlocks, vestingBlocks, totalAmount } = schedule;
+        const tge = bpsOf(totalAmount, schedule.tgeBps);
+        if (ctx.block < startBlock) return 0n;
+        const cliffEnd = startBlock + cliffBlocks;
+        if (ctx.block < cliffEnd) return tge;
+        if (ctx.block >= cliffEnd + vestingBlocks) return totalAmount;
+        return tge + ((totalAmount - tge) * (ctx.block - cliffEnd)) / vestingBlocks;
+    }
+
+    _claimable(ctx, schedule) {
+        const vested = this._vested(ctx, schedule);
+        return vested > schedule.claimedAmount ? vested - schedule.claimedAmount : 0n;
+    }
+}
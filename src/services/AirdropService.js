@@ -5,24 +5,36 @@
 /* global BigInt */
 
 import { getContract, OP_20_ABI } from 'opnet';
-import { opnetProvider } from './opnetProvider';
-import { CONTRACTS } from './contracts';
-import { AIRDROP_ABI } from './abis/airdropAbi';
-import { resolveAddress } from './addressHelper';
-import { approveAndWait } from './approveHelper';
+import { opnetProvider } from './opnetProvider.js';
+import { getCachedContract } from './readCache.js';
+import { CONTRACTS } from './contracts.js';
+import { AIRDROP_ABI } from './abis/airdropAbi.js';
+import { resolveAddress, resolveAddresses, resolveAddressVariants } from './addressHelper.js';
+import { approveAndWait } from './approveHelper.js';
+import { sendSimulation } from './txSender.js';
+import { batchCalls, pageIndexes } from './concurrency.js';
+import { buildMerkleTreeAsync, getCachedTree, cacheTree, treeCacheKey } from './merkleBuilder.js';
+import { getItem, setItem } from './storage.js';
 import {
-    buildMerkleTree,
-    generateProof,
-    packProof,
+    verifyProof,
     hashLeaf,
     bytesToBigInt,
     serializeTreeData,
     deserializeTreeData,
     bytesToHex,
     hexToBytes,
-} from './merkleTree';
+} from './merkleTree.js';
 
-const TREE_STORAGE_PREFIX = 'bitlaunch_airdrop_tree_';
+const RESOLVE_CONCURRENCY = 8;
+
+// Tree JSON that did not fit in storage (kept for this session only)
+const unsavedTrees = new Map();
+
+// Airdrop ids restart with every deployment, so stored trees are scoped to
+// the airdrop contract they were created on
+const treeName = (airdropId) => `airdrop_tree_${airdropId}`;
+const treeScope = () => ({ contract: CONTRACTS.airdrop });
+const unsavedKey = (airdropId) => `${CONTRACTS.airdrop}:${airdropId}`;
 
 /**
  * Get a typed contract instance for the airdrop contract.
@@ -38,7 +50,33 @@ async function getAirdropContract(senderAddress) {
         const sender = await resolveAddress(senderAddress, false);
         return getContract(airdropAddress, AIRDROP_ABI, provider, network, sender);
     }
-    return getContract(airdropAddress, AIRDROP_ABI, provider, network);
+    return getCachedContract(airdropAddress, AIRDROP_ABI, provider, network);
+}
+
+/**
+ * Read one airdrop. Throws on transport errors so batched reads can retry;
+ * returns null when the call reverts.
+ */
+async function readAirdrop(contract, airdropId) {
+    const result = await contract.getAirdrop(BigInt(airdropId));
+    if (result.revert) return null;
+    return {
+        creator: result.properties.creator?.toString() || '',
+        token: result.properties.token?.toString() || '',
+        totalAmount: result.properties.totalAmount?.toString() || '0',
+        claimedAmount: result.properties.claimedAmount?.toString() || '0',
+        merkleRoot: result.properties.merkleRoot?.toString() || '0',
+        expiryBlock: Number(result.properties.expiryBlock),
+        cancelled: result.properties.cancelled,
+    };
+}
+
+async function readCreatorAirdrop(contract, creator, index) {
+    const result = await contract.getCreatorAirdropByIndex(creator, index);
+    if (result.revert) return null;
+    const id = Number(result.properties.airdropId);
+    const airdrop = await readAirdrop(contract, id);
+    return airdrop ? { ...airdrop, id: id.toString() } : null;
 }
 
 export const airdropService = {
@@ -48,18 +86,22 @@ export const airdropService = {
      * Create a new Merkle-based airdrop.
      *
      * Steps:
-     *   1. Resolve all recipient addresses to 32-byte hex
-     *   2. Build Merkle tree
+     *   1. Resolve all recipient addresses to 32-byte hex (bounded concurrency)
+     *   2. Build Merkle tree (in a Web Worker — see merkleBuilder.js)
      *   3. Approve airdrop contract to spend tokens
      *   4. Call createAirdrop(token, totalAmount, merkleRoot, expiryBlock)
-     *   5. Save tree data to localStorage for proof generation
+     *   5. Save tree data to client storage for proof generation
+     *      (result.treeSaved is false if it did not fit)
      *
      * @param {Object} data
      * @param {string} data.tokenAddress - OP20 token address
-     * @param {Array<{address: string, amount: string|bigint}>} data.recipients - [{address, amount}]
+     * @param {Array<{address: string, amount: string|bigint}>} data.recipients - [{address, amount}], amounts in raw units
+     *   (see recipientImporter.importRecipients)
      * @param {number} data.expiryBlock - Block number when airdrop expires
      * @param {string} data.creator - Creator wallet address
      * @param {function} [data.onProgress] - Progress callback
+     * @param {bigint} [data.approveAmount] - allowance to request if the current one is short
+     *   (e.g. a campaign's remaining budget, so later waves skip approval); defaults to this airdrop's total
      */
     async createAirdrop(data) {
         if (!data.tokenAddress) throw new Error('Token address required');
@@ -70,22 +112,33 @@ export const airdropService = {
         const provider = opnetProvider.getProvider();
         const network = opnetProvider.getNetwork();
 
-        // Step 1: Resolve all recipient addresses to hex
-        if (data.onProgress) data.onProgress('Resolving addresses...');
-        const resolvedRecipients = [];
-        for (const r of data.recipients) {
-            const resolved = await resolveAddress(r.address, false);
-            const hex = resolved.toHex ? resolved.toHex() : bytesToHex(resolved);
-            resolvedRecipients.push({
-                address: hex,
+        // Step 1: Resolve all recipient addresses to hex (bounded concurrency)
+        const total = data.recipients.length;
+        if (data.onProgress) data.onProgress(`Resolving addresses (0/${total})...`);
+        const resolvedAddresses = await resolveAddresses(data.recipients.map(r => r.address), {
+            concurrency: RESOLVE_CONCURRENCY,
+            onProgress: (done, count) => {
+                if (data.onProgress) data.onProgress(`Resolving addresses (${done}/${count})...`);
+            },
+        });
+        const resolvedRecipients = data.recipients.map((r, i) => {
+            const resolved = resolvedAddresses[i];
+            return {
+                address: resolved.toHex ? resolved.toHex() : bytesToHex(resolved),
                 amount: BigInt(r.amount),
                 originalAddress: r.address,
-            });
-        }
+            };
+        });
 
-        // Step 2: Build Merkle tree
+        // Step 2: Build Merkle tree in a worker
         if (data.onProgress) data.onProgress('Building Merkle tree...');
-        const treeData = buildMerkleTree(resolvedRecipients);
+        const treeData = await buildMerkleTreeAsync(resolvedRecipients, {
+            onProgress: ({ stage, done }) => {
+                if (data.onProgress && stage === 'leaves') {
+                    data.onProgress(`Building Merkle tree (${done}/${total} leaves)...`);
+                }
+            },
+        });
         const merkleRoot = bytesToBigInt(treeData.root);
 
         // Calculate total amount
@@ -98,8 +151,10 @@ export const airdropService = {
 
         await approveAndWait({
             tokenAddr, owner: creatorAddr, spender: airdropAddr,
-            amount: totalAmount, refundTo: data.creator,
+            amount: data.approveAmount && data.approveAmount > totalAmount ? data.approveAmount : totalAmount,
+            refundTo: data.creator,
             provider, network, onProgress: data.onProgress,
+            action: 'airdrop.createAirdrop',
         });
 
         // Step 4: Create airdrop on-chain (allowance is now confirmed)
@@ -114,27 +169,37 @@ export const airdropService = {
         }
 
         if (data.onProgress) data.onProgress('Confirming airdrop — please confirm in wallet...');
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: data.creator, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: data.creator, network, action: 'airdrop.createAirdrop',
         });
 
         const airdropId = simulation.properties?.airdropId?.toString() || '0';
 
-        // Step 5: Save tree data to localStorage
+        // Step 5: Save tree data to client storage. Very large lists can exceed the
+        // storage quota — the tree stays in the in-memory cache for this session,
+        // and the caller should prompt the creator to export proofs/claim links.
+        cacheTree(treeCacheKey(airdropId, treeData.rootHex), treeData);
         const treeJson = serializeTreeData(treeData, resolvedRecipients.map(r => ({
             address: r.address,
             amount: r.amount.toString(),
+            originalAddress: r.originalAddress,
         })));
-        localStorage.setItem(`${TREE_STORAGE_PREFIX}${airdropId}`, treeJson);
+        let treeSaved = true;
+        try {
+            setItem(treeName(airdropId), treeJson, treeScope());
+        } catch (err) {
+            console.warn('Could not save airdrop tree data:', err.message);
+            treeSaved = false;
+            unsavedTrees.set(unsavedKey(airdropId), treeJson);
+        }
 
         return {
             success: true,
             airdropId,
-            merkleRoot: bytesToHex(treeData.root),
+            merkleRoot: treeData.rootHex,
             recipientCount: data.recipients.length,
             totalAmount: totalAmount.toString(),
+            treeSaved,
             txHash: receipt.transactionId,
         };
     },
@@ -145,16 +210,16 @@ export const airdropService = {
      * @param {string} airdropId
      * @param {string} claimerAddress - wallet address
      * @param {string|bigint} amount - claim amount
-     * @param {Uint8Array} [proofBytes] - optional pre-computed proof, otherwise loads from localStorage
+     * @param {Uint8Array} [proofBytes] - optional pre-computed proof, otherwise built from saved tree data
      */
     async claim(airdropId, claimerAddress, amount, proofBytes) {
         if (!claimerAddress) throw new Error('Wallet address required');
 
-        // Get proof from localStorage if not provided
+        // Build proof from locally saved tree data if not provided
         if (!proofBytes) {
-            const proof = this.getProofForClaimer(airdropId, claimerAddress);
-            if (!proof) {
-                throw new Error('No proof found for this address. Make sure you are eligible for this airdrop.');
+            const proof = await this.getProofForClaimer(airdropId, claimerAddress);
+            if (!proof.eligible) {
+                throw new Error(proof.reason);
             }
             proofBytes = proof.proofBytes;
             amount = proof.amount;
@@ -170,10 +235,8 @@ export const airdropService = {
             throw new Error(`Claim failed: ${simulation.revert}`);
         }
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: claimerAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: claimerAddress, network, action: 'airdrop.claim',
         });
 
         return {
@@ -195,10 +258,8 @@ export const airdropService = {
         const simulation = await contract.cancelAirdrop(BigInt(airdropId));
         if (simulation.revert) throw new Error(`Cancel failed: ${simulation.revert}`);
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: callerAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: callerAddress, network, action: 'airdrop.cancelAirdrop',
         });
 
         return {
@@ -220,10 +281,8 @@ export const airdropService = {
         const simulation = await contract.recoverExpired(BigInt(airdropId));
         if (simulation.revert) throw new Error(`Recovery failed: ${simulation.revert}`);
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: callerAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: callerAddress, network, action: 'airdrop.recoverExpired',
         });
 
         return {
@@ -238,18 +297,7 @@ export const airdropService = {
     async getAirdrop(airdropId) {
         try {
             const contract = await getAirdropContract();
-            const result = await contract.getAirdrop(BigInt(airdropId));
-            if (result.revert) return null;
-
-            return {
-                creator: result.properties.creator?.toString() || '',
-                token: result.properties.token?.toString() || '',
-                totalAmount: result.properties.totalAmount?.toString() || '0',
-                claimedAmount: result.properties.claimedAmount?.toString() || '0',
-                merkleRoot: result.properties.merkleRoot?.toString() || '0',
-                expiryBlock: Number(result.properties.expiryBlock),
-                cancelled: result.properties.cancelled,
-            };
+            return await readAirdrop(contract, airdropId);
         } catch (err) {
             console.warn('getAirdrop failed:', err.message);
             return null;
@@ -291,6 +339,24 @@ export const airdropService = {
         }
     },
 
+    /**
+     * Claimed amounts of many claimers, with retries per lookup.
+     * @param {string} airdropId
+     * @param {string[]} claimers
+     * @param {{ concurrency?: number, onProgress?: (done: number, total: number) => void }} [options]
+     * @returns {Promise<Array<{ address: string, claimedAmount: string|null }>>}
+     *   claimedAmount is null when the claimer could not be resolved or read
+     */
+    async getClaimedAmounts(airdropId, claimers, { concurrency, onProgress } = {}) {
+        const contract = await getAirdropContract();
+        const results = await batchCalls(claimers, async (claimer) => {
+            const result = await contract.getClaimedAmount(BigInt(airdropId), await resolveAddress(claimer, false));
+            if (result.revert) throw new Error(result.revert);
+            return result.properties.claimedAmount?.toString() || '0';
+        }, { concurrency, onProgress });
+        return claimers.map((address, i) => ({ address, claimedAmount: results[i] }));
+    },
+
     async getRemainingAmount(airdropId) {
         try {
             const contract = await getAirdropContract();
@@ -342,67 +408,155 @@ export const airdropService = {
      */
     async getCreatorAirdrops(creatorAddress) {
         const count = await this.getCreatorAirdropCount(creatorAddress);
-        const airdrops = [];
-        for (let i = 0; i < count; i++) {
-            const id = await this.getCreatorAirdropByIndex(creatorAddress, i);
-            if (id != null) {
-                const airdrop = await this.getAirdrop(id);
-                if (airdrop) airdrops.push({ ...airdrop, id: id.toString() });
-            }
+        if (count === 0) return [];
+
+        const contract = await getAirdropContract();
+        const creator = await resolveAddress(creatorAddress, false);
+        const indexes = Array.from({ length: count }, (_, i) => i);
+        const airdrops = await batchCalls(indexes, i => readCreatorAirdrop(contract, creator, i));
+        return airdrops.filter(Boolean);
+    },
+
+    /**
+     * One page of a creator's airdrops, newest first.
+     *
+     * @param {string} creatorAddress
+     * @param {number} offset - airdrops to skip from the newest
+     * @param {number} limit - page size
+     * @returns {Promise<{ items: Array<Object>, total: number, nextOffset: number, hasMore: boolean }>}
+     */
+    async getCreatorAirdropsPage(creatorAddress, offset = 0, limit = 10) {
+        const total = await this.getCreatorAirdropCount(creatorAddress);
+        const { indexes, nextOffset, hasMore } = pageIndexes(total, offset, limit);
+        if (indexes.length === 0) return { items: [], total, nextOffset, hasMore };
+
+        const contract = await getAirdropContract();
+        const creator = await resolveAddress(creatorAddress, false);
+        const airdrops = await batchCalls(indexes, i => readCreatorAirdrop(contract, creator, i));
+        return { items: airdrops.filter(Boolean), total, nextOffset, hasMore };
+    },
+
+    /**
+     * Get all airdrops from on-chain (full scan)
+     */
+    async getAllAirdrops() {
+        try {
+            const count = await this.getAirdropCount();
+            if (count === 0) return [];
+
+            const contract = await getAirdropContract();
+            const ids = Array.from({ length: count }, (_, i) => i);
+            const airdrops = await batchCalls(ids, async (id) => {
+                const airdrop = await readAirdrop(contract, id);
+                return airdrop ? { ...airdrop, id: id.toString() } : null;
+            });
+            return airdrops.filter(Boolean);
+        } catch (err) {
+            console.warn('getAllAirdrops failed:', err.message);
+            return [];
         }
-        return airdrops;
     },
 
     // ── Merkle proof helpers ──
 
     /**
-     * Get proof for a claimer from stored tree data.
+     * Look up a claimer in an airdrop's recipient list and build their proof.
+     *
+     * The wallet is resolved through resolveAddressVariants(). Only the ML-DSA
+     * hex is claimable: the contract hashes the leaf with tx.sender. A list
+     * that holds the wallet under its tweaked-key hex is reported as ineligible
+     * with the reason, instead of letting the claim revert on-chain.
+     *
+     * The built tree is cached per (airdropId, root), so repeat lookups only
+     * generate a proof by index instead of rebuilding the tree.
+     *
      * @param {string} airdropId
-     * @param {string} claimerAddress - bech32 address
-     * @returns {{ proofBytes: Uint8Array, amount: string } | null}
+     * @param {string} claimerAddress - bech32 (or 0x hex) wallet address
+     * @param {{ recipients: Array<{ address: string, amount: string }> }} [treeData]
+     *   recipient list to search (e.g. a verified proof bundle); defaults to locally saved tree data
+     * @returns {Promise<{
+     *   eligible: boolean,
+     *   proofBytes?: Uint8Array,
+     *   amount?: string,
+     *   index?: number,
+     *   matchedAddress?: string,
+     *   variant?: string,
+     *   reason: string|null,
+     * }>}
      */
-    getProofForClaimer(airdropId, claimerAddress) {
-        try {
-            const json = localStorage.getItem(`${TREE_STORAGE_PREFIX}${airdropId}`);
-            if (!json) return null;
-
-            const data = deserializeTreeData(json);
-            if (!data.recipients || !data.leaves) return null;
+    async getProofForClaimer(airdropId, claimerAddress, treeData) {
+        const data = treeData || this.getTreeData(airdropId);
+        if (!data?.recipients?.length) {
+            return { eligible: false, reason: 'No recipient list is available for this airdrop on this device.' };
+        }
+        if (!claimerAddress) {
+            return { eligible: false, reason: 'No wallet address to look up.' };
+        }
 
-            // Need to resolve bech32 to hex first — this is sync, check cache
-            // For now, search by the hex address
-            // The caller should resolve the address beforehand if needed
-            const resolvedHex = claimerAddress; // Assume already hex if stored
+        let variants;
+        try {
+            variants = await resolveAddressVariants(claimerAddress);
+        } catch (err) {
+            return { eligible: false, reason: `Could not resolve wallet address: ${err.message}` };
+        }
 
-            const index = data.recipients.findIndex(r =>
-                r.address.toLowerCase() === resolvedHex.toLowerCase()
-            );
-            if (index === -1) return null;
+        try {
+            const tree = await getCachedTree(treeCacheKey(airdropId, data.root), data.recipients);
+
+            let index = -1;
+            let match = null;
+            for (const v of variants) {
+                index = tree.indexOf(v.hex);
+                if (index !== -1) {
+                    match = v;
+                    break;
+                }
+            }
+            if (index !== -1 && match.variant !== 'mldsa') {
+                return {
+                    eligible: false,
+                    matchedAddress: match.hex,
+                    variant: match.variant,
+                    reason: 'This wallet is in the recipient list under its taproot (tweaked) key, but the contract '
+                        + 'checks the ML-DSA address. The creator built the list with the wrong address form, '
+                        + 'so this entry cannot be claimed.',
+                };
+            }
+            if (index === -1) {
+                return {
+                    eligible: false,
+                    reason: `Wallet ${claimerAddress.slice(0, 10)}...${claimerAddress.slice(-6)} is not in the recipient list of airdrop #${airdropId}.`,
+                };
+            }
 
-            // Rebuild the tree to generate proof
-            const treeData = buildMerkleTree(data.recipients.map(r => ({
-                address: r.address,
-                amount: BigInt(r.amount),
-            })));
+            const proof = tree.getProof(index);
+            const amount = String(data.recipients[index].amount);
 
-            const proof = generateProof(treeData.tree, index);
-            const proofBytes = packProof(proof);
+            if (!verifyProof(hashLeaf(match.hex, amount), proof, tree.root)) {
+                return { eligible: false, reason: 'Generated proof does not verify against the recipient list.' };
+            }
 
             return {
-                proofBytes,
-                amount: data.recipients[index].amount,
+                eligible: true,
+                proofBytes: tree.getPackedProof(index),
+                amount,
+                index,
+                matchedAddress: match.hex,
+                variant: match.variant,
+                reason: null,
             };
         } catch (err) {
             console.warn('getProofForClaimer failed:', err.message);
-            return null;
+            return { eligible: false, reason: `Could not build proof: ${err.message}` };
         }
     },
 
     /**
-     * Check if tree data exists in localStorage for an airdrop.
+     * Check if tree data is stored for an airdrop of the current airdrop contract.
      */
     hasTreeData(airdropId) {
-        return localStorage.getItem(`${TREE_STORAGE_PREFIX}${airdropId}`) !== null;
+        return unsavedTrees.has(unsavedKey(airdropId))
+            || getItem(treeName(airdropId), treeScope()) !== null;
     },
 
     /**
@@ -410,7 +564,8 @@ export const airdropService = {
      */
     getTreeData(airdropId) {
         try {
-            const json = localStorage.getItem(`${TREE_STORAGE_PREFIX}${airdropId}`);
+            const json = getItem(treeName(airdropId), treeScope())
+                || unsavedTrees.get(unsavedKey(airdropId));
             if (!json) return null;
             return deserializeTreeData(json);
         } catch {
@@ -422,7 +577,7 @@ export const airdropService = {
      * Store tree data externally (e.g., from a shared URL).
      */
     storeTreeData(airdropId, treeJson) {
-        localStorage.setItem(`${TREE_STORAGE_PREFIX}${airdropId}`, treeJson);
+        setItem(treeName(airdropId), treeJson, treeScope());
     },
 
     // ── Token helpers ──
@@ -430,7 +585,7 @@ export const airdropService = {
     async fetchTokenInfo(tokenAddress) {
         const provider = opnetProvider.getProvider();
         const network = opnetProvider.getNetwork();
-        const token = getContract(tokenAddress, OP_20_ABI, provider, network);
+        const token = getCachedContract(tokenAddress, OP_20_ABI, provider, network);
 
         const [nameResult, symbolResult, decimalsResult] = await Promise.all([
             token.name(),
@@ -450,7 +605,7 @@ export const airdropService = {
             const provider = opnetProvider.getProvider();
             const network = opnetProvider.getNetwork();
             const owner = await resolveAddress(ownerAddress, false);
-            const token = getContract(tokenAddress, OP_20_ABI, provider, network);
+            const token = getCachedContract(tokenAddress, OP_20_ABI, provider, network);
             const result = await token.balanceOf(owner);
             if (result.revert) return '0';
             return result.properties.balance.toString();
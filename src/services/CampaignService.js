@@ -0,0 +1,318 @@
+// BitLaunch - Airdrop Campaign Service
+// Groups a series of Merkle airdrops ("waves") into a campaign.
+//
+// Each wave is an ordinary on-chain airdrop with its own root and expiry, so
+// no contract changes are needed. What the campaign adds:
+//   - a token budget approved once, so later waves skip re-approval
+//   - aggregated claimed/remaining across all waves
+//   - one share link (/airdrop/campaign#waves=...) that claims every eligible wave
+//
+// Campaign records live in client storage on the creator's device, scoped to
+// the airdrop contract their waves were created on; claimers only need the
+// share link.
+
+import { airdropService } from './AirdropService.js';
+import { fetchProofBundle, verifyProofBundle } from './proofBundle.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { CONTRACTS } from './contracts.js';
+import { getJSON, setJSON } from './storage.js';
+
+const STORAGE_NAME = 'airdrop_campaigns';
+const LOOKUP_CONCURRENCY = 4;
+
+function loadCampaigns() {
+    return getJSON(STORAGE_NAME, [], { contract: CONTRACTS.airdrop });
+}
+
+function saveCampaigns(campaigns) {
+    setJSON(STORAGE_NAME, campaigns, { contract: CONTRACTS.airdrop });
+}
+
+/**
+ * Budget not yet committed to a wave (raw units), or null if the campaign has no budget.
+ */
+function remainingBudget(campaign) {
+    if (!campaign.budget) return null;
+    const used = campaign.waves.reduce((sum, w) => sum + BigInt(w.totalAmount), 0n);
+    const left = BigInt(campaign.budget) - used;
+    return left > 0n ? left : 0n;
+}
+
+/**
+ * Wave status from on-chain data.
+ * @returns {'active'|'expired'|'cancelled'|'completed'|'unknown'}
+ */
+function waveStatus(airdrop, currentBlock) {
+    if (!airdrop) return 'unknown';
+    if (airdrop.cancelled) return 'cancelled';
+    if (BigInt(airdrop.claimedAmount) >= BigInt(airdrop.totalAmount)) return 'completed';
+    if (currentBlock > 0 && currentBlock >= airdrop.expiryBlock) return 'expired';
+    return 'active';
+}
+
+export const campaignService = {
+    // ── Local campaign records ──
+
+    /**
+     * @param {string} [creator] - only campaigns created by this wallet
+     * @returns {Array<Object>}
+     */
+    getCampaigns(creator) {
+        const all = loadCampaigns();
+        return creator ? all.filter(c => c.creator === creator) : all;
+    },
+
+    getCampaign(campaignId) {
+        return loadCampaigns().find(c => c.id === campaignId) || null;
+    },
+
+    /**
+     * Create an empty campaign.
+     *
+     * @param {Object} data
+     * @param {string} data.name
+     * @param {string} data.token - token contract address
+     * @param {string} data.creator - creator wallet address
+     * @param {string|bigint} [data.budget] - total raw amount for all waves; approved once on the first wave
+     * @returns {Object} campaign
+     */
+    createCampaign({ name, token, creator, budget }) {
+        if (!name?.trim()) throw new Error('Campaign name required');
+        if (!token) throw new Error('Token address required');
+        if (!creator) throw new Error('Wallet address required');
+
+        const campaign = {
+            id: `c${Date.now().toString(36)}`,
+            name: name.trim(),
+            token,
+            creator,
+            budget: budget ? BigInt(budget).toString() : null,
+            waves: [],
+            createdAt: Date.now(),
+        };
+        saveCampaigns([...loadCampaigns(), campaign]);
+        return campaign;
+    },
+
+    /**
+     * Forget a campaign locally. On-chain waves are not affected.
+     */
+    removeCampaign(campaignId) {
+        saveCampaigns(loadCampaigns().filter(c => c.id !== campaignId));
+    },
+
+    /**
+     * Record an already-created airdrop as the next wave of a campaign.
+     * @param {string} campaignId
+     * @param {{ airdropId: string, expiryBlock: number, totalAmount: string, recipientCount: number, merkleRoot?: string }} wave
+     * @returns {Object} updated campaign
+     */
+    addWave(campaignId, wave) {
+        const campaigns = loadCampaigns();
+        const campaign = campaigns.find(c => c.id === campaignId);
+        if (!campaign) throw new Error('Campaign not found');
+
+        campaign.waves.push({
+            airdropId: String(wave.airdropId),
+            label: wave.label || `Wave ${campaign.waves.length + 1}`,
+            expiryBlock: Number(wave.expiryBlock),
+            totalAmount: String(wave.totalAmount),
+            recipientCount: wave.recipientCount,
+            merkleRoot: wave.merkleRoot || '',
+            createdAt: Date.now(),
+        });
+        saveCampaigns(campaigns);
+        return campaign;
+    },
+
+    /**
+     * Allowance to request when publishing the next wave: the campaign's
+     * uncommitted budget, so one approval covers the following waves too.
+     *
+     * @param {string} campaignId
+     * @param {bigint} waveAmount - raw total of the wave being published
+     * @returns {bigint}
+     */
+    getApproveAmount(campaignId, waveAmount) {
+        const campaign = this.getCampaign(campaignId);
+        const left = campaign ? remainingBudget(campaign) : null;
+        return left !== null && left > waveAmount ? left : waveAmount;
+    },
+
+    /**
+     * Uncommitted budget (raw units), or null if the campaign has no budget.
+     */
+    getRemainingBudget(campaignId) {
+        const campaign = this.getCampaign(campaignId);
+        return campaign ? remainingBudget(campaign) : null;
+    },
+
+    // ── On-chain aggregation ──
+
+    /**
+     * Load every wave from chain and aggregate the totals.
+     *
+     * @param {Object} campaign
+     * @param {number} currentBlock
+     * @returns {Promise<{
+     *   waves: Array<Object>,
+     *   totalAmount: string,
+     *   claimedAmount: string,
+     *   remainingAmount: string,
+     *   activeWaves: number,
+     * }>} amounts are raw units; remaining counts only active waves
+     */
+    async getCampaignStats(campaign, currentBlock) {
+        const waves = await mapWithConcurrency(campaign.waves, LOOKUP_CONCURRENCY, async (wave) => {
+            const airdrop = await airdropService.getAirdrop(wave.airdropId);
+            return { ...wave, airdrop, status: waveStatus(airdrop, currentBlock) };
+        });
+
+        let total = 0n;
+        let claimed = 0n;
+        let remaining = 0n;
+        for (const w of waves) {
+            if (!w.airdrop) continue;
+            total += BigInt(w.airdrop.totalAmount);
+            claimed += BigInt(w.airdrop.claimedAmount);
+            if (w.status === 'active') {
+                remaining += BigInt(w.airdrop.totalAmount) - BigInt(w.airdrop.claimedAmount);
+            }
+        }
+
+        return {
+            waves,
+            totalAmount: total.toString(),
+            claimedAmount: claimed.toString(),
+            remainingAmount: remaining.toString(),
+            activeWaves: waves.filter(w => w.status === 'active').length,
+        };
+    },
+
+    // ── Share links ──
+
+    /**
+     * Build the campaign claim link.
+     * @param {Object} campaign
+     * @param {string} [origin]
+     * @returns {string}
+     */
+    getCampaignLink(campaign, origin = window.location.origin) {
+        const params = new URLSearchParams({
+            name: campaign.name,
+            waves: campaign.waves.map(w => w.airdropId).join(','),
+        });
+        return `${origin}/airdrop/campaign#${params.toString()}`;
+    },
+
+    /**
+     * Parse a campaign link fragment.
+     * @param {string} hash - location hash
+     * @returns {{ name: string, waveIds: string[] }}
+     */
+    parseCampaignLink(hash) {
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        const waveIds = (params.get('waves') || '')
+            .split(',')
+            .map(s => s.trim())
+            .filter(s => /^\d+$/.test(s));
+        return { name: params.get('name') || '', waveIds: [...new Set(waveIds)] };
+    },
+
+    // ── Claiming ──
+
+    /**
+     * Check a claimer against every wave.
+     *
+     * Proofs come from locally saved tree data or the hosted proof bundle
+     * (PROOF_BUNDLE_URL), which is verified against each wave's on-chain root.
+     *
+     * @param {string[]} waveIds
+     * @param {string} claimerAddress
+     * @param {number} currentBlock
+     * @returns {Promise<Array<{
+     *   airdropId: string,
+     *   airdrop: Object|null,
+     *   status: 'claimable'|'claimed'|'expired'|'cancelled'|'ineligible'|'unknown',
+     *   amount: string|null,
+     *   proof: Object|null,
+     *   reason: string|null,
+     * }>>}
+     */
+    async getClaimableWaves(waveIds, claimerAddress, currentBlock) {
+        return mapWithConcurrency(waveIds, LOOKUP_CONCURRENCY, async (airdropId) => {
+            const result = { airdropId, airdrop: null, status: 'unknown', amount: null, proof: null, reason: null };
+
+            const airdrop = await airdropService.getAirdrop(airdropId);
+            result.airdrop = airdrop;
+            if (!airdrop) {
+                result.reason = 'Airdrop not found on-chain';
+                return result;
+            }
+
+            if (await airdropService.hasClaimed(airdropId, claimerAddress)) {
+                result.status = 'claimed';
+                result.amount = await airdropService.getClaimedAmount(airdropId, claimerAddress);
+                return result;
+            }
+            if (airdrop.cancelled) {
+                result.status = 'cancelled';
+                return result;
+            }
+            if (currentBlock > 0 && currentBlock >= airdrop.expiryBlock) {
+                result.status = 'expired';
+                return result;
+            }
+
+            let proof = null;
+            if (airdropService.hasTreeData(airdropId)) {
+                proof = await airdropService.getProofForClaimer(airdropId, claimerAddress);
+            }
+            if (!proof?.eligible) {
+                const bundle = await fetchProofBundle(airdropId);
+                if (bundle && (await verifyProofBundle(bundle, airdrop, airdropId)).valid) {
+                    proof = await airdropService.getProofForClaimer(airdropId, claimerAddress, bundle);
+                }
+            }
+
+            if (proof?.eligible) {
+                result.status = 'claimable';
+                result.amount = proof.amount;
+                result.proof = proof;
+            } else {
+                result.status = 'ineligible';
+                result.reason = proof?.reason || 'No recipient list is available for this wave.';
+            }
+            return result;
+        });
+    },
+
+    /**
+     * Claim every claimable wave, one transaction per wave.
+     * A failed wave does not stop the remaining ones.
+     *
+     * @param {Array<Object>} waves - from getClaimableWaves (status 'claimable')
+     * @param {string} claimerAddress
+     * @param {{ onProgress?: (msg: string) => void }} [options]
+     * @returns {Promise<Array<{ airdropId: string, success: boolean, txHash?: string, claimedAmount?: string, error?: string }>>}
+     */
+    async claimWaves(waves, claimerAddress, { onProgress } = {}) {
+        const claimable = waves.filter(w => w.status === 'claimable');
+        const results = [];
+
+        for (let i = 0; i < claimable.length; i++) {
+            const wave = claimable[i];
+            if (onProgress) onProgress(`Claiming wave ${i + 1}/${claimable.length} (airdrop #${wave.airdropId}) — confirm in wallet...`);
+            try {
+                const result = await airdropService.claim(
+                    wave.airdropId, claimerAddress, wave.proof.amount, wave.proof.proofBytes
+                );
+                results.push({ airdropId: wave.airdropId, ...result });
+            } catch (err) {
+                results.push({ airdropId: wave.airdropId, success: false, error: err.message });
+            }
+        }
+
+        return results;
+    },
+};
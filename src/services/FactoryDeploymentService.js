@@ -4,9 +4,11 @@
 /* global BigInt */
 
 import { getContract } from 'opnet';
-import { CONTRACTS } from './contracts';
-import { FACTORY_ABI } from './abis/factoryAbi';
-import { registerToken } from './tokenRegistry';
+import { CONTRACTS } from './contracts.js';
+import { getActiveNetwork } from './networks.js';
+import { FACTORY_ABI } from './abis/factoryAbi.js';
+import { registerToken } from './tokenRegistry.js';
+import { sendSimulation } from './txSender.js';
 
 /**
  * FactoryDeploymentService - Deploy OP20 tokens via Factory Contract
@@ -161,7 +163,7 @@ class FactoryDeploymentService {
             console.log('Simulation successful, requesting wallet signature...');
             console.log('Token address from simulation:', tokenAddress);
 
-            const FEE_ADDRESS = import.meta.env.VITE_PLATFORM_WALLET;
+            const FEE_ADDRESS = getActiveNetwork().platformWallet;
             const FEE_AMOUNT = 10000;
 
             // Wrap sendTransaction separately — the wallet may broadcast
@@ -169,13 +171,11 @@ class FactoryDeploymentService {
             // We must still return the token address from the simulation.
             let txHash = null;
             try {
-                const result = await simulation.sendTransaction({
-                    signer: null,
-                    mldsaSigner: null,
+                const result = await sendSimulation(simulation, {
                     refundTo: address,
-                    feeRate: 10,
-                    maximumAllowedSatToSpend: 100000n,
                     network: btcNetwork,
+                    provider,
+                    action: 'factory.deployToken',
                     ...(FEE_ADDRESS ? {
                         optionalOutputs: [{
                             address: FEE_ADDRESS,
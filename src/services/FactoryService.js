@@ -5,11 +5,13 @@
 /* global BigInt */
 
 import { getContract } from 'opnet';
-import { opnetProvider } from './opnetProvider';
-import { CONTRACTS } from './contracts';
-import { FACTORY_ABI } from './abis/factoryAbi';
-import { resolveAddress } from './addressHelper';
-import { registerTokenFromAddress, isTokenRegistered } from './tokenRegistry';
+import { opnetProvider } from './opnetProvider.js';
+import { getCachedContract } from './readCache.js';
+import { CONTRACTS } from './contracts.js';
+import { FACTORY_ABI } from './abis/factoryAbi.js';
+import { resolveAddress } from './addressHelper.js';
+import { registerTokenFromAddress, isTokenRegistered } from './tokenRegistry.js';
+import { batchCalls, pageIndexes } from './concurrency.js';
 
 /**
  * Get a typed contract instance for the factory contract.
@@ -25,7 +27,26 @@ async function getFactoryContract(senderAddress) {
         const sender = await resolveAddress(senderAddress, false);
         return getContract(factoryAddress, FACTORY_ABI, provider, network, sender);
     }
-    return getContract(factoryAddress, FACTORY_ABI, provider, network);
+    return getCachedContract(factoryAddress, FACTORY_ABI, provider, network);
+}
+
+/**
+ * Read one deployment. Throws on transport errors so batched reads can
+ * retry; returns null when the call reverts.
+ */
+async function readDeploymentByIndex(contract, index) {
+    const result = await contract.getDeploymentByIndex(index);
+    if (result.revert) return null;
+    return {
+        deployer: result.properties.deployer,
+        token: result.properties.token,
+        block: result.properties.block,
+    };
+}
+
+function tokenAddressOf(token, network) {
+    if (!token) return null;
+    return typeof token === 'string' ? token : token.p2op(network);
 }
 
 export const factoryService = {
@@ -46,13 +67,7 @@ export const factoryService = {
     async getDeploymentByIndex(index) {
         try {
             const contract = await getFactoryContract();
-            const result = await contract.getDeploymentByIndex(index);
-            if (result.revert) return null;
-            return {
-                deployer: result.properties.deployer,
-                token: result.properties.token,
-                block: result.properties.block,
-            };
+            return await readDeploymentByIndex(contract, index);
         } catch (err) {
             console.warn('getDeploymentByIndex failed:', err.message);
             return null;
@@ -128,20 +143,14 @@ export const factoryService = {
         try {
             const network = opnetProvider.getNetwork();
             const count = await this.getUserTokenCount(userAddress);
-            const tokens = [];
-            for (let i = 0; i < count; i++) {
-                const info = await this.getUserTokenByIndex(userAddress, i);
-                if (info && info.token) {
-                    const addr = typeof info.token === 'string'
-                        ? info.token
-                        : info.token.p2op(network);
-                    tokens.push({
-                        address: addr,
-                        block: Number(info.block),
-                    });
-                }
-            }
-            return tokens;
+            const indexes = Array.from({ length: count }, (_, i) => i);
+            const infos = await batchCalls(indexes, i => this.getUserTokenByIndex(userAddress, i));
+            return infos
+                .filter(info => info && info.token)
+                .map(info => ({
+                    address: tokenAddressOf(info.token, network),
+                    block: Number(info.block),
+                }));
         } catch (err) {
             console.warn('getUserTokens failed:', err.message);
             return [];
@@ -176,23 +185,41 @@ export const factoryService = {
         try {
             const network = opnetProvider.getNetwork();
             const count = await this.getDeployedTokensCount();
-            const addresses = [];
-            for (let i = 0; i < count; i++) {
-                const info = await this.getDeploymentByIndex(i);
-                if (info && info.token) {
-                    const addr = typeof info.token === 'string'
-                        ? info.token
-                        : info.token.p2op(network);
-                    addresses.push(addr);
-                }
-            }
-            return addresses;
+            if (count === 0) return [];
+
+            const contract = await getFactoryContract();
+            const indexes = Array.from({ length: count }, (_, i) => i);
+            const infos = await batchCalls(indexes, i => readDeploymentByIndex(contract, i));
+            return infos
+                .map(info => tokenAddressOf(info?.token, network))
+                .filter(Boolean);
         } catch (err) {
             console.warn('getAllDeployedTokenAddresses failed:', err.message);
             return [];
         }
     },
 
+    /**
+     * One page of factory-deployed token addresses, newest first.
+     *
+     * @param {number} offset - entries to skip from the newest
+     * @param {number} limit - page size
+     * @returns {Promise<{ items: string[], total: number, nextOffset: number, hasMore: boolean }>}
+     */
+    async getDeployedTokensPage(offset = 0, limit = 24) {
+        const network = opnetProvider.getNetwork();
+        const total = await this.getDeployedTokensCount();
+        const { indexes, nextOffset, hasMore } = pageIndexes(total, offset, limit);
+        if (indexes.length === 0) return { items: [], total, nextOffset, hasMore };
+
+        const contract = await getFactoryContract();
+        const infos = await batchCalls(indexes, i => readDeploymentByIndex(contract, i));
+        const items = infos
+            .map(info => tokenAddressOf(info?.token, network))
+            .filter(Boolean);
+        return { items, total, nextOffset, hasMore };
+    },
+
     /**
      * Sync factory-deployed tokens to the local registry.
      * V2: When deployerAddress known, uses efficient indexed lookup.
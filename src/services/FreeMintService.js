@@ -0,0 +1,156 @@
+// BitLaunch - Free Mint Service
+// Public free mint on tokens deployed by the OP20 Factory (OP20Template).
+// The creator sets freeMintSupply / freeMintPerTx / freeMintUserCap at launch;
+// any wallet can then mint up to the per-tx limit until its cap is reached.
+
+import { getContract } from 'opnet';
+import { opnetProvider } from './opnetProvider.js';
+import { getCachedContract } from './readCache.js';
+import { resolveAddress } from './addressHelper.js';
+import { sendSimulation } from './txSender.js';
+import { OP20_TEMPLATE_ABI } from './abis/op20TemplateAbi.js';
+
+/**
+ * Get a typed OP20Template instance for the token.
+ */
+async function getTokenContract(tokenAddress, senderAddress) {
+    if (!tokenAddress) throw new Error('Token address required');
+    const provider = opnetProvider.getProvider();
+    const network = opnetProvider.getNetwork();
+    const tokenAddr = await resolveAddress(tokenAddress, true);
+    if (senderAddress) {
+        const sender = await resolveAddress(senderAddress, false);
+        return getContract(tokenAddr, OP20_TEMPLATE_ABI, provider, network, sender);
+    }
+    return getCachedContract(tokenAddr, OP20_TEMPLATE_ABI, provider, network);
+}
+
+const min = (...values) => values.reduce((a, b) => (b < a ? b : a));
+
+export const freeMintService = {
+    // ── Write operations ──
+
+    /**
+     * Mint from the token's free supply to the caller.
+     * @param {string} tokenAddress
+     * @param {bigint|string} amount - raw units, at most the per-tx limit
+     * @param {string} minterAddress - connected wallet
+     */
+    async freeMint(tokenAddress, amount, minterAddress) {
+        if (!minterAddress) throw new Error('Wallet address required');
+        const raw = BigInt(amount || 0);
+        if (raw <= 0n) throw new Error('Amount must be > 0');
+
+        const contract = await getTokenContract(tokenAddress, minterAddress);
+        const network = opnetProvider.getNetwork();
+
+        const simulation = await contract.freeMint(raw);
+        if (simulation.revert) {
+            throw new Error(`Free mint failed: ${simulation.revert}`);
+        }
+
+        const receipt = await sendSimulation(simulation, {
+            refundTo: minterAddress, network, action: 'token.freeMint',
+        });
+
+        return {
+            success: true,
+            amount: raw.toString(),
+            txHash: receipt.transactionId,
+        };
+    },
+
+    // ── Read operations ──
+
+    /**
+     * Free mint configuration and progress. Amounts are raw-unit strings.
+     * @returns {Promise<{ enabled: boolean, remaining: string, perTx: string,
+     *   userCap: string, totalClaimed: string, totalSupply: string }|null>}
+     *   totalSupply is remaining + totalClaimed; null if the token has no free mint methods
+     */
+    async getFreeMintInfo(tokenAddress) {
+        try {
+            const contract = await getTokenContract(tokenAddress);
+            const result = await contract.getFreeMintInfo();
+            if (result.revert) return null;
+            const { remaining = 0n, perTx = 0n, userCap = 0n, totalClaimed = 0n } = result.properties;
+            return {
+                enabled: perTx > 0n,
+                remaining: remaining.toString(),
+                perTx: perTx.toString(),
+                userCap: userCap.toString(),
+                totalClaimed: totalClaimed.toString(),
+                totalSupply: (remaining + totalClaimed).toString(),
+            };
+        } catch (err) {
+            console.warn('getFreeMintInfo failed:', err.message);
+            return null;
+        }
+    },
+
+    /**
+     * How much a wallet has minted through free mint so far (raw units).
+     * @returns {Promise<string|null>} null if it could not be read
+     */
+    async getFreeMintClaimed(tokenAddress, userAddress) {
+        try {
+            const contract = await getTokenContract(tokenAddress);
+            const user = await resolveAddress(userAddress, false);
+            const result = await contract.getFreeMintClaimed(user);
+            if (result.revert) return null;
+            return result.properties.claimed?.toString() || '0';
+        } catch (err) {
+            console.warn('getFreeMintClaimed failed:', err.message);
+            return null;
+        }
+    },
+
+    /**
+     * What a wallet can still mint: its remaining cap, and the most it can
+     * mint in one transaction (per-tx limit, cap and free supply, whichever
+     * is lowest). A zero userCap means the contract enforces no per-user cap.
+     * If a capped wallet's minted amount cannot be read, its allowance is
+     * unknown: capRemaining is null and maxPerTx is '0'.
+     * @returns {Promise<{ info: Object|null, claimed: string|null, capRemaining: string|null,
+     *   maxPerTx: string }>} raw-unit strings; claimed is null when it could not be read,
+     *   capRemaining is null when uncapped or unknown
+     */
+    async getMintAllowance(tokenAddress, userAddress) {
+        const [info, claimed] = await Promise.all([
+            this.getFreeMintInfo(tokenAddress),
+            userAddress ? this.getFreeMintClaimed(tokenAddress, userAddress) : '0',
+        ]);
+        if (!info || !info.enabled) {
+            return { info, claimed, capRemaining: '0', maxPerTx: '0' };
+        }
+
+        const userCap = BigInt(info.userCap);
+        if (userCap > 0n && claimed === null) {
+            return { info, claimed, capRemaining: null, maxPerTx: '0' };
+        }
+        const capRemaining = userCap > 0n
+            ? (userCap > BigInt(claimed) ? userCap - BigInt(claimed) : 0n)
+            : null;
+        const limits = [BigInt(info.perTx), BigInt(info.remaining)];
+        if (capRemaining !== null) limits.push(capRemaining);
+
+        return {
+            info,
+            claimed,
+            capRemaining: capRemaining === null ? null : capRemaining.toString(),
+            maxPerTx: min(...limits).toString(),
+        };
+    },
+
+    // ── Share links ──
+
+    /**
+     * Build the public free-mint link for a token.
+     * @param {string} tokenAddress
+     * @param {string} [origin]
+     * @returns {string}
+     */
+    getMintLink(tokenAddress, origin = window.location.origin) {
+        return `${origin}/mint/${encodeURIComponent(tokenAddress)}`;
+    },
+};
@@ -5,12 +5,15 @@
 /* global BigInt */
 
 import { getContract, OP_20_ABI } from 'opnet';
-import { opnetProvider } from './opnetProvider';
-import { CONTRACTS } from './contracts';
-import { LOCK_ABI } from './abis/lockAbi';
-import { resolveAddress } from './addressHelper';
-import { formatBlocksRemaining, blocksToHumanTime } from './blockTime';
-import { approveAndWait } from './approveHelper';
+import { opnetProvider } from './opnetProvider.js';
+import { getCachedContract } from './readCache.js';
+import { CONTRACTS } from './contracts.js';
+import { LOCK_ABI } from './abis/lockAbi.js';
+import { resolveAddress } from './addressHelper.js';
+import { formatBlocksRemaining, blocksToHumanTime } from './blockTime.js';
+import { approveAndWait } from './approveHelper.js';
+import { sendSimulation } from './txSender.js';
+import { batchCalls, pageIndexes } from './concurrency.js';
 
 /**
  * Get a typed contract instance for the liquidity lock contract.
@@ -23,14 +26,37 @@ async function getLockContract(senderAddress) {
         const sender = await resolveAddress(senderAddress, false);
         return getContract(lockAddress, LOCK_ABI, provider, network, sender);
     }
-    return getContract(lockAddress, LOCK_ABI, provider, network);
+    return getCachedContract(lockAddress, LOCK_ABI, provider, network);
+}
+
+/**
+ * Read one lock. Throws on transport errors so batched reads can retry;
+ * returns null when the call reverts.
+ */
+async function readLock(contract, lockId) {
+    const result = await contract.getLock(BigInt(lockId));
+    if (result.revert) return null;
+    return {
+        owner: result.properties.owner,
+        token: result.properties.token,
+        amount: result.properties.amount.toString(),
+        unlockBlock: Number(result.properties.unlockBlock),
+        withdrawn: result.properties.withdrawn.toString(),
+        id: lockId.toString(),
+    };
+}
+
+async function readOwnerLock(contract, owner, index) {
+    const result = await contract.getOwnerLockByIndex(owner, index);
+    if (result.revert) return null;
+    return readLock(contract, Number(result.properties.lockId));
 }
 
 export const liquidityLockService = {
     async fetchTokenInfo(tokenAddress) {
         const provider = opnetProvider.getProvider();
         const network = opnetProvider.getNetwork();
-        const token = getContract(tokenAddress, OP_20_ABI, provider, network);
+        const token = getCachedContract(tokenAddress, OP_20_ABI, provider, network);
 
         const [nameResult, symbolResult, decimalsResult, totalSupplyResult] = await Promise.all([
             token.name(),
@@ -52,7 +78,7 @@ export const liquidityLockService = {
             const provider = opnetProvider.getProvider();
             const network = opnetProvider.getNetwork();
             const owner = await resolveAddress(ownerAddress, false);
-            const token = getContract(tokenAddress, OP_20_ABI, provider, network);
+            const token = getCachedContract(tokenAddress, OP_20_ABI, provider, network);
             const result = await token.balanceOf(owner);
             if (result.revert) return '0';
             return result.properties.balance.toString();
@@ -93,6 +119,7 @@ export const liquidityLockService = {
             tokenAddr, owner: ownerAddr, spender: lockContractAddr,
             amount, refundTo: data.owner,
             provider, network, onProgress,
+            action: 'lock.lockTokens',
         });
 
         // Step 2: Lock tokens (V2: unlockBlock)
@@ -105,10 +132,8 @@ export const liquidityLockService = {
         }
 
         onProgress?.('Confirming lock — please confirm in wallet...');
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: data.owner, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: data.owner, network, action: 'lock.lockTokens',
         });
 
         const lockId = simulation.properties?.lockId?.toString() || '0';
@@ -131,10 +156,8 @@ export const liquidityLockService = {
             throw new Error(`Unlock failed: ${simulation.revert}`);
         }
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: callerAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: callerAddress, network, action: 'lock.unlockTokens',
         });
 
         return {
@@ -160,10 +183,8 @@ export const liquidityLockService = {
             throw new Error(`Partial unlock failed: ${simulation.revert}`);
         }
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: callerAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: callerAddress, network, action: 'lock.partialUnlock',
         });
 
         return {
@@ -189,10 +210,8 @@ export const liquidityLockService = {
             throw new Error(`Extend failed: ${simulation.revert}`);
         }
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: callerAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: callerAddress, network, action: 'lock.extendLock',
         });
 
         return { success: true, txHash: receipt.transactionId };
@@ -215,10 +234,8 @@ export const liquidityLockService = {
             throw new Error(`Transfer ownership failed: ${simulation.revert}`);
         }
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: callerAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: callerAddress, network, action: 'lock.transferLockOwnership',
         });
 
         return { success: true, txHash: receipt.transactionId };
@@ -244,17 +261,10 @@ export const liquidityLockService = {
     async getLockOnChain(lockId) {
         try {
             const contract = await getLockContract();
-            const id = BigInt(lockId);
-            const result = await contract.getLock(id);
-            if (result.revert) return null;
-
-            return {
-                owner: result.properties.owner,
-                token: result.properties.token,
-                amount: result.properties.amount.toString(),
-                unlockBlock: Number(result.properties.unlockBlock),
-                withdrawn: result.properties.withdrawn.toString(),
-            };
+            const lock = await readLock(contract, lockId);
+            if (!lock) return null;
+            const { id: _id, ...fields } = lock;
+            return fields;
         } catch (err) {
             console.warn('On-chain getLock failed:', err.message);
             return null;
@@ -297,43 +307,73 @@ export const liquidityLockService = {
     async getLocksForOwner(ownerAddress) {
         try {
             const count = await this.getOwnerLockCount(ownerAddress);
-            const locks = [];
-            for (let i = 0; i < count; i++) {
-                const lockId = await this.getOwnerLockByIndex(ownerAddress, i);
-                if (lockId != null) {
-                    const lock = await this.getLockOnChain(lockId);
-                    if (lock) {
-                        locks.push({ ...lock, id: lockId.toString() });
-                    }
-                }
-            }
-            return locks;
+            if (count === 0) return [];
+
+            const contract = await getLockContract();
+            const owner = await resolveAddress(ownerAddress, false);
+            const indexes = Array.from({ length: count }, (_, i) => i);
+            const locks = await batchCalls(indexes, i => readOwnerLock(contract, owner, i));
+            return locks.filter(Boolean);
         } catch (err) {
             console.warn('getLocksForOwner failed:', err.message);
             return [];
         }
     },
 
+    /**
+     * One page of an owner's locks, newest first.
+     *
+     * @param {string} ownerAddress
+     * @param {number} offset - locks to skip from the newest
+     * @param {number} limit - page size
+     * @returns {Promise<{ items: Array<Object>, total: number, nextOffset: number, hasMore: boolean }>}
+     */
+    async getOwnerLocksPage(ownerAddress, offset = 0, limit = 10) {
+        const total = await this.getOwnerLockCount(ownerAddress);
+        const { indexes, nextOffset, hasMore } = pageIndexes(total, offset, limit);
+        if (indexes.length === 0) return { items: [], total, nextOffset, hasMore };
+
+        const contract = await getLockContract();
+        const owner = await resolveAddress(ownerAddress, false);
+        const locks = await batchCalls(indexes, i => readOwnerLock(contract, owner, i));
+        return { items: locks.filter(Boolean), total, nextOffset, hasMore };
+    },
+
     /**
      * Get all locks from on-chain (full scan fallback)
      */
     async getAllLocks() {
         try {
             const count = await this.getLockCountOnChain();
-            const locks = [];
-            for (let i = 0; i < count; i++) {
-                const lock = await this.getLockOnChain(i);
-                if (lock) {
-                    locks.push({ ...lock, id: i.toString() });
-                }
-            }
-            return locks;
+            if (count === 0) return [];
+
+            const contract = await getLockContract();
+            const ids = Array.from({ length: count }, (_, i) => i);
+            const locks = await batchCalls(ids, id => readLock(contract, id));
+            return locks.filter(Boolean);
         } catch (err) {
             console.warn('getAllLocks failed:', err.message);
             return [];
         }
     },
 
+    /**
+     * One page of all locks, newest first.
+     *
+     * @param {number} offset - locks to skip from the newest
+     * @param {number} limit - page size
+     * @returns {Promise<{ items: Array<Object>, total: number, nextOffset: number, hasMore: boolean }>}
+     */
+    async getLocksPage(offset = 0, limit = 10) {
+        const total = await this.getLockCountOnChain();
+        const { indexes, nextOffset, hasMore } = pageIndexes(total, offset, limit);
+        if (indexes.length === 0) return { items: [], total, nextOffset, hasMore };
+
+        const contract = await getLockContract();
+        const locks = await batchCalls(indexes, id => readLock(contract, id));
+        return { items: locks.filter(Boolean), total, nextOffset, hasMore };
+    },
+
     async getLockById(id) {
         const lock = await this.getLockOnChain(id);
         if (lock) return { ...lock, id: id.toString() };
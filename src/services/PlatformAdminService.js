@@ -0,0 +1,374 @@
+// BitLaunch - Platform Admin Service
+// Owner settings of the platform contracts: OP20Factory, PresaleFactory and
+// LiquidityLock. Setters are simulated first and returned as a prepared action
+// (same shape as TokenService's), so the admin page can preview before signing.
+//
+// The lock contract exposes no owner getter, so ownership is probed by
+// simulating a no-op setPlatformFeeBps (current value) as the viewer.
+// No contract exposes its platform wallet or template; the page shows the
+// app's configured platform wallet for reference.
+
+import { getContract } from 'opnet';
+import { getCachedContract } from './readCache.js';
+import { opnetProvider } from './opnetProvider.js';
+import { resolveAddress } from './addressHelper.js';
+import { sendSimulation } from './txSender.js';
+import { formatAddress, formatBps } from './formatters.js';
+import { CONTRACTS } from './contracts.js';
+import { FACTORY_ABI } from './abis/factoryAbi.js';
+import { PRESALE_FACTORY_ABI } from './abis/presaleFactoryAbi.js';
+import { LOCK_ABI } from './abis/lockAbi.js';
+
+/** Contract-enforced fee ceilings, in basis points. */
+export const MAX_PRESALE_FEE_BPS = 1000;
+export const MAX_LOCK_FEE_BPS = 500;
+
+const ADMIN_CONTRACTS = {
+    factory: { label: 'Token Factory', abi: FACTORY_ABI },
+    presaleFactory: { label: 'Presale Factory', abi: PRESALE_FACTORY_ABI },
+    lock: { label: 'Liquidity Lock', abi: LOCK_ABI },
+};
+
+/**
+ * @typedef {import('./TokenService.js').PreparedTokenAction} PreparedAdminAction
+ */
+
+/**
+ * Typed instance of a platform contract. With a sender it is a fresh instance
+ * for simulating writes; without one it is the shared read instance.
+ * @param {'factory'|'presaleFactory'|'lock'} key
+ */
+async function getAdminContract(key, senderAddress) {
+    const { label, abi } = ADMIN_CONTRACTS[key];
+    if (!CONTRACTS[key]) throw new Error(`${label} contract address not configured`);
+    const provider = opnetProvider.getProvider();
+    const network = opnetProvider.getNetwork();
+    const contractAddress = await resolveAddress(CONTRACTS[key], true);
+    if (senderAddress) {
+        const sender = await resolveAddress(senderAddress, false);
+        return getContract(contractAddress, abi, provider, network, sender);
+    }
+    return getCachedContract(contractAddress, abi, provider, network);
+}
+
+const toHex = (address) => (address?.toHex ? address.toHex().toLowerCase() : null);
+
+const formatFee = (bps) => `${formatBps(bps)} (${bps} bps)`;
+
+/** Whether the wallet is `ownerHex` (contracts compare the ML-DSA address). */
+async function isViewer(viewerAddress, ownerHex) {
+    if (!viewerAddress || !ownerHex) return false;
+    try {
+        return toHex(await resolveAddress(viewerAddress, false)) === ownerHex;
+    } catch {
+        return false;
+    }
+}
+
+function requireFactoryKey(key) {
+    if (key !== 'factory' && key !== 'presaleFactory') throw new Error(`Unknown factory: ${key}`);
+}
+
+function parseBps(feeBps, max) {
+    let bps;
+    try {
+        bps = BigInt(feeBps);
+    } catch {
+        throw new Error('Fee must be a whole number of basis points');
+    }
+    if (bps < 0n) throw new Error('Fee cannot be negative');
+    if (bps > BigInt(max)) throw new Error(`Fee cannot exceed ${formatFee(max)}`);
+    return bps;
+}
+
+/**
+ * Simulate an owner call and wrap it for confirmation. Reverts surface here,
+ * before the wallet is ever asked to sign.
+ */
+async function prepareAction(key, senderAddress, { action, label, call, changes, warning = null }) {
+    if (!senderAddress) throw new Error('Wallet address required');
+
+    const contract = await getAdminContract(key, senderAddress);
+    const simulation = await call(contract);
+    if (simulation.revert) throw new Error(`${label} failed: ${simulation.revert}`);
+
+    const budgetKey = `${key}.${action}`;
+    return {
+        action,
+        budgetKey,
+        title: label,
+        changes,
+        warning,
+        async send() {
+            const receipt = await sendSimulation(simulation, {
+                refundTo: senderAddress, network: opnetProvider.getNetwork(), action: budgetKey,
+            });
+            return { success: true, txHash: receipt.transactionId };
+        },
+    };
+}
+
+export const platformAdminService = {
+    // ── Read operations ──
+
+    /**
+     * OP20Factory settings.
+     * @param {string} [viewerAddress] - connected wallet, for isOwner
+     * @returns {Promise<{ owner: string|null, paused: boolean, deployments: number,
+     *   isOwner: boolean }|null>} null if the factory cannot be read
+     */
+    async getFactoryAdminInfo(viewerAddress) {
+        try {
+            const contract = await getAdminContract('factory');
+            const [ownerResult, pausedResult, countResult] = await Promise.all([
+                contract.owner(),
+                contract.isPaused(),
+                contract.getDeploymentsCount(),
+            ]);
+            const owner = toHex(ownerResult.properties?.owner);
+            return {
+                owner,
+                paused: !!pausedResult.properties?.isPaused,
+                deployments: Number(countResult.properties?.count ?? 0),
+                isOwner: await isViewer(viewerAddress, owner),
+            };
+        } catch (err) {
+            console.warn('getFactoryAdminInfo failed:', err.message);
+            return null;
+        }
+    },
+
+    /**
+     * PresaleFactory settings.
+     * @param {string} [viewerAddress]
+     * @returns {Promise<{ owner: string|null, paused: boolean, defaultFeeBps: string,
+     *   presales: number, isOwner: boolean }|null>}
+     */
+    async getPresaleFactoryAdminInfo(viewerAddress) {
+        try {
+            const contract = await getAdminContract('presaleFactory');
+            const [ownerResult, pausedResult, feeResult, countResult] = await Promise.all([
+                contract.owner(),
+                contract.isPaused(),
+                contract.getDefaultFeeBps(),
+                contract.getPresaleCount(),
+            ]);
+            const owner = toHex(ownerResult.properties?.owner);
+            return {
+                owner,
+                paused: !!pausedResult.properties?.isPaused,
+                defaultFeeBps: (feeResult.properties?.feeBps ?? 0n).toString(),
+                presales: Number(countResult.properties?.count ?? 0),
+                isOwner: await isViewer(viewerAddress, owner),
+            };
+        } catch (err) {
+            console.warn('getPresaleFactoryAdminInfo failed:', err.message);
+            return null;
+        }
+    },
+
+    /**
+     * LiquidityLock settings and the platform fees it has collected.
+     * totalFees sums raw units of every locked token, so it is only a
+     * meaningful amount when one token dominates.
+     * @param {string} [viewerAddress]
+     * @returns {Promise<{ platformFeeBps: string, totalFees: string, locks: string,
+     *   isOwner: boolean }|null>}
+     */
+    async getLockAdminInfo(viewerAddress) {
+        try {
+            const contract = await getAdminContract('lock');
+            const [feeResult, totalResult, countResult] = await Promise.all([
+                contract.getPlatformFeeBps(),
+                contract.getTotalFees(),
+                contract.getLockCount(),
+            ]);
+            const platformFeeBps = feeResult.properties?.feeBps ?? 0n;
+
+            let isOwner = false;
+            if (viewerAddress) {
+                try {
+                    const probe = await getAdminContract('lock', viewerAddress);
+                    isOwner = !(await probe.setPlatformFeeBps(platformFeeBps)).revert;
+                } catch {
+                    isOwner = false;
+                }
+            }
+
+            return {
+                platformFeeBps: platformFeeBps.toString(),
+                totalFees: (totalResult.properties?.totalFees ?? 0n).toString(),
+                locks: (countResult.properties?.count ?? 0n).toString(),
+                isOwner,
+            };
+        } catch (err) {
+            console.warn('getLockAdminInfo failed:', err.message);
+            return null;
+        }
+    },
+
+    // ── Factory owner actions (OP20Factory and PresaleFactory) ──
+
+    /**
+     * Stop new deployments through a factory.
+     * @param {'factory'|'presaleFactory'} key
+     * @param {string} senderAddress - factory owner
+     * @returns {Promise<PreparedAdminAction>}
+     */
+    async preparePauseFactory(key, senderAddress) {
+        requireFactoryKey(key);
+        const { label } = ADMIN_CONTRACTS[key];
+        return prepareAction(key, senderAddress, {
+            action: 'pauseFactory',
+            label: `Pause ${label}`,
+            call: c => c.pauseFactory(),
+            changes: [`New deployments through the ${label} are blocked until it is unpaused`],
+        });
+    },
+
+    /**
+     * @param {'factory'|'presaleFactory'} key
+     * @param {string} senderAddress - factory owner
+     * @returns {Promise<PreparedAdminAction>}
+     */
+    async prepareUnpauseFactory(key, senderAddress) {
+        requireFactoryKey(key);
+        const { label } = ADMIN_CONTRACTS[key];
+        return prepareAction(key, senderAddress, {
+            action: 'unpauseFactory',
+            label: `Unpause ${label}`,
+            call: c => c.unpauseFactory(),
+            changes: [`Deployments through the ${label} are allowed again`],
+        });
+    },
+
+    /**
+     * Point a factory at a new template contract. Existing deployments keep
+     * their code; only new clones use the new template.
+     * @param {'factory'|'presaleFactory'} key
+     * @param {string} templateAddress - contract address
+     * @param {string} senderAddress - factory owner
+     * @returns {Promise<PreparedAdminAction>}
+     */
+    async prepareSetTemplate(key, templateAddress, senderAddress) {
+        requireFactoryKey(key);
+        if (!templateAddress) throw new Error('Template address required');
+        const { label } = ADMIN_CONTRACTS[key];
+        const template = await resolveAddress(templateAddress, true);
+        return prepareAction(key, senderAddress, {
+            action: 'setTemplate',
+            label: `Set ${label} Template`,
+            call: c => c.setTemplate(template),
+            changes: [`New deployments clone ${formatAddress(templateAddress)}`],
+            warning: 'Every future deployment uses this template. Make sure it is a verified build of the BitLaunch template.',
+        });
+    },
+
+    /**
+     * @param {'factory'|'presaleFactory'} key
+     * @param {string} newOwner - wallet address
+     * @param {string} senderAddress - current factory owner
+     * @returns {Promise<PreparedAdminAction>}
+     */
+    async prepareTransferOwnership(key, newOwner, senderAddress) {
+        requireFactoryKey(key);
+        if (!newOwner) throw new Error('New owner address required');
+        const { label } = ADMIN_CONTRACTS[key];
+        const owner = await resolveAddress(newOwner, false);
+        return prepareAction(key, senderAddress, {
+            action: 'transferOwnership',
+            label: `Transfer ${label} Ownership`,
+            call: c => c.transferOwnership(owner),
+            changes: [`${formatAddress(newOwner)} becomes the ${label} owner`],
+            warning: 'You lose every owner permission on this contract immediately.',
+        });
+    },
+
+    // ── OP20Factory ──
+
+    /**
+     * Update the owner the factory records for a token (getTokenOwner on the
+     * factory). Signed by the token's currently recorded owner.
+     * @param {string} tokenAddress
+     * @param {string} newOwner - wallet address
+     * @param {string} senderAddress - the token's recorded owner
+     * @returns {Promise<PreparedAdminAction>}
+     */
+    async prepareUpdateTokenOwner(tokenAddress, newOwner, senderAddress) {
+        if (!tokenAddress) throw new Error('Token address required');
+        if (!newOwner) throw new Error('New owner address required');
+        const [token, owner] = await Promise.all([
+            resolveAddress(tokenAddress, true),
+            resolveAddress(newOwner, false),
+        ]);
+        return prepareAction('factory', senderAddress, {
+            action: 'updateTokenOwner',
+            label: 'Update Token Owner Record',
+            call: c => c.updateTokenOwner(token, owner),
+            changes: [`The factory records ${formatAddress(newOwner)} as the owner of ${formatAddress(tokenAddress)}`],
+            warning: 'Only the factory record changes. Transfer ownership on the token itself from its Manage page.',
+        });
+    },
+
+    // ── Platform wallet and fees (PresaleFactory and LiquidityLock) ──
+
+    /**
+     * @param {'presaleFactory'|'lock'} key
+     * @param {string} walletAddress - new fee recipient
+     * @param {string} senderAddress - contract owner
+     * @returns {Promise<PreparedAdminAction>}
+     */
+    async prepareSetPlatformWallet(key, walletAddress, senderAddress) {
+        if (key !== 'presaleFactory' && key !== 'lock') throw new Error(`${key} has no platform wallet`);
+        if (!walletAddress) throw new Error('Wallet address required');
+        const { label } = ADMIN_CONTRACTS[key];
+        const wallet = await resolveAddress(walletAddress, false);
+        return prepareAction(key, senderAddress, {
+            action: 'setPlatformWallet',
+            label: `Set ${label} Platform Wallet`,
+            call: c => c.setPlatformWallet(wallet),
+            changes: [
+                key === 'lock'
+                    ? `Lock fees are paid to ${formatAddress(walletAddress)}`
+                    : `Presales created from now on pay their platform fee to ${formatAddress(walletAddress)}`,
+            ],
+        });
+    },
+
+    /**
+     * Platform fee for presales created from now on.
+     * @param {number|string} feeBps - basis points, at most MAX_PRESALE_FEE_BPS
+     * @param {string} senderAddress - presale factory owner
+     * @returns {Promise<PreparedAdminAction>}
+     */
+    async prepareSetDefaultFeeBps(feeBps, senderAddress) {
+        const bps = parseBps(feeBps, MAX_PRESALE_FEE_BPS);
+        const current = await this.getPresaleFactoryAdminInfo();
+        return prepareAction('presaleFactory', senderAddress, {
+            action: 'setDefaultFeeBps',
+            label: 'Set Default Presale Fee',
+            call: c => c.setDefaultFeeBps(bps),
+            changes: [
+                `Default presale fee: ${current ? formatFee(current.defaultFeeBps) : 'unknown'} → ${formatFee(bps)}`,
+                'Existing presales keep the fee they were created with',
+            ],
+        });
+    },
+
+    /**
+     * Fee taken from every new lock.
+     * @param {number|string} feeBps - basis points, at most MAX_LOCK_FEE_BPS
+     * @param {string} senderAddress - lock contract owner
+     * @returns {Promise<PreparedAdminAction>}
+     */
+    async prepareSetPlatformFeeBps(feeBps, senderAddress) {
+        const bps = parseBps(feeBps, MAX_LOCK_FEE_BPS);
+        const current = await this.getLockAdminInfo();
+        return prepareAction('lock', senderAddress, {
+            action: 'setPlatformFeeBps',
+            label: 'Set Lock Fee',
+            call: c => c.setPlatformFeeBps(bps),
+            changes: [`Lock fee: ${current ? formatFee(current.platformFeeBps) : 'unknown'} → ${formatFee(bps)}`],
+        });
+    },
+};
@@ -5,11 +5,14 @@
 /* global BigInt */
 
 import { getContract } from 'opnet';
-import { opnetProvider } from './opnetProvider';
-import { CONTRACTS } from './contracts';
-import { PRESALE_FACTORY_ABI } from './abis/presaleFactoryAbi';
-import { resolveAddress } from './addressHelper';
-import { approveAndWait } from './approveHelper';
+import { opnetProvider } from './opnetProvider.js';
+import { getCachedContract } from './readCache.js';
+import { CONTRACTS } from './contracts.js';
+import { PRESALE_FACTORY_ABI } from './abis/presaleFactoryAbi.js';
+import { resolveAddress } from './addressHelper.js';
+import { approveAndWait } from './approveHelper.js';
+import { sendSimulation } from './txSender.js';
+import { batchCalls, pageIndexes } from './concurrency.js';
 
 /**
  * Get the PresaleFactory contract instance.
@@ -25,7 +28,30 @@ async function getFactoryContract(senderAddress) {
         const sender = await resolveAddress(senderAddress, false);
         return getContract(factoryAddress, PRESALE_FACTORY_ABI, provider, network, sender);
     }
-    return getContract(factoryAddress, PRESALE_FACTORY_ABI, provider, network);
+    return getCachedContract(factoryAddress, PRESALE_FACTORY_ABI, provider, network);
+}
+
+/**
+ * Read one registry entry. Throws on transport errors so batched reads can
+ * retry; returns null when the call reverts.
+ */
+async function readPresaleByIndex(factory, index) {
+    const result = await factory.getPresaleByIndex(index);
+    if (result.revert) return null;
+    return {
+        creator: result.properties.creator?.toString() || '',
+        presale: result.properties.presale?.toString() || '',
+        token: result.properties.token?.toString() || '',
+    };
+}
+
+function toDeployment(index, info) {
+    return {
+        index,
+        creator: info.creator,
+        presaleAddress: info.presale,
+        tokenAddress: info.token,
+    };
 }
 
 export const presaleFactoryService = {
@@ -93,6 +119,7 @@ export const presaleFactoryService = {
             tokenAddr, owner: creatorAddr, spender: factoryAddr,
             amount: tokenAmount, refundTo: data.creator,
             provider, network, onProgress,
+            action: 'presaleFactory.createPresale',
         });
 
         // Step 2: Simulate createPresale (allowance is now confirmed on-chain)
@@ -140,10 +167,8 @@ export const presaleFactoryService = {
 
         // Step 3: Send transaction
         onProgress?.('Confirming presale creation — please confirm in wallet...');
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: data.creator, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: data.creator, network, action: 'presaleFactory.createPresale',
         });
 
         return {
@@ -170,14 +195,7 @@ export const presaleFactoryService = {
     async getPresaleByIndex(index) {
         try {
             const factory = await getFactoryContract();
-            const result = await factory.getPresaleByIndex(index);
-            if (result.revert) return null;
-
-            return {
-                creator: result.properties.creator?.toString() || '',
-                presale: result.properties.presale?.toString() || '',
-                token: result.properties.token?.toString() || '',
-            };
+            return await readPresaleByIndex(factory, index);
         } catch (err) {
             console.warn(`getPresaleByIndex(${index}) failed:`, err.message);
             return null;
@@ -226,34 +244,46 @@ export const presaleFactoryService = {
      */
     async getCreatorPresales(creatorAddress) {
         const count = await this.getCreatorPresaleCount(creatorAddress);
-        const presales = [];
-        for (let i = 0; i < count; i++) {
-            const info = await this.getCreatorPresaleByIndex(creatorAddress, i);
-            if (info) presales.push(info);
-        }
-        return presales;
+        const indexes = Array.from({ length: count }, (_, i) => i);
+        const presales = await batchCalls(indexes, i => this.getCreatorPresaleByIndex(creatorAddress, i));
+        return presales.filter(Boolean);
     },
 
     /**
      * Enumerate all deployed presales from the factory registry.
+     * @param {{ onProgress?: (done: number, total: number) => void }} [options]
      */
-    async getAllPresaleDeployments() {
+    async getAllPresaleDeployments({ onProgress } = {}) {
         const count = await this.getPresaleCount();
-        const deployments = [];
-
-        for (let i = 0; i < count; i++) {
-            const info = await this.getPresaleByIndex(i);
-            if (info) {
-                deployments.push({
-                    index: i,
-                    creator: info.creator,
-                    presaleAddress: info.presale,
-                    tokenAddress: info.token,
-                });
-            }
-        }
+        if (count === 0) return [];
+
+        const factory = await getFactoryContract();
+        const indexes = Array.from({ length: count }, (_, i) => i);
+        const infos = await batchCalls(indexes, i => readPresaleByIndex(factory, i), { onProgress });
+        return infos
+            .map((info, i) => (info ? toDeployment(i, info) : null))
+            .filter(Boolean);
+    },
 
-        return deployments;
+    /**
+     * One page of the presale registry, newest first.
+     *
+     * @param {number} offset - entries to skip from the newest
+     * @param {number} limit - page size
+     * @returns {Promise<{ items: Array<Object>, total: number, nextOffset: number, hasMore: boolean }>}
+     *   items have the same shape as getAllPresaleDeployments()
+     */
+    async getPresaleDeploymentsPage(offset = 0, limit = 12) {
+        const total = await this.getPresaleCount();
+        const { indexes, nextOffset, hasMore } = pageIndexes(total, offset, limit);
+        if (indexes.length === 0) return { items: [], total, nextOffset, hasMore };
+
+        const factory = await getFactoryContract();
+        const infos = await batchCalls(indexes, i => readPresaleByIndex(factory, i));
+        const items = infos
+            .map((info, i) => (info ? toDeployment(indexes[i], info) : null))
+            .filter(Boolean);
+        return { items, total, nextOffset, hasMore };
     },
 
     async getPresaleCreator(presaleAddress) {
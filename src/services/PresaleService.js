@@ -6,10 +6,43 @@
 /* global BigInt */
 
 import { getContract, OP_20_ABI } from 'opnet';
-import { opnetProvider } from './opnetProvider';
-import { PRESALE_ABI } from './abis/presaleAbi';
-import { resolveAddress } from './addressHelper';
-import { formatBlocksRemaining } from './blockTime';
+import { opnetProvider } from './opnetProvider.js';
+import { getCachedContract } from './readCache.js';
+import { PRESALE_ABI } from './abis/presaleAbi.js';
+import { resolveAddress, resolveAddresses } from './addressHelper.js';
+import { sendSimulation } from './txSender.js';
+import { formatBlocksRemaining } from './blockTime.js';
+import { batchCalls, withRetry } from './concurrency.js';
+import { getJSON, setJSON } from './storage.js';
+
+/**
+ * Addresses per addBatchToWhitelist call. 32 bytes each, so a full batch is
+ * 3.2 KB of calldata — well inside a transaction, and small enough that one
+ * batch's storage writes stay within the addBatchToWhitelist sat budget.
+ */
+export const WHITELIST_BATCH_SIZE = 100;
+
+/**
+ * The contract cannot enumerate its whitelist, so the addresses this client
+ * has added are remembered per presale and re-checked on chain when shown.
+ */
+function rememberWhitelist(presaleAddress, added = [], removed = []) {
+    const scope = { contract: presaleAddress };
+    const drop = new Set(removed.map(a => a.toLowerCase()));
+    const known = getJSON('whitelist', [], scope).filter(a => !drop.has(a.toLowerCase()));
+    const seen = new Set(known.map(a => a.toLowerCase()));
+    for (const account of added) {
+        if (!seen.has(account.toLowerCase())) {
+            seen.add(account.toLowerCase());
+            known.push(account);
+        }
+    }
+    try {
+        setJSON('whitelist', known, scope);
+    } catch (err) {
+        console.warn('Could not save whitelist:', err.message);
+    }
+}
 
 /**
  * Get a contract instance for a specific presale address.
@@ -22,7 +55,29 @@ async function getPresaleContract(presaleAddress, senderAddress) {
         const sender = await resolveAddress(senderAddress, false);
         return getContract(resolved, PRESALE_ABI, provider, network, sender);
     }
-    return getContract(resolved, PRESALE_ABI, provider, network);
+    return getCachedContract(resolved, PRESALE_ABI, provider, network);
+}
+
+/**
+ * Call a view method and return its properties, throwing on revert, for
+ * callers that must not mistake a failed read for a default value.
+ */
+async function readOrThrow(contract, method, ...args) {
+    const result = await contract[method](...args);
+    if (result.revert) throw new Error(`${method} reverted: ${result.revert}`);
+    return result.properties;
+}
+
+function parsePresaleInfo(props) {
+    return {
+        token: props.token?.toString() || '',
+        creator: props.creator?.toString() || '',
+        hardCap: props.hardCap?.toString() || '0',
+        softCap: props.softCap?.toString() || '0',
+        totalRaised: props.totalRaised?.toString() || '0',
+        startBlock: Number(props.startBlock),
+        endBlock: Number(props.endBlock),
+    };
 }
 
 export const presaleService = {
@@ -39,10 +94,8 @@ export const presaleService = {
         const simulation = await contract.contribute(BigInt(amount));
         if (simulation.revert) throw new Error(`Contribute failed: ${simulation.revert}`);
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: senderAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: senderAddress, network, action: 'presale.contribute',
         });
 
         return { success: true, txHash: receipt.transactionId };
@@ -58,10 +111,8 @@ export const presaleService = {
         const simulation = await contract.claim();
         if (simulation.revert) throw new Error(`Claim failed: ${simulation.revert}`);
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: senderAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: senderAddress, network, action: 'presale.claimTokens',
         });
 
         return {
@@ -81,10 +132,8 @@ export const presaleService = {
         const simulation = await contract.finalize();
         if (simulation.revert) throw new Error(`Finalize failed: ${simulation.revert}`);
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: senderAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: senderAddress, network, action: 'presale.finalize',
         });
 
         return { success: true, txHash: receipt.transactionId };
@@ -100,10 +149,8 @@ export const presaleService = {
         const simulation = await contract.refund();
         if (simulation.revert) throw new Error(`Refund failed: ${simulation.revert}`);
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: senderAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: senderAddress, network, action: 'presale.refund',
         });
 
         return {
@@ -123,10 +170,8 @@ export const presaleService = {
         const simulation = await contract.emergencyWithdraw();
         if (simulation.revert) throw new Error(`Emergency withdraw failed: ${simulation.revert}`);
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: senderAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: senderAddress, network, action: 'presale.emergencyWithdraw',
         });
 
         return {
@@ -153,10 +198,8 @@ export const presaleService = {
         );
         if (simulation.revert) throw new Error(`Set vesting failed: ${simulation.revert}`);
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: senderAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: senderAddress, network, action: 'presale.setVesting',
         });
 
         return { success: true, txHash: receipt.transactionId };
@@ -170,10 +213,8 @@ export const presaleService = {
         const network = opnetProvider.getNetwork();
         const simulation = await contract.setAntiBot(BigInt(maxPerBlock));
         if (simulation.revert) throw new Error(`Set anti-bot failed: ${simulation.revert}`);
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: senderAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: senderAddress, network, action: 'presale.setAntiBot',
         });
         return { success: true, txHash: receipt.transactionId };
     },
@@ -183,10 +224,8 @@ export const presaleService = {
         const network = opnetProvider.getNetwork();
         const simulation = await contract.enableWhitelist();
         if (simulation.revert) throw new Error(`Enable whitelist failed: ${simulation.revert}`);
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: senderAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: senderAddress, network, action: 'presale.enableWhitelist',
         });
         return { success: true, txHash: receipt.transactionId };
     },
@@ -196,10 +235,8 @@ export const presaleService = {
         const network = opnetProvider.getNetwork();
         const simulation = await contract.disableWhitelist();
         if (simulation.revert) throw new Error(`Disable whitelist failed: ${simulation.revert}`);
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: senderAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: senderAddress, network, action: 'presale.disableWhitelist',
         });
         return { success: true, txHash: receipt.transactionId };
     },
@@ -210,11 +247,23 @@ export const presaleService = {
         const addr = await resolveAddress(account, false);
         const simulation = await contract.addToWhitelist(addr);
         if (simulation.revert) throw new Error(`Add to whitelist failed: ${simulation.revert}`);
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: senderAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: senderAddress, network, action: 'presale.addToWhitelist',
+        });
+        rememberWhitelist(presaleAddress, [account]);
+        return { success: true, txHash: receipt.transactionId };
+    },
+
+    async removeFromWhitelist(presaleAddress, account, senderAddress) {
+        const contract = await getPresaleContract(presaleAddress, senderAddress);
+        const network = opnetProvider.getNetwork();
+        const addr = await resolveAddress(account, false);
+        const simulation = await contract.removeFromWhitelist(addr);
+        if (simulation.revert) throw new Error(`Remove from whitelist failed: ${simulation.revert}`);
+        const receipt = await sendSimulation(simulation, {
+            refundTo: senderAddress, network, action: 'presale.removeFromWhitelist',
         });
+        rememberWhitelist(presaleAddress, [], [account]);
         return { success: true, txHash: receipt.transactionId };
     },
 
@@ -223,23 +272,49 @@ export const presaleService = {
         const network = opnetProvider.getNetwork();
         const simulation = await contract.addBatchToWhitelist(batchData);
         if (simulation.revert) throw new Error(`Batch whitelist failed: ${simulation.revert}`);
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: senderAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: senderAddress, network, action: 'presale.addBatchToWhitelist',
         });
         return { success: true, count: Number(simulation.properties?.count || 0), txHash: receipt.transactionId };
     },
 
+    /**
+     * Pack wallet addresses into addBatchToWhitelist calldata: each resolved
+     * 32-byte address, back to back.
+     * @param {string[]} accounts - bech32 or 0x hex wallet addresses
+     * @returns {Promise<Uint8Array>}
+     */
+    async encodeWhitelistBatch(accounts) {
+        const resolved = await resolveAddresses(accounts);
+        const data = new Uint8Array(resolved.length * 32);
+        resolved.forEach((addr, i) => data.set(addr, i * 32));
+        return data;
+    },
+
+    /**
+     * Whitelist up to WHITELIST_BATCH_SIZE addresses in one transaction.
+     * @param {string} presaleAddress
+     * @param {string[]} accounts - bech32 or 0x hex wallet addresses
+     * @param {string} senderAddress - presale creator
+     */
+    async addAccountsToWhitelist(presaleAddress, accounts, senderAddress) {
+        if (!accounts?.length) throw new Error('No addresses to whitelist');
+        if (accounts.length > WHITELIST_BATCH_SIZE) {
+            throw new Error(`At most ${WHITELIST_BATCH_SIZE} addresses per batch`);
+        }
+        const data = await this.encodeWhitelistBatch(accounts);
+        const result = await this.addBatchToWhitelist(presaleAddress, data, senderAddress);
+        rememberWhitelist(presaleAddress, accounts);
+        return result;
+    },
+
     async pause(presaleAddress, senderAddress) {
         const contract = await getPresaleContract(presaleAddress, senderAddress);
         const network = opnetProvider.getNetwork();
         const simulation = await contract.pause();
         if (simulation.revert) throw new Error(`Pause failed: ${simulation.revert}`);
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: senderAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: senderAddress, network, action: 'presale.pause',
         });
         return { success: true, txHash: receipt.transactionId };
     },
@@ -249,10 +324,8 @@ export const presaleService = {
         const network = opnetProvider.getNetwork();
         const simulation = await contract.unpause();
         if (simulation.revert) throw new Error(`Unpause failed: ${simulation.revert}`);
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: senderAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: senderAddress, network, action: 'presale.unpause',
         });
         return { success: true, txHash: receipt.transactionId };
     },
@@ -264,16 +337,7 @@ export const presaleService = {
             const contract = await getPresaleContract(presaleAddress);
             const result = await contract.getPresaleInfo();
             if (result.revert) return null;
-
-            return {
-                token: result.properties.token?.toString() || '',
-                creator: result.properties.creator?.toString() || '',
-                hardCap: result.properties.hardCap?.toString() || '0',
-                softCap: result.properties.softCap?.toString() || '0',
-                totalRaised: result.properties.totalRaised?.toString() || '0',
-                startBlock: Number(result.properties.startBlock),
-                endBlock: Number(result.properties.endBlock),
-            };
+            return parsePresaleInfo(result.properties);
         } catch (err) {
             console.warn('getPresaleInfo failed:', err.message);
             return null;
@@ -413,6 +477,65 @@ export const presaleService = {
         } catch { return null; }
     },
 
+    /**
+     * Presale-wide state for the contributor ledger, with retries. Unlike the
+     * single reads above it throws instead of falling back to defaults.
+     * @param {string} presaleAddress
+     * @returns {Promise<{ info: Object, rate: string, cancelled: boolean,
+     *   vesting: { enabled: boolean, cliffBlocks: string, durationBlocks: string, tgeBps: string },
+     *   contributorCount: number }>}
+     */
+    async getLedgerState(presaleAddress) {
+        const contract = await getPresaleContract(presaleAddress);
+        const read = (method) => withRetry(() => readOrThrow(contract, method));
+        const [info, rate, cancelled, vesting, count] = await Promise.all([
+            read('getPresaleInfo'),
+            read('getRate'),
+            read('isCancelled'),
+            read('getVestingInfo'),
+            read('getContributorCount'),
+        ]);
+        return {
+            info: parsePresaleInfo(info),
+            rate: rate.rate.toString(),
+            cancelled: !!cancelled.cancelled,
+            vesting: {
+                enabled: !!vesting.enabled,
+                cliffBlocks: vesting.cliffBlocks?.toString() || '0',
+                durationBlocks: vesting.durationBlocks?.toString() || '0',
+                tgeBps: vesting.tgeBps?.toString() || '0',
+            },
+            contributorCount: Number(count.count),
+        };
+    },
+
+    /**
+     * Contributors by index, with retries per entry.
+     * @param {string} presaleAddress
+     * @param {number} count - from getLedgerState
+     * @param {{ withClaimable?: boolean, onProgress?: (done: number, total: number) => void }} [options]
+     * @returns {Promise<Array<{ index: number, contributor: string, contribution: string,
+     *   claimable: string|null }|null>>}
+     *   null for entries that could not be read; claimable is null unless withClaimable
+     */
+    async getContributorEntries(presaleAddress, count, { withClaimable = false, onProgress } = {}) {
+        const contract = await getPresaleContract(presaleAddress);
+        const indices = Array.from({ length: count }, (_, i) => i);
+        return batchCalls(indices, async (index) => {
+            const entry = await readOrThrow(contract, 'getContributorByIndex', index);
+            const contributor = entry.contributor?.toString() || '';
+            const claimable = withClaimable
+                ? (await readOrThrow(contract, 'getClaimable', await resolveAddress(contributor, false))).claimable.toString()
+                : null;
+            return {
+                index,
+                contributor,
+                contribution: entry.contribution?.toString() || '0',
+                claimable,
+            };
+        }, { onProgress });
+    },
+
     async getAllContributors(presaleAddress) {
         const count = await this.getContributorCount(presaleAddress);
         const contributors = [];
@@ -442,12 +565,39 @@ export const presaleService = {
         } catch { return false; }
     },
 
+    /**
+     * On-chain whitelist status of many addresses.
+     * @param {string} presaleAddress
+     * @param {string[]} accounts
+     * @param {{ onProgress?: (done: number, total: number) => void }} [options]
+     * @returns {Promise<Array<{ address: string, whitelisted: boolean|null }>>}
+     *   whitelisted is null when the address could not be resolved or read
+     */
+    async checkWhitelist(presaleAddress, accounts, { onProgress } = {}) {
+        const contract = await getPresaleContract(presaleAddress);
+        const results = await batchCalls(accounts, async (account) => {
+            const result = await contract.isWhitelisted(await resolveAddress(account, false));
+            if (result.revert) throw new Error(result.revert);
+            return !!result.properties.whitelisted;
+        }, { onProgress });
+        return accounts.map((address, i) => ({ address, whitelisted: results[i] }));
+    },
+
+    /**
+     * Addresses this client has whitelisted on the presale (see rememberWhitelist).
+     * @param {string} presaleAddress
+     * @returns {string[]}
+     */
+    getKnownWhitelist(presaleAddress) {
+        return getJSON('whitelist', [], { contract: presaleAddress });
+    },
+
     // ── Token helpers ──
 
     async fetchTokenInfo(tokenAddress) {
         const provider = opnetProvider.getProvider();
         const network = opnetProvider.getNetwork();
-        const token = getContract(tokenAddress, OP_20_ABI, provider, network);
+        const token = getCachedContract(tokenAddress, OP_20_ABI, provider, network);
         const [nameResult, symbolResult, decimalsResult, totalSupplyResult] = await Promise.all([
             token.name(), token.symbol(), token.decimals(), token.totalSupply(),
         ]);
@@ -464,7 +614,7 @@ export const presaleService = {
             const provider = opnetProvider.getProvider();
             const network = opnetProvider.getNetwork();
             const owner = await resolveAddress(ownerAddress, false);
-            const token = getContract(tokenAddress, OP_20_ABI, provider, network);
+            const token = getCachedContract(tokenAddress, OP_20_ABI, provider, network);
             const result = await token.balanceOf(owner);
             if (result.revert) return '0';
             return result.properties.balance?.toString() || '0';
@@ -1,8 +1,75 @@
 // BitLaunch - Token Service for OP20 token info
 // Uses provider/network from @btc-vision/walletconnect (passed in from component)
+// Admin actions for factory-deployed tokens (OP20Template) are simulated first
+// and returned as a prepared action, so the page can confirm before signing.
 /* global BigInt */
 
 import { getContract, OP_20_ABI } from 'opnet';
+import { getCachedContract } from './readCache.js';
+import { opnetProvider } from './opnetProvider.js';
+import { resolveAddress } from './addressHelper.js';
+import { sendSimulation } from './txSender.js';
+import { formatTokenAmount, formatAddress } from './formatters.js';
+import { OP20_TEMPLATE_ABI } from './abis/op20TemplateAbi.js';
+
+const ZERO_HEX = `0x${'00'.repeat(32)}`;
+
+/**
+ * @typedef {Object} PreparedTokenAction
+ * @property {string}   action  - service method name
+ * @property {string}   budgetKey - sat budget key (`token.<method>`), for FeePicker
+ * @property {string}   title
+ * @property {string[]} changes - what the transaction changes, for the confirmation step
+ * @property {string|null} warning - irreversible or risky effects
+ * @property {() => Promise<{ success: boolean, txHash: string }>} send - sign and broadcast the simulated call
+ */
+
+/**
+ * Get a typed OP20Template instance. With a sender it is a fresh instance for
+ * simulating writes; without one it is the shared read instance.
+ */
+async function getTemplateContract(tokenAddress, senderAddress) {
+    const provider = opnetProvider.getProvider();
+    const network = opnetProvider.getNetwork();
+    const tokenAddr = await resolveAddress(tokenAddress, true);
+    if (senderAddress) {
+        const sender = await resolveAddress(senderAddress, false);
+        return getContract(tokenAddr, OP20_TEMPLATE_ABI, provider, network, sender);
+    }
+    return getCachedContract(tokenAddr, OP20_TEMPLATE_ABI, provider, network);
+}
+
+function toHex(address) {
+    return address?.toHex ? address.toHex().toLowerCase() : null;
+}
+
+/**
+ * Simulate an admin call and wrap it for confirmation. Reverts surface here,
+ * before the wallet is ever asked to sign.
+ */
+async function prepareAction(tokenAddress, senderAddress, { action, label, call, changes, warning = null }) {
+    if (!tokenAddress) throw new Error('Token address required');
+    if (!senderAddress) throw new Error('Wallet address required');
+
+    const contract = await getTemplateContract(tokenAddress, senderAddress);
+    const simulation = await call(contract);
+    if (simulation.revert) throw new Error(`${label} failed: ${simulation.revert}`);
+
+    const budgetKey = `token.${action}`;
+    return {
+        action,
+        budgetKey,
+        title: label,
+        changes,
+        warning,
+        async send() {
+            const receipt = await sendSimulation(simulation, {
+                refundTo: senderAddress, network: opnetProvider.getNetwork(), action: budgetKey,
+            });
+            return { success: true, txHash: receipt.transactionId };
+        },
+    };
+}
 
 /**
  * TokenService - Handles OP20 token info lookups and validation.
@@ -79,7 +146,7 @@ class TokenService {
         }
 
         try {
-            const contract = getContract(
+            const contract = getCachedContract(
                 contractAddress,
                 OP_20_ABI,
                 p,
@@ -96,7 +163,7 @@ class TokenService {
             return {
                 name: nameResult.properties?.name || 'Unknown',
                 symbol: symbolResult.properties?.symbol || '???',
-                decimals: Number(decimalsResult.properties?.decimals || 8),
+                decimals: Number(decimalsResult.properties?.decimals ?? 8),
                 totalSupply: totalSupplyResult.properties?.totalSupply?.toString() || '0',
                 contractAddress
             };
@@ -105,6 +172,300 @@ class TokenService {
             return null;
         }
     }
+
+    // ── Token admin (OP20Template) ──
+
+    /**
+     * Owner, pause and minter state of a factory-deployed token, plus the
+     * viewer's role and balance.
+     * @param {string} tokenAddress
+     * @param {string} [viewerAddress] - connected wallet
+     * @returns {Promise<Object|null>} null if the token cannot be read;
+     *   `isTemplate: false` for tokens without the template's admin methods
+     */
+    async getTokenAdminInfo(tokenAddress, viewerAddress) {
+        try {
+            const contract = await getTemplateContract(tokenAddress);
+            const [nameResult, symbolResult, decimalsResult, totalSupplyResult, maxSupplyResult] = await Promise.all([
+                contract.name(),
+                contract.symbol(),
+                contract.decimals(),
+                contract.totalSupply(),
+                contract.maximumSupply(),
+            ]);
+
+            const info = {
+                tokenAddress,
+                name: nameResult.properties?.name || 'Unknown',
+                symbol: symbolResult.properties?.symbol || '???',
+                decimals: Number(decimalsResult.properties?.decimals ?? 8),
+                totalSupply: totalSupplyResult.properties?.totalSupply?.toString() || '0',
+                maxSupply: maxSupplyResult.properties?.maximumSupply?.toString() || '0',
+                isTemplate: false,
+                owner: null,
+                renounced: false,
+                factory: null,
+                paused: false,
+                burnEnabled: false,
+                isOwner: false,
+                isMinter: false,
+                balance: '0',
+            };
+
+            const viewer = viewerAddress ? await resolveAddress(viewerAddress, false) : null;
+            if (viewer) {
+                const balanceResult = await contract.balanceOf(viewer);
+                info.balance = balanceResult.properties?.balance?.toString() || '0';
+            }
+
+            try {
+                const [ownerResult, factoryResult, pausedResult, burnResult] = await Promise.all([
+                    contract.getTokenOwner(),
+                    contract.getFactoryAddress(),
+                    contract.isPaused(),
+                    contract.isBurnEnabledView(),
+                ]);
+                const ownerHex = toHex(ownerResult.properties?.owner);
+                info.isTemplate = true;
+                info.renounced = !ownerHex || ownerHex === ZERO_HEX;
+                info.owner = info.renounced ? null : ownerHex;
+                info.factory = toHex(factoryResult.properties?.factory);
+                info.paused = !!pausedResult.properties?.paused;
+                info.burnEnabled = !!burnResult.properties?.burnEnabled;
+
+                if (viewer) {
+                    const minterResult = await contract.isMinter(viewer);
+                    info.isOwner = !info.renounced && toHex(viewer) === info.owner;
+                    info.isMinter = !!minterResult.properties?.isMinter;
+                }
+            } catch (err) {
+                // Plain OP20 (not deployed from the template): no admin surface
+                console.warn('Token has no template admin methods:', err.message);
+            }
+
+            return info;
+        } catch (error) {
+            console.error('Failed to get token admin info:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether an account holds the minter role.
+     * @param {string} tokenAddress
+     * @param {string} account - bech32 or 0x hex
+     */
+    async isMinter(tokenAddress, account) {
+        try {
+            const contract = await getTemplateContract(tokenAddress);
+            const result = await contract.isMinter(await resolveAddress(account, false));
+            return !!result.properties?.isMinter;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Current owner recorded by the token contract itself.
+     * @param {string} tokenAddress
+     * @returns {Promise<string|null>} lowercase 0x hex; null when renounced,
+     *   unreadable or the token has no getTokenOwner method
+     */
+    async getTokenOwner(tokenAddress) {
+        try {
+            const contract = await getTemplateContract(tokenAddress);
+            const result = await contract.getTokenOwner();
+            if (result.revert) return null;
+            const ownerHex = toHex(result.properties?.owner);
+            return ownerHex && ownerHex !== ZERO_HEX ? ownerHex : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Simulate minting new supply (owner or minter).
+     * @param {string} tokenAddress
+     * @param {string} to - recipient wallet
+     * @param {bigint|string} amount - raw units
+     * @param {string} senderAddress
+     * @returns {Promise<PreparedTokenAction>}
+     */
+    async prepareMint(tokenAddress, to, amount, senderAddress) {
+        if (!to) throw new Error('Recipient address required');
+        const raw = BigInt(amount || 0);
+        if (raw <= 0n) throw new Error('Amount must be > 0');
+
+        const info = await this._requireAdminInfo(tokenAddress, senderAddress);
+        const fmt = (v) => `${formatTokenAmount(v, info.decimals, info.decimals)} ${info.symbol}`;
+        const newSupply = BigInt(info.totalSupply) + raw;
+        const recipient = await resolveAddress(to, false);
+
+        return prepareAction(tokenAddress, senderAddress, {
+            action: 'mint',
+            label: 'Mint',
+            call: (contract) => contract.mint(recipient, raw),
+            changes: [
+                `Mints ${fmt(raw)} to ${formatAddress(to)}`,
+                `Total supply rises from ${fmt(info.totalSupply)} to ${fmt(newSupply)}`,
+                `${fmt(BigInt(info.maxSupply) - newSupply)} left under the ${fmt(info.maxSupply)} max supply`,
+            ],
+        });
+    }
+
+    /**
+     * Simulate burning tokens from the sender's own balance.
+     * @param {string} tokenAddress
+     * @param {bigint|string} amount - raw units
+     * @param {string} senderAddress
+     * @returns {Promise<PreparedTokenAction>}
+     */
+    async prepareBurn(tokenAddress, amount, senderAddress) {
+        const raw = BigInt(amount || 0);
+        if (raw <= 0n) throw new Error('Amount must be > 0');
+
+        const info = await this._requireAdminInfo(tokenAddress, senderAddress);
+        if (!info.burnEnabled) throw new Error('Burning is disabled for this token');
+        const fmt = (v) => `${formatTokenAmount(v, info.decimals, info.decimals)} ${info.symbol}`;
+
+        return prepareAction(tokenAddress, senderAddress, {
+            action: 'burn',
+            label: 'Burn',
+            call: (contract) => contract.burn(raw),
+            changes: [
+                `Burns ${fmt(raw)} from your balance (${fmt(info.balance)} → ${fmt(BigInt(info.balance) - raw)})`,
+                `Total supply falls from ${fmt(info.totalSupply)} to ${fmt(BigInt(info.totalSupply) - raw)}`,
+            ],
+            warning: 'Burned tokens are destroyed and cannot be recovered.',
+        });
+    }
+
+    /**
+     * Simulate pausing all transfers (owner).
+     * @returns {Promise<PreparedTokenAction>}
+     */
+    async preparePause(tokenAddress, senderAddress) {
+        const info = await this._requireAdminInfo(tokenAddress, senderAddress);
+        return prepareAction(tokenAddress, senderAddress, {
+            action: 'pause',
+            label: 'Pause',
+            call: (contract) => contract.pause(),
+            changes: [
+                `All ${info.symbol} transfers are blocked until the token is unpaused`,
+                'Presales, locks and airdrops holding this token cannot pay out while paused',
+            ],
+            warning: 'Only the token owner can unpause. Renouncing ownership while paused freezes the token for good.',
+        });
+    }
+
+    /**
+     * Simulate resuming transfers (owner).
+     * @returns {Promise<PreparedTokenAction>}
+     */
+    async prepareUnpause(tokenAddress, senderAddress) {
+        const info = await this._requireAdminInfo(tokenAddress, senderAddress);
+        return prepareAction(tokenAddress, senderAddress, {
+            action: 'unpause',
+            label: 'Unpause',
+            call: (contract) => contract.unpause(),
+            changes: [`${info.symbol} transfers are allowed again`],
+        });
+    }
+
+    /**
+     * Simulate granting the minter role (owner).
+     * @param {string} tokenAddress
+     * @param {string} minter - wallet or contract to grant
+     * @param {string} senderAddress
+     * @returns {Promise<PreparedTokenAction>}
+     */
+    async prepareGrantMinterRole(tokenAddress, minter, senderAddress) {
+        if (!minter) throw new Error('Minter address required');
+        const info = await this._requireAdminInfo(tokenAddress, senderAddress);
+        const fmt = (v) => `${formatTokenAmount(v, info.decimals, info.decimals)} ${info.symbol}`;
+        const minterAddr = await resolveAddress(minter, false);
+
+        return prepareAction(tokenAddress, senderAddress, {
+            action: 'grantMinterRole',
+            label: 'Grant minter role',
+            call: (contract) => contract.grantMinterRole(minterAddr),
+            changes: [
+                `${formatAddress(minter)} can mint ${info.symbol} without your approval`,
+                `Up to ${fmt(BigInt(info.maxSupply) - BigInt(info.totalSupply))} can still be minted under the max supply`,
+            ],
+            warning: 'Minters keep the role after an ownership transfer until it is revoked.',
+        });
+    }
+
+    /**
+     * Simulate revoking the minter role (owner).
+     * @returns {Promise<PreparedTokenAction>}
+     */
+    async prepareRevokeMinterRole(tokenAddress, minter, senderAddress) {
+        if (!minter) throw new Error('Minter address required');
+        await this._requireAdminInfo(tokenAddress, senderAddress);
+        const minterAddr = await resolveAddress(minter, false);
+
+        return prepareAction(tokenAddress, senderAddress, {
+            action: 'revokeMinterRole',
+            label: 'Revoke minter role',
+            call: (contract) => contract.revokeMinterRole(minterAddr),
+            changes: [`${formatAddress(minter)} can no longer mint`],
+        });
+    }
+
+    /**
+     * Simulate handing token ownership to another address (owner).
+     * @returns {Promise<PreparedTokenAction>}
+     */
+    async prepareTransferTokenOwner(tokenAddress, newOwner, senderAddress) {
+        if (!newOwner) throw new Error('New owner address required');
+        const info = await this._requireAdminInfo(tokenAddress, senderAddress);
+        const newOwnerAddr = await resolveAddress(newOwner, false);
+        if (toHex(newOwnerAddr) === info.owner) throw new Error('That address already owns the token');
+
+        return prepareAction(tokenAddress, senderAddress, {
+            action: 'transferTokenOwner',
+            label: 'Transfer ownership',
+            call: (contract) => contract.transferTokenOwner(newOwnerAddr),
+            changes: [
+                `${formatAddress(newOwner)} becomes the owner of ${info.symbol}`,
+                'You lose the right to mint, pause, unpause and manage minters',
+            ],
+            warning: 'Only the new owner can transfer ownership back. Check the address: a wrong one cannot be undone.',
+        });
+    }
+
+    /**
+     * Simulate renouncing ownership (owner). Irreversible.
+     * @returns {Promise<PreparedTokenAction>}
+     */
+    async prepareRenounceOwnership(tokenAddress, senderAddress) {
+        const info = await this._requireAdminInfo(tokenAddress, senderAddress);
+        const changes = [
+            `${info.symbol} has no owner: nobody can mint as owner, pause, unpause or manage minters again`,
+            `Supply is fixed at ${formatTokenAmount(info.totalSupply, info.decimals, info.decimals)} ${info.symbol} apart from existing minters and free mint`,
+        ];
+        if (info.paused) changes.push('The token is paused and will stay paused forever');
+
+        return prepareAction(tokenAddress, senderAddress, {
+            action: 'renounceOwnership',
+            label: 'Renounce ownership',
+            call: (contract) => contract.renounceOwnership(),
+            changes,
+            warning: 'Renouncing is irreversible. There is no way to restore an owner afterwards.',
+        });
+    }
+
+    /** Admin info for a prepare* call; throws for tokens without the template admin surface. */
+    async _requireAdminInfo(tokenAddress, senderAddress) {
+        if (!tokenAddress) throw new Error('Token address required');
+        if (!senderAddress) throw new Error('Wallet address required');
+        const info = await this.getTokenAdminInfo(tokenAddress, senderAddress);
+        if (!info) throw new Error('Could not load token');
+        if (!info.isTemplate) throw new Error('This token was not deployed by the BitLaunch factory');
+        return info;
+    }
 }
 
 export const tokenService = new TokenService();
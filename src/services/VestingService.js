@@ -5,12 +5,15 @@
 /* global BigInt */
 
 import { getContract } from 'opnet';
-import { opnetProvider } from './opnetProvider';
-import { CONTRACTS } from './contracts';
-import { VESTING_ABI } from './abis/vestingAbi';
-import { resolveAddress } from './addressHelper';
-import { blocksToHumanTime } from './blockTime';
-import { approveAndWait } from './approveHelper';
+import { opnetProvider } from './opnetProvider.js';
+import { getCachedContract } from './readCache.js';
+import { CONTRACTS } from './contracts.js';
+import { VESTING_ABI } from './abis/vestingAbi.js';
+import { resolveAddress } from './addressHelper.js';
+import { blocksToHumanTime } from './blockTime.js';
+import { approveAndWait } from './approveHelper.js';
+import { sendSimulation } from './txSender.js';
+import { batchCalls, pageIndexes } from './concurrency.js';
 
 /**
  * Get a typed contract instance for the vesting contract.
@@ -23,7 +26,34 @@ async function getVestingContract(senderAddress) {
         const sender = await resolveAddress(senderAddress, false);
         return getContract(vestingAddress, VESTING_ABI, provider, network, sender);
     }
-    return getContract(vestingAddress, VESTING_ABI, provider, network);
+    return getCachedContract(vestingAddress, VESTING_ABI, provider, network);
+}
+
+/**
+ * Read one schedule. Throws on transport errors so batched reads can retry;
+ * returns null when the call reverts.
+ */
+async function readSchedule(contract, scheduleId) {
+    const result = await contract.getSchedule(BigInt(scheduleId));
+    if (result.revert) return null;
+    return {
+        beneficiary: result.properties.beneficiary,
+        token: result.properties.token,
+        creator: result.properties.creator,
+        totalAmount: result.properties.totalAmount.toString(),
+        claimedAmount: result.properties.claimedAmount.toString(),
+        cliffBlocks: Number(result.properties.cliffBlocks),
+        vestingBlocks: Number(result.properties.vestingBlocks),
+        startBlock: Number(result.properties.startBlock),
+        tgeBps: Number(result.properties.tgeBps),
+        revoked: result.properties.revoked,
+        revocable: result.properties.revocable,
+    };
+}
+
+async function readScheduleWithId(contract, scheduleId) {
+    const schedule = await readSchedule(contract, scheduleId);
+    return schedule ? { ...schedule, id: scheduleId.toString() } : null;
 }
 
 export const vestingService = {
@@ -72,6 +102,7 @@ export const vestingService = {
             tokenAddr, owner: creatorAddr, spender: vestingContractAddr,
             amount: totalAmount, refundTo: data.creator,
             provider, network, onProgress,
+            action: 'vesting.createSchedule',
         });
 
         // Step 2: Create the vesting schedule (V2: 7 params)
@@ -87,10 +118,8 @@ export const vestingService = {
         }
 
         onProgress?.('Confirming vesting schedule — please confirm in wallet...');
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: data.creator, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: data.creator, network, action: 'vesting.createSchedule',
         });
 
         const scheduleId = simulation.properties?.scheduleId?.toString() || '0';
@@ -117,10 +146,8 @@ export const vestingService = {
             throw new Error(`Claim failed: ${simulation.revert}`);
         }
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: callerAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: callerAddress, network, action: 'vesting.claimTokens',
         });
 
         return {
@@ -145,10 +172,8 @@ export const vestingService = {
             throw new Error(`Revoke failed: ${simulation.revert}`);
         }
 
-        const receipt = await simulation.sendTransaction({
-            signer: null, mldsaSigner: null,
-            refundTo: callerAddress, feeRate: 10,
-            maximumAllowedSatToSpend: 50000n, network,
+        const receipt = await sendSimulation(simulation, {
+            refundTo: callerAddress, network, action: 'vesting.revokeSchedule',
         });
 
         return {
@@ -178,23 +203,7 @@ export const vestingService = {
     async getScheduleOnChain(scheduleId) {
         try {
             const contract = await getVestingContract();
-            const id = BigInt(scheduleId);
-            const result = await contract.getSchedule(id);
-            if (result.revert) return null;
-
-            return {
-                beneficiary: result.properties.beneficiary,
-                token: result.properties.token,
-                creator: result.properties.creator,
-                totalAmount: result.properties.totalAmount.toString(),
-                claimedAmount: result.properties.claimedAmount.toString(),
-                cliffBlocks: Number(result.properties.cliffBlocks),
-                vestingBlocks: Number(result.properties.vestingBlocks),
-                startBlock: Number(result.properties.startBlock),
-                tgeBps: Number(result.properties.tgeBps),
-                revoked: result.properties.revoked,
-                revocable: result.properties.revocable,
-            };
+            return await readSchedule(contract, scheduleId);
         } catch (err) {
             console.warn('On-chain getSchedule failed:', err.message);
             return null;
@@ -279,32 +288,23 @@ export const vestingService = {
      * Uses efficient indexed lookups instead of scanning all schedules.
      */
     async getSchedulesForAddress(address) {
-        const scheduleIds = new Set();
-        const schedules = [];
-
-        // Check as beneficiary
-        const benCount = await this.getBeneficiaryScheduleCount(address);
-        for (let i = 0; i < benCount; i++) {
-            const id = await this.getBeneficiaryScheduleByIndex(address, i);
-            if (id != null) scheduleIds.add(id);
-        }
+        const [benCount, creatorCount] = await Promise.all([
+            this.getBeneficiaryScheduleCount(address),
+            this.getCreatorScheduleCount(address),
+        ]);
 
-        // Check as creator
-        const creatorCount = await this.getCreatorScheduleCount(address);
-        for (let i = 0; i < creatorCount; i++) {
-            const id = await this.getCreatorScheduleByIndex(address, i);
-            if (id != null) scheduleIds.add(id);
-        }
+        const indexes = (count) => Array.from({ length: count }, (_, i) => i);
+        const [benIds, creatorIds] = await Promise.all([
+            batchCalls(indexes(benCount), i => this.getBeneficiaryScheduleByIndex(address, i)),
+            batchCalls(indexes(creatorCount), i => this.getCreatorScheduleByIndex(address, i)),
+        ]);
 
         // Fetch each unique schedule
-        for (const id of scheduleIds) {
-            const schedule = await this.getScheduleOnChain(id);
-            if (schedule) {
-                schedules.push({ ...schedule, id: id.toString() });
-            }
-        }
-
-        return schedules;
+        const scheduleIds = [...new Set([...benIds, ...creatorIds].filter(id => id != null))];
+        if (scheduleIds.length === 0) return [];
+        const contract = await getVestingContract();
+        const schedules = await batchCalls(scheduleIds, id => readScheduleWithId(contract, id));
+        return schedules.filter(Boolean);
     },
 
     /**
@@ -313,20 +313,35 @@ export const vestingService = {
     async getAllSchedules() {
         try {
             const count = await this.getScheduleCountOnChain();
-            const schedules = [];
-            for (let i = 0; i < count; i++) {
-                const schedule = await this.getScheduleOnChain(i);
-                if (schedule) {
-                    schedules.push({ ...schedule, id: i.toString() });
-                }
-            }
-            return schedules;
+            if (count === 0) return [];
+
+            const contract = await getVestingContract();
+            const ids = Array.from({ length: count }, (_, i) => i);
+            const schedules = await batchCalls(ids, id => readScheduleWithId(contract, id));
+            return schedules.filter(Boolean);
         } catch (err) {
             console.warn('getAllSchedules failed:', err.message);
             return [];
         }
     },
 
+    /**
+     * One page of all schedules, newest first.
+     *
+     * @param {number} offset - schedules to skip from the newest
+     * @param {number} limit - page size
+     * @returns {Promise<{ items: Array<Object>, total: number, nextOffset: number, hasMore: boolean }>}
+     */
+    async getSchedulesPage(offset = 0, limit = 10) {
+        const total = await this.getScheduleCountOnChain();
+        const { indexes, nextOffset, hasMore } = pageIndexes(total, offset, limit);
+        if (indexes.length === 0) return { items: [], total, nextOffset, hasMore };
+
+        const contract = await getVestingContract();
+        const schedules = await batchCalls(indexes, id => readScheduleWithId(contract, id));
+        return { items: schedules.filter(Boolean), total, nextOffset, hasMore };
+    },
+
     async getScheduleById(id) {
         const schedule = await this.getScheduleOnChain(id);
         if (schedule) return { ...schedule, id: id.toString() };
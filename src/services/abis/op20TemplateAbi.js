@@ -0,0 +1,192 @@
+// OP20 Template ABI — matches OP20Template.ts (tokens deployed by the OP20 Factory)
+// Standard OP20 methods plus mint/burn controls, pause, minter roles, ownership and free mint
+import { ABIDataTypes, BitcoinAbiTypes, OP_20_ABI } from 'opnet';
+
+const TEMPLATE_METHODS = [
+    // ── Write Methods ──
+    {
+        name: 'initialize',
+        inputs: [
+            { name: 'maxSupply', type: ABIDataTypes.UINT256 },
+            { name: 'decimals', type: ABIDataTypes.UINT8 },
+            { name: 'name', type: ABIDataTypes.STRING },
+            { name: 'symbol', type: ABIDataTypes.STRING },
+            { name: 'initialMintTo', type: ABIDataTypes.ADDRESS },
+            { name: 'initialMintAmount', type: ABIDataTypes.UINT256 },
+            { name: 'freeMintSupply', type: ABIDataTypes.UINT256 },
+            { name: 'freeMintPerTx', type: ABIDataTypes.UINT256 },
+            { name: 'freeMintUserCap', type: ABIDataTypes.UINT256 },
+            { name: 'tokenOwner', type: ABIDataTypes.ADDRESS },
+            { name: 'burnEnabled', type: ABIDataTypes.BOOL },
+        ],
+        outputs: [],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        name: 'mint',
+        inputs: [
+            { name: 'to', type: ABIDataTypes.ADDRESS },
+            { name: 'amount', type: ABIDataTypes.UINT256 },
+        ],
+        outputs: [],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        name: 'freeMint',
+        inputs: [{ name: 'amount', type: ABIDataTypes.UINT256 }],
+        outputs: [{ name: 'success', type: ABIDataTypes.BOOL }],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        name: 'burn',
+        inputs: [{ name: 'amount', type: ABIDataTypes.UINT256 }],
+        outputs: [{ name: 'success', type: ABIDataTypes.BOOL }],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        name: 'pause',
+        inputs: [],
+        outputs: [{ name: 'success', type: ABIDataTypes.BOOL }],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        name: 'unpause',
+        inputs: [],
+        outputs: [{ name: 'success', type: ABIDataTypes.BOOL }],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        name: 'grantMinterRole',
+        inputs: [{ name: 'minter', type: ABIDataTypes.ADDRESS }],
+        outputs: [{ name: 'success', type: ABIDataTypes.BOOL }],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        name: 'revokeMinterRole',
+        inputs: [{ name: 'minter', type: ABIDataTypes.ADDRESS }],
+        outputs: [{ name: 'success', type: ABIDataTypes.BOOL }],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        name: 'transferTokenOwner',
+        inputs: [{ name: 'newOwner', type: ABIDataTypes.ADDRESS }],
+        outputs: [{ name: 'success', type: ABIDataTypes.BOOL }],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        name: 'renounceOwnership',
+        inputs: [],
+        outputs: [{ name: 'success', type: ABIDataTypes.BOOL }],
+        type: BitcoinAbiTypes.Function,
+    },
+
+    // ── Read Methods ──
+    {
+        name: 'isMinter',
+        inputs: [{ name: 'account', type: ABIDataTypes.ADDRESS }],
+        outputs: [{ name: 'isMinter', type: ABIDataTypes.BOOL }],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        name: 'getTokenOwner',
+        inputs: [],
+        outputs: [{ name: 'owner', type: ABIDataTypes.ADDRESS }],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        name: 'getFactoryAddress',
+        inputs: [],
+        outputs: [{ name: 'factory', type: ABIDataTypes.ADDRESS }],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        name: 'isPaused',
+        inputs: [],
+        outputs: [{ name: 'paused', type: ABIDataTypes.BOOL }],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        name: 'isBurnEnabledView',
+        inputs: [],
+        outputs: [{ name: 'burnEnabled', type: ABIDataTypes.BOOL }],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        // Declared as BYTES in the contract, but the response is four bare u256 values
+        name: 'getFreeMintInfo',
+        inputs: [],
+        outputs: [
+            { name: 'remaining', type: ABIDataTypes.UINT256 },
+            { name: 'perTx', type: ABIDataTypes.UINT256 },
+            { name: 'userCap', type: ABIDataTypes.UINT256 },
+            { name: 'totalClaimed', type: ABIDataTypes.UINT256 },
+        ],
+        type: BitcoinAbiTypes.Function,
+    },
+    {
+        name: 'getFreeMintClaimed',
+        inputs: [{ name: 'user', type: ABIDataTypes.ADDRESS }],
+        outputs: [{ name: 'claimed', type: ABIDataTypes.UINT256 }],
+        type: BitcoinAbiTypes.Function,
+    },
+
+    // ── Events ──
+    {
+        name: 'FreeMintConfigured',
+        values: [
+            { name: 'token', type: ABIDataTypes.ADDRESS },
+            { name: 'supply', type: ABIDataTypes.UINT256 },
+            { name: 'perTxLimit', type: ABIDataTypes.UINT256 },
+            { name: 'userCap', type: ABIDataTypes.UINT256 },
+        ],
+        type: BitcoinAbiTypes.Event,
+    },
+    {
+        name: 'FreeMintClaimed',
+        values: [
+            { name: 'user', type: ABIDataTypes.ADDRESS },
+            { name: 'token', type: ABIDataTypes.ADDRESS },
+            { name: 'amount', type: ABIDataTypes.UINT256 },
+        ],
+        type: BitcoinAbiTypes.Event,
+    },
+    {
+        name: 'TokenOwnerTransferred',
+        values: [
+            { name: 'previousOwner', type: ABIDataTypes.ADDRESS },
+            { name: 'newOwner', type: ABIDataTypes.ADDRESS },
+        ],
+        type: BitcoinAbiTypes.Event,
+    },
+    {
+        name: 'OwnershipRenounced',
+        values: [{ name: 'previousOwner', type: ABIDataTypes.ADDRESS }],
+        type: BitcoinAbiTypes.Event,
+    },
+    {
+        name: 'TokenPaused',
+        values: [{ name: 'by', type: ABIDataTypes.ADDRESS }],
+        type: BitcoinAbiTypes.Event,
+    },
+    {
+        name: 'TokenUnpaused',
+        values: [{ name: 'by', type: ABIDataTypes.ADDRESS }],
+        type: BitcoinAbiTypes.Event,
+    },
+    {
+        name: 'TokenBurned',
+        values: [
+            { name: 'from', type: ABIDataTypes.ADDRESS },
+            { name: 'amount', type: ABIDataTypes.UINT256 },
+        ],
+        type: BitcoinAbiTypes.Event,
+    },
+];
+
+// The template's mint/burn replace the OP_20_ABI entries of the same name
+const overridden = new Set(TEMPLATE_METHODS.map(entry => entry.name));
+
+export const OP20_TEMPLATE_ABI = [
+    ...OP_20_ABI.filter(entry => !overridden.has(entry.name)),
+    ...TEMPLATE_METHODS,
+];
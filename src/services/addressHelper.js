@@ -9,8 +9,9 @@
 //   FALLBACK: check the local token registry for a cached hex address.
 
 import { Address } from '@btc-vision/transaction';
-import { opnetProvider } from './opnetProvider';
-import { resolveFromRegistry } from './tokenRegistry';
+import { opnetProvider } from './opnetProvider.js';
+import { resolveFromRegistry } from './tokenRegistry.js';
+import { mapWithConcurrency } from './concurrency.js';
 
 const cache = new Map();
 
@@ -66,7 +67,7 @@ export async function resolveAddress(input, isContract = false) {
 
         // Last resort: sync factory registry and retry
         try {
-            const { factoryService } = await import('./FactoryService');
+            const { factoryService } = await import('./FactoryService.js');
             await factoryService.syncTokenRegistry();
             const retryAddress = resolveFromRegistry(bech32Address);
             if (retryAddress) {
@@ -86,6 +87,73 @@ export async function resolveAddress(input, isContract = false) {
     );
 }
 
+/**
+ * Resolve a wallet to every 32-byte hex form it may appear under in
+ * off-chain data (e.g. an airdrop recipient list):
+ *   - mldsa:   toHex() — hashed ML-DSA key, what contracts see as the sender
+ *   - tweaked: tweakedToHex() — taproot tweaked public key
+ *   - input:   the input itself, if it was already 0x hex
+ *
+ * @param {string} input - bech32 or 0x hex wallet address
+ * @returns {Promise<Array<{ variant: 'mldsa'|'tweaked'|'input', hex: string }>>}
+ *   lowercase hex without 0x, de-duplicated, most authoritative first
+ */
+export async function resolveAddressVariants(input) {
+    const address = await resolveAddress(input, false);
+    const candidates = [];
+
+    const push = (variant, getHex) => {
+        try {
+            const hex = getHex();
+            if (hex) candidates.push({ variant, hex: hex.toLowerCase().replace(/^0x/, '') });
+        } catch { /* variant not available for this key */ }
+    };
+
+    push('mldsa', () => address.toHex());
+    push('tweaked', () => address.tweakedToHex());
+    if (/^0x/i.test(input)) push('input', () => input);
+
+    const seen = new Set();
+    return candidates.filter(c => {
+        if (seen.has(c.hex)) return false;
+        seen.add(c.hex);
+        return true;
+    });
+}
+
+/**
+ * Resolve many wallet addresses with at most `concurrency` RPC lookups in flight.
+ * Duplicate inputs are only resolved once.
+ *
+ * @param {string[]} inputs - bech32 or 0x hex wallet addresses
+ * @param {{ concurrency?: number, onProgress?: (done: number, total: number) => void }} [options]
+ * @returns {Promise<Address[]>} in input order
+ * @throws {Error} naming the first input that could not be resolved
+ */
+export async function resolveAddresses(inputs, { concurrency = 8, onProgress } = {}) {
+    const unique = [...new Set(inputs)];
+    const resolved = await mapWithConcurrency(unique, concurrency, async (input) => {
+        try {
+            return await resolveAddress(input, false);
+        } catch (err) {
+            throw new Error(`Recipient #${inputs.indexOf(input) + 1} (${input}): ${err.message}`);
+        }
+    }, { onProgress });
+
+    const byInput = new Map(unique.map((input, i) => [input, resolved[i]]));
+    return inputs.map(input => byInput.get(input));
+}
+
 export function clearAddressCache() {
     cache.clear();
 }
+
+/**
+ * Seed the cache with an already known Address (e.g. a local signer's own
+ * address, which the RPC may not have indexed yet).
+ * @param {string} input - bech32 or hex form callers will pass
+ * @param {Address} address
+ */
+export function rememberAddress(input, address) {
+    if (input && address) cache.set(input, address);
+}
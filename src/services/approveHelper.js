@@ -6,6 +6,7 @@
 /* global BigInt */
 
 import { getContract, OP_20_ABI } from 'opnet';
+import { sendSimulation } from './txSender.js';
 
 /**
  * Read the current allowance for (owner → spender) on a token.
@@ -52,13 +53,16 @@ export async function checkAllowance(tokenAddr, owner, spender, provider, networ
  * @param {Object}         opts.provider    - OPNet provider
  * @param {Object}         opts.network     - Bitcoin network
  * @param {function}       [opts.onProgress] - progress callback
+ * @param {string}         [opts.action]    - sat budget key of the flow the approval
+ *   is part of (e.g. `airdrop.createAirdrop`), so the user's FeePicker ceiling
+ *   also covers the approve transaction
  * @param {number}         [opts.maxWaitMs] - max wait (default 10 min)
  * @returns {boolean} true if approval was sent, false if skipped
  */
 export async function approveAndWait({
     tokenAddr, owner, spender, amount,
     refundTo, provider, network,
-    onProgress, maxWaitMs = 600000,
+    onProgress, action = 'token.approve', maxWaitMs = 600000,
 }) {
     // 1. Check existing allowance
     onProgress?.('Checking token allowance...');
@@ -79,13 +83,8 @@ export async function approveAndWait({
         throw new Error(`Token approval failed: ${approveSimulation.revert}`);
     }
 
-    await approveSimulation.sendTransaction({
-        signer: null,
-        mldsaSigner: null,
-        refundTo,
-        feeRate: 10,
-        maximumAllowedSatToSpend: 50000n,
-        network,
+    await sendSimulation(approveSimulation, {
+        refundTo, network, provider, action,
     });
 
     // 3. Poll until allowance appears on-chain
@@ -0,0 +1,179 @@
+// BitLaunch - Airdrop Claim Analytics
+// Per-recipient claim status for creators who hold an airdrop's tree data.
+//
+// Each recipient costs one getClaimedAmount() call, so lookups run with
+// bounded concurrency and retries, and are cached:
+//   - claimed recipients are stored per airdrop contract (claims are final),
+//     together with the first block at which they were seen as claimed
+//   - unclaimed recipients are only re-checked once the block height moves
+//   - recipients whose lookup failed are reported as unknown (claimed: null),
+//     never as unclaimed, and are re-checked on the next load
+//
+// "First seen" blocks are an upper bound: recipients who claimed before the
+// first analytics load are all attributed to that load's block.
+
+import { airdropService } from './AirdropService.js';
+import { buildClaimLinks } from './claimLinks.js';
+import { downloadCsv } from './exportHelper.js';
+import { CONTRACTS } from './contracts.js';
+import { getJSON, setJSON } from './storage.js';
+
+const LOOKUP_CONCURRENCY = 6;
+
+// `${airdrop contract}:${airdropId}` -> { block, unclaimed: Set<addressHex> }
+const unclaimedCache = new Map();
+
+const claimsName = (airdropId) => `airdrop_claims_${airdropId}`;
+
+function loadClaimed(airdropId) {
+    return getJSON(claimsName(airdropId), {}, { contract: CONTRACTS.airdrop });
+}
+
+function saveClaimed(airdropId, claimed) {
+    try {
+        setJSON(claimsName(airdropId), claimed, { contract: CONTRACTS.airdrop });
+    } catch (err) {
+        console.warn('Could not cache claim status:', err.message);
+    }
+}
+
+/**
+ * Look up the claim status of every recipient.
+ *
+ * @param {string} airdropId
+ * @param {{ recipients: Array<{ address: string, amount: string, originalAddress?: string }> }} treeData
+ * @param {Object} [options]
+ * @param {number} [options.currentBlock] - used for caching and first-seen blocks
+ * @param {boolean} [options.refresh] - ignore the unclaimed cache
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<Array<{
+ *   index: number, address: string, recipient: string, amount: string,
+ *   claimed: boolean|null, claimedAmount: string, claimedAtBlock: number|null,
+ * }>>}
+ *   claimed is null when the recipient's status could not be read
+ */
+export async function loadClaimStatuses(airdropId, treeData, { currentBlock = 0, refresh = false, onProgress } = {}) {
+    const recipients = treeData?.recipients || [];
+    const claimed = loadClaimed(airdropId);
+
+    const cacheKey = `${CONTRACTS.airdrop}:${airdropId}`;
+    const cached = unclaimedCache.get(cacheKey);
+    const unclaimedFresh = !refresh && cached && cached.block === currentBlock && currentBlock > 0
+        ? cached.unclaimed
+        : null;
+
+    const toCheck = recipients.filter(r => !claimed[r.address] && !unclaimedFresh?.has(r.address));
+    const unclaimed = new Set();
+    const unknown = new Set();
+
+    const amounts = await airdropService.getClaimedAmounts(
+        airdropId,
+        toCheck.map(r => `0x${r.address.replace(/^0x/, '')}`),
+        { concurrency: LOOKUP_CONCURRENCY, onProgress },
+    );
+    toCheck.forEach((r, i) => {
+        const amount = amounts[i].claimedAmount;
+        if (amount === null) {
+            unknown.add(r.address);
+        } else if (BigInt(amount) > 0n) {
+            claimed[r.address] = { claimedAmount: amount, block: currentBlock || null };
+        } else {
+            unclaimed.add(r.address);
+        }
+    });
+
+    if (unclaimedFresh) unclaimedFresh.forEach(a => { if (!claimed[a]) unclaimed.add(a); });
+    unclaimedCache.set(cacheKey, { block: currentBlock, unclaimed });
+    saveClaimed(airdropId, claimed);
+
+    return recipients.map((r, index) => ({
+        index,
+        address: r.address,
+        recipient: r.originalAddress || '',
+        amount: String(r.amount),
+        claimed: claimed[r.address] ? true : unknown.has(r.address) ? null : false,
+        claimedAmount: claimed[r.address]?.claimedAmount || '0',
+        claimedAtBlock: claimed[r.address]?.block ?? null,
+    }));
+}
+
+/**
+ * Cumulative claims per first-seen block.
+ * @param {Array} statuses - from loadClaimStatuses
+ * @returns {Array<{ block: number, claimedCount: number, claimedAmount: string }>} ascending by block
+ */
+export function buildClaimTimeline(statuses) {
+    const byBlock = new Map();
+    for (const s of statuses) {
+        if (!s.claimed || s.claimedAtBlock == null) continue;
+        const entry = byBlock.get(s.claimedAtBlock) || { count: 0, amount: 0n };
+        entry.count += 1;
+        entry.amount += BigInt(s.claimedAmount);
+        byBlock.set(s.claimedAtBlock, entry);
+    }
+
+    let count = 0;
+    let amount = 0n;
+    return [...byBlock.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([block, entry]) => {
+            count += entry.count;
+            amount += entry.amount;
+            return { block, claimedCount: count, claimedAmount: amount.toString() };
+        });
+}
+
+/**
+ * Largest allocations known not to be claimed yet (unknown statuses are left out).
+ * @param {Array} statuses
+ * @param {number} [limit=10]
+ * @returns {Array}
+ */
+export function getTopUnclaimed(statuses, limit = 10) {
+    return statuses
+        .filter(s => s.claimed === false)
+        .sort((a, b) => {
+            const diff = BigInt(b.amount) - BigInt(a.amount);
+            return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+        })
+        .slice(0, limit);
+}
+
+/**
+ * Download every recipient's claim status as CSV.
+ * @param {string} airdropId
+ * @param {Array} statuses
+ */
+export function downloadClaimStatusCsv(airdropId, statuses) {
+    downloadCsv(`airdrop-${airdropId}-claims.csv`, statuses.map(s => ({
+        ...s,
+        claimed: s.claimed === null ? 'unknown' : s.claimed ? 'yes' : 'no',
+        claimedAtBlock: s.claimedAtBlock ?? '',
+    })), [
+        { key: 'recipient', label: 'recipient' },
+        { key: 'address', label: 'address_hex' },
+        { key: 'amount', label: 'amount' },
+        { key: 'claimed', label: 'claimed' },
+        { key: 'claimedAmount', label: 'claimed_amount' },
+        { key: 'claimedAtBlock', label: 'first_seen_block' },
+    ]);
+}
+
+/**
+ * Download claim links for every recipient known not to have claimed yet.
+ * @param {string} airdropId
+ * @param {Object} treeData
+ * @param {Array} statuses
+ * @returns {number} number of reminder links exported
+ */
+export function downloadReminderCsv(airdropId, treeData, statuses) {
+    const unclaimed = new Set(statuses.filter(s => s.claimed === false).map(s => s.address));
+    const links = buildClaimLinks(airdropId, treeData).filter(l => unclaimed.has(l.address));
+    downloadCsv(`airdrop-${airdropId}-reminders.csv`, links, [
+        { key: 'recipient', label: 'recipient' },
+        { key: 'address', label: 'address_hex' },
+        { key: 'amount', label: 'amount' },
+        { key: 'link', label: 'claim_link' },
+    ]);
+    return links.length;
+}
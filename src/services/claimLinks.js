@@ -0,0 +1,165 @@
+// BitLaunch - Airdrop Claim Links
+// Per-recipient claim URLs that carry the recipient's own Merkle proof, so
+// claiming works without any hosting backend:
+//
+//   /airdrop/:id#proof=<amount>.<base64url(address32 || packedProof)>
+//
+// The fragment never reaches a server. AirdropClaim decodes it and verifies
+// the proof against the on-chain root before enabling Claim.
+
+import {
+    verifyProof,
+    hashLeaf,
+    bytesToHex,
+    hexToBytes,
+} from './merkleTree.js';
+import { buildMerkleTreeSync } from './merkleBuilder.js';
+import { downloadCsv } from './exportHelper.js';
+
+const HASH_SIZE = 32;
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (const b of bytes) binary += String.fromCharCode(b);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+    const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/**
+ * Encode a recipient's claim data as a URL fragment value.
+ * @param {{ address: string, amount: string|bigint, proofBytes: Uint8Array }} claim
+ *   address is the 32-byte hex address used in the tree
+ * @returns {string}
+ */
+export function encodeClaimProof({ address, amount, proofBytes }) {
+    const payload = new Uint8Array(HASH_SIZE + proofBytes.length);
+    payload.set(hexToBytes(address).slice(0, HASH_SIZE), 0);
+    payload.set(proofBytes, HASH_SIZE);
+    return `${BigInt(amount).toString()}.${toBase64Url(payload)}`;
+}
+
+/**
+ * Decode claim data from a location hash (e.g. '#proof=...').
+ * @param {string} hash
+ * @returns {{ address: string, amount: string, proof: Uint8Array[], proofBytes: Uint8Array } | null}
+ */
+export function decodeClaimProof(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const value = params.get('proof');
+    if (!value) return null;
+
+    try {
+        const [amountStr, encoded] = value.split('.');
+        if (!amountStr || !encoded) return null;
+        const amount = BigInt(amountStr).toString();
+        const payload = fromBase64Url(encoded);
+        if (payload.length < HASH_SIZE || (payload.length - HASH_SIZE) % HASH_SIZE !== 0) return null;
+
+        const proofBytes = payload.slice(HASH_SIZE);
+        const proof = [];
+        for (let i = 0; i < proofBytes.length; i += HASH_SIZE) {
+            proof.push(proofBytes.slice(i, i + HASH_SIZE));
+        }
+
+        return {
+            address: bytesToHex(payload.slice(0, HASH_SIZE)),
+            amount,
+            proof,
+            proofBytes,
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Verify a decoded claim link against the on-chain root and the connected wallet.
+ *
+ * The link must be issued to the wallet's ML-DSA hex, the address the contract
+ * hashes the leaf with; a link issued to its tweaked key can never be claimed.
+ * Without the wallet's variants the link cannot be matched and is rejected.
+ *
+ * @param {{ address: string, amount: string, proof: Uint8Array[] }} claim - from decodeClaimProof
+ * @param {string} merkleRoot - on-chain root (decimal string, as returned by getAirdrop)
+ * @param {Array<{ variant: string, hex: string }>|null} walletVariants - connected wallet's
+ *   32-byte hex forms, from resolveAddressVariants; null if they could not be resolved
+ * @returns {{ valid: boolean, reason: string|null }}
+ */
+export function verifyClaimProof(claim, merkleRoot, walletVariants) {
+    if (!claim) return { valid: false, reason: 'Claim link is malformed' };
+
+    let root;
+    try {
+        root = hexToBytes(BigInt(merkleRoot).toString(16));
+    } catch {
+        return { valid: false, reason: 'Invalid on-chain Merkle root' };
+    }
+
+    if (!verifyProof(hashLeaf(claim.address, claim.amount), claim.proof, root)) {
+        return { valid: false, reason: 'Proof in this link does not match the on-chain Merkle root' };
+    }
+
+    if (!walletVariants?.length) {
+        return {
+            valid: false,
+            reason: 'Could not confirm this link is for your wallet: your address could not be resolved. Try again later.',
+        };
+    }
+    const match = walletVariants.find(v => v.hex.toLowerCase().replace(/^0x/, '') === claim.address);
+    if (!match) return { valid: false, reason: 'This claim link was issued to a different wallet' };
+    if (match.variant !== 'mldsa') {
+        return {
+            valid: false,
+            reason: 'This claim link was issued to your taproot (tweaked) key, but the contract checks the '
+                + 'ML-DSA address. Ask the creator to rebuild the list with ML-DSA addresses.',
+        };
+    }
+
+    return { valid: true, reason: null };
+}
+
+/**
+ * Build a claim link for every recipient in an airdrop's tree data.
+ *
+ * @param {string} airdropId
+ * @param {{ recipients: Array<{ address: string, amount: string, originalAddress?: string }> }} treeData
+ * @param {string} [origin] - defaults to window.location.origin
+ * @returns {Array<{ recipient: string, address: string, amount: string, link: string }>}
+ */
+export function buildClaimLinks(airdropId, treeData, origin = window.location.origin) {
+    if (!treeData?.recipients?.length) return [];
+
+    const tree = buildMerkleTreeSync(treeData.recipients);
+
+    return treeData.recipients.map((r, index) => {
+        const proofBytes = tree.getPackedProof(index);
+        const fragment = encodeClaimProof({ address: r.address, amount: r.amount, proofBytes });
+        return {
+            recipient: r.originalAddress || '',
+            address: r.address,
+            amount: String(r.amount),
+            link: `${origin}/airdrop/${airdropId}#proof=${fragment}`,
+        };
+    });
+}
+
+/**
+ * Download claim links as CSV, one row per recipient.
+ * @param {string} airdropId
+ * @param {Array} links - from buildClaimLinks
+ */
+export function downloadClaimLinksCsv(airdropId, links) {
+    downloadCsv(`airdrop-${airdropId}-claim-links.csv`, links, [
+        { key: 'recipient', label: 'recipient' },
+        { key: 'address', label: 'address_hex' },
+        { key: 'amount', label: 'amount' },
+        { key: 'link', label: 'claim_link' },
+    ]);
+}
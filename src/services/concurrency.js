@@ -0,0 +1,97 @@
+// BitLaunch - Concurrency Helpers
+
+/**
+ * Map over items with at most `limit` calls in flight, preserving order.
+ * Stops scheduling new work after the first failure and rejects with it.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit - max concurrent calls
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @param {{ onProgress?: (done: number, total: number) => void }} [options]
+ * @returns {Promise<R[]>}
+ */
+export async function mapWithConcurrency(items, limit, fn, { onProgress } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+    let done = 0;
+    let failed = false;
+
+    const worker = async () => {
+        while (!failed && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (err) {
+                failed = true;
+                throw err;
+            }
+            done++;
+            if (onProgress) onProgress(done, items.length);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Run an async call, retrying with exponential backoff when it throws.
+ *
+ * @template R
+ * @param {() => Promise<R>} fn
+ * @param {{ retries?: number, delayMs?: number }} [options]
+ * @returns {Promise<R>}
+ */
+export async function withRetry(fn, { retries = 2, delayMs = 250 } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt >= retries) throw err;
+            await sleep(delayMs * 2 ** attempt);
+        }
+    }
+}
+
+/**
+ * Run many view calls concurrently, each with its own retries.
+ * Unlike mapWithConcurrency, one failing call does not fail the batch:
+ * it resolves to null after its retries are used up.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @param {{ concurrency?: number, retries?: number, delayMs?: number,
+ *   onProgress?: (done: number, total: number) => void }} [options]
+ * @returns {Promise<Array<R|null>>}
+ */
+export async function batchCalls(items, fn, { concurrency = 8, retries = 2, delayMs = 250, onProgress } = {}) {
+    return mapWithConcurrency(items, concurrency, async (item, index) => {
+        try {
+            return await withRetry(() => fn(item, index), { retries, delayMs });
+        } catch (err) {
+            console.warn(`Batched call #${index} failed after ${retries + 1} attempts:`, err.message);
+            return null;
+        }
+    }, { onProgress });
+}
+
+/**
+ * Registry indexes for one page of a list, newest (highest index) first.
+ *
+ * @param {number} total - number of entries in the registry
+ * @param {number} offset - entries to skip from the newest
+ * @param {number} limit - page size
+ * @returns {{ indexes: number[], nextOffset: number, hasMore: boolean }}
+ */
+export function pageIndexes(total, offset, limit) {
+    const start = Math.max(0, total - 1 - offset);
+    const count = Math.max(0, Math.min(limit, total - offset));
+    const indexes = Array.from({ length: count }, (_, i) => start - i);
+    const nextOffset = offset + count;
+    return { indexes, nextOffset, hasMore: nextOffset < total };
+}
@@ -1,15 +1,84 @@
 // Deployed contract addresses
-// Reads from environment variables (VITE_*), falls back to defaults for regtest
+// Reads from environment variables (VITE_*), falls back to defaults for regtest.
+// Outside Vite (Node scripts using the SDK) there is no env and everything
+// starts empty; configure values through createBitLaunch() instead.
 
-export const CONTRACTS = {
-    presale: import.meta.env.VITE_CONTRACT_PRESALE || '',
-    presaleFactory: import.meta.env.VITE_CONTRACT_PRESALE_FACTORY || '',
-    vesting: import.meta.env.VITE_CONTRACT_VESTING || '',
-    lock: import.meta.env.VITE_CONTRACT_LOCK || '',
-    factory: import.meta.env.VITE_CONTRACT_FACTORY || '',
-    airdrop: import.meta.env.VITE_CONTRACT_AIRDROP || '',
+const env = import.meta.env || {};
+
+export const NETWORK = env.VITE_NETWORK || 'regtest';
+
+export const NETWORK_IDS = ['mainnet', 'testnet', 'regtest'];
+
+const CONTRACT_ENV_NAMES = {
+    presale: 'PRESALE',
+    presaleFactory: 'PRESALE_FACTORY',
+    vesting: 'VESTING',
+    lock: 'LOCK',
+    factory: 'FACTORY',
+    airdrop: 'AIRDROP',
+};
+
+// Per-network value: VITE_<NAME>_<NETWORK>, with the un-suffixed
+// VITE_<NAME> applying to the default network (VITE_NETWORK)
+const envForNetwork = (name, networkId) => {
+    const scoped = env[`VITE_${name}_${networkId.toUpperCase()}`];
+    if (scoped) return scoped;
+    return networkId === NETWORK ? (env[`VITE_${name}`] || '') : '';
 };
 
-export const PLATFORM_WALLET = import.meta.env.VITE_PLATFORM_WALLET || '';
+/** Contract addresses of every network, keyed by network id. */
+export const CONTRACT_SETS = Object.fromEntries(NETWORK_IDS.map(networkId => [
+    networkId,
+    Object.fromEntries(Object.entries(CONTRACT_ENV_NAMES).map(([key, name]) => [
+        key,
+        envForNetwork(`CONTRACT_${name}`, networkId),
+    ])),
+]));
 
-export const NETWORK = import.meta.env.VITE_NETWORK || 'regtest';
+// Addresses of the active network. Mutated in place by setActiveNetwork()
+// (networks.js), so always read as CONTRACTS.x at call time.
+export const CONTRACTS = { ...CONTRACT_SETS[NETWORK] };
+
+export const PLATFORM_WALLETS = Object.fromEntries(NETWORK_IDS.map(networkId => [
+    networkId,
+    envForNetwork('PLATFORM_WALLET', networkId),
+]));
+
+export const PLATFORM_WALLET = PLATFORM_WALLETS[NETWORK] || '';
+
+// Block explorers per network. Links are `${url}/tx/${hash}` and
+// `${url}/address/${address}`; an empty URL hides explorer links.
+export const EXPLORER_URLS = {
+    mainnet: env.VITE_EXPLORER_URL_MAINNET || 'https://mempool.space',
+    testnet: env.VITE_EXPLORER_URL_TESTNET || '',
+    regtest: env.VITE_EXPLORER_URL_REGTEST || '',
+};
+
+// Airdrop proof bundles: where claim pages fetch them from, and where
+// creators publish them to. `{id}` is replaced with the airdrop id.
+export const PROOF_BUNDLE_URL = env.VITE_PROOF_BUNDLE_URL || '';
+export const PROOF_BUNDLE_PUBLISH_URL = env.VITE_PROOF_BUNDLE_PUBLISH_URL || '';
+export const IPFS_GATEWAY = env.VITE_IPFS_GATEWAY || 'https://ipfs.io/ipfs/';
+
+// Signed token profiles (logo, description, links): the registry the app reads.
+// Defaults to the static file shipped in public/.
+export const TOKEN_PROFILES_URL = env.VITE_TOKEN_PROFILES_URL || '/token-profiles.json';
+
+// RPC endpoints per network, in order of preference. Comma-separated in env;
+// reads fail over to the next healthy endpoint (see rpcPool.js).
+const DEFAULT_RPC_URLS = {
+    mainnet: 'https://api.opnet.org',
+    testnet: 'https://testnet.opnet.org',
+    regtest: 'https://regtest.opnet.org',
+};
+
+const parseUrlList = (value, fallback) => {
+    const urls = (value || '').split(',').map(u => u.trim()).filter(Boolean);
+    return urls.length > 0 ? urls : [fallback];
+};
+
+export const RPC_URLS = {
+    mainnet: parseUrlList(env.VITE_RPC_URLS_MAINNET, DEFAULT_RPC_URLS.mainnet),
+    testnet: parseUrlList(env.VITE_RPC_URLS_TESTNET, DEFAULT_RPC_URLS.testnet),
+    regtest: parseUrlList(env.VITE_RPC_URLS_REGTEST, DEFAULT_RPC_URLS.regtest),
+};
@@ -0,0 +1,59 @@
+// BitLaunch - Export Helpers
+// Browser downloads for CSV / JSON exports.
+
+/**
+ * Trigger a browser download of text content.
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} [type] - MIME type
+ */
+export function downloadFile(filename, content, type = 'text/plain') {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Quote a CSV cell if it contains a delimiter, quote or newline.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+    const str = value == null ? '' : String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Build CSV text from row objects.
+ * @param {Array<Object>} rows
+ * @param {Array<{ key: string, label: string }>} columns
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+    const header = columns.map(c => csvCell(c.label)).join(',');
+    const lines = rows.map(row => columns.map(c => csvCell(row[c.key])).join(','));
+    return [header, ...lines].join('\n');
+}
+
+/**
+ * Download rows as a CSV file.
+ * @param {string} filename
+ * @param {Array<Object>} rows
+ * @param {Array<{ key: string, label: string }>} columns
+ */
+export function downloadCsv(filename, rows, columns) {
+    downloadFile(filename, toCsv(rows, columns), 'text/csv');
+}
+
+/**
+ * Download a value as pretty-printed JSON.
+ * @param {string} filename
+ * @param {*} data
+ */
+export function downloadJson(filename, data) {
+    downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+}
@@ -0,0 +1,223 @@
+// BitLaunch - Scalable Merkle Builder
+// Builds airdrop trees in a Web Worker using the flat buffer layout from
+// merkleTree.js, and caches built trees so proof lookups never rebuild.
+//
+// Falls back to building on the calling thread when Worker is unavailable
+// (e.g. Node scripts).
+
+import {
+    hashLeavesFlat,
+    buildFlatTree,
+    generateProofFlat,
+    packProof,
+    bytesToHex,
+} from './merkleTree.js';
+
+const HASH_SIZE = 32;
+const MAX_CACHED_TREES = 8;
+
+/**
+ * A built Merkle tree over a flat node buffer.
+ */
+export class FlatMerkleTree {
+    /**
+     * @param {{ nodes: Uint8Array, levelSizes: number[] }} flat
+     * @param {Array<{ address: string }>} [recipients] - enables indexOf() lookups
+     */
+    constructor(flat, recipients) {
+        this.nodes = flat.nodes;
+        this.levelSizes = flat.levelSizes;
+        this._index = null;
+        this._recipients = recipients || null;
+    }
+
+    get leafCount() {
+        return this.levelSizes[0];
+    }
+
+    /** @returns {Uint8Array} 32-byte root */
+    get root() {
+        return this.nodes.subarray(this.nodes.length - HASH_SIZE);
+    }
+
+    /** @returns {string} root as hex (no 0x) */
+    get rootHex() {
+        return bytesToHex(this.root);
+    }
+
+    /** @returns {Uint8Array[]} leaf hashes (views), for serializeTreeData */
+    get leaves() {
+        return Array.from({ length: this.leafCount }, (_, i) => this.getLeaf(i));
+    }
+
+    /**
+     * @param {number} index
+     * @returns {Uint8Array} 32-byte leaf hash
+     */
+    getLeaf(index) {
+        return this.nodes.subarray(index * HASH_SIZE, (index + 1) * HASH_SIZE);
+    }
+
+    /**
+     * @param {number} index
+     * @returns {Uint8Array[]} proof elements
+     */
+    getProof(index) {
+        return generateProofFlat(this, index);
+    }
+
+    /**
+     * @param {number} index
+     * @returns {Uint8Array} packed proof for on-chain submission
+     */
+    getPackedProof(index) {
+        return packProof(this.getProof(index));
+    }
+
+    /**
+     * Find a recipient's leaf index by hex address (O(1) after the first call).
+     * @param {string} addressHex
+     * @returns {number} index, or -1
+     */
+    indexOf(addressHex) {
+        if (!this._recipients) return -1;
+        if (!this._index) {
+            this._index = new Map();
+            this._recipients.forEach((r, i) => {
+                const key = r.address.toLowerCase().replace(/^0x/, '');
+                if (!this._index.has(key)) this._index.set(key, i);
+            });
+        }
+        const idx = this._index.get(addressHex.toLowerCase().replace(/^0x/, ''));
+        return idx === undefined ? -1 : idx;
+    }
+}
+
+let worker = null;
+let nextJobId = 1;
+const jobs = new Map();
+
+function getWorker() {
+    if (typeof Worker === 'undefined') return null;
+    if (!worker) {
+        worker = new Worker(new URL('./merkleWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (event) => {
+            const { id, type } = event.data;
+            const job = jobs.get(id);
+            if (!job) return;
+            if (type === 'progress') {
+                if (job.onProgress) job.onProgress(event.data);
+            } else if (type === 'done') {
+                jobs.delete(id);
+                job.resolve({ nodes: event.data.nodes, levelSizes: event.data.levelSizes });
+            } else if (type === 'error') {
+                jobs.delete(id);
+                job.reject(new Error(event.data.message));
+            }
+        };
+        worker.onerror = (event) => {
+            // Worker failed to load — reject everything and fall back next time
+            for (const job of jobs.values()) job.reject(new Error(event.message || 'Merkle worker failed'));
+            jobs.clear();
+            worker.terminate();
+            worker = null;
+        };
+    }
+    return worker;
+}
+
+function buildOnThread(recipients, onProgress) {
+    const total = recipients.length;
+    const leaves = hashLeavesFlat(recipients, (done) => {
+        if (onProgress) onProgress({ stage: 'leaves', done, total });
+    });
+    if (onProgress) onProgress({ stage: 'tree', done: total, total });
+    return buildFlatTree(leaves);
+}
+
+/**
+ * Build a Merkle tree off the main thread.
+ *
+ * @param {Array<{ address: string, amount: bigint|string }>} recipients - hex addresses
+ * @param {{ onProgress?: (p: { stage: 'leaves'|'tree', done: number, total: number }) => void }} [options]
+ * @returns {Promise<FlatMerkleTree>}
+ */
+export async function buildMerkleTreeAsync(recipients, { onProgress } = {}) {
+    if (!recipients || recipients.length === 0) {
+        throw new Error('Recipients list cannot be empty');
+    }
+
+    const plain = recipients.map(r => ({ address: r.address, amount: String(r.amount) }));
+    const w = getWorker();
+    if (!w) return new FlatMerkleTree(buildOnThread(plain, onProgress), plain);
+
+    const id = nextJobId++;
+    const flat = await new Promise((resolve, reject) => {
+        jobs.set(id, { resolve, reject, onProgress });
+        w.postMessage({ id, recipients: plain });
+    });
+    return new FlatMerkleTree(flat, plain);
+}
+
+/**
+ * Build a Merkle tree on the calling thread. Prefer buildMerkleTreeAsync in the UI.
+ * @param {Array<{ address: string, amount: bigint|string }>} recipients
+ * @returns {FlatMerkleTree}
+ */
+export function buildMerkleTreeSync(recipients) {
+    const plain = recipients.map(r => ({ address: r.address, amount: String(r.amount) }));
+    return new FlatMerkleTree(buildOnThread(plain), plain);
+}
+
+// ── Tree cache ──
+
+const treeCache = new Map();
+
+/**
+ * Cache key for an airdrop's tree. The root is part of the key so a different
+ * recipient list for the same id never hits a stale entry.
+ * @param {string} airdropId
+ * @param {string} rootHex
+ * @returns {string}
+ */
+export function treeCacheKey(airdropId, rootHex) {
+    return `${airdropId}:${(rootHex || '').toLowerCase().replace(/^0x/, '')}`;
+}
+
+/**
+ * Get a cached tree, building (and caching) it on a miss.
+ *
+ * @param {string} key - e.g. `${airdropId}:${root}`
+ * @param {Array<{ address: string, amount: bigint|string }>} recipients
+ * @param {{ sync?: boolean, onProgress?: function }} [options]
+ * @returns {Promise<FlatMerkleTree>}
+ */
+export async function getCachedTree(key, recipients, { sync = false, onProgress } = {}) {
+    if (treeCache.has(key)) {
+        // Refresh LRU position
+        const tree = treeCache.get(key);
+        treeCache.delete(key);
+        treeCache.set(key, tree);
+        return tree;
+    }
+
+    const tree = sync ? buildMerkleTreeSync(recipients) : await buildMerkleTreeAsync(recipients, { onProgress });
+    cacheTree(key, tree);
+    return tree;
+}
+
+/**
+ * Put an already built tree into the cache.
+ * @param {string} key
+ * @param {FlatMerkleTree} tree
+ */
+export function cacheTree(key, tree) {
+    treeCache.set(key, tree);
+    while (treeCache.size > MAX_CACHED_TREES) {
+        treeCache.delete(treeCache.keys().next().value);
+    }
+}
+
+export function clearTreeCache() {
+    treeCache.clear();
+}
@@ -198,10 +198,96 @@ export function bytesToBigInt(bytes) {
     return BigInt('0x' + bytesToHex(bytes));
 }
 
+// ── Flat buffer layout (large trees) ──
+//
+// All levels live in one Uint8Array, leaves first, root last:
+//   [level0: n*32][level1: ceil(n/2)*32] ... [root: 32]
+// levelSizes[i] is the node count of level i. No per-node allocations, and
+// the buffer can be transferred between a Web Worker and the page as-is.
+
+/**
+ * Hash every recipient into a flat leaf buffer.
+ *
+ * @param {Array<{ address: string, amount: bigint|string }>} recipients
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Uint8Array} n * 32 bytes
+ */
+export function hashLeavesFlat(recipients, onProgress) {
+    const leaves = new Uint8Array(recipients.length * HASH_SIZE);
+    for (let i = 0; i < recipients.length; i++) {
+        leaves.set(hashLeaf(recipients[i].address, recipients[i].amount), i * HASH_SIZE);
+        if (onProgress && (i + 1) % 5000 === 0) onProgress(i + 1, recipients.length);
+    }
+    return leaves;
+}
+
+/**
+ * Build all tree levels from a flat leaf buffer (same hashing as buildMerkleTree).
+ *
+ * @param {Uint8Array} leaves - n * 32 bytes
+ * @returns {{ nodes: Uint8Array, levelSizes: number[] }}
+ */
+export function buildFlatTree(leaves) {
+    const leafCount = leaves.length / HASH_SIZE;
+    if (!leafCount) throw new Error('Recipients list cannot be empty');
+
+    const levelSizes = [leafCount];
+    while (levelSizes[levelSizes.length - 1] > 1) {
+        levelSizes.push(Math.ceil(levelSizes[levelSizes.length - 1] / 2));
+    }
+
+    const totalNodes = levelSizes.reduce((sum, n) => sum + n, 0);
+    const nodes = new Uint8Array(totalNodes * HASH_SIZE);
+    nodes.set(leaves, 0);
+
+    let readOffset = 0;
+    let writeOffset = leafCount;
+    for (let level = 0; level < levelSizes.length - 1; level++) {
+        const size = levelSizes[level];
+        for (let i = 0; i < size; i += 2) {
+            const left = nodes.subarray((readOffset + i) * HASH_SIZE, (readOffset + i + 1) * HASH_SIZE);
+            // Odd node: hash with itself
+            const rightIdx = i + 1 < size ? i + 1 : i;
+            const right = nodes.subarray((readOffset + rightIdx) * HASH_SIZE, (readOffset + rightIdx + 1) * HASH_SIZE);
+            nodes.set(hashPair(left, right), (writeOffset + i / 2) * HASH_SIZE);
+        }
+        readOffset += size;
+        writeOffset += levelSizes[level + 1];
+    }
+
+    return { nodes, levelSizes };
+}
+
+/**
+ * Generate a proof for a leaf index directly from a flat tree.
+ *
+ * @param {{ nodes: Uint8Array, levelSizes: number[] }} flat
+ * @param {number} leafIndex
+ * @returns {Uint8Array[]} proof elements (views into flat.nodes)
+ */
+export function generateProofFlat(flat, leafIndex) {
+    const { nodes, levelSizes } = flat;
+    if (leafIndex < 0 || leafIndex >= levelSizes[0]) throw new Error(`Leaf index ${leafIndex} out of range`);
+
+    const proof = [];
+    let idx = leafIndex;
+    let offset = 0;
+    for (let level = 0; level < levelSizes.length - 1; level++) {
+        const size = levelSizes[level];
+        const siblingIdx = idx % 2 === 0 ? idx + 1 : idx - 1;
+        const nodeIdx = offset + (siblingIdx < size ? siblingIdx : idx);
+        proof.push(nodes.subarray(nodeIdx * HASH_SIZE, (nodeIdx + 1) * HASH_SIZE));
+        offset += size;
+        idx = Math.floor(idx / 2);
+    }
+    return proof;
+}
+
 /**
  * Serialize tree data for localStorage persistence.
  * @param {{ root: Uint8Array, leaves: Uint8Array[], tree: Uint8Array[][] }} treeData
- * @param {Array<{ address: string, amount: string }>} recipients
+ * @param {Array<{ address: string, amount: string, originalAddress?: string }>} recipients
+ *   originalAddress (the bech32 input) is kept for exports such as claim links
  * @returns {string} JSON string
  */
 export function serializeTreeData(treeData, recipients) {
@@ -210,6 +296,7 @@ export function serializeTreeData(treeData, recipients) {
         recipients: recipients.map((r) => ({
             address: r.address,
             amount: String(r.amount),
+            ...(r.originalAddress ? { originalAddress: r.originalAddress } : {}),
         })),
         leaves: treeData.leaves.map(bytesToHex),
     });
@@ -218,7 +305,7 @@ export function serializeTreeData(treeData, recipients) {
 /**
  * Deserialize tree data from localStorage.
  * @param {string} json
- * @returns {{ root: string, recipients: Array<{ address: string, amount: string }>, leaves: string[] }}
+ * @returns {{ root: string, recipients: Array<{ address: string, amount: string, originalAddress?: string }>, leaves: string[] }}
  */
 export function deserializeTreeData(json) {
     return JSON.parse(json);
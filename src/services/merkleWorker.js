@@ -0,0 +1,26 @@
+// BitLaunch - Merkle Tree Web Worker
+// Hashes leaves and builds the flat tree off the main thread so large
+// airdrops don't freeze the tab. Used by merkleBuilder.js.
+//
+// In:  { id, recipients: [{ address: hex, amount: string }] }
+// Out: { id, type: 'progress', stage, done, total }
+//      { id, type: 'done', nodes: Uint8Array, levelSizes: number[] }  (nodes buffer transferred)
+//      { id, type: 'error', message }
+
+import { hashLeavesFlat, buildFlatTree } from './merkleTree.js';
+
+self.onmessage = (event) => {
+    const { id, recipients } = event.data;
+    try {
+        const total = recipients.length;
+        const leaves = hashLeavesFlat(recipients, (done) => {
+            self.postMessage({ id, type: 'progress', stage: 'leaves', done, total });
+        });
+        self.postMessage({ id, type: 'progress', stage: 'tree', done: total, total });
+
+        const { nodes, levelSizes } = buildFlatTree(leaves);
+        self.postMessage({ id, type: 'done', nodes, levelSizes }, [nodes.buffer]);
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message });
+    }
+};
@@ -0,0 +1,196 @@
+// BitLaunch - Network Registry
+// Everything that differs between networks: contract addresses, RPC endpoints,
+// block explorer and platform wallet, plus the network the app currently targets.
+//
+// The default network is VITE_NETWORK; the user's choice in the Navbar is
+// remembered in localStorage. Switching re-points CONTRACTS in place, so
+// services that read CONTRACTS.x at call time follow automatically.
+// opnetProvider.switchNetwork() is the entry point that also resets the RPC pool.
+
+import { networks } from '@btc-vision/bitcoin';
+import {
+    NETWORK, NETWORK_IDS, CONTRACTS, CONTRACT_SETS, RPC_URLS, EXPLORER_URLS, PLATFORM_WALLETS,
+} from './contracts.js';
+
+const STORAGE_KEY = 'bitlaunch_network';
+
+/**
+ * @typedef {Object} NetworkConfig
+ * @property {string} id - 'mainnet' | 'testnet' | 'regtest'
+ * @property {string} label
+ * @property {Object} btcNetwork - @btc-vision/bitcoin network object
+ * @property {string} walletNetwork - WalletNetworks value passed to the wallet's switchNetwork()
+ * @property {string[]} walletChainTypes - UnisatChainType values the wallet may report on this network
+ * @property {Object} contracts - contract addresses (same keys as CONTRACTS)
+ * @property {string[]} rpcUrls
+ * @property {string} explorerUrl - empty when the network has no explorer
+ * @property {string} platformWallet
+ */
+
+/** @type {Object<string, NetworkConfig>} */
+export const NETWORKS = {
+    mainnet: {
+        id: 'mainnet',
+        label: 'Mainnet',
+        btcNetwork: networks.bitcoin,
+        walletNetwork: 'mainnet',
+        walletChainTypes: ['BITCOIN_MAINNET'],
+        contracts: CONTRACT_SETS.mainnet,
+        rpcUrls: RPC_URLS.mainnet,
+        explorerUrl: EXPLORER_URLS.mainnet,
+        platformWallet: PLATFORM_WALLETS.mainnet,
+    },
+    testnet: {
+        id: 'testnet',
+        label: 'OPNet Testnet',
+        btcNetwork: networks.opnetTestnet,
+        walletNetwork: 'opnetTestnet',
+        // OP_WALLET may report BITCOIN_REGTEST while on OPNet testnet
+        walletChainTypes: ['OPNET_TESTNET', 'BITCOIN_REGTEST'],
+        contracts: CONTRACT_SETS.testnet,
+        rpcUrls: RPC_URLS.testnet,
+        explorerUrl: EXPLORER_URLS.testnet,
+        platformWallet: PLATFORM_WALLETS.testnet,
+    },
+    regtest: {
+        id: 'regtest',
+        label: 'Regtest',
+        btcNetwork: networks.regtest,
+        walletNetwork: 'regtest',
+        walletChainTypes: ['BITCOIN_REGTEST'],
+        contracts: CONTRACT_SETS.regtest,
+        rpcUrls: RPC_URLS.regtest,
+        explorerUrl: EXPLORER_URLS.regtest,
+        platformWallet: PLATFORM_WALLETS.regtest,
+    },
+};
+
+const listeners = new Set();
+
+function readStoredNetwork() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return NETWORK_IDS.includes(stored) ? stored : null;
+    } catch {
+        return null;
+    }
+}
+
+let activeId = readStoredNetwork() || (NETWORKS[NETWORK] ? NETWORK : 'testnet');
+Object.assign(CONTRACTS, NETWORKS[activeId].contracts);
+
+/** @returns {string} id of the network the app currently targets */
+export function getActiveNetworkId() {
+    return activeId;
+}
+
+/** @returns {NetworkConfig} */
+export function getActiveNetwork() {
+    return NETWORKS[activeId];
+}
+
+/**
+ * @param {string} id
+ * @returns {NetworkConfig|null}
+ */
+export function getNetworkConfig(id) {
+    return NETWORKS[id] || null;
+}
+
+/**
+ * Networks worth offering in the selector: those with at least one contract
+ * address configured, plus the active one.
+ * @returns {NetworkConfig[]}
+ */
+export function getSelectableNetworks() {
+    return NETWORK_IDS
+        .map(id => NETWORKS[id])
+        .filter(net => net.id === activeId || Object.values(net.contracts).some(Boolean));
+}
+
+/**
+ * Point CONTRACTS at another network's addresses and notify subscribers.
+ * Prefer opnetProvider.switchNetwork(), which also resets the RPC provider.
+ * @param {string} id
+ * @returns {boolean} false when the network is unknown or already active
+ */
+export function setActiveNetwork(id) {
+    if (!NETWORKS[id] || id === activeId) return false;
+    activeId = id;
+    Object.assign(CONTRACTS, NETWORKS[id].contracts);
+    try {
+        localStorage.setItem(STORAGE_KEY, id);
+    } catch {
+        // selection just won't survive a reload
+    }
+    listeners.forEach(fn => {
+        try {
+            fn(NETWORKS[id]);
+        } catch (err) {
+            console.warn('Network listener failed:', err.message);
+        }
+    });
+    return true;
+}
+
+/**
+ * Override a network's settings at runtime (SDK configuration). Contract
+ * addresses are merged; other fields replace the configured values.
+ * Re-points CONTRACTS when the network is active.
+ * @param {string} id
+ * @param {{ contracts?: Object, rpcUrls?: string[], explorerUrl?: string, platformWallet?: string }} overrides
+ * @returns {NetworkConfig}
+ */
+export function configureNetwork(id, overrides = {}) {
+    const config = NETWORKS[id];
+    if (!config) throw new Error(`Unknown network: ${id}`);
+    const { contracts, rpcUrls, explorerUrl, platformWallet } = overrides;
+    if (contracts) config.contracts = { ...config.contracts, ...contracts };
+    if (rpcUrls?.length) config.rpcUrls = [...rpcUrls];
+    if (explorerUrl !== undefined) config.explorerUrl = explorerUrl;
+    if (platformWallet !== undefined) config.platformWallet = platformWallet;
+    if (id === activeId) Object.assign(CONTRACTS, config.contracts);
+    return config;
+}
+
+/**
+ * @param {(network: NetworkConfig) => void} fn - called after every switch
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeNetwork(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+/**
+ * @param {string} txHash
+ * @param {string} [networkId] - defaults to the active network
+ * @returns {string|null} explorer link, or null when the network has no explorer
+ */
+export function getExplorerTxUrl(txHash, networkId = activeId) {
+    const base = NETWORKS[networkId]?.explorerUrl;
+    return base && txHash ? `${base.replace(/\/$/, '')}/tx/${txHash}` : null;
+}
+
+/**
+ * @param {string} address
+ * @param {string} [networkId] - defaults to the active network
+ * @returns {string|null}
+ */
+export function getExplorerAddressUrl(address, networkId = activeId) {
+    const base = NETWORKS[networkId]?.explorerUrl;
+    return base && address ? `${base.replace(/\/$/, '')}/address/${address}` : null;
+}
+
+/**
+ * Network id matching the chain type reported by the wallet, preferring the
+ * active network when the chain type is ambiguous.
+ * @param {string} chainType - UnisatChainType
+ * @returns {string|null}
+ */
+export function networkIdForChainType(chainType) {
+    if (!chainType) return null;
+    if (NETWORKS[activeId].walletChainTypes.includes(chainType)) return activeId;
+    const primary = NETWORK_IDS.find(id => NETWORKS[id].walletChainTypes[0] === chainType);
+    return primary || NETWORK_IDS.find(id => NETWORKS[id].walletChainTypes.includes(chainType)) || null;
+}
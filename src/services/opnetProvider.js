@@ -2,36 +2,25 @@
 // Centralized provider and network configuration for all services.
 //
 // PRIMARY: Uses provider/network from @btc-vision/walletconnect (set via setWalletProvider)
-// FALLBACK: Creates its own JSONRpcProvider for read-only operations when wallet is not connected
-
-import { JSONRpcProvider } from 'opnet';
-import { networks } from '@btc-vision/bitcoin';
-import { NETWORK } from './contracts';
-import { clearAddressCache } from './addressHelper';
-
-const NETWORK_CONFIG = {
-    mainnet: {
-        btcNetwork: networks.bitcoin,
-        rpcUrl: 'https://api.opnet.org',
-    },
-    testnet: {
-        btcNetwork: networks.opnetTestnet,
-        rpcUrl: 'https://testnet.opnet.org',
-    },
-    regtest: {
-        btcNetwork: networks.regtest,
-        rpcUrl: 'https://regtest.opnet.org',
-    },
-};
+// FALLBACK: Creates its own failover provider over the active network's RPC URLs
+//           (networks.js) for read-only operations when wallet is not connected
+
+import { clearAddressCache } from './addressHelper.js';
+import { RpcPool, FailoverRpcProvider } from './rpcPool.js';
+import { getActiveNetwork, getActiveNetworkId, setActiveNetwork, getNetworkConfig } from './networks.js';
 
 class OPNetProvider {
     constructor() {
-        this.network = NETWORK || 'testnet';
+        this.network = getActiveNetworkId();
         this.btcNetwork = null;
         this.provider = null;
+        this.rpcPool = null;
         // Wallet-provided values take priority
         this._walletProvider = null;
         this._walletNetwork = null;
+        // RPC status subscribers outlive the pool, which is replaced on network switch
+        this._rpcListeners = new Set();
+        this._unsubscribePool = null;
     }
 
     /**
@@ -59,11 +48,106 @@ class OPNetProvider {
      * Initialize fallback provider (used when wallet is not connected).
      */
     _initFallback() {
-        const networkKey = NETWORK || 'testnet';
-        this.network = networkKey;
-        const config = NETWORK_CONFIG[networkKey] || NETWORK_CONFIG.testnet;
+        const config = getActiveNetwork();
+        this.network = config.id;
         this.btcNetwork = config.btcNetwork;
-        this.provider = new JSONRpcProvider({ url: config.rpcUrl, network: this.btcNetwork });
+        // Reuse the pool (and its health history/subscribers) across re-inits
+        if (!this.rpcPool) {
+            this.rpcPool = new RpcPool(config.rpcUrls, this.btcNetwork);
+            this._unsubscribePool = this.rpcPool.subscribe(status => this._notifyRpc(status));
+            this.rpcPool.start();
+        }
+        this.provider = new FailoverRpcProvider(this.rpcPool, this.btcNetwork);
+    }
+
+    _notifyRpc(status) {
+        this._rpcListeners.forEach(fn => {
+            try {
+                fn(status);
+            } catch (err) {
+                console.warn('RPC status listener failed:', err.message);
+            }
+        });
+    }
+
+    /**
+     * Drop the fallback provider and its RPC pool; the next call rebuilds
+     * them from the active network's config.
+     */
+    _resetFallback() {
+        if (this.rpcPool) {
+            this.rpcPool.stop();
+            this._unsubscribePool?.();
+        }
+        this.rpcPool = null;
+        this._unsubscribePool = null;
+        this.provider = null;
+        this.btcNetwork = null;
+    }
+
+    /**
+     * Target another network: re-points CONTRACTS (see networks.js), replaces
+     * the RPC pool and clears the address cache. The wallet provider is dropped
+     * and re-set by WalletContext if the wallet is on the new network.
+     * @param {string} networkId - 'mainnet' | 'testnet' | 'regtest'
+     * @returns {boolean} false when the network is unknown or already active
+     */
+    switchNetwork(networkId) {
+        if (!getNetworkConfig(networkId) || networkId === this.network) return false;
+
+        this._resetFallback();
+        this.clearWalletProvider();
+        clearAddressCache();
+
+        setActiveNetwork(networkId);
+        this._initFallback();
+        this._notifyRpc(this.rpcPool.getStatus());
+        return true;
+    }
+
+    /**
+     * Rebuild the RPC pool after the active network's RPC URLs changed
+     * (configureNetwork() in networks.js).
+     */
+    reload() {
+        this._resetFallback();
+        clearAddressCache();
+        this._initFallback();
+        this._notifyRpc(this.rpcPool.getStatus());
+    }
+
+    /**
+     * Stop background RPC health checks (e.g. before a Node script exits).
+     */
+    close() {
+        this.rpcPool?.stop();
+    }
+
+    /**
+     * Health of the configured RPC endpoints (see rpcPool.js).
+     * @returns {ReturnType<RpcPool['getStatus']>}
+     */
+    getRpcStatus() {
+        if (!this.rpcPool) this._initFallback();
+        return this.rpcPool.getStatus();
+    }
+
+    /**
+     * Subscribe to RPC endpoint health changes. Survives network switches.
+     * @param {Function} fn - called with getRpcStatus() snapshots
+     * @returns {() => void} unsubscribe
+     */
+    subscribeRpcStatus(fn) {
+        if (!this.rpcPool) this._initFallback();
+        this._rpcListeners.add(fn);
+        return () => this._rpcListeners.delete(fn);
+    }
+
+    /**
+     * True while reads go through the wallet's own provider rather than the RPC pool.
+     */
+    isUsingWalletProvider() {
+        return !!this._walletProvider;
     }
 
     /**
@@ -78,7 +162,7 @@ class OPNetProvider {
 
     /**
      * Get the active Bitcoin network object.
-     * Prefers wallet-connected network; falls back to env-configured one.
+     * Prefers wallet-connected network; falls back to the active network (networks.js).
      */
     getNetwork() {
         if (this._walletNetwork) return this._walletNetwork;
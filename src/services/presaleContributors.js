@@ -0,0 +1,211 @@
+// BitLaunch - Presale Contributor Ledger
+// Every contributor of one presale with contribution, token allocation,
+// claimable, claimed and refund status, for the creator's Contributors tab
+// and its CSV / JSON exports.
+//
+// The contract exposes contributions and the currently claimable amount, not
+// what has been claimed. Claimed is derived as vested - claimable, with the
+// vesting schedule replayed at the current block; during linear vesting it can
+// be off by a block's worth of release.
+//
+// Contributions are in sats and allocations are raw token units
+// (contribution × rate), matching the contract.
+
+import { presaleService } from './PresaleService.js';
+import { opnetProvider } from './opnetProvider.js';
+import { downloadCsv, downloadJson } from './exportHelper.js';
+import { rawToDecimalString } from './recipientImporter.js';
+
+const BPS_DENOMINATOR = 10000n;
+
+/**
+ * @typedef {Object} ContributorRow
+ * @property {number} index          - position in the contract's contributor list
+ * @property {string} address        - 0x hex address
+ * @property {string} contribution   - sats
+ * @property {string} allocation     - raw token units
+ * @property {string} claimable      - raw token units, claimable now
+ * @property {string} claimed        - raw token units, derived
+ * @property {string} refund         - sats owed back (refund phase only)
+ * @property {'pending'|'claimable'|'vesting'|'claimed'|'refund'} status
+ */
+
+/**
+ * Tokens vested out of `allocation` at `block` (the contract's _calculateClaimable).
+ */
+function vestedAt(allocation, vesting, endBlock, block) {
+    if (!vesting.enabled) return allocation;
+    if (block <= endBlock) return 0n;
+    const tge = (allocation * BigInt(vesting.tgeBps)) / BPS_DENOMINATOR;
+    const cliffEnd = BigInt(endBlock) + BigInt(vesting.cliffBlocks);
+    const b = BigInt(block);
+    if (b < cliffEnd) return tge;
+    const duration = BigInt(vesting.durationBlocks);
+    if (b >= cliffEnd + duration) return allocation;
+    return tge + ((allocation - tge) * (b - cliffEnd)) / duration;
+}
+
+/**
+ * Load the contributor ledger. Reads are retried; a presale-level read that
+ * still fails rejects the whole load, and contributors that cannot be read
+ * are left out of rows and counted in `missing` (never shown as claimed).
+ *
+ * @param {string} presaleAddress
+ * @param {{ onProgress?: (done: number, total: number) => void }} [options]
+ * @returns {Promise<{
+ *   phase: 'open'|'claim'|'refund',
+ *   block: number,
+ *   rows: ContributorRow[],
+ *   missing: number,
+ *   totals: { contribution: bigint, allocation: bigint, claimable: bigint, claimed: bigint, refund: bigint },
+ * }>}
+ *   phase: contributions still open, tokens claimable, or soft cap missed / cancelled.
+ *   missing counts contributors that could not be read.
+ */
+export async function loadContributorLedger(presaleAddress, { onProgress } = {}) {
+    let state;
+    let block;
+    try {
+        [state, block] = await Promise.all([
+            presaleService.getLedgerState(presaleAddress),
+            opnetProvider.getProvider().getBlockNumber().then(Number),
+        ]);
+    } catch (err) {
+        throw new Error(`Could not read presale: ${err.message}`);
+    }
+    const { info, rate, cancelled, vesting, contributorCount } = state;
+
+    const ended = block > info.endBlock;
+    const softCapMet = BigInt(info.totalRaised) >= BigInt(info.softCap);
+    const phase = cancelled || (ended && !softCapMet) ? 'refund' : ended ? 'claim' : 'open';
+
+    const entries = await presaleService.getContributorEntries(presaleAddress, contributorCount, {
+        withClaimable: phase === 'claim',
+        onProgress,
+    });
+
+    const totals = { contribution: 0n, allocation: 0n, claimable: 0n, claimed: 0n, refund: 0n };
+    const rows = [];
+    for (const entry of entries) {
+        if (!entry) continue;
+        const contribution = BigInt(entry.contribution);
+        const allocation = contribution * BigInt(rate);
+        let claimable = 0n;
+        let claimed = 0n;
+        let refund = 0n;
+        let status = 'pending';
+
+        if (phase === 'refund') {
+            refund = contribution;
+            status = 'refund';
+        } else if (phase === 'claim') {
+            claimable = BigInt(entry.claimable);
+            const vested = vestedAt(allocation, vesting, info.endBlock, block);
+            claimed = vested > claimable ? vested - claimable : 0n;
+            status = claimable > 0n ? 'claimable' : claimed >= allocation ? 'claimed' : 'vesting';
+        }
+
+        totals.contribution += contribution;
+        totals.allocation += allocation;
+        totals.claimable += claimable;
+        totals.claimed += claimed;
+        totals.refund += refund;
+        rows.push({
+            index: entry.index,
+            address: entry.contributor,
+            contribution: contribution.toString(),
+            allocation: allocation.toString(),
+            claimable: claimable.toString(),
+            claimed: claimed.toString(),
+            refund: refund.toString(),
+            status,
+        });
+    }
+
+    return { phase, block, rows, missing: entries.length - rows.length, totals };
+}
+
+/**
+ * Rows whose address contains `query` (case-insensitive).
+ * @param {ContributorRow[]} rows
+ * @param {string} query
+ * @returns {ContributorRow[]}
+ */
+export function filterContributors(rows, query) {
+    const q = query.trim().toLowerCase();
+    if (!q) return rows;
+    return rows.filter(r => r.address.toLowerCase().includes(q));
+}
+
+/**
+ * Sort a copy of the rows. Amount columns compare as BigInt.
+ * @param {ContributorRow[]} rows
+ * @param {'index'|'address'|'contribution'|'claimable'|'claimed'|'status'} key
+ * @param {'asc'|'desc'} [direction='desc']
+ * @returns {ContributorRow[]}
+ */
+export function sortContributors(rows, key, direction = 'desc') {
+    const sign = direction === 'asc' ? 1 : -1;
+    const compare = (a, b) => {
+        if (key === 'index') return a.index - b.index;
+        if (key === 'address' || key === 'status') return a[key].localeCompare(b[key]);
+        const diff = BigInt(a[key]) - BigInt(b[key]);
+        return diff > 0n ? 1 : diff < 0n ? -1 : a.index - b.index;
+    };
+    return [...rows].sort((a, b) => sign * compare(a, b));
+}
+
+/**
+ * Download the ledger as CSV, amounts in raw units (sats / token units).
+ * @param {string} presaleAddress
+ * @param {ContributorRow[]} rows
+ */
+export function downloadContributorsCsv(presaleAddress, rows) {
+    downloadCsv(`presale-contributors-${presaleAddress.slice(0, 12)}.csv`, rows, [
+        { key: 'address', label: 'address' },
+        { key: 'contribution', label: 'contribution_sats' },
+        { key: 'allocation', label: 'allocation' },
+        { key: 'claimable', label: 'claimable' },
+        { key: 'claimed', label: 'claimed' },
+        { key: 'refund', label: 'refund_sats' },
+        { key: 'status', label: 'status' },
+    ]);
+}
+
+/**
+ * Download the ledger as JSON with the presale and token context.
+ * @param {string} presaleAddress
+ * @param {Awaited<ReturnType<typeof loadContributorLedger>>} ledger
+ * @param {{ token?: string, symbol?: string, decimals?: number }} [token]
+ */
+export function downloadContributorsJson(presaleAddress, ledger, token = {}) {
+    const totals = Object.fromEntries(Object.entries(ledger.totals).map(([k, v]) => [k, v.toString()]));
+    downloadJson(`presale-contributors-${presaleAddress.slice(0, 12)}.json`, {
+        presale: presaleAddress,
+        token: token.token || null,
+        symbol: token.symbol || null,
+        decimals: token.decimals ?? null,
+        phase: ledger.phase,
+        block: ledger.block,
+        totals,
+        missing: ledger.missing,
+        contributors: ledger.rows,
+    });
+}
+
+/**
+ * Download an address,amount CSV of token allocations in display units, ready
+ * for the airdrop recipient importer.
+ * @param {string} presaleAddress
+ * @param {ContributorRow[]} rows
+ * @param {number} decimals - token decimals
+ */
+export function downloadAirdropCsv(presaleAddress, rows, decimals) {
+    const recipients = rows
+        .filter(r => BigInt(r.allocation) > 0n)
+        .map(r => ({ address: r.address, amount: rawToDecimalString(BigInt(r.allocation), decimals) }));
+    downloadCsv(`presale-airdrop-${presaleAddress.slice(0, 12)}.csv`, recipients, [
+        { key: 'address', label: 'address' },
+        { key: 'amount', label: 'amount' },
+    ]);
+}
@@ -0,0 +1,268 @@
+// BitLaunch - Airdrop Proof Bundles
+// Portable, signed JSON that lets any recipient claim from any device.
+//
+// Bundle format (version 1):
+// {
+//   format: 'bitlaunch-airdrop-proofs',
+//   version: 1,
+//   network, airdropContract, airdropId, token,
+//   root:       hex                        - Merkle root (must equal the on-chain root)
+//   recipients: [{ address: hex, amount }] - tree order
+//   leaves:     [hex]
+//   proofs:     { [addressHex]: { index, amount, proof: [hex] } }
+//   createdAt:  ms
+//   signature:  { publicKey: hex, signature: hex } | null
+// }
+//
+// The signature (Schnorr over sha256 of the signed fields) records who published
+// the bundle. Claim pages never trust it on its own: the root is always checked
+// against getAirdrop() and proofs are regenerated locally from the recipient list
+// (airdropService.getProofForClaimer(id, wallet, bundle)).
+
+import { MessageSigner } from '@btc-vision/transaction';
+import { bytesToHex, hexToBytes } from './merkleTree.js';
+import { buildMerkleTreeSync, buildMerkleTreeAsync, cacheTree, treeCacheKey } from './merkleBuilder.js';
+import { CONTRACTS, PROOF_BUNDLE_URL, PROOF_BUNDLE_PUBLISH_URL, IPFS_GATEWAY } from './contracts.js';
+import { getActiveNetworkId } from './networks.js';
+import { downloadJson } from './exportHelper.js';
+
+export const BUNDLE_FORMAT = 'bitlaunch-airdrop-proofs';
+export const BUNDLE_VERSION = 1;
+
+function normalizeHex(hex) {
+    return (hex || '').toLowerCase().replace(/^0x/, '');
+}
+
+/**
+ * Fields covered by the signature, in a fixed order.
+ */
+function signedPayload(bundle) {
+    return JSON.stringify({
+        format: bundle.format,
+        version: bundle.version,
+        network: bundle.network,
+        airdropContract: bundle.airdropContract,
+        airdropId: bundle.airdropId,
+        token: bundle.token,
+        root: bundle.root,
+        recipients: bundle.recipients,
+        leaves: bundle.leaves,
+    });
+}
+
+/**
+ * Build an (unsigned) proof bundle from stored tree data.
+ *
+ * @param {Object} params
+ * @param {string} params.airdropId
+ * @param {{ root: string, recipients: Array<{ address: string, amount: string }>, leaves: string[] }} params.treeData
+ *   as returned by airdropService.getTreeData()
+ * @param {string} [params.token] - token contract address
+ * @returns {Object} bundle
+ */
+export function createProofBundle({ airdropId, treeData, token }) {
+    if (!treeData?.recipients?.length) throw new Error('No tree data for this airdrop');
+
+    const recipients = treeData.recipients.map(r => ({
+        address: normalizeHex(r.address),
+        amount: String(r.amount),
+    }));
+    const tree = buildMerkleTreeSync(recipients);
+
+    const proofs = {};
+    recipients.forEach((r, index) => {
+        proofs[r.address] = {
+            index,
+            amount: r.amount,
+            proof: tree.getProof(index).map(bytesToHex),
+        };
+    });
+
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        network: getActiveNetworkId(),
+        airdropContract: CONTRACTS.airdrop,
+        airdropId: String(airdropId),
+        token: token || '',
+        root: tree.rootHex,
+        recipients,
+        leaves: tree.leaves.map(bytesToHex),
+        proofs,
+        createdAt: Date.now(),
+        signature: null,
+    };
+}
+
+/**
+ * Sign a bundle with the connected OP_WALLET.
+ * @param {Object} bundle
+ * @param {string} publicKey - wallet public key (hex), stored so others can verify
+ * @returns {Promise<Object>} signed bundle
+ */
+export async function signProofBundle(bundle, publicKey) {
+    if (!publicKey) throw new Error('Wallet public key required to sign the bundle');
+    const signed = await MessageSigner.signMessageAuto(signedPayload(bundle));
+    return {
+        ...bundle,
+        signature: {
+            publicKey: normalizeHex(publicKey),
+            signature: bytesToHex(signed.signature),
+        },
+    };
+}
+
+/**
+ * Check the bundle signature against its embedded public key.
+ * OP_WALLET signs with the taproot-tweaked key, so both forms are accepted.
+ * @param {Object} bundle
+ * @returns {boolean}
+ */
+export function verifyProofBundleSignature(bundle) {
+    if (!bundle?.signature?.publicKey || !bundle.signature.signature) return false;
+    try {
+        const publicKey = hexToBytes(bundle.signature.publicKey);
+        const signature = hexToBytes(bundle.signature.signature);
+        const payload = signedPayload(bundle);
+        return MessageSigner.tweakAndVerifySignature(publicKey, payload, signature)
+            || MessageSigner.verifySignature(publicKey, payload, signature);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validate a bundle against the active deployment and the on-chain airdrop
+ * before trusting it. The recipient list is re-hashed off the main thread.
+ *
+ * @param {Object} bundle
+ * @param {{ merkleRoot: string }} airdrop - from airdropService.getAirdrop()
+ * @param {string} airdropId
+ * @param {{ onProgress?: function }} [options] - tree build progress
+ * @returns {Promise<{ valid: boolean, signed: boolean, reason: string|null }>}
+ */
+export async function verifyProofBundle(bundle, airdrop, airdropId, { onProgress } = {}) {
+    const fail = (reason) => ({ valid: false, signed: false, reason });
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) return fail('Not a BitLaunch proof bundle');
+    if (bundle.version !== BUNDLE_VERSION) return fail(`Unsupported bundle version ${bundle.version}`);
+    if (bundle.network !== getActiveNetworkId()) {
+        return fail(`Bundle is for ${bundle.network || 'an unknown network'}, not ${getActiveNetworkId()}`);
+    }
+    if (!CONTRACTS.airdrop || normalizeHex(bundle.airdropContract) !== normalizeHex(CONTRACTS.airdrop)) {
+        return fail('Bundle is for a different airdrop contract');
+    }
+    if (String(bundle.airdropId) !== String(airdropId)) {
+        return fail(`Bundle is for airdrop #${bundle.airdropId}, not #${airdropId}`);
+    }
+    if (!airdrop) return fail('Airdrop not found on-chain');
+    if (!Array.isArray(bundle.recipients) || bundle.recipients.length === 0) return fail('Bundle has no recipients');
+
+    let onChainRoot;
+    try {
+        onChainRoot = BigInt(airdrop.merkleRoot);
+    } catch {
+        return fail('Invalid on-chain Merkle root');
+    }
+    if (BigInt('0x' + normalizeHex(bundle.root)) !== onChainRoot) {
+        return fail('Bundle root does not match the on-chain Merkle root');
+    }
+
+    // Recompute the root from the recipient list — never trust stored leaves/proofs
+    let tree;
+    try {
+        tree = await buildMerkleTreeAsync(bundle.recipients.map(r => ({
+            address: normalizeHex(r.address),
+            amount: r.amount,
+        })), { onProgress });
+    } catch (err) {
+        return fail(`Recipient list could not be hashed: ${err.message}`);
+    }
+    if (tree.rootHex !== normalizeHex(bundle.root)) {
+        return fail('Recipient list does not hash to the bundle root');
+    }
+    // The verified tree serves later getProofForClaimer() lookups without a rebuild
+    cacheTree(treeCacheKey(airdropId, tree.rootHex), tree);
+
+    return { valid: true, signed: verifyProofBundleSignature(bundle), reason: null };
+}
+
+/**
+ * Resolve where to fetch a bundle from.
+ * @param {string} airdropId
+ * @param {string} [source] - explicit URL or ipfs://CID (e.g. from a ?bundle= link)
+ * @returns {string|null}
+ */
+export function resolveBundleUrl(airdropId, source) {
+    if (source) {
+        if (source.startsWith('ipfs://')) return `${IPFS_GATEWAY}${source.slice('ipfs://'.length)}`;
+        return source;
+    }
+    if (!PROOF_BUNDLE_URL) return null;
+    return PROOF_BUNDLE_URL.replace('{id}', encodeURIComponent(airdropId));
+}
+
+/**
+ * Fetch a bundle from its hosted location.
+ * @param {string} airdropId
+ * @param {string} [source]
+ * @returns {Promise<Object|null>} bundle, or null if none is configured/found
+ */
+export async function fetchProofBundle(airdropId, source) {
+    const url = resolveBundleUrl(airdropId, source);
+    if (!url) return null;
+    try {
+        const res = await fetch(url, { headers: { Accept: 'application/json' } });
+        if (!res.ok) return null;
+        return await res.json();
+    } catch (err) {
+        console.warn('fetchProofBundle failed:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Whether a publish endpoint is configured.
+ * @returns {boolean}
+ */
+export function canPublishProofBundle() {
+    return !!PROOF_BUNDLE_PUBLISH_URL;
+}
+
+/**
+ * Publish a bundle to the configured endpoint (HTTP PUT).
+ * IPFS-style endpoints that answer with a CID get a gateway URL back.
+ *
+ * @param {Object} bundle
+ * @returns {Promise<string>} URL (or ipfs://CID) the bundle can be fetched from
+ */
+export async function publishProofBundle(bundle) {
+    if (!PROOF_BUNDLE_PUBLISH_URL) {
+        throw new Error('No publish endpoint configured. Set VITE_PROOF_BUNDLE_PUBLISH_URL in .env');
+    }
+    const url = PROOF_BUNDLE_PUBLISH_URL.replace('{id}', encodeURIComponent(bundle.airdropId));
+    const res = await fetch(url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(bundle),
+    });
+    if (!res.ok) throw new Error(`Publish failed: ${res.status} ${res.statusText}`);
+
+    let body = null;
+    try {
+        body = await res.json();
+    } catch {
+        // Plain static hosts return no JSON body
+    }
+    const cid = body?.cid || body?.Hash;
+    if (cid) return `ipfs://${cid}`;
+    return body?.url || resolveBundleUrl(bundle.airdropId) || url;
+}
+
+/**
+ * Trigger a browser download of the bundle.
+ * @param {Object} bundle
+ */
+export function downloadProofBundle(bundle) {
+    downloadJson(`airdrop-${bundle.airdropId}-proofs.json`, bundle);
+}
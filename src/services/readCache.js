@@ -0,0 +1,205 @@
+// BitLaunch - Contract Read Cache
+// Caching layer under the services' read-only contract instances.
+//
+// getCachedContract() wraps getContract() so that every ABI method call is:
+//   - de-duplicated while in flight (same network, contract, method, args)
+//   - cached until the next block, or until the wallet sends a write to that
+//     contract through sendSimulation()
+//
+// Immutable token metadata (OP20 name/symbol/decimals) is also persisted in
+// client storage (per network), so token lists render without RPC calls on
+// the next visit.
+//
+// Only contracts created without a sender are wrapped; write simulations and
+// allowance polling (approveHelper.js) always hit the node.
+
+import { getContract, OP_20_ABI, BitcoinAbiTypes } from 'opnet';
+import { opnetProvider } from './opnetProvider.js';
+import { subscribeNetwork } from './networks.js';
+import { getItem, setItem } from './storage.js';
+
+const PERSIST_NAME = 'immutable_reads';
+const MAX_AGE_MS = 60 * 1000; // safety net when no block height is observed
+const MAX_ENTRIES = 2000;
+
+// Methods whose result never changes for a given contract
+const IMMUTABLE_METHODS = new Map([
+    [OP_20_ABI, new Set(['name', 'symbol', 'decimals'])],
+]);
+
+// key -> { promise, block, at, contract }
+const entries = new Map();
+let persisted = null;
+let currentBlock = 0;
+let unsubscribeRpc = null;
+
+function serializeArg(_key, value) {
+    if (typeof value === 'bigint') return `${value}n`;
+    if (value && typeof value.toHex === 'function') return value.toHex();
+    if (value instanceof Uint8Array) return Array.from(value).join(',');
+    return value;
+}
+
+// Persisted bigints are tagged explicitly, so a token named "100n" stays a string
+function bigintReplacer(_key, value) {
+    return typeof value === 'bigint' ? { $bigint: value.toString() } : value;
+}
+
+function bigintReviver(_key, value) {
+    if (value && typeof value === 'object' && typeof value.$bigint === 'string' && Object.keys(value).length === 1) {
+        return BigInt(value.$bigint);
+    }
+    return value;
+}
+
+function networkKey(network) {
+    return network?.bech32 || 'unknown';
+}
+
+function loadPersisted() {
+    if (persisted) return persisted;
+    try {
+        persisted = JSON.parse(getItem(PERSIST_NAME) || '{}', bigintReviver);
+    } catch {
+        persisted = {};
+    }
+    return persisted;
+}
+
+function savePersisted(key, properties) {
+    const store = loadPersisted();
+    store[key] = properties;
+    try {
+        setItem(PERSIST_NAME, JSON.stringify(store, bigintReplacer));
+    } catch (err) {
+        console.warn('Could not persist token metadata:', err.message);
+    }
+}
+
+/**
+ * Follow the block height reported by the RPC pool's health checks, starting
+ * over when the app switches networks (heights are per chain).
+ * Subscribed lazily so importing this module has no side effects.
+ */
+function watchBlocks() {
+    if (unsubscribeRpc) return;
+    unsubscribeRpc = opnetProvider.subscribeRpcStatus((status) => {
+        if (status.blockHeight) noteBlockHeight(status.blockHeight);
+    });
+    subscribeNetwork(() => {
+        currentBlock = 0;
+        entries.clear();
+        persisted = null;
+    });
+}
+
+function isFresh(entry) {
+    if (Date.now() - entry.at > MAX_AGE_MS) return false;
+    return entry.block === currentBlock;
+}
+
+function cachedCall(key, contractId, fn, persist) {
+    watchBlocks();
+
+    if (persist) {
+        const stored = loadPersisted()[key];
+        if (stored) return Promise.resolve({ properties: stored, revert: undefined });
+    }
+
+    const existing = entries.get(key);
+    if (existing && isFresh(existing)) return existing.promise;
+
+    const promise = fn().then((result) => {
+        if (persist && !result?.revert && result?.properties) {
+            savePersisted(key, result.properties);
+        }
+        return result;
+    });
+    const entry = { promise, block: currentBlock, at: Date.now(), contract: contractId };
+    entries.set(key, entry);
+    if (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+
+    // Failed reads are not cached, so the next caller retries
+    promise.catch(() => {
+        if (entries.get(key) === entry) entries.delete(key);
+    });
+    return promise;
+}
+
+/**
+ * Record the latest block height. A higher height drops every cached read.
+ * @param {number|bigint} height
+ */
+export function noteBlockHeight(height) {
+    const h = Number(height);
+    if (!h || h <= currentBlock) return;
+    currentBlock = h;
+    entries.clear();
+}
+
+/**
+ * Drop cached reads of one contract (after the wallet writes to it).
+ * @param {string} contractId - P2OP address of the contract
+ */
+export function invalidateContract(contractId) {
+    if (!contractId) return;
+    for (const [key, entry] of entries) {
+        if (entry.contract === contractId) entries.delete(key);
+    }
+}
+
+/**
+ * Drop cached reads touched by a sent simulation.
+ * @param {Object} simulation - CallResult passed to sendSimulation()
+ */
+export function invalidateSimulation(simulation) {
+    invalidateContract(simulation?.to);
+    try {
+        const network = opnetProvider.getNetwork();
+        invalidateContract(simulation?.address?.p2op?.(network));
+    } catch {
+        // simulation.to already covered it
+    }
+}
+
+/**
+ * Drop every cached read. Persisted token metadata is kept, since it is
+ * stored per network.
+ */
+export function clearReadCache() {
+    entries.clear();
+}
+
+/**
+ * Read-only contract instance whose ABI method calls go through the cache.
+ * Same arguments as opnet's getContract() without a sender.
+ *
+ * @param {Address|string} address
+ * @param {Array} abi
+ * @param {Object} provider
+ * @param {Object} network
+ * @returns {Object} contract
+ */
+export function getCachedContract(address, abi, provider, network) {
+    const contract = getContract(address, abi, provider, network);
+    const methods = new Set(abi.filter(e => e.type === BitcoinAbiTypes.Function).map(e => e.name));
+    const immutable = IMMUTABLE_METHODS.get(abi);
+    const contractId = contract.p2op;
+    const prefix = `${networkKey(network)}:${contractId}`;
+
+    // opnet defines ABI methods as non-configurable own properties, so the
+    // cached methods shadow them on an object that inherits from the contract
+    const cached = Object.create(contract);
+    for (const name of methods) {
+        if (typeof contract[name] !== 'function') continue;
+        Object.defineProperty(cached, name, {
+            value: (...args) => cachedCall(
+                `${prefix}:${name}:${JSON.stringify(args, serializeArg)}`,
+                contractId,
+                () => contract[name](...args),
+                immutable?.has(name),
+            ),
+        });
+    }
+    return cached;
+}
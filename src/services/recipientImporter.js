@@ -0,0 +1,413 @@
+// BitLaunch - Airdrop Recipient Importer
+// Parses CSV / TSV / JSON recipient lists into raw-unit amounts with a
+// per-row report, so bad rows are shown instead of silently dropped.
+//
+// Accepted inputs:
+//   CSV / TSV      address,amount  (delimiter and header row are auto-detected)
+//   JSON           [{ address, amount }], [[address, amount]],
+//                  { address: amount } or { recipients: [...] }
+//
+// Amounts are display units (e.g. "12.5") and are converted with
+// parseTokenAmount() using the token's decimals — never through floats.
+// In `;`-delimited files (European spreadsheets) `,` is the decimal separator
+// and `.` the thousands separator ("1.000,25"); amounts that read validly
+// either way ("1.000", "1,000") are rejected rather than guessed.
+//
+// importAddressList() reads the same formats without amounts (one address
+// per line, or a JSON array of addresses) for lists such as presale whitelists.
+
+import { parseTokenAmount } from './formatters.js';
+import { validateAddressOrHex } from './validation.js';
+import { downloadFile } from './exportHelper.js';
+
+const ADDRESS_HEADERS = ['address', 'wallet', 'recipient', 'to', 'account'];
+const AMOUNT_HEADERS = ['amount', 'value', 'tokens', 'quantity', 'qty', 'balance'];
+const DECIMAL_AMOUNT = /^\d+(\.\d+)?$/;
+const DOT_GROUPED = /^\d{1,3}(\.\d{3})+$/;
+const COMMA_GROUPED = /^[1-9]\d{0,2},\d{3}$/;
+const THOUSANDS_GROUPED = /^\d{1,3}(,\d{3})+(\.\d+)?$/;
+
+/**
+ * Split one delimited line, honouring double-quoted fields.
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {string[]}
+ */
+function splitLine(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+// `;` wins over `,`: ;-separated rows usually carry decimal commas ("addr;12,5")
+function detectDelimiter(line) {
+    if (line.includes('\t')) return '\t';
+    if (line.includes(';')) return ';';
+    return ',';
+}
+
+/**
+ * Find address/amount columns from a header row.
+ * @returns {{ addressCol: number, amountCol: number } | null} null if the row is not a header
+ */
+function detectHeader(cells) {
+    const lower = cells.map(c => c.toLowerCase());
+    const matches = (cell, names) => names.some(h => new RegExp(`\\b${h}\\b`).test(cell));
+    const addressCol = lower.findIndex(c => matches(c, ADDRESS_HEADERS));
+    const amountCol = lower.findIndex(c => matches(c, AMOUNT_HEADERS));
+    if (addressCol === -1 && amountCol === -1) return null;
+    return {
+        addressCol: addressCol === -1 ? 0 : addressCol,
+        amountCol: amountCol === -1 ? (addressCol === 0 ? 1 : 0) : amountCol,
+    };
+}
+
+/**
+ * Parse delimited text into raw rows.
+ * @returns {{
+ *   format: 'csv'|'tsv', hasHeader: boolean, decimalComma: boolean,
+ *   rows: Array<{ line: number, address: string, amount: string }>,
+ * }}
+ */
+function parseDelimited(text) {
+    const lines = text.split(/\r?\n/);
+    const firstIdx = lines.findIndex(l => l.trim() !== '');
+    const delimiter = detectDelimiter(lines[firstIdx] || '');
+
+    let addressCol = 0;
+    let amountCol = 1;
+    let hasHeader = false;
+    const header = detectHeader(splitLine(lines[firstIdx] || '', delimiter));
+    if (header) {
+        ({ addressCol, amountCol } = header);
+        hasHeader = true;
+    }
+
+    const rows = [];
+    lines.forEach((raw, i) => {
+        if (raw.trim() === '' || raw.trim().startsWith('#')) return;
+        if (hasHeader && i === firstIdx) return;
+        const cells = splitLine(raw, delimiter);
+        rows.push({
+            line: i + 1,
+            address: cells[addressCol] || '',
+            amount: cells[amountCol] || '',
+        });
+    });
+
+    return { format: delimiter === '\t' ? 'tsv' : 'csv', hasHeader, decimalComma: delimiter === ';', rows };
+}
+
+/**
+ * Parse JSON text into raw rows.
+ * @returns {{ format: 'json', hasHeader: false, rows: Array<{ line: number, address: string, amount: string }> }}
+ */
+function parseJson(text) {
+    let data = JSON.parse(text);
+    if (data && !Array.isArray(data) && Array.isArray(data.recipients)) data = data.recipients;
+    if (data && !Array.isArray(data) && Array.isArray(data.addresses)) data = data.addresses;
+
+    let entries;
+    if (Array.isArray(data)) {
+        entries = data.map(item => (Array.isArray(item)
+            ? { address: item[0], amount: item[1] }
+            : typeof item === 'string'
+                ? { address: item }
+                : { address: item?.address ?? item?.wallet ?? item?.recipient, amount: item?.amount ?? item?.value }));
+    } else if (data && typeof data === 'object') {
+        entries = Object.entries(data).map(([address, amount]) => ({ address, amount }));
+    } else {
+        throw new Error('JSON must be an array of recipients or an address → amount object');
+    }
+
+    return {
+        format: 'json',
+        hasHeader: false,
+        rows: entries.map((e, i) => ({
+            // JSON has no meaningful line numbers; report the entry position instead
+            line: i + 1,
+            address: e.address == null ? '' : String(e.address).trim(),
+            amount: e.amount == null ? '' : String(e.amount).trim(),
+            unsafeNumber: typeof e.amount === 'number' && e.amount > Number.MAX_SAFE_INTEGER,
+        })),
+    };
+}
+
+/**
+ * Convert a raw amount back to a plain decimal string (no separators).
+ * @param {bigint} raw
+ * @param {number} decimals
+ * @returns {string}
+ */
+export function rawToDecimalString(raw, decimals) {
+    if (!decimals) return raw.toString();
+    const str = raw.toString().padStart(decimals + 1, '0');
+    const whole = str.slice(0, -decimals);
+    const frac = str.slice(-decimals).replace(/0+$/, '');
+    return frac ? `${whole}.${frac}` : whole;
+}
+
+/** Errors for one address cell; 0x hex (ML-DSA) addresses skip the prefix check. */
+function checkAddress(address) {
+    const check = validateAddressOrHex(address, 'Address');
+    return check.valid ? [] : [check.error];
+}
+
+/**
+ * Strip separators from an amount cell, leaving a plain "1234.5" string.
+ * With decimalComma, `,` is the decimal separator and `.` groups thousands;
+ * otherwise `,` is only accepted as a thousands separator, so a decimal comma
+ * from a European-locale export is rejected rather than read 10× too large.
+ * @returns {{ amount: string, error: string|null }}
+ */
+function normalizeAmount(value, decimalComma) {
+    const compact = value.replace(/[\s_]/g, '');
+    if (!decimalComma) {
+        if (!compact.includes(',')) return { amount: compact, error: null };
+        if (THOUSANDS_GROUPED.test(compact)) return { amount: compact.replace(/,/g, ''), error: null };
+        return {
+            amount: '',
+            error: `Amount "${value}" is ambiguous: "," is only read as a thousands separator here, `
+                + 'so use "." for decimals (or a ;-separated file for decimal commas)',
+        };
+    }
+
+    const ambiguous = `Amount "${value}" is ambiguous: "," is the decimal separator in ;-separated files, `
+        + 'so write it without thousands separators';
+    const [whole, fraction, ...rest] = compact.split(',');
+    if (rest.length > 0) return { amount: '', error: `Amount "${value}" has more than one decimal comma` };
+    if (fraction === undefined && DOT_GROUPED.test(whole)) return { amount: '', error: ambiguous };
+    if (fraction !== undefined && COMMA_GROUPED.test(compact)) return { amount: '', error: ambiguous };
+    if (whole.includes('.') && !DOT_GROUPED.test(whole)) {
+        return { amount: '', error: `Amount "${value}" is not a valid number (use "," for decimals)` };
+    }
+
+    const digits = whole.replace(/\./g, '');
+    return { amount: fraction === undefined ? digits : `${digits}.${fraction}`, error: null };
+}
+
+/**
+ * Validate one row's address and amount.
+ * @param {{ address: string, amount: string }} row
+ * @param {number} decimals
+ * @param {boolean} [decimalComma] - `,` is the decimal separator (;-separated files)
+ * @returns {{ address: string, raw: bigint|null, errors: string[] }}
+ */
+function checkRow(row, decimals, decimalComma = false) {
+    const address = row.address.trim();
+    const errors = checkAddress(address);
+
+    let raw = null;
+    const { amount, error } = normalizeAmount(row.amount, decimalComma);
+    if (error) {
+        errors.push(error);
+    } else if (!amount) {
+        errors.push('Amount is required');
+    } else if (!DECIMAL_AMOUNT.test(amount)) {
+        errors.push(`Amount "${row.amount}" is not a valid number`);
+    } else if ((amount.split('.')[1] || '').length > decimals) {
+        errors.push(`Amount has more than ${decimals} decimal places`);
+    } else {
+        raw = parseTokenAmount(amount, decimals);
+        if (raw <= 0n) {
+            errors.push('Amount must be greater than zero');
+            raw = null;
+        }
+    }
+
+    return { address, raw, errors };
+}
+
+/**
+ * Parse and validate a recipient list.
+ *
+ * @param {string} text - file or textarea contents
+ * @param {Object} options
+ * @param {number} options.decimals - token decimals
+ * @param {'merge'|'flag'} [options.duplicates='merge'] - sum repeated addresses, or reject repeats as errors
+ * @returns {{
+ *   format: 'csv'|'tsv'|'json',
+ *   hasHeader: boolean,
+ *   rows: Array<{ line: number, address: string, amount: string, raw: bigint|null,
+ *                 status: 'ok'|'warning'|'error', messages: string[] }>,
+ *   recipients: Array<{ address: string, amount: string }>,
+ *   totalRaw: bigint,
+ *   errorCount: number,
+ *   warningCount: number,
+ *   duplicateCount: number,
+ *   parseError: string|null,
+ * }}
+ *   recipients holds the valid, de-duplicated list with raw-unit amounts
+ */
+export function importRecipients(text, { decimals, duplicates = 'merge' } = {}) {
+    const empty = {
+        format: 'csv', hasHeader: false, rows: [], recipients: [], totalRaw: 0n,
+        errorCount: 0, warningCount: 0, duplicateCount: 0, parseError: null,
+    };
+    if (!text || !text.trim()) return empty;
+
+    let parsed;
+    const trimmed = text.trim();
+    try {
+        parsed = trimmed.startsWith('[') || trimmed.startsWith('{') ? parseJson(trimmed) : parseDelimited(text);
+    } catch (err) {
+        return { ...empty, format: 'json', parseError: `Could not parse JSON: ${err.message}` };
+    }
+
+    const rows = [];
+    const recipients = [];
+    const firstByAddress = new Map(); // address -> index in recipients
+    let duplicateCount = 0;
+
+    for (const row of parsed.rows) {
+        const { address, raw, errors } = checkRow(row, decimals, parsed.decimalComma);
+        const entry = { line: row.line, address, amount: row.amount, raw, status: 'ok', messages: [] };
+        if (row.unsafeNumber) {
+            errors.push('Amount is too large for a JSON number — quote it as a string');
+        }
+
+        if (errors.length > 0) {
+            entry.status = 'error';
+            entry.messages = errors;
+            rows.push(entry);
+            continue;
+        }
+
+        const key = address.toLowerCase();
+        if (firstByAddress.has(key)) {
+            duplicateCount++;
+            const target = recipients[firstByAddress.get(key)];
+            if (duplicates === 'merge') {
+                target.raw += raw;
+                entry.status = 'warning';
+                entry.messages.push(`Duplicate of line ${target.line} — amounts merged`);
+            } else {
+                entry.status = 'error';
+                entry.messages.push(`Duplicate of line ${target.line}`);
+            }
+            rows.push(entry);
+            continue;
+        }
+
+        firstByAddress.set(key, recipients.length);
+        recipients.push({ address, raw, line: row.line });
+        rows.push(entry);
+    }
+
+    const totalRaw = recipients.reduce((sum, r) => sum + r.raw, 0n);
+
+    return {
+        format: parsed.format,
+        hasHeader: parsed.hasHeader,
+        rows,
+        recipients: recipients.map(r => ({ address: r.address, amount: r.raw.toString() })),
+        totalRaw,
+        errorCount: rows.filter(r => r.status === 'error').length,
+        warningCount: rows.filter(r => r.status === 'warning').length,
+        duplicateCount,
+        parseError: null,
+    };
+}
+
+/**
+ * Parse and validate a list of addresses. Any amount column is ignored and
+ * repeated addresses are reported and dropped.
+ *
+ * @param {string} text - file or textarea contents
+ * @returns {{
+ *   format: 'csv'|'tsv'|'json',
+ *   rows: Array<{ line: number, address: string, status: 'ok'|'warning'|'error', messages: string[] }>,
+ *   addresses: string[],
+ *   errorCount: number,
+ *   duplicateCount: number,
+ *   parseError: string|null,
+ * }}
+ *   addresses holds the valid, de-duplicated list in file order
+ */
+export function importAddressList(text) {
+    const empty = { format: 'csv', rows: [], addresses: [], errorCount: 0, duplicateCount: 0, parseError: null };
+    if (!text || !text.trim()) return empty;
+
+    let parsed;
+    const trimmed = text.trim();
+    try {
+        parsed = trimmed.startsWith('[') || trimmed.startsWith('{') ? parseJson(trimmed) : parseDelimited(text);
+    } catch (err) {
+        return { ...empty, format: 'json', parseError: `Could not parse JSON: ${err.message}` };
+    }
+
+    const rows = [];
+    const addresses = [];
+    const firstLine = new Map(); // lowercased address -> line
+    let duplicateCount = 0;
+
+    for (const row of parsed.rows) {
+        const address = row.address.trim();
+        const entry = { line: row.line, address, status: 'ok', messages: checkAddress(address) };
+        const key = address.toLowerCase();
+
+        if (entry.messages.length > 0) {
+            entry.status = 'error';
+        } else if (firstLine.has(key)) {
+            duplicateCount++;
+            entry.status = 'warning';
+            entry.messages.push(`Duplicate of line ${firstLine.get(key)} — skipped`);
+        } else {
+            firstLine.set(key, row.line);
+            addresses.push(address);
+        }
+        rows.push(entry);
+    }
+
+    return {
+        format: parsed.format,
+        rows,
+        addresses,
+        errorCount: rows.filter(r => r.status === 'error').length,
+        duplicateCount,
+        parseError: null,
+    };
+}
+
+/**
+ * Build a clean address,amount CSV from the valid (merged) recipients.
+ * @param {ReturnType<typeof importRecipients>} result
+ * @param {number} decimals
+ * @returns {string}
+ */
+export function toFixedRecipientsCsv(result, decimals) {
+    const lines = result.recipients.map(r => `${r.address},${rawToDecimalString(BigInt(r.amount), decimals)}`);
+    return ['address,amount', ...lines].join('\n');
+}
+
+/**
+ * Download the fixed recipient list as CSV.
+ * @param {ReturnType<typeof importRecipients>} result
+ * @param {number} decimals
+ * @param {string} [filename]
+ */
+export function downloadFixedRecipients(result, decimals, filename = 'recipients-fixed.csv') {
+    downloadFile(filename, toFixedRecipientsCsv(result, decimals), 'text/csv');
+}
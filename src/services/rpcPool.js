@@ -0,0 +1,240 @@
+// BitLaunch - RPC Endpoint Pool
+// Health scoring and transparent failover across the RPC endpoints of one network.
+//
+// Every endpoint is checked periodically (block height + latency) and every
+// request updates its recent error rate. Requests go to the best-scoring
+// endpoint first and move on to the next one when the transport fails
+// (HTTP error, timeout, unreachable). JSON-RPC errors and reverts are results,
+// not failures, so they are never retried elsewhere.
+
+import { JSONRpcProvider } from 'opnet';
+
+const HEALTH_INTERVAL = 30_000;
+const HEALTH_TIMEOUT = 5_000;
+const REQUEST_TIMEOUT = 20_000;
+const ERROR_WINDOW = 20;        // requests kept for the error rate
+const LATENCY_SMOOTHING = 0.3;  // weight of the newest latency sample
+const LAG_PENALTY_MS = 1_000;   // score cost per block behind the best endpoint
+const ERROR_PENALTY_MS = 5_000; // score cost at a 100% error rate
+const ORDER_PENALTY_MS = 50;    // keeps the configured order when scores are close
+const MAX_HEALTHY_LAG = 2;
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Health check timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class RpcEndpoint {
+    constructor(url, btcNetwork, index) {
+        this.url = url;
+        this.index = index;
+        this.provider = new JSONRpcProvider({ url, network: btcNetwork, timeout: REQUEST_TIMEOUT });
+        this.latency = null;
+        this.blockHeight = null;
+        this.lastError = null;
+        this.lastCheckedAt = 0;
+        this._results = [];
+    }
+
+    record(ok, latency, error) {
+        this._results.push(ok);
+        if (this._results.length > ERROR_WINDOW) this._results.shift();
+        if (ok) {
+            this.latency = this.latency === null
+                ? latency
+                : Math.round(this.latency * (1 - LATENCY_SMOOTHING) + latency * LATENCY_SMOOTHING);
+            this.lastError = null;
+        } else {
+            this.lastError = error?.message || 'Request failed';
+        }
+    }
+
+    get errorRate() {
+        if (this._results.length === 0) return 0;
+        return this._results.filter(ok => !ok).length / this._results.length;
+    }
+
+    /** The last request or health check failed. */
+    get down() {
+        return this._results.length > 0 && this._results[this._results.length - 1] === false;
+    }
+}
+
+export class RpcPool {
+    /**
+     * @param {string[]} urls - endpoints in order of preference
+     * @param {Object} btcNetwork - bitcoin network object
+     */
+    constructor(urls, btcNetwork) {
+        if (!urls?.length) throw new Error('At least one RPC URL is required');
+        this.endpoints = urls.map((url, i) => new RpcEndpoint(url, btcNetwork, i));
+        this.active = this.endpoints[0];
+        this._listeners = new Set();
+        this._timer = null;
+        this._checking = null;
+    }
+
+    _maxHeight() {
+        return this.endpoints.reduce((max, ep) => Math.max(max, ep.blockHeight ?? 0), 0);
+    }
+
+    /**
+     * Lower is better. Unreached endpoints rank after reachable ones but are
+     * still tried as a last resort.
+     */
+    _score(ep, maxHeight) {
+        const lag = ep.blockHeight !== null ? Math.max(0, maxHeight - ep.blockHeight) : 0;
+        let score = (ep.latency ?? HEALTH_TIMEOUT)
+            + lag * LAG_PENALTY_MS
+            + ep.errorRate * ERROR_PENALTY_MS
+            + ep.index * ORDER_PENALTY_MS;
+        if (ep.down) score += REQUEST_TIMEOUT;
+        return score;
+    }
+
+    /** Endpoints from best to worst score. */
+    ranked() {
+        const maxHeight = this._maxHeight();
+        return [...this.endpoints].sort((a, b) => this._score(a, maxHeight) - this._score(b, maxHeight));
+    }
+
+    _setActive(ep) {
+        if (this.active === ep) return;
+        if (this.active) console.warn(`RPC failover: ${this.active.url} -> ${ep.url}`);
+        this.active = ep;
+        this._notify();
+    }
+
+    /**
+     * Send a JSON-RPC payload, failing over across endpoints on transport errors.
+     * @param {Object|Object[]} payload
+     * @returns {Promise<Array>} same shape as JSONRpcProvider._send
+     */
+    async send(payload) {
+        let lastError = null;
+        for (const ep of this.ranked()) {
+            const start = Date.now();
+            try {
+                const result = await ep.provider._send(payload);
+                ep.record(true, Date.now() - start);
+                this._setActive(ep);
+                return result;
+            } catch (err) {
+                ep.record(false, 0, err);
+                lastError = err;
+                this._notify();
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Check block height and latency of every endpoint.
+     * @returns {Promise<void>}
+     */
+    async checkHealth() {
+        if (this._checking) return this._checking;
+        this._checking = Promise.all(this.endpoints.map(async (ep) => {
+            const start = Date.now();
+            try {
+                const height = await withTimeout(ep.provider.getBlockNumber(), HEALTH_TIMEOUT);
+                ep.blockHeight = Number(height);
+                ep.record(true, Date.now() - start);
+            } catch (err) {
+                ep.record(false, 0, err);
+            }
+            ep.lastCheckedAt = Date.now();
+        })).then(() => {
+            const best = this.ranked()[0];
+            if (best && !best.down) this._setActive(best);
+            this._notify();
+        }).finally(() => {
+            this._checking = null;
+        });
+        return this._checking;
+    }
+
+    /** Start periodic health checks (idempotent). */
+    start() {
+        if (this._timer) return;
+        this.checkHealth();
+        this._timer = setInterval(() => this.checkHealth(), HEALTH_INTERVAL);
+        // Don't keep a Node process alive just for health checks
+        this._timer.unref?.();
+    }
+
+    stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Snapshot for display.
+     * @returns {{
+     *   active: string,
+     *   blockHeight: number|null,
+     *   endpoints: Array<{ url: string, active: boolean, healthy: boolean, latency: number|null,
+     *     blockHeight: number|null, lag: number|null, errorRate: number, lastError: string|null,
+     *     lastCheckedAt: number }>,
+     * }}
+     */
+    getStatus() {
+        const maxHeight = this._maxHeight();
+        return {
+            active: this.active?.url || null,
+            blockHeight: maxHeight || null,
+            endpoints: this.endpoints.map(ep => {
+                const lag = ep.blockHeight !== null && maxHeight ? maxHeight - ep.blockHeight : null;
+                return {
+                    url: ep.url,
+                    active: ep === this.active,
+                    healthy: !ep.down && ep.errorRate < 0.5 && (lag ?? 0) <= MAX_HEALTHY_LAG,
+                    latency: ep.latency,
+                    blockHeight: ep.blockHeight,
+                    lag,
+                    errorRate: ep.errorRate,
+                    lastError: ep.lastError,
+                    lastCheckedAt: ep.lastCheckedAt,
+                };
+            }),
+        };
+    }
+
+    /**
+     * @param {(status: ReturnType<RpcPool['getStatus']>) => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(fn) {
+        this._listeners.add(fn);
+        return () => this._listeners.delete(fn);
+    }
+
+    _notify() {
+        const status = this.getStatus();
+        this._listeners.forEach(fn => {
+            try {
+                fn(status);
+            } catch (err) {
+                console.warn('RPC status listener failed:', err.message);
+            }
+        });
+    }
+}
+
+/**
+ * JSONRpcProvider that routes every request through an RpcPool.
+ * Drop-in replacement wherever a JSONRpcProvider is expected.
+ */
+export class FailoverRpcProvider extends JSONRpcProvider {
+    constructor(pool, btcNetwork) {
+        super({ url: pool.endpoints[0].url, network: btcNetwork, timeout: REQUEST_TIMEOUT });
+        this.pool = pool;
+    }
+
+    async _send(payload) {
+        return this.pool.send(payload);
+    }
+}
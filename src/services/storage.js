@@ -0,0 +1,248 @@
+// BitLaunch - Scoped Client Storage
+// Every piece of persisted client data is keyed by network and, where it
+// belongs to one, by the contract deployment it came from:
+//
+//   bitlaunch:<network>:<contract | *>:<name>
+//
+// so testnet and regtest data never mix, and redeploying a contract (new
+// address) starts from a clean slate instead of resolving old ids against
+// the new deployment.
+//
+// The layout is versioned (SCHEMA_KEY). On first access, migrations bring
+// data written by older versions (global `bitlaunch_*` keys) into the scoped
+// layout. Un-namespaced data is attributed to the default network (VITE_NETWORK)
+// and its configured contracts, which is where it was written.
+//
+// App preferences that are not chain data (fee settings, selected network)
+// keep their global keys.
+
+import { NETWORK, NETWORK_IDS, CONTRACT_SETS } from './contracts.js';
+import { NETWORKS, getActiveNetworkId } from './networks.js';
+
+const KEY_PREFIX = 'bitlaunch';
+const SCHEMA_KEY = 'bitlaunch_storage_schema';
+const ANY_CONTRACT = '*';
+
+export const STORAGE_SCHEMA_VERSION = 2;
+
+/**
+ * @typedef {Object} StorageScope
+ * @property {string} [network] - network id; defaults to the active network
+ * @property {string} [contract] - deployment the data belongs to; omit for network-wide data
+ */
+
+/**
+ * @typedef {Object} StorageBackend
+ * @property {(key: string) => string|null} getItem
+ * @property {(key: string, value: string) => void} setItem
+ * @property {(key: string) => void} removeItem
+ * @property {() => string[]} keys
+ */
+
+function localStorageBackend() {
+    return {
+        getItem: key => localStorage.getItem(key),
+        setItem: (key, value) => localStorage.setItem(key, value),
+        removeItem: key => localStorage.removeItem(key),
+        keys: () => Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)),
+    };
+}
+
+function memoryBackend() {
+    const data = new Map();
+    return {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key),
+        keys: () => [...data.keys()],
+    };
+}
+
+let backend = typeof localStorage !== 'undefined' ? localStorageBackend() : memoryBackend();
+let schemaChecked = false;
+
+/**
+ * Replace where data is stored (e.g. a file-backed store outside the browser).
+ * Migrations run again against the new backend on next access.
+ * @param {StorageBackend} next
+ */
+export function setStorageBackend(next) {
+    backend = next || memoryBackend();
+    schemaChecked = false;
+}
+
+/**
+ * Full storage key for a name within a scope.
+ * @param {string} name
+ * @param {StorageScope} [scope]
+ * @returns {string}
+ */
+export function storageKey(name, scope = {}) {
+    const network = scope.network || getActiveNetworkId();
+    return `${KEY_PREFIX}:${network}:${scope.contract || ANY_CONTRACT}:${name}`;
+}
+
+/**
+ * @param {string} name
+ * @param {StorageScope} [scope]
+ * @returns {string|null}
+ */
+export function getItem(name, scope) {
+    ensureSchema();
+    try {
+        return backend.getItem(storageKey(name, scope));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Throws when storage is full or unavailable; callers decide whether that matters.
+ * @param {string} name
+ * @param {string} value
+ * @param {StorageScope} [scope]
+ */
+export function setItem(name, value, scope) {
+    ensureSchema();
+    backend.setItem(storageKey(name, scope), value);
+}
+
+/**
+ * @param {string} name
+ * @param {StorageScope} [scope]
+ */
+export function removeItem(name, scope) {
+    ensureSchema();
+    try {
+        backend.removeItem(storageKey(name, scope));
+    } catch {
+        // nothing to remove
+    }
+}
+
+/**
+ * @param {string} name
+ * @param {*} fallback - returned when the key is missing or unreadable
+ * @param {StorageScope} [scope]
+ * @returns {*}
+ */
+export function getJSON(name, fallback, scope) {
+    const raw = getItem(name, scope);
+    if (raw === null) return fallback;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * @param {string} name
+ * @param {*} value
+ * @param {StorageScope} [scope]
+ */
+export function setJSON(name, value, scope) {
+    setItem(name, JSON.stringify(value), scope);
+}
+
+// ── Migrations ──
+
+/** Network id whose address prefix (bech32 / P2OP) matches, if any. */
+function networkOfAddress(address) {
+    const hrp = String(address).slice(0, String(address).lastIndexOf('1'));
+    return NETWORK_IDS.find(id => {
+        const net = NETWORKS[id].btcNetwork;
+        return hrp === net.bech32Opnet || hrp === net.bech32;
+    }) || null;
+}
+
+function moveLegacyKey(legacyKey, name, scope) {
+    const value = backend.getItem(legacyKey);
+    if (value === null) return;
+    const target = storageKey(name, scope);
+    if (backend.getItem(target) === null) backend.setItem(target, value);
+    backend.removeItem(legacyKey);
+}
+
+/** Split a legacy object keyed by address (or `<bech32 hrp>:...`) per network. */
+function splitLegacyByNetwork(legacyKey, name, networkOfKey) {
+    const raw = backend.getItem(legacyKey);
+    if (raw === null) return;
+    let data = {};
+    try {
+        data = JSON.parse(raw) || {};
+    } catch {
+        // unreadable, dropped below
+    }
+    const perNetwork = {};
+    for (const [key, value] of Object.entries(data)) {
+        const network = networkOfKey(key) || NETWORK;
+        (perNetwork[network] ||= {})[key] = value;
+    }
+    for (const [network, entries] of Object.entries(perNetwork)) {
+        const target = storageKey(name, { network });
+        const existing = JSON.parse(backend.getItem(target) || '{}');
+        backend.setItem(target, JSON.stringify({ ...entries, ...existing }));
+    }
+    backend.removeItem(legacyKey);
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        // Global keys -> network/contract scoped keys
+        run() {
+            const airdropScope = { network: NETWORK, contract: CONTRACT_SETS[NETWORK]?.airdrop };
+
+            splitLegacyByNetwork('bitlaunch_token_registry', 'token_registry', networkOfAddress);
+            splitLegacyByNetwork('bitlaunch_immutable_reads', 'immutable_reads', (key) => {
+                const hrp = key.split(':')[0];
+                return NETWORK_IDS.find(id => NETWORKS[id].btcNetwork.bech32 === hrp) || null;
+            });
+            moveLegacyKey('bitlaunch_airdrop_campaigns', 'airdrop_campaigns', airdropScope);
+
+            for (const key of backend.keys()) {
+                const tree = key.match(/^bitlaunch_airdrop_tree_(\d+)$/);
+                if (tree) moveLegacyKey(key, `airdrop_tree_${tree[1]}`, airdropScope);
+                const claims = key.match(/^bitlaunch_airdrop_claims_(\d+)$/);
+                if (claims) moveLegacyKey(key, `airdrop_claims_${claims[1]}`, airdropScope);
+            }
+        },
+    },
+    {
+        version: 2,
+        // The immutable read cache stored bigints as "123n" strings, which a
+        // token named "100n" also matches. It is only a cache: drop it.
+        run() {
+            for (const network of NETWORK_IDS) backend.removeItem(storageKey('immutable_reads', { network }));
+        },
+    },
+];
+
+/**
+ * Bring stored data up to STORAGE_SCHEMA_VERSION. Runs once per backend.
+ */
+function ensureSchema() {
+    if (schemaChecked) return;
+    schemaChecked = true;
+
+    let version = 0;
+    try {
+        version = Number(backend.getItem(SCHEMA_KEY)) || 0;
+    } catch {
+        return; // storage unavailable
+    }
+    if (version >= STORAGE_SCHEMA_VERSION) return;
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= version) continue;
+        try {
+            migration.run();
+            version = migration.version;
+            backend.setItem(SCHEMA_KEY, String(version));
+        } catch (err) {
+            console.warn(`Storage migration to v${migration.version} failed:`, err.message);
+            return;
+        }
+    }
+}
@@ -0,0 +1,164 @@
+// BitLaunch - Token Overview
+// Everything BitLaunch knows about one token: metadata, signed profile,
+// factory deployer and owner, free mint, and every presale, vesting schedule, lock and airdrop
+// that references it, ending in a supply breakdown.
+//
+// Vesting, locks and airdrops are found by full scans of their contracts, and
+// presales through the PresaleFactory registry, so a load costs one read per
+// record on chain.
+//
+// The breakdown uses the token balances of the contracts holding it rather
+// than summing the records, so it matches the chain even when a record cannot
+// be read. Presale balances include tokens sold but not yet claimed.
+
+import { OP_20_ABI } from 'opnet';
+import { opnetProvider } from './opnetProvider.js';
+import { getCachedContract } from './readCache.js';
+import { resolveAddress } from './addressHelper.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { CONTRACTS } from './contracts.js';
+import { tokenService } from './TokenService.js';
+import { factoryService } from './FactoryService.js';
+import { freeMintService } from './FreeMintService.js';
+import { presaleFactoryService } from './PresaleFactoryService.js';
+import { presaleService } from './PresaleService.js';
+import { vestingService } from './VestingService.js';
+import { liquidityLockService } from './LiquidityLockService.js';
+import { airdropService } from './AirdropService.js';
+import { loadTokenProfile } from './tokenProfiles.js';
+
+const PRESALE_CONCURRENCY = 6;
+
+/** Supply breakdown categories, in display order. */
+export const SUPPLY_CATEGORIES = [
+    { key: 'locked', label: 'Locked' },
+    { key: 'vesting', label: 'Vesting' },
+    { key: 'presale', label: 'In presales' },
+    { key: 'airdrop', label: 'In airdrops' },
+    { key: 'circulating', label: 'Circulating' },
+];
+
+const ZERO_HEX = `0x${'00'.repeat(32)}`;
+
+const toHex = (value) => (value == null ? '' : String(value).toLowerCase());
+const toOptionalHex = (value) => {
+    const hex = toHex(value);
+    return hex && hex !== ZERO_HEX ? hex : null;
+};
+
+/**
+ * Token balance of a contract or wallet. 0n when it cannot be read.
+ */
+async function balanceOf(tokenAddr, holder) {
+    if (!holder) return 0n;
+    try {
+        const token = getCachedContract(tokenAddr, OP_20_ABI, opnetProvider.getProvider(), opnetProvider.getNetwork());
+        const owner = await resolveAddress(holder, true);
+        const result = await token.balanceOf(owner);
+        if (result.revert) return 0n;
+        return BigInt(result.properties.balance ?? 0);
+    } catch {
+        return 0n;
+    }
+}
+
+async function loadPresales(tokenAddr, tokenHex) {
+    const deployments = (await presaleFactoryService.getAllPresaleDeployments())
+        .filter(d => toHex(d.tokenAddress) === tokenHex);
+
+    return mapWithConcurrency(deployments, PRESALE_CONCURRENCY, async (deployment) => {
+        const [info, held] = await Promise.all([
+            presaleService.getPresaleInfo(deployment.presaleAddress),
+            balanceOf(tokenAddr, deployment.presaleAddress),
+        ]);
+        return {
+            ...info,
+            presaleAddress: deployment.presaleAddress,
+            creator: deployment.creator,
+            held: held.toString(),
+        };
+    });
+}
+
+/**
+ * Split the total supply by where it sits.
+ * @param {string} totalSupply - raw units
+ * @param {{ locked: bigint, vesting: bigint, presale: bigint, airdrop: bigint }} held
+ * @returns {{ total: string, locked: string, vesting: string, presale: string,
+ *   airdrop: string, circulating: string }} raw-unit strings
+ */
+export function computeSupplyBreakdown(totalSupply, held) {
+    const total = BigInt(totalSupply || 0);
+    const inContracts = held.locked + held.vesting + held.presale + held.airdrop;
+    const circulating = total > inContracts ? total - inContracts : 0n;
+    return {
+        total: total.toString(),
+        locked: held.locked.toString(),
+        vesting: held.vesting.toString(),
+        presale: held.presale.toString(),
+        airdrop: held.airdrop.toString(),
+        circulating: circulating.toString(),
+    };
+}
+
+/**
+ * Load the full overview of a token.
+ *
+ * @param {string} tokenAddress - bech32 or 0x hex
+ * @returns {Promise<Object|null>} null if the token cannot be read. Shape:
+ *   { token, profile, deployer, owner, freeMint, presales, schedules, locks, airdrops, supply }
+ *   token is getTokenInfo() plus maxSupply, burnEnabled, paused and isTemplate;
+ *   profile is a loadTokenProfile() result (null without one);
+ *   deployer/owner are null for tokens not deployed by the factory
+ */
+export async function loadTokenOverview(tokenAddress) {
+    const provider = opnetProvider.getProvider();
+    const network = opnetProvider.getNetwork();
+
+    const [info, adminInfo] = await Promise.all([
+        tokenService.getTokenInfo(tokenAddress, provider, network),
+        tokenService.getTokenAdminInfo(tokenAddress),
+    ]);
+    if (!info) return null;
+
+    const tokenAddr = await resolveAddress(tokenAddress, true);
+    const tokenHex = toHex(tokenAddr.toHex());
+    const matches = (record) => toHex(record.token) === tokenHex;
+
+    const [profile, deployer, owner, freeMint, presales, schedules, locks, airdrops] = await Promise.all([
+        loadTokenProfile(tokenAddress),
+        factoryService.getTokenDeployer(tokenAddress),
+        factoryService.getTokenOwner(tokenAddress),
+        freeMintService.getFreeMintInfo(tokenAddress),
+        loadPresales(tokenAddr, tokenHex),
+        vestingService.getAllSchedules().then(list => list.filter(matches)),
+        liquidityLockService.getAllLocks().then(list => list.filter(matches)),
+        airdropService.getAllAirdrops().then(list => list.filter(matches)),
+    ]);
+
+    const [locked, vesting, airdrop] = await Promise.all([
+        locks.length ? balanceOf(tokenAddr, CONTRACTS.lock) : 0n,
+        schedules.length ? balanceOf(tokenAddr, CONTRACTS.vesting) : 0n,
+        airdrops.length ? balanceOf(tokenAddr, CONTRACTS.airdrop) : 0n,
+    ]);
+    const presale = presales.reduce((sum, p) => sum + BigInt(p.held), 0n);
+
+    return {
+        token: {
+            ...info,
+            maxSupply: adminInfo?.maxSupply || null,
+            burnEnabled: adminInfo?.burnEnabled ?? false,
+            paused: adminInfo?.paused ?? false,
+            isTemplate: adminInfo?.isTemplate ?? false,
+        },
+        profile,
+        deployer: toOptionalHex(deployer),
+        owner: toOptionalHex(owner),
+        freeMint: freeMint?.enabled ? freeMint : null,
+        presales,
+        schedules,
+        locks,
+        airdrops,
+        supply: computeSupplyBreakdown(info.totalSupply, { locked, vesting, presale, airdrop }),
+    };
+}
@@ -0,0 +1,381 @@
+// BitLaunch - Token Profiles
+// Off-chain metadata for a token (logo, description, links), signed by the
+// token owner's wallet.
+//
+// Profile format (version 1):
+// {
+//   format: 'bitlaunch-token-profile',
+//   version: 1,
+//   network,
+//   token:       0x hex            - token contract
+//   logo:        https:// | ipfs:// URL, or ''
+//   description: string           - at most MAX_DESCRIPTION_LENGTH characters
+//   links:       { website, twitter, telegram, discord, github } - URLs or ''
+//   updatedAt:   ms
+//   signer:      wallet address (bech32) that signed
+//   signature:   { publicKey: hex, signature: hex } | null
+// }
+//
+// A profile is verified when the signature checks out against its public key,
+// that key belongs to `signer`, and `signer` is the owner the token contract
+// reports (getTokenOwner). Anything else is still shown, marked unverified.
+//
+// Profiles are read from a pluggable backend: by default the static registry
+// at TOKEN_PROFILES_URL ({ format, version, profiles: [...] } in public/);
+// scripts and tests use createFileProfileStore() from the Node SDK helpers.
+
+import { MessageSigner } from '@btc-vision/transaction';
+import { bytesToHex, hexToBytes } from './merkleTree.js';
+import { resolveAddress } from './addressHelper.js';
+import { tokenService } from './TokenService.js';
+import { getActiveNetworkId } from './networks.js';
+import { TOKEN_PROFILES_URL, IPFS_GATEWAY } from './contracts.js';
+import { downloadJson } from './exportHelper.js';
+
+export const PROFILE_FORMAT = 'bitlaunch-token-profile';
+export const PROFILE_VERSION = 1;
+export const REGISTRY_FORMAT = 'bitlaunch-token-profiles';
+export const MAX_DESCRIPTION_LENGTH = 500;
+
+/** Link fields a profile may carry, in display order. */
+export const PROFILE_LINKS = [
+    { key: 'website', label: 'Website' },
+    { key: 'twitter', label: 'X / Twitter' },
+    { key: 'telegram', label: 'Telegram' },
+    { key: 'discord', label: 'Discord' },
+    { key: 'github', label: 'GitHub' },
+];
+
+/**
+ * @typedef {Object} ProfileBackend
+ * @property {() => Promise<Object[]>} list - every stored profile, any network
+ * @property {(profile: Object) => Promise<void>} [save] - omitted by read-only backends
+ */
+
+/**
+ * @typedef {Object} ProfileResult
+ * @property {Object} profile
+ * @property {boolean} verified
+ * @property {string|null} reason - why the profile is not verified
+ */
+
+function normalizeHex(hex) {
+    return (hex || '').toLowerCase().replace(/^0x/, '');
+}
+
+/**
+ * Read-only backend over a static JSON registry.
+ * @param {string} url
+ * @returns {ProfileBackend}
+ */
+export function createStaticProfileRegistry(url) {
+    return {
+        async list() {
+            try {
+                const res = await fetch(url, { headers: { Accept: 'application/json' } });
+                if (!res.ok) return [];
+                const registry = await res.json();
+                return Array.isArray(registry?.profiles) ? registry.profiles : [];
+            } catch (err) {
+                console.warn('Token profile registry unavailable:', err.message);
+                return [];
+            }
+        },
+    };
+}
+
+let backend = createStaticProfileRegistry(TOKEN_PROFILES_URL);
+let profilesPromise = null;
+const results = new Map();
+
+/**
+ * Replace where profiles are read from (and saved to, if the backend can).
+ * @param {ProfileBackend|null} next - null restores the static registry
+ */
+export function setProfileBackend(next) {
+    backend = next || createStaticProfileRegistry(TOKEN_PROFILES_URL);
+    reloadTokenProfiles();
+}
+
+/**
+ * Forget loaded profiles and verification results; the next lookup reads the backend again.
+ */
+export function reloadTokenProfiles() {
+    profilesPromise = null;
+    results.clear();
+}
+
+/**
+ * Whether the active backend can store profiles (the static registry cannot).
+ * @returns {boolean}
+ */
+export function canSaveTokenProfiles() {
+    return typeof backend.save === 'function';
+}
+
+const profileKey = (network, tokenHex) => `${network}:${normalizeHex(tokenHex)}`;
+
+/** Profiles grouped by network and token, newest first. */
+function loadProfiles() {
+    if (!profilesPromise) {
+        profilesPromise = backend.list()
+            .then((profiles) => {
+                const byToken = new Map();
+                for (const profile of profiles) {
+                    if (profile?.format !== PROFILE_FORMAT || !profile.token) continue;
+                    const key = profileKey(profile.network, profile.token);
+                    if (!byToken.has(key)) byToken.set(key, []);
+                    byToken.get(key).push(profile);
+                }
+                for (const list of byToken.values()) {
+                    list.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+                }
+                return byToken;
+            })
+            .catch((err) => {
+                console.warn('Failed to load token profiles:', err.message);
+                profilesPromise = null;
+                return new Map();
+            });
+    }
+    return profilesPromise;
+}
+
+/**
+ * Fields covered by the signature, in a fixed order.
+ */
+function signedPayload(profile) {
+    return JSON.stringify({
+        format: profile.format,
+        version: profile.version,
+        network: profile.network,
+        token: profile.token,
+        logo: profile.logo,
+        description: profile.description,
+        links: PROFILE_LINKS.map(({ key }) => profile.links?.[key] || ''),
+        updatedAt: profile.updatedAt,
+        signer: profile.signer,
+    });
+}
+
+/**
+ * A URL safe to render as a link or image: http(s), or ipfs:// through the gateway.
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function safeProfileUrl(url) {
+    const value = String(url || '').trim();
+    if (!value) return null;
+    if (value.startsWith('ipfs://')) return `${IPFS_GATEWAY}${value.slice('ipfs://'.length)}`;
+    try {
+        const parsed = new URL(value);
+        return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.href : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Links of a profile that can be rendered, in display order.
+ * @param {Object} profile
+ * @returns {Array<{ key: string, label: string, url: string }>}
+ */
+export function getProfileLinks(profile) {
+    return PROFILE_LINKS
+        .map(({ key, label }) => ({ key, label, url: safeProfileUrl(profile?.links?.[key]) }))
+        .filter(link => link.url);
+}
+
+/**
+ * Build an (unsigned) profile for a token.
+ *
+ * @param {Object} params
+ * @param {string} params.token - bech32 or 0x hex token address
+ * @param {string} params.signer - wallet address that will sign
+ * @param {string} [params.logo]
+ * @param {string} [params.description]
+ * @param {Object} [params.links] - { website, twitter, telegram, discord, github }
+ * @returns {Promise<Object>} profile
+ * @throws {Error} if a field is invalid
+ */
+export async function createTokenProfile({ token, signer, logo = '', description = '', links = {} }) {
+    if (!signer) throw new Error('Wallet address required');
+    const trimmedDescription = description.trim();
+    if (trimmedDescription.length > MAX_DESCRIPTION_LENGTH) {
+        throw new Error(`Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    if (logo.trim() && !safeProfileUrl(logo)) throw new Error('Logo must be an https:// or ipfs:// URL');
+
+    const profileLinks = {};
+    for (const { key, label } of PROFILE_LINKS) {
+        const url = (links[key] || '').trim();
+        if (url && !safeProfileUrl(url)) throw new Error(`${label} must be an https:// URL`);
+        profileLinks[key] = url;
+    }
+
+    const tokenAddr = await resolveAddress(token, true);
+    return {
+        format: PROFILE_FORMAT,
+        version: PROFILE_VERSION,
+        network: getActiveNetworkId(),
+        token: tokenAddr.toHex().toLowerCase(),
+        logo: logo.trim(),
+        description: trimmedDescription,
+        links: profileLinks,
+        updatedAt: Date.now(),
+        signer,
+        signature: null,
+    };
+}
+
+/**
+ * Sign a profile with the connected OP_WALLET, or with a local keypair in scripts.
+ * @param {Object} profile
+ * @param {string} publicKey - wallet public key (hex), stored so others can verify
+ * @param {Object} [keypair] - local signer; omit to sign through the wallet extension
+ * @returns {Promise<Object>} signed profile
+ */
+export async function signTokenProfile(profile, publicKey, keypair) {
+    if (!publicKey) throw new Error('Wallet public key required to sign the profile');
+    const signed = await MessageSigner.signMessageAuto(signedPayload(profile), keypair);
+    return {
+        ...profile,
+        signature: {
+            publicKey: normalizeHex(publicKey),
+            signature: bytesToHex(signed.signature),
+        },
+    };
+}
+
+/**
+ * Check the profile signature against its embedded public key.
+ * OP_WALLET signs with the taproot-tweaked key, so both forms are accepted.
+ * @param {Object} profile
+ * @returns {boolean}
+ */
+export function verifyTokenProfileSignature(profile) {
+    if (!profile?.signature?.publicKey || !profile.signature.signature) return false;
+    try {
+        const publicKey = hexToBytes(profile.signature.publicKey);
+        const signature = hexToBytes(profile.signature.signature);
+        const payload = signedPayload(profile);
+        return MessageSigner.tweakAndVerifySignature(publicKey, payload, signature)
+            || MessageSigner.verifySignature(publicKey, payload, signature);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Every hex form the signer's classical key may take in a signature:
+ * compressed, x-only and taproot tweaked.
+ */
+function signerKeyForms(address) {
+    const forms = new Set();
+    const add = (getHex) => {
+        try {
+            const hex = normalizeHex(getHex());
+            if (hex) forms.add(hex);
+        } catch { /* form not available for this key */ }
+    };
+    add(() => bytesToHex(address.originalPublicKey));
+    add(() => bytesToHex(address.originalPublicKey).slice(2));
+    add(() => address.tweakedToHex());
+    return forms;
+}
+
+/**
+ * Verify a profile against the chain: signature, signer key, and token owner.
+ *
+ * @param {Object} profile
+ * @param {string} tokenAddress - bech32 or 0x hex of the token being shown
+ * @returns {Promise<{ verified: boolean, reason: string|null }>}
+ */
+export async function verifyTokenProfile(profile, tokenAddress) {
+    const fail = (reason) => ({ verified: false, reason });
+
+    if (!profile || profile.format !== PROFILE_FORMAT) return fail('Not a BitLaunch token profile');
+    if (profile.version !== PROFILE_VERSION) return fail(`Unsupported profile version ${profile.version}`);
+    if (profile.network !== getActiveNetworkId()) return fail(`Profile is for ${profile.network}`);
+
+    let tokenHex;
+    try {
+        tokenHex = normalizeHex((await resolveAddress(tokenAddress, true)).toHex());
+    } catch (err) {
+        return fail(`Token could not be resolved: ${err.message}`);
+    }
+    if (normalizeHex(profile.token) !== tokenHex) return fail('Profile is for a different token');
+    if (!profile.signature) return fail('Profile is not signed');
+    if (!verifyTokenProfileSignature(profile)) return fail('Profile signature does not match its contents');
+
+    const owner = await tokenService.getTokenOwner(tokenAddress);
+    if (!owner) return fail('Token has no owner to sign its profile');
+
+    let signer;
+    try {
+        signer = await resolveAddress(profile.signer, false);
+    } catch {
+        return fail('Signer address could not be resolved');
+    }
+    if (!signerKeyForms(signer).has(normalizeHex(profile.signature.publicKey))) {
+        return fail('Signing key does not belong to the signer address');
+    }
+    if (normalizeHex(signer.toHex()) !== normalizeHex(owner)) {
+        return fail('Signed by a wallet that does not own the token');
+    }
+
+    return { verified: true, reason: null };
+}
+
+/**
+ * The profile to show for a token: the newest one that verifies, otherwise the
+ * newest one marked unverified. Results are cached until reloadTokenProfiles().
+ *
+ * @param {string} tokenAddress - bech32 or 0x hex
+ * @returns {Promise<ProfileResult|null>} null when the token has no profile
+ */
+export async function loadTokenProfile(tokenAddress) {
+    let tokenHex;
+    try {
+        tokenHex = (await resolveAddress(tokenAddress, true)).toHex();
+    } catch {
+        return null;
+    }
+    const key = profileKey(getActiveNetworkId(), tokenHex);
+    if (results.has(key)) return results.get(key);
+
+    const candidates = (await loadProfiles()).get(key) || [];
+    let result = null;
+    for (const profile of candidates) {
+        const check = await verifyTokenProfile(profile, tokenAddress);
+        if (check.verified) {
+            result = { profile, ...check };
+            break;
+        }
+        if (!result) result = { profile, ...check };
+    }
+
+    results.set(key, result);
+    return result;
+}
+
+/**
+ * Store a signed profile through the active backend.
+ * @param {Object} profile
+ * @throws {Error} if the backend is read-only
+ */
+export async function saveTokenProfile(profile) {
+    if (!canSaveTokenProfiles()) {
+        throw new Error('The token profile registry is read-only. Download the profile and add it to token-profiles.json');
+    }
+    await backend.save(profile);
+    reloadTokenProfiles();
+}
+
+/**
+ * Trigger a browser download of the profile, for adding to a static registry.
+ * @param {Object} profile
+ */
+export function downloadTokenProfile(profile) {
+    downloadJson(`token-profile-${normalizeHex(profile.token).slice(0, 12)}.json`, profile);
+}
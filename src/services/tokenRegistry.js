@@ -1,5 +1,6 @@
 // BitLaunch - Token Address Registry
-// Caches bech32 → hex address mappings in localStorage.
+// Caches bech32 → hex address mappings in client storage, per network.
+// Mappings hold for any deployment, so they are not scoped to a contract.
 //
 // WHY: Factory-cloned contracts (tokens deployed via Factory.deployToken)
 // are NOT indexed by the RPC's getPublicKeyInfo endpoint. The P2OP bech32
@@ -8,19 +9,16 @@
 // the hex address returned during deployment or enumerated from the Factory.
 
 import { Address } from '@btc-vision/transaction';
+import { getJSON, setJSON, removeItem } from './storage.js';
 
-const STORAGE_KEY = 'bitlaunch_token_registry';
+const STORAGE_NAME = 'token_registry';
 
 /**
- * Get the registry object from localStorage.
+ * Get the registry object of the active network.
  * @returns {Object} Map of bech32 → hex addresses
  */
 function getRegistry() {
-    try {
-        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
-    } catch {
-        return {};
-    }
+    return getJSON(STORAGE_NAME, {});
 }
 
 /**
@@ -35,7 +33,7 @@ export function registerToken(bech32Address, hexAddress) {
     // Normalize hex to 0x prefix
     const hex = hexAddress.startsWith('0x') ? hexAddress : `0x${hexAddress}`;
     registry[bech32Address] = hex;
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(registry));
+    setJSON(STORAGE_NAME, registry);
 }
 
 /**
@@ -109,12 +107,12 @@ export function getAllRegisteredTokens() {
 export function unregisterToken(bech32Address) {
     const registry = getRegistry();
     delete registry[bech32Address];
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(registry));
+    setJSON(STORAGE_NAME, registry);
 }
 
 /**
- * Clear the entire registry.
+ * Clear the registry of the active network.
  */
 export function clearTokenRegistry() {
-    localStorage.removeItem(STORAGE_KEY);
+    removeItem(STORAGE_NAME);
 }
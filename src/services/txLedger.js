@@ -0,0 +1,462 @@
+// BitLaunch - Transaction Ledger
+// Single IndexedDB-backed history of every transaction sent from the app,
+// across all wallets. Replaces the old localStorage stores
+// (txHistory.js -> 'bitlaunch_tx_history', TransactionService -> 'bitlaunch_transactions'),
+// which are migrated once on first open.
+//
+// Records are tagged with the network they were sent on, and every query
+// only returns records of the active network (networks.js).
+//
+// Record schema:
+// {
+//   id:        string  - local id
+//   network:   string  - 'mainnet' | 'testnet' | 'regtest'
+//   type:      string  - one of TX_TYPES
+//   txHash:    string|null
+//   address:   string  - wallet that sent the tx (lowercased)
+//   contract:  string|null - contract the tx targeted (presale, token, ...)
+//   status:    'pending'|'confirmed'|'failed'|'dropped'
+//   details:   Object  - type-specific data (amounts, ids, symbols)
+//   timestamp: number  - ms, when recorded
+//   updatedAt: number  - ms, last status change
+// }
+
+import { NETWORK } from './contracts.js';
+import { getActiveNetworkId } from './networks.js';
+
+const DB_NAME = 'bitlaunch';
+// v1: transactions store; v2: network field + index
+const DB_VERSION = 2;
+const STORE = 'transactions';
+
+const LEGACY_HISTORY_KEY = 'bitlaunch_tx_history';
+const LEGACY_SERVICE_KEY = 'bitlaunch_transactions';
+
+/**
+ * Transaction types
+ */
+export const TX_TYPES = {
+    DEPLOY_TOKEN: 'deploy_token',
+    CREATE_PRESALE: 'create_presale',
+    CONTRIBUTE: 'contribute',
+    CLAIM_PRESALE: 'claim_presale',
+    FINALIZE_PRESALE: 'finalize_presale',
+    REFUND: 'refund',
+    TOGGLE_WHITELIST: 'toggle_whitelist',
+    WHITELIST_ADD: 'whitelist_add',
+    WHITELIST_REMOVE: 'whitelist_remove',
+    CREATE_VESTING: 'create_vesting',
+    CLAIM_VESTING: 'claim_vesting',
+    REVOKE_VESTING: 'revoke_vesting',
+    LOCK_TOKENS: 'lock_tokens',
+    UNLOCK_TOKENS: 'unlock_tokens',
+    PARTIAL_UNLOCK: 'partial_unlock',
+    TRANSFER_LOCK: 'transfer_lock',
+    CREATE_AIRDROP: 'create_airdrop',
+    CLAIM_AIRDROP: 'claim_airdrop',
+    CANCEL_AIRDROP: 'cancel_airdrop',
+    MINT_TOKENS: 'mint_tokens',
+    FREE_MINT: 'free_mint',
+    BURN_TOKENS: 'burn_tokens',
+    PAUSE_TOKEN: 'pause_token',
+    UNPAUSE_TOKEN: 'unpause_token',
+    GRANT_MINTER: 'grant_minter',
+    REVOKE_MINTER: 'revoke_minter',
+    TRANSFER_TOKEN_OWNER: 'transfer_token_owner',
+    RENOUNCE_TOKEN_OWNER: 'renounce_token_owner',
+    PAUSE_FACTORY: 'pause_factory',
+    UNPAUSE_FACTORY: 'unpause_factory',
+    SET_TEMPLATE: 'set_template',
+    TRANSFER_CONTRACT_OWNER: 'transfer_contract_owner',
+    UPDATE_TOKEN_OWNER: 'update_token_owner',
+    SET_PLATFORM_WALLET: 'set_platform_wallet',
+    SET_PLATFORM_FEE: 'set_platform_fee',
+    APPROVE: 'approve',
+    TRANSFER: 'transfer',
+};
+
+/**
+ * Human-readable labels for tx types
+ */
+export const TX_LABELS = {
+    [TX_TYPES.DEPLOY_TOKEN]: 'Deploy Token',
+    [TX_TYPES.CREATE_PRESALE]: 'Create Presale',
+    [TX_TYPES.CONTRIBUTE]: 'Presale Contribution',
+    [TX_TYPES.CLAIM_PRESALE]: 'Claim Presale Tokens',
+    [TX_TYPES.FINALIZE_PRESALE]: 'Finalize Presale',
+    [TX_TYPES.REFUND]: 'Presale Refund',
+    [TX_TYPES.TOGGLE_WHITELIST]: 'Toggle Presale Whitelist',
+    [TX_TYPES.WHITELIST_ADD]: 'Whitelist Addresses',
+    [TX_TYPES.WHITELIST_REMOVE]: 'Remove from Whitelist',
+    [TX_TYPES.CREATE_VESTING]: 'Create Vesting',
+    [TX_TYPES.CLAIM_VESTING]: 'Claim Vesting',
+    [TX_TYPES.REVOKE_VESTING]: 'Revoke Vesting',
+    [TX_TYPES.LOCK_TOKENS]: 'Lock Tokens',
+    [TX_TYPES.UNLOCK_TOKENS]: 'Unlock Tokens',
+    [TX_TYPES.PARTIAL_UNLOCK]: 'Partial Unlock',
+    [TX_TYPES.TRANSFER_LOCK]: 'Transfer Lock',
+    [TX_TYPES.CREATE_AIRDROP]: 'Create Airdrop',
+    [TX_TYPES.CLAIM_AIRDROP]: 'Claim Airdrop',
+    [TX_TYPES.CANCEL_AIRDROP]: 'Cancel Airdrop',
+    [TX_TYPES.MINT_TOKENS]: 'Mint Tokens',
+    [TX_TYPES.FREE_MINT]: 'Free Mint',
+    [TX_TYPES.BURN_TOKENS]: 'Burn Tokens',
+    [TX_TYPES.PAUSE_TOKEN]: 'Pause Token',
+    [TX_TYPES.UNPAUSE_TOKEN]: 'Unpause Token',
+    [TX_TYPES.GRANT_MINTER]: 'Grant Minter Role',
+    [TX_TYPES.REVOKE_MINTER]: 'Revoke Minter Role',
+    [TX_TYPES.TRANSFER_TOKEN_OWNER]: 'Transfer Token Ownership',
+    [TX_TYPES.RENOUNCE_TOKEN_OWNER]: 'Renounce Token Ownership',
+    [TX_TYPES.PAUSE_FACTORY]: 'Pause Factory',
+    [TX_TYPES.UNPAUSE_FACTORY]: 'Unpause Factory',
+    [TX_TYPES.SET_TEMPLATE]: 'Set Factory Template',
+    [TX_TYPES.TRANSFER_CONTRACT_OWNER]: 'Transfer Contract Ownership',
+    [TX_TYPES.UPDATE_TOKEN_OWNER]: 'Update Token Owner Record',
+    [TX_TYPES.SET_PLATFORM_WALLET]: 'Set Platform Wallet',
+    [TX_TYPES.SET_PLATFORM_FEE]: 'Set Platform Fee',
+    [TX_TYPES.APPROVE]: 'Token Approval',
+    [TX_TYPES.TRANSFER]: 'Token Transfer',
+};
+
+/**
+ * TransactionService used its own type names; map them onto TX_TYPES.
+ */
+const LEGACY_TYPE_MAP = {
+    deploy: TX_TYPES.DEPLOY_TOKEN,
+    contribution: TX_TYPES.CONTRIBUTE,
+    claim: TX_TYPES.CLAIM_PRESALE,
+    refund: TX_TYPES.REFUND,
+    transfer: TX_TYPES.TRANSFER,
+};
+
+let dbPromise = null;
+
+function newId() {
+    return `tx_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function normalizeAddress(address) {
+    return (address || '').toLowerCase();
+}
+
+/**
+ * Pick the contract a record belongs to from its details when the caller
+ * did not pass one explicitly.
+ */
+function deriveContract(details) {
+    return details.presaleAddress || details.contractAddress || details.tokenAddress || null;
+}
+
+function readLegacy(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key) || '[]');
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Convert both legacy localStorage stores into ledger records.
+ * txHistory entries win when both stores hold the same txHash. The legacy
+ * stores were not network-aware; they were written on the default network.
+ */
+function buildMigrationRecords() {
+    const records = [];
+    const seenHashes = new Set();
+
+    for (const e of readLegacy(LEGACY_HISTORY_KEY)) {
+        if (e.txHash) seenHashes.add(e.txHash);
+        const details = e.details || {};
+        records.push({
+            id: e.id || newId(),
+            network: NETWORK,
+            type: e.type,
+            txHash: e.txHash || null,
+            address: normalizeAddress(e.address),
+            contract: deriveContract(details),
+            status: e.status || 'pending',
+            details,
+            timestamp: e.timestamp || Date.now(),
+            updatedAt: e.timestamp || Date.now(),
+        });
+    }
+
+    for (const e of readLegacy(LEGACY_SERVICE_KEY)) {
+        if (e.txHash && seenHashes.has(e.txHash)) continue;
+        records.push({
+            id: e.id || newId(),
+            network: NETWORK,
+            type: LEGACY_TYPE_MAP[e.type] || e.type,
+            txHash: e.txHash || null,
+            address: normalizeAddress(e.userAddress),
+            contract: e.contractAddress || null,
+            status: e.status === 'completed' ? 'confirmed' : (e.status || 'confirmed'),
+            details: {
+                ...(e.metadata || {}),
+                amount: e.amount ?? null,
+                tokenAmount: e.tokenAmount ?? null,
+                tokenSymbol: e.tokenSymbol ?? null,
+                presaleId: e.presaleId ?? null,
+            },
+            timestamp: e.timestamp || Date.now(),
+            updatedAt: e.updatedAt || e.timestamp || Date.now(),
+        });
+    }
+
+    return records;
+}
+
+function openDB() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        let migrated = false;
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            if (event.oldVersion < 1) {
+                const store = db.createObjectStore(STORE, { keyPath: 'id' });
+                store.createIndex('wallet', 'address');
+                store.createIndex('contract', 'contract');
+                store.createIndex('type', 'type');
+                store.createIndex('status', 'status');
+                store.createIndex('txHash', 'txHash');
+                store.createIndex('timestamp', 'timestamp');
+
+                // One-time import of the legacy localStorage stores
+                for (const record of buildMigrationRecords()) {
+                    store.put(record);
+                }
+                migrated = true;
+            }
+            if (event.oldVersion < 2) {
+                const store = request.transaction.objectStore(STORE);
+                store.createIndex('network', 'network');
+                // Records written before v2 were sent on the default network
+                if (event.oldVersion >= 1) {
+                    store.openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor) return;
+                        if (!cursor.value.network) cursor.update({ ...cursor.value, network: NETWORK });
+                        cursor.continue();
+                    };
+                }
+            }
+        };
+
+        request.onsuccess = () => {
+            // Upgrade transaction has committed by now; safe to drop legacy keys
+            if (migrated) {
+                localStorage.removeItem(LEGACY_HISTORY_KEY);
+                localStorage.removeItem(LEGACY_SERVICE_KEY);
+            }
+            resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+    }).catch((err) => {
+        dbPromise = null;
+        throw err;
+    });
+
+    return dbPromise;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function getStore(mode = 'readonly') {
+    const db = await openDB();
+    return db.transaction(STORE, mode).objectStore(STORE);
+}
+
+async function getAllByIndex(index, value) {
+    const store = await getStore();
+    return promisify(store.index(index).getAll(value));
+}
+
+function newestFirst(records) {
+    return records.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Apply the optional filters shared by the query helpers. Records of other
+ * networks are always dropped.
+ * @param {Array} records
+ * @param {{ type?: string, status?: string, contract?: string, limit?: number }} options
+ */
+function applyFilters(records, options = {}) {
+    const network = getActiveNetworkId();
+    let result = records.filter(r => r.network === network);
+    if (options.type) result = result.filter(r => r.type === options.type);
+    if (options.status) result = result.filter(r => r.status === options.status);
+    if (options.contract) result = result.filter(r => r.contract === options.contract);
+    newestFirst(result);
+    if (options.limit) result = result.slice(0, options.limit);
+    return result;
+}
+
+/**
+ * Record a new transaction.
+ * @param {{
+ *   type: string,
+ *   txHash: string|null,
+ *   address: string,
+ *   contract?: string,
+ *   details: Object,
+ *   status?: 'pending'|'confirmed'|'failed',
+ * }} entry
+ * @returns {Promise<Object|null>} the stored record, or null if storage failed
+ */
+export async function recordTransaction(entry) {
+    const details = entry.details || {};
+    const now = Date.now();
+    const record = {
+        id: newId(),
+        network: getActiveNetworkId(),
+        type: entry.type,
+        txHash: entry.txHash || null,
+        address: normalizeAddress(entry.address),
+        contract: entry.contract || deriveContract(details),
+        status: entry.status || 'pending',
+        details,
+        timestamp: now,
+        updatedAt: now,
+    };
+
+    try {
+        const store = await getStore('readwrite');
+        await promisify(store.put(record));
+        return record;
+    } catch (err) {
+        console.warn('recordTransaction failed:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Get transactions sent by a wallet, newest first.
+ * @param {string} address
+ * @param {{ type?: string, status?: string, contract?: string, limit?: number }} [options]
+ * @returns {Promise<Array>}
+ */
+export async function getTransactions(address, options = {}) {
+    if (!address) return [];
+    try {
+        const records = await getAllByIndex('wallet', normalizeAddress(address));
+        return applyFilters(records, options);
+    } catch (err) {
+        console.warn('getTransactions failed:', err.message);
+        return [];
+    }
+}
+
+/**
+ * Get transactions that targeted a contract, newest first.
+ * @param {string} contract
+ * @param {{ type?: string, status?: string, limit?: number }} [options]
+ * @returns {Promise<Array>}
+ */
+export async function getTransactionsByContract(contract, options = {}) {
+    if (!contract) return [];
+    try {
+        const records = await getAllByIndex('contract', contract);
+        return applyFilters(records, options);
+    } catch (err) {
+        console.warn('getTransactionsByContract failed:', err.message);
+        return [];
+    }
+}
+
+/**
+ * Get transactions of a given type (any wallet), newest first.
+ * @param {string} type
+ * @param {{ status?: string, contract?: string, limit?: number }} [options]
+ * @returns {Promise<Array>}
+ */
+export async function getTransactionsByType(type, options = {}) {
+    try {
+        const records = await getAllByIndex('type', type);
+        return applyFilters(records, options);
+    } catch (err) {
+        console.warn('getTransactionsByType failed:', err.message);
+        return [];
+    }
+}
+
+/**
+ * Get transactions in a given status (any wallet), newest first.
+ * @param {'pending'|'confirmed'|'failed'|'dropped'} status
+ * @param {{ type?: string, contract?: string, limit?: number }} [options]
+ * @returns {Promise<Array>}
+ */
+export async function getTransactionsByStatus(status, options = {}) {
+    try {
+        const records = await getAllByIndex('status', status);
+        return applyFilters(records, options);
+    } catch (err) {
+        console.warn('getTransactionsByStatus failed:', err.message);
+        return [];
+    }
+}
+
+/**
+ * Get all transactions (any wallet) on the active network, newest first.
+ * @returns {Promise<Array>}
+ */
+export async function getAllTransactions() {
+    try {
+        return newestFirst(await getAllByIndex('network', getActiveNetworkId()));
+    } catch (err) {
+        console.warn('getAllTransactions failed:', err.message);
+        return [];
+    }
+}
+
+/**
+ * Update a transaction's status by txHash.
+ * @param {string} txHash
+ * @param {'pending'|'confirmed'|'failed'|'dropped'} status
+ * @param {Object} [extra] - additional fields merged into the record (e.g. blockNumber)
+ * @returns {Promise<Object|null>} the updated record
+ */
+export async function updateTransactionStatus(txHash, status, extra = {}) {
+    if (!txHash) return null;
+    try {
+        const store = await getStore('readwrite');
+        const record = await promisify(store.index('txHash').get(txHash));
+        if (!record) return null;
+        const updated = { ...record, ...extra, status, updatedAt: Date.now() };
+        await promisify(store.put(updated));
+        return updated;
+    } catch (err) {
+        console.warn('updateTransactionStatus failed:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Clear transaction history of the active network — for one wallet, or every
+ * wallet if no address given.
+ * @param {string} [address]
+ */
+export async function clearTransactionHistory(address) {
+    try {
+        const records = address
+            ? applyFilters(await getAllByIndex('wallet', normalizeAddress(address)))
+            : await getAllByIndex('network', getActiveNetworkId());
+        const store = await getStore('readwrite');
+        await Promise.all(records.map(r => promisify(store.delete(r.id))));
+    } catch (err) {
+        console.warn('clearTransactionHistory failed:', err.message);
+    }
+}
@@ -0,0 +1,224 @@
+// BitLaunch - Unified Transaction Sender
+// Every contract write goes through sendSimulation() so the fee rate and the
+// sat spending ceiling are chosen in one place instead of per service.
+//
+// Fee rate: a preset (slow / normal / fast) backed by the provider's
+// gasParameters() estimate, or a custom sat/vB value picked by the user.
+// Sat budget: a per-action ceiling (maximumAllowedSatToSpend), overridable
+// from the FeePicker component. Actions are keyed `<contract>.<method>`
+// (e.g. `presale.claimTokens`, `airdrop.claim`) because several contracts
+// share method names.
+//
+// Signing: the browser wallet by default (signer: null). Headless callers
+// inject local keys with setTransactionSigner().
+
+import { opnetProvider } from './opnetProvider.js';
+import { invalidateSimulation } from './readCache.js';
+
+const STORAGE_KEY = 'bitlaunch_fee_settings';
+const ESTIMATE_TTL_MS = 60 * 1000;
+
+export const FEE_PRESETS = {
+    SLOW: 'slow',
+    NORMAL: 'normal',
+    FAST: 'fast',
+    CUSTOM: 'custom',
+};
+
+/**
+ * Fee rates (sat/vB) used when the provider cannot return an estimate.
+ * NORMAL matches the rate every service used before fee selection existed.
+ */
+const FALLBACK_FEE_RATES = {
+    [FEE_PRESETS.SLOW]: 5,
+    [FEE_PRESETS.NORMAL]: 10,
+    [FEE_PRESETS.FAST]: 20,
+};
+
+export const DEFAULT_SAT_BUDGET = 50000n;
+
+/**
+ * Default sat ceilings for actions that need more than DEFAULT_SAT_BUDGET.
+ */
+const ACTION_SAT_BUDGETS = {
+    'factory.deployToken': 100000n,
+    'presale.addBatchToWhitelist': 100000n,
+};
+
+/**
+ * Overrides saved before keys were namespaced (`claim`, `pause`, ...) could
+ * belong to any contract, so they are dropped rather than guessed.
+ */
+function namespacedBudgets(satBudgets) {
+    return Object.fromEntries(Object.entries(satBudgets || {}).filter(([key]) => key.includes('.')));
+}
+
+let estimateCache = null;
+let estimateFetchedAt = 0;
+let txSigner = null;
+const listeners = new Set();
+
+function loadSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return {
+            preset: stored.preset || FEE_PRESETS.NORMAL,
+            customFeeRate: stored.customFeeRate || '',
+            satBudgets: namespacedBudgets(stored.satBudgets),
+        };
+    } catch {
+        return { preset: FEE_PRESETS.NORMAL, customFeeRate: '', satBudgets: {} };
+    }
+}
+
+let settings = loadSettings();
+
+/**
+ * Get the current fee settings chosen by the user.
+ * @returns {{ preset: string, customFeeRate: string, satBudgets: Object<string, string> }}
+ */
+export function getFeeSettings() {
+    return settings;
+}
+
+/**
+ * Update fee settings (partial) and persist them.
+ * @param {{ preset?: string, customFeeRate?: string, satBudgets?: Object<string, string> }} update
+ */
+export function setFeeSettings(update) {
+    settings = { ...settings, ...update };
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch {
+        // no persistent storage (Node); settings last for this process
+    }
+    listeners.forEach(fn => fn(settings));
+}
+
+/**
+ * Subscribe to fee setting changes.
+ * @param {function} fn
+ * @returns {function} unsubscribe
+ */
+export function subscribeFeeSettings(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+/**
+ * Fetch fee rate estimates (sat/vB) for each preset from the provider.
+ * Cached for ESTIMATE_TTL_MS; falls back to FALLBACK_FEE_RATES on error.
+ * @param {Object} [provider] - OPNet provider (defaults to the shared one)
+ * @returns {Promise<{ slow: number, normal: number, fast: number }>}
+ */
+export async function getFeeEstimates(provider) {
+    if (estimateCache && Date.now() - estimateFetchedAt < ESTIMATE_TTL_MS) {
+        return estimateCache;
+    }
+
+    try {
+        const p = provider || opnetProvider.getProvider();
+        const params = await p.gasParameters();
+        const rec = params?.bitcoin?.recommended;
+        if (!rec) throw new Error('No fee recommendation returned');
+
+        const pick = (value, preset) => {
+            const n = Number(value);
+            return n > 0 ? Math.ceil(n) : FALLBACK_FEE_RATES[preset];
+        };
+
+        estimateCache = {
+            [FEE_PRESETS.SLOW]: pick(rec.low, FEE_PRESETS.SLOW),
+            [FEE_PRESETS.NORMAL]: pick(rec.medium, FEE_PRESETS.NORMAL),
+            [FEE_PRESETS.FAST]: pick(rec.high, FEE_PRESETS.FAST),
+        };
+        estimateFetchedAt = Date.now();
+        return estimateCache;
+    } catch (err) {
+        console.warn('getFeeEstimates failed, using fallback rates:', err.message);
+        return { ...FALLBACK_FEE_RATES };
+    }
+}
+
+/**
+ * Resolve the fee rate (sat/vB) for the current settings.
+ * @param {Object} [provider]
+ * @returns {Promise<number>}
+ */
+export async function resolveFeeRate(provider) {
+    if (settings.preset === FEE_PRESETS.CUSTOM) {
+        const custom = Number(settings.customFeeRate);
+        if (custom > 0) return custom;
+    }
+    const estimates = await getFeeEstimates(provider);
+    return estimates[settings.preset] || estimates[FEE_PRESETS.NORMAL];
+}
+
+/**
+ * Resolve the sat ceiling for an action: user override, then the action's
+ * default, then the global default.
+ * @param {string} [action]
+ * @returns {bigint}
+ */
+export function resolveSatBudget(action) {
+    const override = action ? settings.satBudgets[action] : null;
+    if (override) {
+        try {
+            const value = BigInt(override);
+            if (value > 0n) return value;
+        } catch { /* fall through to defaults */ }
+    }
+    return ACTION_SAT_BUDGETS[action] || DEFAULT_SAT_BUDGET;
+}
+
+/**
+ * Default sat ceiling for an action, ignoring user overrides.
+ * @param {string} [action]
+ * @returns {bigint}
+ */
+export function getDefaultSatBudget(action) {
+    return ACTION_SAT_BUDGETS[action] || DEFAULT_SAT_BUDGET;
+}
+
+/**
+ * Sign transactions with local keys instead of the browser wallet.
+ * @param {{ signer: Object, mldsaSigner: Object }|null} keys - ECPair and ML-DSA
+ *   keypairs (e.g. from a mnemonic); null goes back to the wallet
+ */
+export function setTransactionSigner(keys) {
+    txSigner = keys || null;
+}
+
+/**
+ * Sign and broadcast a simulated contract call through the wallet
+ * (or the keys set with setTransactionSigner()).
+ *
+ * @param {Object} simulation - result of a contract method call (already checked for revert)
+ * @param {Object} opts
+ * @param {string}  opts.refundTo          - bech32 refund address
+ * @param {Object}  opts.network           - Bitcoin network
+ * @param {string}  [opts.action]          - sat ceiling key, `<contract>.<method>`
+ * @param {Object}  [opts.provider]        - provider used for fee estimates
+ * @param {Array}   [opts.optionalOutputs] - extra outputs (e.g. platform fee)
+ * @returns {Promise<Object>} wallet receipt
+ */
+export async function sendSimulation(simulation, {
+    refundTo, network, action, provider, optionalOutputs,
+}) {
+    const feeRate = await resolveFeeRate(provider);
+    const maximumAllowedSatToSpend = resolveSatBudget(action);
+
+    const receipt = await simulation.sendTransaction({
+        signer: txSigner?.signer ?? null,
+        mldsaSigner: txSigner?.mldsaSigner ?? null,
+        refundTo,
+        feeRate,
+        maximumAllowedSatToSpend,
+        network,
+        ...(optionalOutputs ? { optionalOutputs } : {}),
+    });
+
+    // Cached reads of the written contract are stale from here on
+    invalidateSimulation(simulation);
+    return receipt;
+}
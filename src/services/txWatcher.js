@@ -0,0 +1,177 @@
+// BitLaunch - Background Transaction Watcher
+// Reconciles 'pending' ledger entries independently of which page is mounted.
+//
+// Each pending entry is checked on its own backoff schedule:
+//   receipt found         -> 'confirmed' (or 'failed' if the receipt reverted)
+//   in mempool            -> still pending, check again later
+//   neither, for N blocks -> 'dropped'
+// Only a definite not-found from the mempool counts toward the drop window; a
+// failed mempool lookup skips the check for that round. Entries dropped in the
+// last day keep being checked for a receipt, which overrides 'dropped'.
+// Listeners (see PendingTxWatcher.jsx) are notified on every status change.
+
+import { opnetProvider } from './opnetProvider.js';
+import { getTransactionsByStatus, updateTransactionStatus } from './txLedger.js';
+import { noteBlockHeight } from './readCache.js';
+
+const TICK_INTERVAL = 5000;          // how often the due-list is scanned
+const BASE_BACKOFF = 5000;           // first re-check delay per entry
+const MAX_BACKOFF = 2 * 60 * 1000;   // cap per-entry delay at 2 minutes
+const DROP_AFTER_BLOCKS = 6;         // missing from mempool + no receipt for this many blocks
+const DROPPED_RECHECK_MS = 24 * 60 * 60 * 1000; // keep looking for receipts of dropped entries this long
+
+class TxWatcher {
+    constructor() {
+        this._timer = null;
+        this._running = false;
+        this._ticking = false;
+        // txHash -> { attempts, nextCheckAt, missingSinceBlock }
+        this._state = new Map();
+        this._listeners = new Set();
+    }
+
+    /**
+     * Start polling. Safe to call more than once.
+     */
+    start() {
+        if (this._running) return;
+        this._running = true;
+        this._tick();
+        this._timer = setInterval(() => this._tick(), TICK_INTERVAL);
+    }
+
+    /**
+     * Stop polling and forget per-entry backoff state.
+     */
+    stop() {
+        this._running = false;
+        clearInterval(this._timer);
+        this._timer = null;
+        this._state.clear();
+    }
+
+    /**
+     * Subscribe to status changes.
+     * A 'dropped' entry may later be reported 'confirmed' or 'failed'.
+     * @param {(record: Object, status: 'confirmed'|'failed'|'dropped') => void} fn
+     * @returns {function} unsubscribe
+     */
+    subscribe(fn) {
+        this._listeners.add(fn);
+        return () => this._listeners.delete(fn);
+    }
+
+    async _tick() {
+        if (this._ticking) return;
+        this._ticking = true;
+        try {
+            const now = Date.now();
+            const pending = (await getTransactionsByStatus('pending')).filter(r => r.txHash);
+            const dropped = (await getTransactionsByStatus('dropped'))
+                .filter(r => r.txHash && now - r.updatedAt < DROPPED_RECHECK_MS);
+            const due = [...pending, ...dropped].filter(r => (this._state.get(r.txHash)?.nextCheckAt || 0) <= now);
+            if (due.length === 0) return;
+
+            const provider = opnetProvider.getProvider();
+            if (!provider) return;
+
+            let currentBlock = 0;
+            try {
+                currentBlock = Number(await provider.getBlockNumber());
+                noteBlockHeight(currentBlock);
+            } catch {
+                // Block height only matters for drop detection
+            }
+
+            for (const record of due) {
+                if (!this._running) break;
+                if (record.status === 'dropped') {
+                    await this._recheckDropped(provider, record);
+                } else {
+                    await this._check(provider, record, currentBlock);
+                }
+            }
+        } catch (err) {
+            console.warn('TxWatcher tick failed:', err.message);
+        } finally {
+            this._ticking = false;
+        }
+    }
+
+    /**
+     * Resolve the entry from its receipt, if it has been mined.
+     * @returns {Promise<boolean>} true if resolved
+     */
+    async _resolveFromReceipt(provider, record) {
+        try {
+            const receipt = await provider.getTransactionReceipt(record.txHash);
+            if (!receipt) return false;
+            const status = receipt.revert ? 'failed' : 'confirmed';
+            await this._resolve(record, status, receipt.revert ? { error: String(receipt.revert) } : {});
+            return true;
+        } catch {
+            // Not mined yet
+            return false;
+        }
+    }
+
+    async _check(provider, record, currentBlock) {
+        const { txHash } = record;
+        const entry = this._state.get(txHash) || { attempts: 0, nextCheckAt: 0, missingSinceBlock: null };
+
+        // 1) Receipt means the tx was mined
+        if (await this._resolveFromReceipt(provider, record)) return;
+
+        // 2) Still in the mempool; null is a definite not-found, a throw says nothing
+        let inMempool = null;
+        try {
+            inMempool = !!(await provider.getPendingTransaction(txHash));
+        } catch (err) {
+            console.warn('TxWatcher mempool lookup failed:', err.message);
+        }
+
+        if (inMempool) {
+            entry.missingSinceBlock = null;
+        } else if (inMempool === false && currentBlock > 0) {
+            // 3) Neither mined nor in mempool — drop once it has been missing long enough
+            if (entry.missingSinceBlock === null) entry.missingSinceBlock = currentBlock;
+            if (currentBlock - entry.missingSinceBlock >= DROP_AFTER_BLOCKS) {
+                await this._resolve(record, 'dropped');
+                return;
+            }
+        }
+
+        this._reschedule(txHash, entry);
+    }
+
+    /**
+     * A dropped entry can still be mined (e.g. it was only missing from the
+     * mempool node's view); a receipt moves it to 'confirmed' or 'failed'.
+     */
+    async _recheckDropped(provider, record) {
+        if (await this._resolveFromReceipt(provider, record)) return;
+        this._reschedule(record.txHash, this._state.get(record.txHash) || { attempts: 0, nextCheckAt: 0 });
+    }
+
+    _reschedule(txHash, entry) {
+        entry.attempts += 1;
+        entry.nextCheckAt = Date.now() + Math.min(BASE_BACKOFF * 2 ** (entry.attempts - 1), MAX_BACKOFF);
+        this._state.set(txHash, entry);
+    }
+
+    async _resolve(record, status, extra = {}) {
+        this._state.delete(record.txHash);
+        const updated = await updateTransactionStatus(record.txHash, status, extra);
+        if (!updated) return;
+        this._listeners.forEach(fn => {
+            try {
+                fn(updated, status);
+            } catch (err) {
+                console.warn('TxWatcher listener failed:', err.message);
+            }
+        });
+    }
+}
+
+export const txWatcher = new TxWatcher();
+export default txWatcher;
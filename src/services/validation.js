@@ -66,6 +66,20 @@ export function validateAddress(address, fieldName = 'Address') {
     return { valid: true };
 }
 
+const HEX_ADDRESS = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * Like validateAddress, but also accepts 32-byte 0x hex: ML-DSA wallet
+ * addresses and factory-cloned contracts are usually referenced that way.
+ * @param {string} address
+ * @param {string} [fieldName='Address']
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateAddressOrHex(address, fieldName = 'Address') {
+    if (HEX_ADDRESS.test(String(address ?? '').trim())) return { valid: true };
+    return validateAddress(address, fieldName);
+}
+
 /**
  * Validate that a block number is in the future.
  * @param {number|string} blockNumber
@@ -0,0 +1,147 @@
+// Airdrop flows against the mock chain (src/sdk/testing).
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockBitLaunch } from '../src/sdk/testing/index.js';
+import { loadClaimStatuses, getTopUnclaimed } from '../src/services/claimAnalytics.js';
+
+const EXPIRY_BLOCKS = 10;
+
+/**
+ * Fresh chain with one airdrop to alice (1000) and bob (2500), expiring in EXPIRY_BLOCKS.
+ */
+async function setup() {
+    const mock = createMockBitLaunch();
+    const { chain, bitlaunch, wallets, deployToken } = mock;
+    const token = deployToken({ initialSupply: 1_000_000n });
+    const height = Number(await chain.getBlockNumber());
+
+    const created = await bitlaunch.airdrops.createAirdrop({
+        tokenAddress: token.p2op,
+        recipients: [
+            { address: wallets.alice.p2tr, amount: '1000' },
+            { address: wallets.bob.p2tr, amount: '2500' },
+        ],
+        expiryBlock: height + EXPIRY_BLOCKS,
+        creator: wallets.owner.p2tr,
+    });
+    return { ...mock, token, airdropId: created.airdropId, created };
+}
+
+const balanceOf = (chain, token, wallet) => chain.getModel(token).state.balances[wallet.hex] || 0n;
+
+describe('airdrop: claim', () => {
+    let ctx;
+    before(async () => { ctx = await setup(); });
+    after(() => ctx.bitlaunch.close());
+
+    it('locks the total amount in the contract', () => {
+        assert.equal(ctx.created.totalAmount, '3500');
+        assert.equal(ctx.created.treeSaved, true);
+    });
+
+    it('pays a listed wallet from the saved tree, once', async () => {
+        const { chain, bitlaunch, wallets, token, airdropId } = ctx;
+        const alice = bitlaunch.connect(wallets.alice);
+        const proof = await alice.airdrops.getProofForClaimer(airdropId, wallets.alice.p2tr);
+        assert.equal(proof.eligible, true);
+        assert.equal(proof.variant, 'mldsa');
+
+        await alice.airdrops.claim(airdropId, wallets.alice.p2tr);
+        assert.equal(balanceOf(chain, token, wallets.alice), 1000n);
+        assert.equal(await alice.airdrops.hasClaimed(airdropId, wallets.alice.p2tr), true);
+        await assert.rejects(alice.airdrops.claim(airdropId, wallets.alice.p2tr), /Already claimed/);
+    });
+
+    it('rejects a wallet that is not in the list', async () => {
+        const { bitlaunch, wallets, airdropId } = ctx;
+        const carol = bitlaunch.connect(wallets.carol);
+        const proof = await carol.airdrops.getProofForClaimer(airdropId, wallets.carol.p2tr);
+        assert.equal(proof.eligible, false);
+        await assert.rejects(carol.airdrops.claim(airdropId, wallets.carol.p2tr), /not in the recipient list/);
+    });
+
+    it('rejects an amount the proof was not built for', async () => {
+        const { bitlaunch, wallets, airdropId } = ctx;
+        const bob = bitlaunch.connect(wallets.bob);
+        const proof = await bob.airdrops.getProofForClaimer(airdropId, wallets.bob.p2tr);
+        await assert.rejects(bob.airdrops.claim(airdropId, wallets.bob.p2tr, '9999', proof.proofBytes), /Invalid Merkle proof/);
+    });
+});
+
+describe('airdrop: expired', () => {
+    let ctx;
+    before(async () => {
+        ctx = await setup();
+        const { bitlaunch, wallets, airdropId } = ctx;
+        const alice = bitlaunch.connect(wallets.alice);
+        await alice.airdrops.claim(airdropId, wallets.alice.p2tr);
+    });
+    after(() => ctx.bitlaunch.close());
+
+    it('cannot be recovered before the expiry block', async () => {
+        const { bitlaunch, wallets, airdropId } = ctx;
+        const owner = bitlaunch.connect(wallets.owner);
+        await assert.rejects(owner.airdrops.recoverExpired(airdropId, wallets.owner.p2tr), /Airdrop not yet expired/);
+    });
+
+    it('rejects claims after the expiry block', async () => {
+        const { chain, bitlaunch, wallets, airdropId } = ctx;
+        chain.mineBlocks(EXPIRY_BLOCKS + 1);
+        const bob = bitlaunch.connect(wallets.bob);
+        assert.equal(await bob.airdrops.isActive(airdropId), false);
+        await assert.rejects(bob.airdrops.claim(airdropId, wallets.bob.p2tr), /Airdrop expired/);
+        assert.equal(await bob.airdrops.hasClaimed(airdropId, wallets.bob.p2tr), false);
+    });
+
+    it('returns the unclaimed amount to the creator, once', async () => {
+        const { chain, bitlaunch, wallets, token, airdropId } = ctx;
+        const owner = bitlaunch.connect(wallets.owner);
+        const before = balanceOf(chain, token, wallets.owner);
+
+        await owner.airdrops.recoverExpired(airdropId, wallets.owner.p2tr);
+        assert.equal(balanceOf(chain, token, wallets.owner) - before, 2500n);
+        assert.equal((await owner.airdrops.getAirdrop(airdropId)).cancelled, true);
+        await assert.rejects(owner.airdrops.recoverExpired(airdropId, wallets.owner.p2tr), /Already cancelled/);
+    });
+});
+
+describe('airdrop: claim analytics', () => {
+    let ctx;
+    before(async () => {
+        ctx = await setup();
+        const { bitlaunch, wallets, airdropId } = ctx;
+        const alice = bitlaunch.connect(wallets.alice);
+        await alice.airdrops.claim(airdropId, wallets.alice.p2tr);
+    });
+    after(() => ctx.bitlaunch.close());
+
+    const statusesOf = async () => {
+        const { chain, bitlaunch, airdropId } = ctx;
+        const treeData = bitlaunch.airdrops.getTreeData(airdropId);
+        const currentBlock = Number(await chain.getBlockNumber());
+        return (await loadClaimStatuses(airdropId, treeData, { currentBlock })).map(s => [s.amount, s.claimed]);
+    };
+
+    it('splits recipients into claimed and unclaimed', async () => {
+        assert.deepEqual(await statusesOf(), [['1000', true], ['2500', false]]);
+    });
+
+    it('reports failed lookups as unknown, not unclaimed', async () => {
+        const { chain, bitlaunch, airdropId } = ctx;
+        chain.mineBlocks(1);
+        const call = chain.call;
+        chain.call = async () => { throw new Error('RPC unavailable'); };
+        try {
+            const statuses = await loadClaimStatuses(airdropId, bitlaunch.airdrops.getTreeData(airdropId), {
+                currentBlock: Number(await chain.getBlockNumber()),
+            });
+            // alice's claim is cached; bob could not be read
+            assert.deepEqual(statuses.map(s => s.claimed), [true, null]);
+            assert.deepEqual(getTopUnclaimed(statuses), []);
+        } finally {
+            chain.call = call;
+        }
+        assert.deepEqual(await statusesOf(), [['1000', true], ['2500', false]]);
+    });
+});
@@ -0,0 +1,46 @@
+// Claim link verification against the on-chain root and the connected wallet.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMerkleTreeSync } from '../src/services/merkleBuilder.js';
+import { encodeClaimProof, decodeClaimProof, verifyClaimProof } from '../src/services/claimLinks.js';
+
+const ALICE = '11'.repeat(32);
+const BOB = '22'.repeat(32);
+const TWEAKED = '33'.repeat(32);
+
+const tree = buildMerkleTreeSync([
+    { address: `0x${ALICE}`, amount: '1000' },
+    { address: `0x${BOB}`, amount: '2000' },
+]);
+const merkleRoot = BigInt(`0x${tree.rootHex}`).toString();
+const aliceClaim = decodeClaimProof(`#proof=${encodeClaimProof({
+    address: ALICE, amount: '1000', proofBytes: tree.getPackedProof(0),
+})}`);
+const aliceVariants = [{ variant: 'mldsa', hex: `0x${ALICE}` }, { variant: 'tweaked', hex: `0x${TWEAKED}` }];
+
+describe('verifyClaimProof', () => {
+    it('accepts a link issued to the wallet\'s ML-DSA address', () => {
+        assert.deepEqual(verifyClaimProof(aliceClaim, merkleRoot, aliceVariants), { valid: true, reason: null });
+    });
+
+    it('rejects a link for another wallet', () => {
+        const check = verifyClaimProof(aliceClaim, merkleRoot, [{ variant: 'mldsa', hex: `0x${BOB}` }]);
+        assert.equal(check.valid, false);
+        assert.match(check.reason, /different wallet/);
+    });
+
+    it('rejects a link when the wallet\'s addresses could not be resolved', () => {
+        for (const variants of [null, []]) {
+            const check = verifyClaimProof(aliceClaim, merkleRoot, variants);
+            assert.equal(check.valid, false);
+            assert.match(check.reason, /Could not confirm this link is for your wallet/);
+        }
+    });
+
+    it('rejects a proof that does not match the root', () => {
+        const check = verifyClaimProof({ ...aliceClaim, amount: '1001' }, merkleRoot, aliceVariants);
+        assert.equal(check.valid, false);
+        assert.match(check.reason, /does not match the on-chain Merkle root/);
+    });
+});
@@ -0,0 +1,92 @@
+// OP20 factory flows against the mock chain (src/sdk/testing).
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockBitLaunch } from '../src/sdk/testing/index.js';
+
+const PARAMS = { name: 'Test Token', symbol: 'TEST', decimals: 8, totalSupply: 1000 };
+
+/** Deploy PARAMS (plus `overrides`) through the factory as `wallet`. */
+async function deployAs(bitlaunch, wallet, overrides = {}) {
+    const signer = bitlaunch.connect(wallet);
+    return signer.deployer.deployToken({ ...PARAMS, ...overrides }, signer.walletState());
+}
+
+const hexOf = (address) => address?.toHex().toLowerCase() ?? null;
+
+describe('factory: deploy', () => {
+    let ctx;
+    let deployed;
+    before(async () => {
+        ctx = createMockBitLaunch();
+        deployed = await deployAs(ctx.bitlaunch, ctx.wallets.alice);
+    });
+    after(() => ctx.bitlaunch.close());
+
+    it('clones the template with the requested supply minted to the deployer', () => {
+        const { chain, wallets } = ctx;
+        assert.equal(deployed.success, true);
+        assert.ok(deployed.tokenAddress);
+        const state = chain.getModel(deployed.tokenHex).state;
+        assert.equal(state.balances[wallets.alice.hex], 1000n * 10n ** 8n);
+    });
+
+    it('records the deployer as owner', async () => {
+        const { bitlaunch, wallets } = ctx;
+        assert.equal(await bitlaunch.factory.getDeployedTokensCount(), 1);
+        assert.equal(hexOf(await bitlaunch.factory.getTokenOwner(deployed.tokenAddress)), wallets.alice.hex);
+        assert.equal(hexOf(await bitlaunch.factory.getTokenDeployer(deployed.tokenAddress)), wallets.alice.hex);
+
+        const tokens = await bitlaunch.factory.getUserTokens(wallets.alice.p2tr);
+        assert.deepEqual(tokens.map(t => t.address), [deployed.tokenAddress]);
+        assert.deepEqual(await bitlaunch.factory.getUserTokens(wallets.bob.p2tr), []);
+    });
+
+    it('lets only the recorded owner hand the record over', async () => {
+        const { bitlaunch, wallets } = ctx;
+        const bob = bitlaunch.connect(wallets.bob);
+        await assert.rejects(
+            bob.admin.prepareUpdateTokenOwner(deployed.tokenAddress, wallets.bob.p2tr, wallets.bob.p2tr),
+            /Only token owner can update/,
+        );
+
+        const alice = bitlaunch.connect(wallets.alice);
+        const pending = await alice.admin.prepareUpdateTokenOwner(deployed.tokenAddress, wallets.bob.p2tr, wallets.alice.p2tr);
+        await pending.send();
+        assert.equal(hexOf(await alice.factory.getTokenOwner(deployed.tokenAddress)), wallets.bob.hex);
+        assert.equal(hexOf(await alice.factory.getTokenDeployer(deployed.tokenAddress)), wallets.alice.hex);
+    });
+
+    it('returns no owner for a token it did not deploy', async () => {
+        const { bitlaunch, deployToken } = ctx;
+        const outside = deployToken();
+        assert.match(hexOf(await bitlaunch.factory.getTokenOwner(outside.p2op)), /^0x0{64}$/);
+    });
+});
+
+describe('factory: pause', () => {
+    let ctx;
+    before(() => { ctx = createMockBitLaunch(); });
+    after(() => ctx.bitlaunch.close());
+
+    it('rejects invalid parameters before simulating', async () => {
+        const { bitlaunch, wallets } = ctx;
+        await assert.rejects(deployAs(bitlaunch, wallets.alice, { symbol: 'TOOLONGSYMBOL' }), /Symbol must be 1-10 characters/);
+    });
+
+    it('blocks deployments while paused, and only the owner can pause', async () => {
+        const { bitlaunch, wallets } = ctx;
+        const alice = bitlaunch.connect(wallets.alice);
+        await assert.rejects(alice.admin.preparePauseFactory('factory', wallets.alice.p2tr), /Only factory owner/);
+
+        const owner = bitlaunch.connect(wallets.owner);
+        await (await owner.admin.preparePauseFactory('factory', wallets.owner.p2tr)).send();
+        assert.equal(await owner.factory.isPaused(), true);
+        await assert.rejects(deployAs(bitlaunch, wallets.alice), /Factory is paused/);
+
+        await (await owner.admin.prepareUnpauseFactory('factory', wallets.owner.p2tr)).send();
+        const deployed = await deployAs(bitlaunch, wallets.alice);
+        assert.equal(deployed.success, true);
+        assert.equal(await owner.factory.getDeployedTokensCount(), 1);
+    });
+});
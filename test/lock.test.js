@@ -0,0 +1,116 @@
+// Liquidity lock flows against the mock chain (src/sdk/testing).
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockBitLaunch } from '../src/sdk/testing/index.js';
+
+const LOCK_BLOCKS = 20;
+
+/**
+ * Fresh chain where alice holds a token and locks 100000 of it for LOCK_BLOCKS
+ * blocks at the default 0.5% fee.
+ */
+async function setup() {
+    const mock = createMockBitLaunch();
+    const { chain, bitlaunch, wallets, deployToken } = mock;
+    const token = deployToken({ initialSupply: 1_000_000n }, wallets.alice);
+    const unlockBlock = Number(await chain.getBlockNumber()) + LOCK_BLOCKS;
+
+    const alice = bitlaunch.connect(wallets.alice);
+    const { lockId } = await alice.locks.lockTokens({
+        tokenAddress: token.p2op, amount: '100000', unlockBlock, owner: wallets.alice.p2tr,
+    });
+    return { ...mock, token, lockId, unlockBlock };
+}
+
+const balanceOf = (chain, token, wallet) => chain.getModel(token).state.balances[wallet.hex] || 0n;
+
+/** Mine until the next transaction or read lands on `block`. */
+async function advanceTo(chain, block) {
+    const height = Number(await chain.getBlockNumber());
+    if (block - 1 > height) chain.mineBlocks(block - 1 - height);
+}
+
+describe('lock: fees', () => {
+    let ctx;
+    before(async () => { ctx = await setup(); });
+    after(() => ctx.bitlaunch.close());
+
+    it('takes the platform fee from the locked amount', async () => {
+        const { chain, bitlaunch, wallets, token, lockId, unlockBlock, contracts } = ctx;
+        assert.equal(await bitlaunch.locks.getPlatformFeeBps(), 50);
+
+        const lock = await bitlaunch.locks.getLockOnChain(lockId);
+        assert.equal(lock.amount, '99500');
+        assert.equal(lock.unlockBlock, unlockBlock);
+        assert.equal(balanceOf(chain, token, wallets.platform), 500n);
+        assert.equal(balanceOf(chain, token, contracts.lock), 99_500n);
+        assert.equal(await bitlaunch.locks.getTotalFeesOnChain(), '500');
+    });
+
+    it('only lets the contract owner change the fee', async () => {
+        const { bitlaunch, wallets } = ctx;
+        const alice = bitlaunch.connect(wallets.alice);
+        await assert.rejects(alice.admin.prepareSetPlatformFeeBps('200', wallets.alice.p2tr), /Only contract owner/);
+    });
+
+    it('charges new locks at the updated fee', async () => {
+        const { chain, bitlaunch, wallets, token } = ctx;
+        const owner = bitlaunch.connect(wallets.owner);
+        const pending = await owner.admin.prepareSetPlatformFeeBps('200', wallets.owner.p2tr);
+        await pending.send();
+        assert.equal(await owner.locks.getPlatformFeeBps(), 200);
+
+        const alice = bitlaunch.connect(wallets.alice);
+        const unlockBlock = Number(await chain.getBlockNumber()) + LOCK_BLOCKS;
+        const { lockId } = await alice.locks.lockTokens({
+            tokenAddress: token.p2op, amount: '10000', unlockBlock, owner: wallets.alice.p2tr,
+        });
+        assert.equal((await alice.locks.getLockOnChain(lockId)).amount, '9800');
+        assert.equal(balanceOf(chain, token, wallets.platform), 700n);
+        assert.equal(await alice.locks.getOwnerLockCount(wallets.alice.p2tr), 2);
+    });
+});
+
+describe('lock: unlock timing', () => {
+    let ctx;
+    before(async () => { ctx = await setup(); });
+    after(() => ctx.bitlaunch.close());
+
+    it('keeps tokens locked until the unlock block', async () => {
+        const { chain, bitlaunch, wallets, lockId, unlockBlock } = ctx;
+        await advanceTo(chain, unlockBlock - 1);
+        assert.equal(await bitlaunch.locks.isUnlockableOnChain(lockId), false);
+
+        const lock = await bitlaunch.locks.getLockOnChain(lockId);
+        assert.equal(bitlaunch.locks.getLockStatus(lock, unlockBlock - 1), 'locked');
+        const alice = bitlaunch.connect(wallets.alice);
+        await assert.rejects(alice.locks.unlockTokens(lockId, wallets.alice.p2tr), /Tokens still locked/);
+    });
+
+    it('only extends the unlock block forward', async () => {
+        const { bitlaunch, wallets, lockId, unlockBlock } = ctx;
+        const alice = bitlaunch.connect(wallets.alice);
+        await assert.rejects(alice.locks.extendLock(lockId, unlockBlock - 1, wallets.alice.p2tr), /Can only extend/);
+        await alice.locks.extendLock(lockId, unlockBlock + 5, wallets.alice.p2tr);
+        assert.equal((await alice.locks.getLockOnChain(lockId)).unlockBlock, unlockBlock + 5);
+        ctx.unlockBlock = unlockBlock + 5;
+    });
+
+    it('releases the tokens to the lock owner only, from the unlock block', async () => {
+        const { chain, bitlaunch, wallets, token, lockId, unlockBlock } = ctx;
+        await advanceTo(chain, unlockBlock);
+        assert.equal(await bitlaunch.locks.isUnlockableOnChain(lockId), true);
+
+        const bob = bitlaunch.connect(wallets.bob);
+        await assert.rejects(bob.locks.unlockTokens(lockId, wallets.bob.p2tr), /Only lock owner/);
+
+        const alice = bitlaunch.connect(wallets.alice);
+        const before = balanceOf(chain, token, wallets.alice);
+        await alice.locks.partialUnlock(lockId, '9500', wallets.alice.p2tr);
+        const result = await alice.locks.unlockTokens(lockId, wallets.alice.p2tr);
+        assert.equal(result.amount, '90000');
+        assert.equal(balanceOf(chain, token, wallets.alice) - before, 99_500n);
+        await assert.rejects(alice.locks.unlockTokens(lockId, wallets.alice.p2tr), /Nothing to unlock/);
+    });
+});
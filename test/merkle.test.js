@@ -0,0 +1,171 @@
+// Airdrop Merkle trees against scripts/merkle-vectors.json and an independent
+// Keccak-256, so a change to leaf encoding or pair ordering fails here rather
+// than at claim time.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { buildMerkleTreeSync, buildMerkleTreeAsync } from '../src/services/merkleBuilder.js';
+import {
+    buildMerkleTree, generateProof, hashLeaf, verifyProof, packProof, bytesToHex, hexToBytes,
+} from '../src/services/merkleTree.js';
+
+const { vectors } = JSON.parse(readFileSync(new URL('../scripts/merkle-vectors.json', import.meta.url), 'utf8'));
+
+// ── Reference Keccak-256 (FIPS 202 permutation, original Keccak padding) ──
+
+const MASK = (1n << 64n) - 1n;
+const ROUND_CONSTANTS = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808An, 0x8000000080008000n,
+    0x000000000000808Bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008An, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000An,
+    0x000000008000808Bn, 0x800000000000008Bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800An, 0x800000008000000An,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n,
+];
+// ROTATIONS[x][y]
+const ROTATIONS = [[0, 36, 3, 41, 18], [1, 44, 10, 45, 2], [62, 6, 43, 15, 61], [28, 55, 25, 21, 56], [27, 20, 39, 8, 14]];
+const RATE = 136;
+
+const rotl = (v, n) => (n === 0 ? v : ((v << BigInt(n)) | (v >> BigInt(64 - n))) & MASK);
+
+/** Keccak-f[1600] on a 5×5 lane array indexed [x][y]. */
+function permute(lanes) {
+    let a = lanes;
+    for (const rc of ROUND_CONSTANTS) {
+        const c = a.map(col => col.reduce((x, y) => x ^ y));
+        const d = c.map((_, x) => c[(x + 4) % 5] ^ rotl(c[(x + 1) % 5], 1));
+        a = a.map((col, x) => col.map(v => v ^ d[x]));
+        const b = Array.from({ length: 5 }, () => new Array(5).fill(0n));
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) b[y][(2 * x + 3 * y) % 5] = rotl(a[x][y], ROTATIONS[x][y]);
+        }
+        a = b.map((col, x) => col.map((v, y) => v ^ (~b[(x + 1) % 5][y] & MASK & b[(x + 2) % 5][y])));
+        a[0][0] ^= rc;
+    }
+    return a;
+}
+
+/** Sponge with domain byte 0x01 (Keccak, as on-chain) or 0x06 (SHA3-256). */
+function sponge(data, domain) {
+    const padded = new Uint8Array(Math.ceil((data.length + 1) / RATE) * RATE);
+    padded.set(data);
+    padded[data.length] = domain;
+    padded[padded.length - 1] |= 0x80;
+
+    let lanes = Array.from({ length: 5 }, () => new Array(5).fill(0n));
+    const view = new DataView(padded.buffer);
+    for (let offset = 0; offset < padded.length; offset += RATE) {
+        for (let i = 0; i < RATE / 8; i++) lanes[i % 5][Math.floor(i / 5)] ^= view.getBigUint64(offset + i * 8, true);
+        lanes = permute(lanes);
+    }
+    const out = new DataView(new ArrayBuffer(32));
+    for (let i = 0; i < 4; i++) out.setBigUint64(i * 8, lanes[i % 5][Math.floor(i / 5)], true);
+    return new Uint8Array(out.buffer);
+}
+
+const keccak256 = (data) => sponge(data, 0x01);
+
+const concat = (a, b) => {
+    const out = new Uint8Array(a.length + b.length);
+    out.set(a);
+    out.set(b, a.length);
+    return out;
+};
+
+/** AirdropContract._computeLeafHash: keccak256(claimer || amount as u256 BE). */
+function contractLeaf(addressHex, amount) {
+    const amountBytes = hexToBytes(BigInt(amount).toString(16));
+    return keccak256(concat(hexToBytes(addressHex), amountBytes));
+}
+
+/** AirdropContract._verifyMerkleProof: smaller hash first at every level. */
+function contractVerify(leaf, packed, root) {
+    let current = leaf;
+    for (let offset = 0; offset < packed.length; offset += 32) {
+        const element = packed.subarray(offset, offset + 32);
+        current = bytesToHex(current) < bytesToHex(element)
+            ? keccak256(concat(current, element))
+            : keccak256(concat(element, current));
+    }
+    return bytesToHex(current) === bytesToHex(root);
+}
+
+describe('merkle: reference keccak', () => {
+    it('matches node:crypto SHA3-256 when given SHA-3 padding', () => {
+        for (const length of [0, 3, RATE - 1, RATE, 200]) {
+            const data = Uint8Array.from({ length }, (_, i) => (i * 7) & 0xff);
+            assert.equal(bytesToHex(sponge(data, 0x06)), createHash('sha3-256').update(data).digest('hex'));
+        }
+    });
+
+    it('gives the published empty-input Keccak-256', () => {
+        assert.equal(
+            bytesToHex(keccak256(new Uint8Array(0))),
+            'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470',
+        );
+    });
+});
+
+describe('merkle: independent vectors', () => {
+    // Computed by hand from the contract rules with a standalone Keccak
+    // implementation (checked against SHA3-256), not with merkleTree.js.
+    const recipients = [
+        { address: `0x${'11'.repeat(32)}`, amount: '1000' },
+        { address: `0x${'22'.repeat(32)}`, amount: '2000' },
+        { address: `0x${'33'.repeat(32)}`, amount: '3000' },
+    ];
+    const leaves = [
+        '1f7fec99c4328929a1e2de5310accd1ddf742c224208c9877dd7f5db763b8f39',
+        '66a44e246a2a8ba93dd09870dc0d1dc6dbc1865f3f6a1e59b4f093a18d110b9e',
+        '9058f2667ac2b247862aed5bde5d17670a408548d0eee99faa562b5a6ff1ccf5',
+    ];
+
+    it('hashes leaves like the contract', () => {
+        recipients.forEach((r, i) => {
+            assert.equal(bytesToHex(contractLeaf(r.address, r.amount)), leaves[i]);
+            assert.equal(bytesToHex(hashLeaf(r.address, r.amount)), leaves[i]);
+        });
+    });
+
+    it('builds the two-leaf root', () => {
+        const root = '4cd7f056441158b3a7d24229e510dede6299679cf47342a212334926b52830ba';
+        assert.equal(buildMerkleTreeSync(recipients.slice(0, 2)).rootHex, root);
+    });
+
+    it('builds the three-leaf root, pairing the odd leaf with itself', () => {
+        const root = '91cfa72e1d3e6efcd1e5eebb57efee6658cd337fb982918ea4aa18c7a06bf3e5';
+        const tree = buildMerkleTreeSync(recipients);
+        assert.equal(tree.rootHex, root);
+        recipients.forEach((_, i) => {
+            assert.ok(contractVerify(hexToBytes(leaves[i]), tree.getPackedProof(i), hexToBytes(root)));
+        });
+    });
+});
+
+describe('merkle: scripts/merkle-vectors.json', () => {
+    for (const vector of vectors) {
+        it(vector.name, async () => {
+            const root = hexToBytes(vector.root);
+            const flat = buildMerkleTreeSync(vector.recipients);
+            const threaded = await buildMerkleTreeAsync(vector.recipients);
+            const nested = buildMerkleTree(vector.recipients);
+
+            assert.equal(flat.rootHex, vector.root);
+            assert.equal(threaded.rootHex, vector.root);
+            assert.equal(bytesToHex(nested.root), vector.root);
+
+            vector.recipients.forEach((r, i) => {
+                const leaf = hexToBytes(vector.leaves[i]);
+                const proof = vector.proofs[i].map(hexToBytes);
+                assert.equal(bytesToHex(hashLeaf(r.address, r.amount)), vector.leaves[i]);
+                assert.equal(bytesToHex(contractLeaf(r.address, r.amount)), vector.leaves[i]);
+                assert.deepEqual(flat.getProof(i).map(bytesToHex), vector.proofs[i]);
+                assert.deepEqual(generateProof(nested.tree, i).map(bytesToHex), vector.proofs[i]);
+                assert.ok(verifyProof(leaf, proof, root));
+                assert.ok(contractVerify(leaf, packProof(proof), root));
+            });
+        });
+    }
+});
@@ -0,0 +1,171 @@
+// Presale flows against the mock chain (src/sdk/testing).
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockBitLaunch } from '../src/sdk/testing/index.js';
+import { decodeCalldata, indexAbi } from '../src/sdk/testing/abiCodec.js';
+import { PRESALE_ABI } from '../src/services/abis/presaleAbi.js';
+import { loadContributorLedger } from '../src/services/presaleContributors.js';
+
+const RATE = 100n;
+
+/**
+ * Fresh chain with a presale that opens on the next block and ends 20 blocks later.
+ */
+async function setup({ softCap = '100000' } = {}) {
+    const mock = createMockBitLaunch();
+    const { chain, bitlaunch, wallets, deployToken } = mock;
+    const token = deployToken({ initialSupply: 100_000_000n });
+    const height = Number(await chain.getBlockNumber());
+
+    const { presaleAddress } = await bitlaunch.presaleFactory.createPresale({
+        tokenAddress: token.p2op, hardCap: '200000', softCap, tokenRate: RATE.toString(),
+        minBuy: '10000', maxBuy: '100000', startBlock: height + 1, endBlock: height + 20,
+        tokenAmount: '20000000', creator: wallets.owner.p2tr,
+    });
+    return { ...mock, token, presaleAddress };
+}
+
+const balanceOf = (chain, token, wallet) => chain.getModel(token).state.balances[wallet.hex] || 0n;
+
+const PRESALE_FUNCTIONS = indexAbi(PRESALE_ABI).functions;
+
+/**
+ * Run `fn` while presale view calls matching `fails(name, args)` throw like a
+ * dropped RPC request.
+ */
+async function withFailingReads(chain, fails, fn) {
+    const call = chain.call;
+    chain.call = async function (to, calldata, ...rest) {
+        const { element, args } = decodeCalldata(calldata, PRESALE_FUNCTIONS);
+        if (element && fails(element.name, args)) throw new Error('RPC unavailable');
+        return call.call(this, to, calldata, ...rest);
+    };
+    try {
+        return await fn();
+    } finally {
+        chain.call = call;
+    }
+}
+
+describe('presale: soft cap missed', () => {
+    let ctx;
+    before(async () => {
+        ctx = await setup();
+        const { chain, bitlaunch, wallets, presaleAddress } = ctx;
+        const alice = bitlaunch.connect(wallets.alice);
+        await alice.presales.contribute(presaleAddress, '50000', wallets.alice.p2tr);
+        chain.mineBlocks(20);
+    });
+    after(() => ctx.bitlaunch.close());
+
+    it('rejects claims and finalize while the soft cap is unmet', async () => {
+        const { bitlaunch, wallets, presaleAddress } = ctx;
+        const alice = bitlaunch.connect(wallets.alice);
+        await assert.rejects(alice.presales.claimTokens(presaleAddress, wallets.alice.p2tr), /Soft cap not met/);
+        const owner = bitlaunch.connect(wallets.owner);
+        await assert.rejects(owner.presales.finalize(presaleAddress, wallets.owner.p2tr), /Soft cap not met/);
+    });
+
+    it('only lets the creator cancel', async () => {
+        const { bitlaunch, wallets, presaleAddress } = ctx;
+        const alice = bitlaunch.connect(wallets.alice);
+        await assert.rejects(alice.presales.refund(presaleAddress, wallets.alice.p2tr), /Only creator/);
+    });
+
+    it('returns the deposited tokens to the creator and lists contributions as owed back', async () => {
+        const { chain, bitlaunch, wallets, token, presaleAddress } = ctx;
+        const owner = bitlaunch.connect(wallets.owner);
+        const before = balanceOf(chain, token, wallets.owner);
+
+        const result = await owner.presales.refund(presaleAddress, wallets.owner.p2tr);
+        assert.equal(result.tokenAmount, '20000000');
+        assert.equal(balanceOf(chain, token, wallets.owner) - before, 20_000_000n);
+        assert.equal(await owner.presales.isCancelled(presaleAddress), true);
+
+        const ledger = await loadContributorLedger(presaleAddress);
+        assert.equal(ledger.phase, 'refund');
+        assert.deepEqual(ledger.rows.map(r => [r.refund, r.status]), [['50000', 'refund']]);
+        await assert.rejects(owner.presales.refund(presaleAddress, wallets.owner.p2tr), /Presale cancelled/);
+    });
+});
+
+describe('presale: claim after a successful raise', () => {
+    let ctx;
+    before(async () => {
+        ctx = await setup();
+        const { bitlaunch, wallets, presaleAddress } = ctx;
+        for (const [name, amount] of [['alice', '60000'], ['bob', '40000']]) {
+            const signer = bitlaunch.connect(wallets[name]);
+            await signer.presales.contribute(presaleAddress, amount, wallets[name].p2tr);
+        }
+    });
+    after(() => ctx.bitlaunch.close());
+
+    it('enforces contribution limits', async () => {
+        const { bitlaunch, wallets, presaleAddress } = ctx;
+        const carol = bitlaunch.connect(wallets.carol);
+        await assert.rejects(carol.presales.contribute(presaleAddress, '5000', wallets.carol.p2tr), /Below minimum contribution/);
+        await assert.rejects(carol.presales.contribute(presaleAddress, '150000', wallets.carol.p2tr), /Exceeds maximum contribution/);
+    });
+
+    it('does not pay out before the end block', async () => {
+        const { bitlaunch, wallets, presaleAddress } = ctx;
+        const alice = bitlaunch.connect(wallets.alice);
+        await assert.rejects(alice.presales.claimTokens(presaleAddress, wallets.alice.p2tr), /Presale not ended/);
+    });
+
+    it('pays each contributor contribution × rate, once', async () => {
+        const { chain, bitlaunch, wallets, token, presaleAddress } = ctx;
+        chain.mineBlocks(20);
+        const alice = bitlaunch.connect(wallets.alice);
+        assert.equal(await alice.presales.getClaimable(presaleAddress, wallets.alice.p2tr), (60000n * RATE).toString());
+
+        const result = await alice.presales.claimTokens(presaleAddress, wallets.alice.p2tr);
+        assert.equal(result.tokenAmount, (60000n * RATE).toString());
+        assert.equal(balanceOf(chain, token, wallets.alice), 60000n * RATE);
+        await assert.rejects(alice.presales.claimTokens(presaleAddress, wallets.alice.p2tr), /Nothing to claim/);
+    });
+
+    it('shows claimed and claimable contributors in the ledger', async () => {
+        const { presaleAddress } = ctx;
+        const ledger = await loadContributorLedger(presaleAddress);
+        assert.equal(ledger.phase, 'claim');
+        assert.equal(ledger.missing, 0);
+        assert.deepEqual(ledger.rows.map(r => [r.contribution, r.claimed, r.claimable, r.status]), [
+            ['60000', '6000000', '0', 'claimed'],
+            ['40000', '0', '4000000', 'claimable'],
+        ]);
+    });
+
+    it('leaves contributors whose claimable amount cannot be read out of the ledger', async () => {
+        const { chain, wallets, presaleAddress } = ctx;
+        chain.mineBlocks(1);
+        const ledger = await withFailingReads(
+            chain,
+            (name, args) => name === 'getClaimable' && args.contributor === wallets.bob.hex,
+            () => loadContributorLedger(presaleAddress),
+        );
+        assert.equal(ledger.missing, 1);
+        assert.deepEqual(ledger.rows.map(r => [r.contribution, r.status]), [['60000', 'claimed']]);
+    });
+
+    it('fails the whole load when presale-level reads fail', async () => {
+        const { chain, presaleAddress } = ctx;
+        chain.mineBlocks(1);
+        await withFailingReads(
+            chain,
+            (name) => name === 'getRate',
+            () => assert.rejects(loadContributorLedger(presaleAddress), /Could not read presale/),
+        );
+    });
+
+    it('lets the creator finalize and keeps unsold tokens with the creator', async () => {
+        const { chain, bitlaunch, wallets, token, presaleAddress } = ctx;
+        const owner = bitlaunch.connect(wallets.owner);
+        const before = balanceOf(chain, token, wallets.owner);
+        await owner.presales.finalize(presaleAddress, wallets.owner.p2tr);
+        assert.equal(await owner.presales.isFinalized(presaleAddress), true);
+        assert.ok(balanceOf(chain, token, wallets.owner) > before);
+    });
+});
@@ -0,0 +1,36 @@
+// Persisted immutable reads (token name / symbol / decimals).
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { OP_20_ABI } from 'opnet';
+import { createMockBitLaunch } from '../src/sdk/testing/index.js';
+import { getCachedContract } from '../src/services/readCache.js';
+import { getItem, setItem } from '../src/services/storage.js';
+
+describe('readCache: persisted token metadata', () => {
+    const { chain, bitlaunch, deployToken } = createMockBitLaunch();
+    const token = deployToken({ name: '100n', symbol: '7n', decimals: 8 });
+    const contract = getCachedContract(token.p2op, OP_20_ABI, chain, chain.network);
+    const key = (method) => `${chain.network.bech32}:${contract.p2op}:${method}:[]`;
+    after(() => bitlaunch.close());
+
+    it('keeps strings that look like bigints as strings', async () => {
+        const result = await contract.symbol();
+        assert.equal(result.properties.symbol, '7n');
+
+        const stored = JSON.parse(getItem('immutable_reads'));
+        assert.deepEqual(stored[key('symbol')], { symbol: '7n' });
+    });
+
+    it('restores tagged bigints', async () => {
+        const stored = JSON.parse(getItem('immutable_reads'));
+        stored[key('name')] = { name: '100n', supply: { $bigint: '5' } };
+        setItem('immutable_reads', JSON.stringify(stored));
+
+        // a fresh module instance reloads the store from storage
+        const { getCachedContract: reloaded } = await import(`../src/services/readCache.js?reload=${Date.now()}`);
+        const result = await reloaded(token.p2op, OP_20_ABI, chain, chain.network).name();
+        assert.equal(result.properties.name, '100n');
+        assert.equal(result.properties.supply, 5n);
+    });
+});
@@ -0,0 +1,85 @@
+// Recipient list parsing and amount conversion.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { importRecipients } from '../src/services/recipientImporter.js';
+
+const A = `0x${'11'.repeat(32)}`;
+const B = `0x${'22'.repeat(32)}`;
+const C = `0x${'33'.repeat(32)}`;
+
+const rowsOf = (text, decimals = 8) => importRecipients(text, { decimals }).rows
+    .map(r => [r.status, r.raw === null ? null : r.raw.toString()]);
+
+describe('importRecipients: comma-separated', () => {
+    it('reads "." as the decimal separator and quoted "," as thousands', () => {
+        assert.deepEqual(rowsOf(`address,amount\n${A},12.5\n${B},"1,000.25"`, 2), [
+            ['ok', '1250'],
+            ['ok', '100025'],
+        ]);
+    });
+
+    it('rejects a quoted decimal comma instead of dropping it', () => {
+        const result = importRecipients(`address,amount\n${A},"12,50"\n${B},"1,00,000"`, { decimals: 8 });
+        assert.equal(result.errorCount, 2);
+        for (const row of result.rows) assert.match(row.messages[0], /ambiguous/);
+    });
+
+    it('rejects more decimals than the token has', () => {
+        const [row] = importRecipients(`${A},1.005`, { decimals: 2 }).rows;
+        assert.equal(row.status, 'error');
+        assert.match(row.messages[0], /more than 2 decimal places/);
+    });
+});
+
+describe('importRecipients: tab-separated', () => {
+    it('reads "." as the decimal separator and "," as thousands', () => {
+        assert.deepEqual(rowsOf(`address\tamount\n${A}\t12.5\n${B}\t1,234,567.5\n${C}\t1,000`, 2), [
+            ['ok', '1250'],
+            ['ok', '123456750'],
+            ['ok', '100000'],
+        ]);
+    });
+
+    it('rejects a decimal comma instead of dropping it', () => {
+        const result = importRecipients(`address\tamount\n${A}\t12,5\n${B}\t1,000,5`, { decimals: 8 });
+        assert.equal(result.errorCount, 2);
+        assert.equal(result.rows.some(r => r.raw !== null), false);
+        for (const row of result.rows) assert.match(row.messages[0], /ambiguous/);
+    });
+});
+
+describe('importRecipients: semicolon-separated', () => {
+    it('reads "," as the decimal separator', () => {
+        assert.deepEqual(rowsOf(`address;amount\n${A};12,5\n${B};0,125`, 3), [
+            ['ok', '12500'],
+            ['ok', '125'],
+        ]);
+    });
+
+    it('reads "." as the thousands separator', () => {
+        assert.deepEqual(rowsOf(`${A};1.000,25\n${B};1.234.567,5\n${C};1000`, 2), [
+            ['ok', '100025'],
+            ['ok', '123456750'],
+            ['ok', '100000'],
+        ]);
+    });
+
+    it('rejects amounts that read validly with either separator', () => {
+        const result = importRecipients(`${A};1.000\n${B};1,000`, { decimals: 8 });
+        assert.equal(result.errorCount, 2);
+        for (const row of result.rows) assert.match(row.messages[0], /ambiguous/);
+    });
+
+    it('rejects a "." that is not a thousands separator', () => {
+        const [row] = importRecipients(`${A};12.5`, { decimals: 8 }).rows;
+        assert.equal(row.status, 'error');
+        assert.match(row.messages[0], /not a valid number/);
+    });
+
+    it('rejects more than one decimal comma', () => {
+        const [row] = importRecipients(`${A};1,000,5`, { decimals: 8 }).rows;
+        assert.equal(row.status, 'error');
+        assert.match(row.messages[0], /more than one decimal comma/);
+    });
+});
@@ -0,0 +1,127 @@
+// Vesting flows against the mock chain (src/sdk/testing).
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockBitLaunch } from '../src/sdk/testing/index.js';
+
+const TOTAL = 10_000n;
+const TGE_BPS = 1000;
+const CLIFF = 10;
+const DURATION = 100;
+
+/**
+ * Fresh chain with one schedule for alice: 10% at the start block, then
+ * linear release over DURATION blocks after a CLIFF-block cliff.
+ */
+async function setup() {
+    const mock = createMockBitLaunch();
+    const { chain, bitlaunch, wallets, deployToken } = mock;
+    const token = deployToken({ initialSupply: 1_000_000n });
+    const startBlock = Number(await chain.getBlockNumber()) + 5;
+
+    const { scheduleId } = await bitlaunch.vesting.createSchedule({
+        beneficiary: wallets.alice.p2tr, tokenAddress: token.p2op, totalAmount: TOTAL.toString(),
+        cliffBlocks: CLIFF, vestingBlocks: DURATION, startBlock, tgeBps: TGE_BPS,
+        creator: wallets.owner.p2tr,
+    });
+    return { ...mock, token, scheduleId, startBlock };
+}
+
+const balanceOf = (chain, token, wallet) => chain.getModel(token).state.balances[wallet.hex] || 0n;
+
+/** Mine until the next transaction or read lands on `block`. */
+async function advanceTo(chain, block) {
+    const height = Number(await chain.getBlockNumber());
+    if (block - 1 > height) chain.mineBlocks(block - 1 - height);
+}
+
+describe('vesting: cliff and linear release', () => {
+    let ctx;
+    before(async () => { ctx = await setup(); });
+    after(() => ctx.bitlaunch.close());
+
+    it('stores the schedule and holds the tokens', async () => {
+        const { chain, bitlaunch, wallets, token, scheduleId, startBlock, contracts } = ctx;
+        const schedule = await bitlaunch.vesting.getScheduleOnChain(scheduleId);
+        assert.equal(schedule.totalAmount, TOTAL.toString());
+        assert.equal(schedule.startBlock, startBlock);
+        assert.equal(schedule.cliffBlocks, CLIFF);
+        assert.equal(balanceOf(chain, token, contracts.vesting), TOTAL);
+        assert.equal(await bitlaunch.vesting.getBeneficiaryScheduleCount(wallets.alice.p2tr), 1);
+    });
+
+    it('releases nothing before the start block', async () => {
+        const { bitlaunch, wallets, scheduleId } = ctx;
+        assert.equal(await bitlaunch.vesting.getClaimableOnChain(scheduleId), '0');
+        const alice = bitlaunch.connect(wallets.alice);
+        await assert.rejects(alice.vesting.claimTokens(scheduleId, wallets.alice.p2tr), /Nothing to claim/);
+    });
+
+    it('releases only the TGE share during the cliff', async () => {
+        const { chain, bitlaunch, wallets, token, scheduleId, startBlock } = ctx;
+        await advanceTo(chain, startBlock + CLIFF - 1);
+        assert.equal(await bitlaunch.vesting.getClaimableOnChain(scheduleId), '1000');
+
+        const alice = bitlaunch.connect(wallets.alice);
+        const result = await alice.vesting.claimTokens(scheduleId, wallets.alice.p2tr);
+        assert.equal(result.claimed, '1000');
+        assert.equal(balanceOf(chain, token, wallets.alice), 1000n);
+        await assert.rejects(alice.vesting.claimTokens(scheduleId, wallets.alice.p2tr), /Nothing to claim/);
+    });
+
+    it('releases the rest linearly after the cliff', async () => {
+        const { chain, bitlaunch, wallets, token, scheduleId, startBlock } = ctx;
+        await advanceTo(chain, startBlock + CLIFF + DURATION / 2);
+        // 1000 TGE + half of 9000, less the 1000 already claimed
+        assert.equal(await bitlaunch.vesting.getClaimableOnChain(scheduleId), '4500');
+
+        const alice = bitlaunch.connect(wallets.alice);
+        await alice.vesting.claimTokens(scheduleId, wallets.alice.p2tr);
+        assert.equal(balanceOf(chain, token, wallets.alice), 5500n);
+    });
+
+    it('only lets the beneficiary claim', async () => {
+        const { bitlaunch, wallets, scheduleId } = ctx;
+        const bob = bitlaunch.connect(wallets.bob);
+        await assert.rejects(bob.vesting.claimTokens(scheduleId, wallets.bob.p2tr), /Only beneficiary/);
+    });
+
+    it('releases everything at the end of the vesting period', async () => {
+        const { chain, bitlaunch, wallets, token, scheduleId, startBlock } = ctx;
+        await advanceTo(chain, startBlock + CLIFF + DURATION);
+        const alice = bitlaunch.connect(wallets.alice);
+        const result = await alice.vesting.claimTokens(scheduleId, wallets.alice.p2tr);
+        assert.equal(result.claimed, '4500');
+        assert.equal(balanceOf(chain, token, wallets.alice), TOTAL);
+        assert.equal((await bitlaunch.vesting.getScheduleOnChain(scheduleId)).claimedAmount, TOTAL.toString());
+    });
+});
+
+describe('vesting: revoke', () => {
+    let ctx;
+    before(async () => { ctx = await setup(); });
+    after(() => ctx.bitlaunch.close());
+
+    it('only lets the creator revoke', async () => {
+        const { bitlaunch, wallets, scheduleId } = ctx;
+        const alice = bitlaunch.connect(wallets.alice);
+        await assert.rejects(alice.vesting.revokeSchedule(scheduleId, wallets.alice.p2tr), /Only creator/);
+    });
+
+    it('returns the unvested tokens to the creator and stops claims', async () => {
+        const { chain, bitlaunch, wallets, token, scheduleId, startBlock } = ctx;
+        await advanceTo(chain, startBlock + CLIFF + DURATION / 4);
+        const owner = bitlaunch.connect(wallets.owner);
+        const before = balanceOf(chain, token, wallets.owner);
+
+        // 1000 TGE + a quarter of 9000 has vested
+        const result = await owner.vesting.revokeSchedule(scheduleId, wallets.owner.p2tr);
+        assert.equal(result.returnedAmount, '6750');
+        assert.equal(balanceOf(chain, token, wallets.owner) - before, 6750n);
+
+        const schedule = await owner.vesting.getScheduleOnChain(scheduleId);
+        assert.equal(schedule.revoked, true);
+        const alice = bitlaunch.connect(wallets.alice);
+        await assert.rejects(alice.vesting.claimTokens(scheduleId, wallets.alice.p2tr), /Schedule revoked/);
+    });
+});